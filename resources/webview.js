@@ -7,6 +7,7 @@
     
     let cy = null;
     let currentGraphData = null;
+    let hasPartialGraph = false;
 
     /**
      * Initializes the Cytoscape graph with BLACK BACKGROUND colors
@@ -63,6 +64,170 @@
                         'shape': 'roundrectangle'
                     }
                 },
+
+                // Go files - GO CYAN, their imports point at package folders
+                {
+                    selector: 'node[type="file"][language="go"]',
+                    style: {
+                        'background-color': '#00ADD8'
+                    }
+                },
+
+                // Java files - JAVA BROWN, Kotlin files - KOTLIN PURPLE
+                {
+                    selector: 'node[type="file"][language="java"]',
+                    style: {
+                        'background-color': '#B07219'
+                    }
+                },
+                {
+                    selector: 'node[type="file"][language="kotlin"]',
+                    style: {
+                        'background-color': '#A97BFF'
+                    }
+                },
+
+                // C files - INDIGO, C++ files - C++ PINK
+                {
+                    selector: 'node[type="file"][language="c"]',
+                    style: {
+                        'background-color': '#5C6BC0'
+                    }
+                },
+                {
+                    selector: 'node[type="file"][language="cpp"]',
+                    style: {
+                        'background-color': '#F34B7D'
+                    }
+                },
+                {
+                    selector: 'node[type="file"][language="rust"]',
+                    style: {
+                        'background-color': '#DEA584'
+                    }
+                },
+                {
+                    selector: 'node[type="file"][?notebook]',
+                    style: {
+                        'background-color': '#F37626'
+                    }
+                },
+
+                // Notebook cells - GREY, between the notebook and what they define
+                {
+                    selector: 'node[type="cell"]',
+                    style: {
+                        'background-color': '#78909C',
+                        'shape': 'round-rectangle',
+                        'font-size': '10px'
+                    }
+                },
+
+                // Java/Kotlin packages stand in for their folders - DARK ORANGE
+                {
+                    selector: 'node[type="folder"][packageName]',
+                    style: {
+                        'background-color': '#E65100'
+                    }
+                },
+
+                // Workspace folders of a multi-root workspace - AMBER, larger
+                {
+                    selector: 'node[type="folder"][?root]',
+                    style: {
+                        'background-color': '#FFC107',
+                        'font-size': '16px',
+                        'padding': '16px'
+                    }
+                },
+                
+                // Files with parse errors or unresolved imports - RED border;
+                // files that could not be parsed at all are greyed out
+                {
+                    selector: 'node[type="file"][problemCount > 0]',
+                    style: {
+                        'border-width': 3,
+                        'border-color': '#F44336'
+                    }
+                },
+
+                {
+                    selector: 'node[type="file"][?parseFailed]',
+                    style: {
+                        'border-style': 'dashed',
+                        'background-color': '#616161'
+                    }
+                },
+
+                // Files and packages outside a scoped graph, collapsed - DIM GREY, dashed
+                {
+                    selector: 'node[?boundary]',
+                    style: {
+                        'background-color': '#424242',
+                        'border-width': 2,
+                        'border-style': 'dashed',
+                        'border-color': '#9E9E9E',
+                        'opacity': 0.75
+                    }
+                },
+                
+                // Class nodes - PURPLE, between files and methods
+                {
+                    selector: 'node[type="class"]',
+                    style: {
+                        'background-color': '#9C27B0',
+                        'shape': 'hexagon',
+                        'font-size': '11px'
+                    }
+                },
+                
+                // Exported interfaces / type aliases / enums - TEAL
+                {
+                    selector: 'node[type="type"]',
+                    style: {
+                        'background-color': '#00897B',
+                        'shape': 'tag',
+                        'font-size': '10px',
+                        'font-style': 'italic'
+                    }
+                },
+
+                {
+                    selector: 'node[type="type"][typeKind="enum"]',
+                    style: {
+                        'shape': 'octagon'
+                    }
+                },
+                
+                // Package nodes - BROWN; workspace packages solid, external libraries hollow
+                {
+                    selector: 'node[type="package"]',
+                    style: {
+                        'background-color': '#795548',
+                        'shape': 'barrel',
+                        'font-size': '12px',
+                        'font-weight': 'bold'
+                    }
+                },
+
+                {
+                    selector: 'node[type="package"][?external]',
+                    style: {
+                        'background-opacity': 0.35,
+                        'border-width': 2,
+                        'border-color': '#A1887F',
+                        'font-weight': 'normal'
+                    }
+                },
+
+                // System headers (`#include <vector>`) - external, and smaller than libraries
+                {
+                    selector: 'node[type="package"][?header]',
+                    style: {
+                        'shape': 'round-rectangle',
+                        'font-size': '10px'
+                    }
+                },
                 
                 // Function nodes - BLUE + SMALLER
                 {
@@ -118,6 +283,51 @@
                     }
                 },
                 
+                // Lazy-loaded import() edges - PINK, long dashes
+                {
+                    selector: 'edge[type="imports"][kind="dynamic"]',
+                    style: {
+                        'line-color': '#E91E63',
+                        'target-arrow-color': '#E91E63',
+                        'line-style': 'dashed',
+                        'line-dash-pattern': [10, 6],
+                        'target-arrow-shape': 'triangle-backcurve'
+                    }
+                },
+
+                // Re-export edges (barrel files) - TEAL
+                {
+                    selector: 'edge[type="imports"][kind="re-export"]',
+                    style: {
+                        'line-color': '#009688',
+                        'target-arrow-color': '#009688',
+                        'line-style': 'solid',
+                        'width': 1.5
+                    }
+                },
+
+                // Rust `mod` declarations (the module tree) - RUST, solid
+                {
+                    selector: 'edge[type="imports"][kind="mod"]',
+                    style: {
+                        'line-color': '#DEA584',
+                        'target-arrow-color': '#DEA584',
+                        'line-style': 'solid',
+                        'width': 1.5
+                    }
+                },
+
+                // Type-only dependency edges - TEAL, dotted
+                {
+                    selector: 'edge[type="type-depends"]',
+                    style: {
+                        'line-color': '#4DB6AC',
+                        'target-arrow-color': '#4DB6AC',
+                        'line-style': 'dotted',
+                        'width': 1.5
+                    }
+                },
+
                 // Function call edges - BLUE
                 {
                     selector: 'edge[type="calls"]',
@@ -129,6 +339,51 @@
                     }
                 },
                 
+                // Inheritance edges - PURPLE, hollow arrow (UML style)
+                {
+                    selector: 'edge[type="extends"]',
+                    style: {
+                        'line-color': '#CE93D8',
+                        'target-arrow-color': '#CE93D8',
+                        'target-arrow-fill': 'hollow',
+                        'line-style': 'solid'
+                    }
+                },
+
+                {
+                    selector: 'edge[type="implements"]',
+                    style: {
+                        'line-color': '#CE93D8',
+                        'target-arrow-color': '#CE93D8',
+                        'target-arrow-fill': 'hollow',
+                        'line-style': 'dashed'
+                    }
+                },
+                
+                // Components used in Vue/Svelte/Astro markup - MINT, dashed
+                {
+                    selector: 'edge[type="renders"]',
+                    style: {
+                        'line-color': '#42B883',
+                        'target-arrow-color': '#42B883',
+                        'target-arrow-shape': 'diamond',
+                        'line-style': 'dashed',
+                        'color': '#FFFFFF'
+                    }
+                },
+                
+                // Package dependency edges - BROWN, labelled with the declared version
+                {
+                    selector: 'edge[type="depends"]',
+                    style: {
+                        'line-color': '#A1887F',
+                        'target-arrow-color': '#A1887F',
+                        'line-style': 'solid',
+                        'font-size': '9px',
+                        'color': '#FFFFFF'
+                    }
+                },
+                
                 // Selected nodes - GOLD highlight
                 {
                     selector: 'node:selected',
@@ -215,6 +470,21 @@
     function setupToolbarHandlers() {
         const fitBtn = document.getElementById('fitBtn');
         const resetBtn = document.getElementById('resetBtn');
+        const runtimeToggle = document.getElementById('showRuntimeDeps');
+        const typeToggle = document.getElementById('showTypeDeps');
+
+        [runtimeToggle, typeToggle].forEach(toggle => {
+            if (toggle) {
+                toggle.addEventListener('change', applyDependencyFilters);
+            }
+        });
+
+        ['sizeMetric', 'colorMetric'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', applyMetricStyles);
+            }
+        });
 
         if (fitBtn) {
             fitBtn.addEventListener('click', () => {
@@ -234,6 +504,67 @@
         }
     }
 
+    /**
+     * Shows or hides runtime imports and type-only coupling
+     * (type-depends edges and exported type nodes) per the toolbar toggles
+     */
+    function applyDependencyFilters() {
+        if (!cy) return;
+
+        const runtimeToggle = document.getElementById('showRuntimeDeps');
+        const typeToggle = document.getElementById('showTypeDeps');
+        const showRuntime = !runtimeToggle || runtimeToggle.checked;
+        const showTypes = !typeToggle || typeToggle.checked;
+
+        cy.batch(() => {
+            cy.edges('[type="imports"]').style('display', showRuntime ? 'element' : 'none');
+            cy.edges('[type="type-depends"]').style('display', showTypes ? 'element' : 'none');
+            cy.nodes('[type="type"]').style('display', showTypes ? 'element' : 'none');
+        });
+    }
+
+    /**
+     * Sizes and colours function nodes by the metrics chosen in the toolbar
+     * (cyclomatic, cognitive, linesOfCode, maxNesting, parameterCount).
+     * Values are scaled against the largest value in the graph; colours run
+     * from green (low) to red (high).
+     */
+    function applyMetricStyles() {
+        if (!cy) return;
+
+        const sizeSelect = document.getElementById('sizeMetric');
+        const colorSelect = document.getElementById('colorMetric');
+        const sizeMetric = sizeSelect ? sizeSelect.value : '';
+        const colorMetric = colorSelect ? colorSelect.value : '';
+        const functions = cy.nodes('[type="function"]');
+
+        const metricValue = (node, metric) => {
+            const metrics = node.data('metrics');
+            return metrics && typeof metrics[metric] === 'number' ? metrics[metric] : 0;
+        };
+        const maxValue = (metric) => Math.max(1, ...functions.map(node => metricValue(node, metric)));
+
+        cy.batch(() => {
+            functions.removeStyle('width height background-color');
+
+            if (sizeMetric) {
+                const max = maxValue(sizeMetric);
+                functions.forEach(node => {
+                    const size = 20 + 60 * (metricValue(node, sizeMetric) / max);
+                    node.style({ 'width': size, 'height': size });
+                });
+            }
+
+            if (colorMetric) {
+                const max = maxValue(colorMetric);
+                functions.forEach(node => {
+                    const hue = Math.round(120 * (1 - metricValue(node, colorMetric) / max));
+                    node.style('background-color', `hsl(${hue}, 70%, 45%)`);
+                });
+            }
+        });
+    }
+
     function handleNodeClick(node) {
         const nodeData = node.data();
         highlightConnected(node);
@@ -245,7 +576,8 @@
                 type: nodeData.type,
                 label: nodeData.label,
                 filePath: nodeData.path,
-                line: nodeData.line || 0
+                line: nodeData.line || 0,
+                cell: nodeData.cell
             }
         });
     }
@@ -260,7 +592,15 @@
         connectedNodes.addClass('highlighted');
     }
 
-    function renderGraph(graphData) {
+    /**
+     * Renders a graph, replacing the current one
+     * Partial graphs, sent while a scan is running, are laid out without
+     * animation and keep the user's zoom and pan.
+     *
+     * @param {Object} graphData - { nodes, edges, stats }
+     * @param {boolean} [partial] - The graph of a scan still in progress
+     */
+    function renderGraph(graphData, partial = false) {
         if (!cy) initializeGraph();
 
         if (!graphData || !graphData.nodes || !graphData.edges) {
@@ -274,22 +614,31 @@
             cy.elements().remove();
             cy.add(graphData.nodes);
             cy.add(graphData.edges);
+            applyDependencyFilters();
+            applyMetricStyles();
 
             const layout = cy.layout({
                 name: 'breadthfirst',
                 directed: true,
                 padding: 50,
                 spacingFactor: 1.5,
-                animate: true,
+                animate: !partial,
                 animationDuration: 500,
-                avoidOverlap: true
+                avoidOverlap: true,
+                fit: !partial
             });
             layout.run();
 
-            setTimeout(() => {
+            if (!partial) {
+                setTimeout(() => {
+                    cy.fit(null, 50);
+                    cy.center();
+                }, 600);
+            } else if (!hasPartialGraph) {
+                // First batch of a scan: fit once, later batches keep the view
                 cy.fit(null, 50);
-                cy.center();
-            }, 600);
+            }
+            hasPartialGraph = partial;
 
             updateStats(graphData.stats);
         } catch (error) {
@@ -301,14 +650,48 @@
         const statsElement = document.getElementById('stats');
         if (!statsElement || !stats) return;
 
-        const text = `${stats.totalNodes} nodes, ${stats.totalEdges} edges | ` +
+        const scope = currentGraphData && currentGraphData.scope;
+        const scopeText = !scope ? ''
+            : scope.type === 'file' ? `${scope.label} (${scope.hops} hops) | `
+            : `${scope.label}/ | `;
+
+        const text = scopeText +
+                    `${stats.totalNodes} nodes, ${stats.totalEdges} edges | ` +
                     `Files: ${stats.nodesByType.file || 0}, ` +
-                    `Functions: ${stats.nodesByType.function || 0}`;
+                    `Classes: ${stats.nodesByType.class || 0}, ` +
+                    `Functions: ${stats.nodesByType.function || 0}` +
+                    (stats.nodesByType.package ? `, Packages: ${stats.nodesByType.package}` : '') +
+                    (stats.nodesByType.cell ? `, Cells: ${stats.nodesByType.cell}` : '') +
+                    (stats.boundaryNodes ? `, Outside scope: ${stats.boundaryNodes}` : '') +
+                    (stats.totalProblems ? ` | ⚠ ${stats.totalProblems} problems` : '');
 
         statsElement.textContent = text;
         statsElement.style.color = '#FFFFFF';  // ✅ WHITE stats text
     }
 
+    /**
+     * Shows the state of the scan next to the stats
+     *
+     * @param {Object} status - { state: 'scanning'|'cancelled'|'complete', parsed, total }
+     */
+    function updateScanStatus(status) {
+        const statusElement = document.getElementById('scanStatus');
+        if (!statusElement || !status) return;
+
+        const counts = `${status.parsed.toLocaleString()} / ${status.total.toLocaleString()} files`;
+
+        statusElement.classList.toggle('cancelled', status.state === 'cancelled');
+        statusElement.hidden = status.state === 'complete';
+
+        if (status.state === 'scanning') {
+            statusElement.textContent = `Parsing ${counts}…`;
+            statusElement.title = 'The graph fills in as files are parsed';
+        } else if (status.state === 'cancelled') {
+            statusElement.textContent = `⚠ Scan cancelled: ${counts}`;
+            statusElement.title = 'The graph is incomplete. Refresh to scan again.';
+        }
+    }
+
     function showError(message) {
         console.error(message);
         const statsElement = document.getElementById('stats');
@@ -322,7 +705,8 @@
     window.addEventListener('message', event => {
         const message = event.data;
         switch (message.command) {
-            case 'renderGraph': renderGraph(message.data); break;
+            case 'renderGraph': renderGraph(message.data, message.partial); break;
+            case 'scanStatus': updateScanStatus(message.data); break;
             case 'updateGraph': renderGraph(message.data); break;
             default: console.warn('Unknown command:', message.command);
         }
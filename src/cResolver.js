@@ -0,0 +1,212 @@
+/**
+ * C/C++ Include Resolver
+ *
+ * Resolves `#include` directives to files the way a compiler searches:
+ * - The directory of the including file first
+ * - Then the include directories of the file's entry in the nearest
+ *   compile_commands.json (`-I`, `-iquote`, `-isystem`, `-idirafter`);
+ *   headers, which have no entry of their own, use the directories of every
+ *   entry
+ * - Then the include directories configured in `codeConnect.includeDirectories`
+ *
+ * Headers found in none of them (the C and C++ standard libraries, SDKs)
+ * stay unresolved; the graph shows system headers as external nodes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATABASE_NAME = 'compile_commands.json';
+
+// Where a compilation database usually sits, relative to a project directory
+const DATABASE_LOCATIONS = [DATABASE_NAME, path.join('build', DATABASE_NAME)];
+
+// Compiler flags that add an include directory, with or without a space before it
+const INCLUDE_FLAGS = ['-iquote', '-isystem', '-idirafter', '-I'];
+
+class CIncludeResolver {
+    constructor() {
+        this.includeDirectories = [];  // Configured directories (absolute)
+        this.databaseCache = new Map(); // Directory -> nearest compilation database or null
+    }
+
+    /**
+     * Sets the configured include directories
+     *
+     * @param {Array<string>} directories - Directories, relative ones resolved against each base directory
+     * @param {Array<string>} baseDirs - Workspace folders
+     */
+    setIncludeDirectories(directories, baseDirs) {
+        const bases = baseDirs && baseDirs.length > 0 ? baseDirs : [''];
+
+        this.includeDirectories = Array.from(new Set((directories || []).flatMap(dir =>
+            path.isAbsolute(dir) ? [dir] : bases.map(base => path.resolve(base, dir))
+        )));
+    }
+
+    /**
+     * Resolves an include to a file
+     *
+     * @param {string} specifier - Included path as written (`geo/shape.hpp`)
+     * @param {string} fromFile - Path of the including file
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} File path, or null
+     */
+    resolve(specifier, fromFile, fileExists) {
+        if (path.isAbsolute(specifier)) {
+            return fileExists(specifier) ? specifier : null;
+        }
+
+        for (const dir of this.getSearchDirectories(fromFile)) {
+            const candidate = path.join(dir, specifier);
+            if (fileExists(candidate)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lists the directories searched for a file's includes, in order
+     *
+     * @param {string} fromFile - Path of the including file
+     * @returns {Array<string>} Directories
+     */
+    getSearchDirectories(fromFile) {
+        const database = this.findDatabase(path.dirname(fromFile));
+        const fromDatabase = database ? database.files.get(fromFile) || database.all : [];
+
+        return Array.from(new Set([path.dirname(fromFile), ...fromDatabase, ...this.includeDirectories]));
+    }
+
+    /**
+     * Finds the compilation database of a directory: the nearest
+     * compile_commands.json (or build/compile_commands.json) above it
+     *
+     * @param {string} dir - Directory
+     * @returns {Object|null} { files: Map<file, Array<dir>>, all: Array<dir> }
+     */
+    findDatabase(dir) {
+        if (this.databaseCache.has(dir)) {
+            return this.databaseCache.get(dir);
+        }
+
+        let database = null;
+        const location = DATABASE_LOCATIONS.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+
+        if (location) {
+            database = this.readDatabase(location);
+        } else if (path.dirname(dir) !== dir) {
+            database = this.findDatabase(path.dirname(dir));
+        }
+
+        this.databaseCache.set(dir, database);
+        return database;
+    }
+
+    /**
+     * Reads the include directories of every entry of a compilation database
+     *
+     * @param {string} file - Path of compile_commands.json
+     * @returns {Object|null} { files: Map<file, Array<dir>>, all: Array<dir> }, or null if unreadable
+     */
+    readDatabase(file) {
+        let entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.warn(`Could not read ${file}:`, error.message);
+            return null;
+        }
+
+        if (!Array.isArray(entries)) {
+            return null;
+        }
+
+        const files = new Map();
+        const all = new Set();
+
+        entries.forEach(entry => {
+            if (!entry || typeof entry.file !== 'string') {
+                return;
+            }
+
+            const directory = entry.directory || path.dirname(file);
+            const args = Array.isArray(entry.arguments) ? entry.arguments : this.splitCommand(entry.command || '');
+            const dirs = this.getIncludeDirectories(args).map(dir => path.resolve(directory, dir));
+
+            files.set(path.resolve(directory, entry.file), dirs);
+            dirs.forEach(dir => all.add(dir));
+        });
+
+        return { files, all: Array.from(all) };
+    }
+
+    /**
+     * Picks the include directories out of compiler arguments
+     *
+     * @param {Array<string>} args - Compiler arguments
+     * @returns {Array<string>} Include directories as written
+     */
+    getIncludeDirectories(args) {
+        const dirs = [];
+
+        for (let i = 0; i < args.length; i++) {
+            const flag = INCLUDE_FLAGS.find(prefix => args[i].startsWith(prefix));
+            if (!flag) continue;
+
+            const value = args[i].slice(flag.length);
+            if (value) {
+                dirs.push(value);
+            } else if (i + 1 < args.length) {
+                dirs.push(args[++i]);
+            }
+        }
+
+        return dirs;
+    }
+
+    /**
+     * Splits a shell command line into arguments, honouring quotes and
+     * backslash escapes
+     *
+     * @param {string} command - Command line
+     * @returns {Array<string>} Arguments
+     */
+    splitCommand(command) {
+        const args = [];
+        const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|((?:[^\s"'\\]|\\.)+)/g;
+        let current = null;
+        let lastEnd = -1;
+        let match;
+
+        while ((match = pattern.exec(command)) !== null) {
+            const [, doubleQuoted, singleQuoted, bare] = match;
+            const part = singleQuoted !== undefined
+                ? singleQuoted
+                : (doubleQuoted !== undefined ? doubleQuoted : bare).replace(/\\(.)/g, '$1');
+
+            // Adjacent pieces (`-I"my dir"`) form one argument
+            if (current !== null && match.index === lastEnd) {
+                current += part;
+                args[args.length - 1] = current;
+            } else {
+                current = part;
+                args.push(current);
+            }
+            lastEnd = pattern.lastIndex;
+        }
+
+        return args;
+    }
+
+    /**
+     * Clears the compilation database cache
+     */
+    clearCache() {
+        this.databaseCache.clear();
+    }
+}
+
+module.exports = CIncludeResolver;
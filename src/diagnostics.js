@@ -0,0 +1,91 @@
+/**
+ * Diagnostics Module
+ *
+ * Reports the problems found while building the graph in the Problems panel:
+ * - Fatal parse failures (the file has no functions or edges)
+ * - Syntax errors the parser recovered from
+ * - Relative imports that don't resolve to a file
+ *
+ * Problems in a notebook cell are reported on the cell when the notebook is
+ * open, and on the notebook file (prefixed with the cell) otherwise.
+ */
+
+const vscode = require('vscode');
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    info: vscode.DiagnosticSeverity.Information
+};
+
+class DiagnosticsReporter {
+    constructor() {
+        this.collection = vscode.languages.createDiagnosticCollection('codeConnect');
+    }
+
+    /**
+     * Replaces all diagnostics with the given problems
+     *
+     * @param {Map<string, Array<Object>>} problems - File path -> problems from GraphBuilder
+     */
+    update(problems) {
+        this.collection.clear();
+
+        const byUri = new Map(); // URI string -> { uri, diagnostics }
+
+        problems.forEach((fileProblems, filePath) => {
+            fileProblems.forEach(problem => {
+                const cellUri = problem.cell !== undefined ? this.getCellUri(filePath, problem.cell) : null;
+                const uri = cellUri || vscode.Uri.file(filePath);
+                const inCell = problem.cell !== undefined && !cellUri;
+
+                // Lines of a closed notebook's cells can't be placed in the file
+                const position = inCell
+                    ? new vscode.Position(0, 0)
+                    : new vscode.Position(problem.line, problem.column);
+                const diagnostic = new vscode.Diagnostic(
+                    new vscode.Range(position, position),
+                    inCell ? `Cell ${problem.cell + 1}, line ${problem.line + 1}: ${problem.message}` : problem.message,
+                    SEVERITIES[problem.severity] ?? vscode.DiagnosticSeverity.Warning
+                );
+                diagnostic.source = 'Code Connect';
+
+                const key = uri.toString();
+                if (!byUri.has(key)) {
+                    byUri.set(key, { uri, diagnostics: [] });
+                }
+                byUri.get(key).diagnostics.push(diagnostic);
+            });
+        });
+
+        byUri.forEach(({ uri, diagnostics }) => this.collection.set(uri, diagnostics));
+    }
+
+    /**
+     * Finds the document of a notebook cell, if the notebook is open
+     *
+     * @param {string} filePath - Path of the notebook
+     * @param {number} index - Cell index
+     * @returns {vscode.Uri|null} URI of the cell's document, or null
+     */
+    getCellUri(filePath, index) {
+        const notebook = vscode.workspace.notebookDocuments.find(doc => doc.uri.fsPath === filePath);
+        return notebook && index < notebook.cellCount ? notebook.cellAt(index).document.uri : null;
+    }
+
+    /**
+     * Removes all diagnostics
+     */
+    clear() {
+        this.collection.clear();
+    }
+
+    /**
+     * Disposes the diagnostic collection
+     */
+    dispose() {
+        this.collection.dispose();
+    }
+}
+
+module.exports = DiagnosticsReporter;
@@ -6,31 +6,68 @@
  * - Command registration
  * - Webview panel lifecycle management
  * - Communication between extension and webview
+ * - The public API other extensions use to register language parsers
  */
 
 const vscode = require('vscode');
 const path = require('path');
 const Scanner = require('./scanner');
+const Parser = require('./parser');
 const GraphBuilder = require('./graph');
 const FileWatcher = require('./watcher');
+const DiagnosticsReporter = require('./diagnostics');
+const LanguageRegistry = require('./languageRegistry');
+const ParseCache = require('./parseCache');
+const FileScope = require('./fileScope');
+const { getRelativePath } = require('./workspaceRoots');
 
 let currentPanel = undefined;
+let currentFocus = null; // Scope the graph is narrowed to ({ type, path }), or null for the whole workspace
 let scanner = null;
 let graphBuilder = null;
 let fileWatcher = null;
+let diagnostics = null;
+let languages = null;
+let parseCache = null;
+let scope = null;
+let outputChannel = null;
+let scanCancellation = null; // CancellationTokenSource of the scan in progress
+let scanDone = null; // Settles when that scan has stopped
+const pendingChanges = new Set(); // Files changed during that scan, re-scanned once it ends
+
+// A partial graph is sent to the webview when this many files are parsed,
+// then again each time the count doubles
+const FIRST_PARTIAL_GRAPH = 200;
+
+// Minimum delay between two progress notification updates
+const PROGRESS_INTERVAL = 100;
 
 /**
  * Activates the extension when VS Code loads it
  * Registers commands and initializes core services
  * 
  * @param {vscode.ExtensionContext} context - Extension context provided by VS Code
+ * @returns {Object} Public API, available to other extensions as
+ *   `vscode.extensions.getExtension('SankaraPandian.code-connect').exports`
  */
 async function activate(context) {
     console.log('Code Connect extension is now active');
 
+    // Languages other extensions add through the API
+    languages = new LanguageRegistry(Parser.BUILT_IN_LANGUAGES, Scanner.BUILT_IN_EXTENSIONS);
+    context.subscriptions.push(languages);
+
+    // Parse results of unchanged files are kept between sessions
+    parseCache = new ParseCache(context.storageUri, `${context.extension.packageJSON.version}/${Parser.VERSION}`);
+
+    // Which files are in scope, shared by the scanner and the watcher
+    scope = new FileScope(languages);
+
     // Initialize scanner and graph builder
-    scanner = new Scanner();
-    graphBuilder = new GraphBuilder();
+    scanner = new Scanner(languages, parseCache, scope);
+    graphBuilder = new GraphBuilder(languages);
+    diagnostics = new DiagnosticsReporter();
+    context.subscriptions.push(diagnostics);
 
     // Register the "Show Graph" command
     const showGraphCommand = vscode.commands.registerCommand(
@@ -40,6 +77,31 @@ async function activate(context) {
         }
     );
 
+    // Register the scoped graph commands of the Explorer context menu
+    const showGraphForFolderCommand = vscode.commands.registerCommand(
+        'code-connect.showGraphForFolder',
+        async (uri) => {
+            const folderPath = uri ? uri.fsPath : getActiveFilePath() && path.dirname(getActiveFilePath());
+            if (!folderPath) {
+                vscode.window.showInformationMessage('Select a folder in the Explorer first');
+                return;
+            }
+            await showDependencyGraph(context, { type: 'folder', path: folderPath });
+        }
+    );
+
+    const showGraphForFileCommand = vscode.commands.registerCommand(
+        'code-connect.showGraphForFile',
+        async (uri) => {
+            const filePath = uri ? uri.fsPath : getActiveFilePath();
+            if (!filePath) {
+                vscode.window.showInformationMessage('Open a file or select one in the Explorer first');
+                return;
+            }
+            await showDependencyGraph(context, { type: 'file', path: filePath });
+        }
+    );
+
     // Register the "Refresh Graph" command
     const refreshGraphCommand = vscode.commands.registerCommand(
         'code-connect.refreshGraph',
@@ -52,12 +114,44 @@ async function activate(context) {
         }
     );
 
-    context.subscriptions.push(showGraphCommand, refreshGraphCommand);
+    // Register the "Show Excluded Files" command
+    const showExcludedFilesCommand = vscode.commands.registerCommand(
+        'code-connect.showExcludedFiles',
+        () => showExcludedFiles()
+    );
+
+    context.subscriptions.push(
+        showGraphCommand,
+        showGraphForFolderCommand,
+        showGraphForFileCommand,
+        refreshGraphCommand,
+        showExcludedFilesCommand
+    );
+
+    // Scope settings apply to the watcher right away, and to the scanner on its next scan
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('codeConnect') && fileWatcher) {
+            fileWatcher.reloadConfiguration();
+        }
+    }));
 
     // Initialize file watcher after a short delay to avoid startup slowdown
     setTimeout(() => {
         initializeFileWatcher(context);
     }, 2000);
+
+    return {
+        /**
+         * Registers a language parser; files with its extensions are scanned
+         * from the next graph build (Show Graph or Refresh Graph)
+         *
+         * @param {LanguageDefinition} definition - Language definition (see ./languageRegistry)
+         * @returns {vscode.Disposable} Unregisters the language
+         */
+        registerLanguage(definition) {
+            return languages.register(definition);
+        }
+    };
 }
 
 /**
@@ -76,26 +170,40 @@ function initializeFileWatcher(context) {
         if (currentPanel) {
             handleFileChanges(changedFiles);
         }
-    });
+    }, scope);
 
     context.subscriptions.push(fileWatcher);
 }
 
 /**
  * Handles file changes detected by the file watcher
- * Re-scans changed files and updates the graph incrementally
+ * Re-scans changed files and updates the graph incrementally. While a scan
+ * runs, the files are only noted: the scan may have read them before they
+ * changed, so they are re-scanned once it ends (see scanAndRender).
  * 
  * @param {Array<string>} changedFiles - Array of file paths that changed
  */
 async function handleFileChanges(changedFiles) {
+    changedFiles.forEach(filePath => pendingChanges.add(filePath));
+    if (scanCancellation) {
+        return;
+    }
+
+    const filePaths = Array.from(pendingChanges);
+    pendingChanges.clear();
+
     try {
         // Re-scan the changed files
-        for (const filePath of changedFiles) {
-            await scanner.scanFile(filePath);
+        await scanner.scanFiles(filePaths);
+
+        // A scan started meanwhile renders the graph itself
+        if (scanCancellation) {
+            return;
         }
 
         // Rebuild the graph with updated data
-        const graphData = graphBuilder.buildGraph(scanner.getFiles());
+        const graphData = buildGraph();
+        diagnostics.update(graphBuilder.getProblems());
 
         // Send update to webview
         if (currentPanel) {
@@ -114,22 +222,37 @@ async function handleFileChanges(changedFiles) {
  * Scans the workspace if needed and displays the visualization
  * 
  * @param {vscode.ExtensionContext} context - Extension context
+ * @param {Object} [focus] - Scope to narrow the graph to: { type: 'folder'|'file', path }
  */
-async function showDependencyGraph(context) {
+async function showDependencyGraph(context, focus = null) {
     const columnToShowIn = vscode.window.activeTextEditor
         ? vscode.window.activeTextEditor.viewColumn
         : undefined;
 
+    const focusChanged = !isSameFocus(currentFocus, focus);
+    currentFocus = focus;
+
     if (currentPanel) {
         // If panel already exists, reveal it
         currentPanel.reveal(columnToShowIn);
+
+        // Files are already scanned: narrow or widen the graph without a new
+        // scan (a scan in progress picks up the new scope by itself)
+        if (focusChanged) {
+            currentPanel.title = getPanelTitle();
+            if (!scanCancellation) {
+                const graphData = buildGraph();
+                currentPanel.webview.postMessage({ command: 'renderGraph', data: graphData });
+                warnIfScopeEmpty(graphData);
+            }
+        }
         return;
     }
 
     // Create and show a new webview panel
     currentPanel = vscode.window.createWebviewPanel(
         'codeConnectGraph',
-        'Code Dependency Graph',
+        getPanelTitle(),
         vscode.ViewColumn.Two,
         {
             enableScripts: true,
@@ -161,82 +284,294 @@ async function showDependencyGraph(context) {
         context.subscriptions
     );
 
-    // Show progress and scan workspace
-    await vscode.window.withProgress(
-        {
-            location: vscode.ProgressLocation.Notification,
-            title: 'Code Connect',
-            cancellable: false
-        },
-        async (progress) => {
-            progress.report({ message: 'Scanning workspace...' });
+    await scanAndRender(currentPanel, 'Code Connect');
+}
+
+/**
+ * Refreshes the graph by re-scanning the workspace
+ * 
+ * @param {vscode.WebviewPanel} panel - The webview panel to update
+ */
+async function refreshGraph(panel) {
+    const result = await scanAndRender(panel, 'Refreshing graph...');
 
-            try {
-                // Scan the entire workspace
-                await scanner.scanWorkspace();
+    if (result && !result.cancelled) {
+        vscode.window.showInformationMessage('Graph refreshed successfully');
+    }
+}
 
-                progress.report({ message: 'Building dependency graph...' });
+/**
+ * Scans the workspace and renders the graph, with a cancellable progress
+ * notification counting parsed files
+ * Partial graphs are sent to the webview as files are parsed; cancelling
+ * keeps the files parsed so far and shows their graph. Starting a scan
+ * cancels the one in progress and waits for it to stop, as both fill the
+ * scanner's file map. Files that changed during the scan are re-scanned
+ * once the last scan ends.
+ *
+ * @param {vscode.WebviewPanel} panel - The webview panel to update
+ * @param {string} title - Progress notification title
+ * @returns {Promise<Object|undefined>} { parsed, total, cancelled }, or
+ *   undefined when the scan failed
+ */
+async function scanAndRender(panel, title) {
+    while (scanCancellation) {
+        scanCancellation.cancel();
+        await scanDone;
+    }
 
-                // Build the graph from scanned data
-                const graphData = graphBuilder.buildGraph(scanner.getFiles());
+    const cancellation = new vscode.CancellationTokenSource();
+    const scan = runScan(panel, title, cancellation);
 
-                // Send graph data to webview
-                currentPanel.webview.postMessage({
-                    command: 'renderGraph',
-                    data: graphData
-                });
+    scanCancellation = cancellation;
+    scanDone = scan.catch(() => undefined);
 
-                progress.report({ message: 'Complete!' });
-            } catch (error) {
-                vscode.window.showErrorMessage(
-                    `Failed to build graph: ${error.message}`
-                );
-                console.error('Graph building error:', error);
+    try {
+        return await scan;
+    } finally {
+        if (scanCancellation === cancellation) {
+            scanCancellation = null;
+            scanDone = null;
+
+            if (pendingChanges.size > 0 && currentPanel) {
+                handleFileChanges([]);
             }
         }
-    );
+        cancellation.dispose();
+    }
 }
 
 /**
- * Refreshes the graph by re-scanning the workspace
- * 
+ * Runs a scan for `scanAndRender`
+ *
  * @param {vscode.WebviewPanel} panel - The webview panel to update
+ * @param {string} title - Progress notification title
+ * @param {vscode.CancellationTokenSource} cancellation - Stops the scan
+ * @returns {Promise<Object|undefined>} { parsed, total, cancelled }, or
+ *   undefined when the scan failed
  */
-async function refreshGraph(panel) {
-    await vscode.window.withProgress(
-        {
-            location: vscode.ProgressLocation.Notification,
-            title: 'Refreshing graph...',
-            cancellable: false
-        },
-        async (progress) => {
-            try {
-                // Clear existing data
-                scanner.clear();
+async function runScan(panel, title, cancellation) {
+    // Closing the panel stops its scan
+    const panelListener = panel.onDidDispose(() => cancellation.cancel());
+
+    const postMessage = (message) => {
+        if (currentPanel === panel) {
+            panel.webview.postMessage(message);
+        }
+    };
+
+    try {
+        return await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title,
+                cancellable: true
+            },
+            async (progress, progressToken) => {
+                let cancelledByUser = false;
+                const cancelListener = progressToken.onCancellationRequested(() => {
+                    cancelledByUser = true;
+                    cancellation.cancel();
+                });
+                const token = cancellation.token;
+
+                let parsed = 0;
+                let total = 0;
+                let reported = 0;
+                let lastReport = 0;
+                let nextPartialGraph = FIRST_PARTIAL_GRAPH;
+
+                try {
+                    progress.report({ message: 'Finding files...' });
+
+                    const result = await scanner.scanWorkspace(token, (scanned, fileCount) => {
+                        parsed = scanned;
+                        total = fileCount;
+
+                        // Throttled, but the first and last counts always show
+                        const now = Date.now();
+                        if (scanned === 0 || scanned === total || now - lastReport >= PROGRESS_INTERVAL) {
+                            lastReport = now;
+                            progress.report({
+                                message: `${parsed.toLocaleString()} / ${total.toLocaleString()} files parsed`,
+                                increment: total > 0 ? (parsed - reported) / total * 100 : 0
+                            });
+                            reported = parsed;
+                            postMessage({ command: 'scanStatus', data: { state: 'scanning', parsed, total } });
+                        }
+
+                        if (scanned >= nextPartialGraph && scanned < total) {
+                            nextPartialGraph *= 2;
+                            postMessage({
+                                command: 'renderGraph',
+                                data: buildGraph(),
+                                partial: true
+                            });
+                        }
+                    });
+
+                    if (token.isCancellationRequested) {
+                        // Show what was parsed before the cancel, with its problems
+                        postMessage({
+                            command: 'renderGraph',
+                            data: buildGraph(),
+                            partial: true
+                        });
+                        diagnostics.update(graphBuilder.getProblems());
+                        postMessage({ command: 'scanStatus', data: { state: 'cancelled', parsed, total } });
+
+                        if (cancelledByUser && currentPanel === panel) {
+                            vscode.window.showWarningMessage(
+                                `Scan cancelled: the graph shows ${parsed.toLocaleString()} of ` +
+                                `${total.toLocaleString()} files. Refresh to scan again.`
+                            );
+                        }
+                        return { parsed, total, cancelled: true };
+                    }
+
+                    progress.report({ message: 'Building dependency graph...' });
+
+                    // Build the graph from scanned data
+                    const graphData = buildGraph();
+                    diagnostics.update(graphBuilder.getProblems());
+
+                    postMessage({ command: 'renderGraph', data: graphData });
+                    postMessage({ command: 'scanStatus', data: { state: 'complete', parsed, total: result.total } });
+                    warnIfScopeEmpty(graphData);
+                    reportOversizedFiles(result.oversized);
+
+                    return { parsed, total: result.total, cancelled: false };
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Failed to build graph: ${error.message}`);
+                    console.error('Graph building error:', error);
+                    return undefined;
+                } finally {
+                    cancelListener.dispose();
+                }
+            }
+        );
+    } finally {
+        panelListener.dispose();
+    }
+}
 
-                progress.report({ message: 'Scanning workspace...' });
+/**
+ * Builds the graph of the scanned files, narrowed to the current scope
+ * 
+ * @returns {Object} Graph data
+ */
+function buildGraph() {
+    return graphBuilder.buildGraph(scanner.getFiles(), currentFocus);
+}
 
-                // Re-scan workspace
-                await scanner.scanWorkspace();
+/**
+ * Tells the user when the scope the graph is narrowed to holds no scanned
+ * file, with the reason for a file the scan left out
+ * 
+ * @param {Object} graphData - Graph data built for the scope
+ */
+function warnIfScopeEmpty(graphData) {
+    if (!graphData.scope || graphData.stats.nodesByType.file > 0) {
+        return;
+    }
 
-                progress.report({ message: 'Building graph...' });
+    const { type, path: scopePath, label } = graphData.scope;
+    const reason = type === 'file' && scanner.getExclusions().get(scopePath);
 
-                // Rebuild graph
-                const graphData = graphBuilder.buildGraph(scanner.getFiles());
+    vscode.window.showWarningMessage(type === 'file'
+        ? `${label} is not in the graph${reason ? `: excluded by ${reason}` : ': it is not a supported file'}`
+        : `${label} holds no scanned files`);
+}
 
-                // Update webview
-                panel.webview.postMessage({
-                    command: 'renderGraph',
-                    data: graphData
-                });
+/**
+ * Tells the user how many files the last scan skipped for their size, with a
+ * shortcut to the list of excluded files
+ * 
+ * @param {number} count - Files over `codeConnect.maxFileSizeKB`
+ */
+async function reportOversizedFiles(count) {
+    if (!count) {
+        return;
+    }
 
-                vscode.window.showInformationMessage('Graph refreshed successfully');
-            } catch (error) {
-                vscode.window.showErrorMessage(`Refresh failed: ${error.message}`);
-                console.error('Refresh error:', error);
-            }
-        }
+    const choice = await vscode.window.showWarningMessage(
+        `Code Connect skipped ${count} file(s) larger than ${scope.config.maxFileSizeKB} KB (codeConnect.maxFileSizeKB).`,
+        'Show Excluded Files'
     );
+
+    if (choice) {
+        showExcludedFiles();
+    }
+}
+
+/**
+ * Gets the title of the graph panel, naming the scope it is narrowed to
+ * 
+ * @returns {string} Panel title
+ */
+function getPanelTitle() {
+    return currentFocus
+        ? `Code Dependency Graph: ${getRelativePath(currentFocus.path)}`
+        : 'Code Dependency Graph';
+}
+
+/**
+ * Compares two graph scopes
+ * 
+ * @param {Object|null} a - Scope, or null for the whole workspace
+ * @param {Object|null} b - Scope, or null for the whole workspace
+ * @returns {boolean} True when both show the same graph
+ */
+function isSameFocus(a, b) {
+    return a === b || Boolean(a && b && a.type === b.type && a.path === b.path);
+}
+
+/**
+ * Gets the path of the file in the active editor (or notebook editor)
+ * 
+ * @returns {string|undefined} Absolute path, or undefined when no file is open
+ */
+function getActiveFilePath() {
+    const editor = vscode.window.activeNotebookEditor || vscode.window.activeTextEditor;
+    const uri = editor && (editor.notebook || editor.document).uri;
+    return uri && uri.scheme === 'file' ? uri.fsPath : undefined;
+}
+
+/**
+ * Lists the files the last scan left out, grouped by the rule that excluded
+ * them, in the Code Connect output channel
+ */
+function showExcludedFiles() {
+    const exclusions = scanner.getExclusions();
+    if (exclusions.size === 0) {
+        vscode.window.showInformationMessage(
+            scanner.getFiles().size > 0
+                ? 'No files were excluded from the last scan'
+                : 'Please open the graph first'
+        );
+        return;
+    }
+
+    const byRule = new Map();
+    for (const [filePath, rule] of exclusions) {
+        if (!byRule.has(rule)) {
+            byRule.set(rule, []);
+        }
+        byRule.get(rule).push(getRelativePath(filePath));
+    }
+
+    outputChannel = outputChannel || vscode.window.createOutputChannel('Code Connect');
+    outputChannel.clear();
+    outputChannel.appendLine(`${exclusions.size} file(s) excluded from the last scan.`);
+    outputChannel.appendLine('Files matching codeConnect.excludePatterns are not searched and are not listed.');
+
+    for (const [rule, filePaths] of byRule) {
+        outputChannel.appendLine('');
+        outputChannel.appendLine(`${rule} (${filePaths.length})`);
+        filePaths.sort().forEach(filePath => outputChannel.appendLine(`    ${filePath}`));
+    }
+
+    outputChannel.show(true);
 }
 
 /**
@@ -273,14 +608,23 @@ async function handleWebviewMessage(message) {
  */
 async function handleNodeClick(nodeData) {
     try {
-        const { type, filePath, line } = nodeData;
+        const { type, filePath, line, cell } = nodeData;
 
         if (!filePath) {
             return;
         }
 
+        // Notebooks open in the notebook editor, at the node's cell
+        if (path.extname(filePath) === '.ipynb') {
+            await openNotebookCell(filePath, cell, line);
+            return;
+        }
+
+        // Package nodes point at their directory; open the manifest instead
+        const target = type === 'package' ? path.join(filePath, 'package.json') : filePath;
+
         // Open the file
-        const document = await vscode.workspace.openTextDocument(filePath);
+        const document = await vscode.workspace.openTextDocument(target);
         const editor = await vscode.window.showTextDocument(document, {
             viewColumn: vscode.ViewColumn.One,
             preserveFocus: false
@@ -301,6 +645,39 @@ async function handleNodeClick(nodeData) {
     }
 }
 
+/**
+ * Opens a notebook in the notebook editor, revealing a cell and putting the
+ * cursor on a line of it
+ * 
+ * @param {string} filePath - Path of the notebook
+ * @param {number|undefined} cellIndex - Cell to reveal (none for the notebook itself)
+ * @param {number} line - 0-based line within the cell
+ */
+async function openNotebookCell(filePath, cellIndex, line) {
+    const notebook = await vscode.workspace.openNotebookDocument(vscode.Uri.file(filePath));
+    const hasCell = cellIndex !== undefined && cellIndex < notebook.cellCount;
+    const range = hasCell ? new vscode.NotebookRange(cellIndex, cellIndex + 1) : new vscode.NotebookRange(0, 0);
+
+    const notebookEditor = await vscode.window.showNotebookDocument(notebook, {
+        viewColumn: vscode.ViewColumn.One,
+        preserveFocus: false,
+        selections: [range]
+    });
+
+    if (!hasCell) {
+        return;
+    }
+
+    notebookEditor.revealRange(range, vscode.NotebookEditorRevealType.InCenter);
+
+    // Focus the cell's editor at the line
+    const position = new vscode.Position(line || 0, 0);
+    await vscode.window.showTextDocument(notebook.cellAt(cellIndex).document, {
+        viewColumn: notebookEditor.viewColumn,
+        selection: new vscode.Range(position, position)
+    });
+}
+
 /**
  * Generates the HTML content for the webview
  * Includes the graph visualization and controls
@@ -322,6 +699,16 @@ function getWebviewContent(webview, context) {
     // Generate nonce for Content Security Policy
     const nonce = getNonce();
 
+    // Function metrics the graph can be sized / coloured by
+    const metricOptions = [
+        ['', 'None'],
+        ['cyclomatic', 'Cyclomatic complexity'],
+        ['cognitive', 'Cognitive complexity'],
+        ['linesOfCode', 'Lines of code'],
+        ['maxNesting', 'Nesting depth'],
+        ['parameterCount', 'Parameters']
+    ].map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -353,6 +740,23 @@ function getWebviewContent(webview, context) {
                     </svg>
                     Reset
                 </button>
+                <label class="toggle" title="Show runtime imports">
+                    <input type="checkbox" id="showRuntimeDeps" checked>
+                    Runtime deps
+                </label>
+                <label class="toggle" title="Show type-only dependencies and exported types">
+                    <input type="checkbox" id="showTypeDeps" checked>
+                    Type deps
+                </label>
+                <label class="metric" title="Size function nodes by a metric">
+                    Size
+                    <select id="sizeMetric">${metricOptions}</select>
+                </label>
+                <label class="metric" title="Colour function nodes by a metric">
+                    Colour
+                    <select id="colorMetric">${metricOptions}</select>
+                </label>
+                <span id="scanStatus" hidden></span>
                 <span id="stats">Loading...</span>
             </div>
         </div>
@@ -362,6 +766,54 @@ function getWebviewContent(webview, context) {
                 <span class="legend-color" style="background: #4CAF50;"></span>
                 <span>File</span>
             </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #00ADD8;"></span>
+                <span>Go file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #B07219;"></span>
+                <span>Java file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #A97BFF;"></span>
+                <span>Kotlin file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #5C6BC0;"></span>
+                <span>C file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #F34B7D;"></span>
+                <span>C++ file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #DEA584;"></span>
+                <span>Rust file</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #F37626;"></span>
+                <span>Notebook</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #78909C;"></span>
+                <span>Notebook cell</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: transparent; border: 2px solid #F44336;"></span>
+                <span>File with problems</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #9C27B0;"></span>
+                <span>Class</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #00897B;"></span>
+                <span>Type</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #795548;"></span>
+                <span>Package</span>
+            </div>
             <div class="legend-item">
                 <span class="legend-color" style="background: #2196F3;"></span>
                 <span>Function</span>
@@ -370,6 +822,14 @@ function getWebviewContent(webview, context) {
                 <span class="legend-color" style="background: #FF9800;"></span>
                 <span>Folder</span>
             </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #FFC107;"></span>
+                <span>Workspace folder</span>
+            </div>
+            <div class="legend-item">
+                <span class="legend-color" style="background: #424242; border: 1px dashed #9E9E9E;"></span>
+                <span>Outside scope</span>
+            </div>
         </div>
     </div>
     <script nonce="${nonce}" src="${scriptUri}"></script>
@@ -394,15 +854,26 @@ function getNonce() {
 /**
  * Deactivates the extension
  * Cleans up resources and subscriptions
+ * 
+ * @returns {Promise|undefined} Settles once the parse cache is written
  */
 function deactivate() {
+    if (scanCancellation) {
+        scanCancellation.cancel();
+    }
     if (fileWatcher) {
         fileWatcher.dispose();
     }
     if (scanner) {
-        scanner.clear();
+        scanner.dispose();
+    }
+    if (outputChannel) {
+        outputChannel.dispose();
     }
     console.log('Code Connect extension deactivated');
+
+    // Write parse results not saved yet
+    return parseCache ? parseCache.dispose() : undefined;
 }
 
 module.exports = {
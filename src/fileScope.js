@@ -0,0 +1,249 @@
+/**
+ * File Scope Module
+ *
+ * Decides which files belong in the graph, for the scanner and the file
+ * watcher alike:
+ * - `codeConnect.includePatterns` (plus the extensions of languages
+ *   registered by other extensions), `codeConnect.excludePatterns` and
+ *   `codeConnect.maxFilesToScan` come from the settings; patterns are
+ *   relative to the workspace folder holding the file
+ * - `codeConnect.maxFileSizeKB` caps the size of scanned files
+ * - `.gitignore` and `.codeconnectignore` files are honoured, each for the
+ *   folder it is in and below, with gitignore syntax (negations included)
+ * - Every exclusion comes with the rule responsible, so users can see why a
+ *   file is missing from the graph
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const ignore = require('ignore');
+const { getRootForPath, getRelativePath, isInside } = require('./workspaceRoots');
+
+const IGNORE_FILES = ['.gitignore', '.codeconnectignore'];
+
+// Settings as declared in package.json, whose defaults apply when VS Code
+// has none to give
+const SETTINGS = require('../package.json').contributes.configuration.properties;
+
+class FileScope {
+    /**
+     * @param {LanguageRegistry} [languages] - Languages registered by other extensions
+     */
+    constructor(languages = null) {
+        this.languages = languages;
+        this.config = this.loadConfiguration();
+        this.ignoreFiles = []; // { path, directory, rules, matcher }, deepest folder first
+    }
+
+    /**
+     * Loads the scope settings
+     *
+     * @returns {Object} { maxFiles, maxFileSizeKB, includePatterns, excludePatterns }
+     */
+    loadConfiguration() {
+        const config = vscode.workspace.getConfiguration('codeConnect');
+        const get = key => config.get(key, SETTINGS[`codeConnect.${key}`].default);
+        return {
+            maxFiles: get('maxFilesToScan'),
+            maxFileSizeKB: get('maxFileSizeKB'),
+            includePatterns: get('includePatterns'),
+            excludePatterns: get('excludePatterns')
+        };
+    }
+
+    /**
+     * Reloads the settings and the ignore files
+     */
+    async reload() {
+        this.config = this.loadConfiguration();
+        await this.loadIgnoreFiles();
+    }
+
+    /**
+     * Reads every `.gitignore` and `.codeconnectignore` in the workspace
+     */
+    async loadIgnoreFiles() {
+        const uris = await vscode.workspace.findFiles(
+            `**/{${IGNORE_FILES.join(',')}}`,
+            this.getExcludeGlob()
+        );
+
+        const ignoreFiles = [];
+        for (const uri of uris) {
+            try {
+                const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+                ignoreFiles.push(this.parseIgnoreFile(uri.fsPath, content));
+            } catch (error) {
+                console.error(`Code Connect: failed to read ${uri.fsPath}:`, error.message);
+            }
+        }
+
+        // Deeper files override the folders above them
+        this.ignoreFiles = ignoreFiles.sort((a, b) => b.directory.length - a.directory.length);
+        console.log(`Code Connect: ${this.ignoreFiles.length} ignore file(s) loaded`);
+    }
+
+    /**
+     * Parses an ignore file
+     *
+     * @param {string} filePath - Path to the ignore file
+     * @param {string} content - Its content
+     * @returns {Object} { path, directory, rules: [{ pattern, line }], matcher }
+     */
+    parseIgnoreFile(filePath, content) {
+        const rules = [];
+
+        content.split(/\r?\n/).forEach((text, index) => {
+            const pattern = text.replace(/(?<!\\)\s+$/, '');
+            if (pattern && !pattern.startsWith('#')) {
+                rules.push({ pattern, line: index + 1 });
+            }
+        });
+
+        return {
+            path: filePath,
+            directory: path.dirname(filePath),
+            rules,
+            matcher: ignore().add(rules.map(rule => rule.pattern))
+        };
+    }
+
+    /**
+     * Tells why a file is out of scope
+     * The file count and size limits (`maxFiles`, `maxFileSizeKB`) are left
+     * to the scanner.
+     *
+     * @param {string} filePath - Absolute path
+     * @returns {string|null} The rule excluding the file, or null when it is in scope
+     */
+    getExclusionReason(filePath) {
+        const root = getRootForPath(filePath);
+        if (!root) {
+            return 'outside the workspace folders';
+        }
+
+        // Patterns are relative to the file's own workspace folder
+        const relativePath = toPosix(path.relative(root.path, filePath));
+
+        const excludePattern = this.config.excludePatterns.find(pattern =>
+            minimatch(relativePath, pattern, { dot: true })
+        );
+        if (excludePattern) {
+            return `excludePatterns: ${excludePattern}`;
+        }
+
+        if (!this.getIncludePatterns().some(pattern => minimatch(relativePath, pattern, { dot: true }))) {
+            return 'not matched by includePatterns';
+        }
+
+        return this.getIgnoreReason(filePath);
+    }
+
+    /**
+     * Finds the ignore file rule excluding a file
+     *
+     * @param {string} filePath - Absolute path
+     * @returns {string|null} `<ignore file>:<line>: <pattern>`, or null
+     */
+    getIgnoreReason(filePath) {
+        for (const ignoreFile of this.ignoreFiles) {
+            const relativePath = toPosix(path.relative(ignoreFile.directory, filePath));
+            if (!relativePath || !isInside(ignoreFile.directory, filePath)) {
+                continue;
+            }
+
+            const { ignored, unignored } = ignoreFile.matcher.test(relativePath);
+            if (unignored) {
+                return null;
+            }
+            if (ignored) {
+                const rule = this.findIgnoreRule(ignoreFile, relativePath);
+                const source = toPosix(getRelativePath(ignoreFile.path));
+                return rule ? `${source}:${rule.line}: ${rule.pattern}` : source;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the last rule of an ignore file that ignores a path, which is the
+     * one deciding
+     *
+     * @param {Object} ignoreFile - Parsed ignore file
+     * @param {string} relativePath - Path relative to the ignore file's folder
+     * @returns {Object|undefined} { pattern, line }
+     */
+    findIgnoreRule(ignoreFile, relativePath) {
+        for (let i = ignoreFile.rules.length - 1; i >= 0; i--) {
+            const rule = ignoreFile.rules[i];
+            if (rule.pattern.startsWith('!')) {
+                continue;
+            }
+            rule.matcher = rule.matcher || ignore().add(rule.pattern);
+            if (rule.matcher.ignores(relativePath)) {
+                return rule;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks whether a file is one of the ignore files
+     *
+     * @param {string} filePath - Absolute path
+     * @returns {boolean} True for `.gitignore` and `.codeconnectignore`
+     */
+    isIgnoreFile(filePath) {
+        return IGNORE_FILES.includes(path.basename(filePath));
+    }
+
+    /**
+     * Gets the include patterns, with those of registered languages
+     *
+     * @returns {Array<string>} Glob patterns
+     */
+    getIncludePatterns() {
+        return [...this.config.includePatterns, ...this.getLanguagePatterns()];
+    }
+
+    /**
+     * Gets the patterns matching files of registered languages
+     *
+     * @returns {Array<string>} Glob patterns
+     */
+    getLanguagePatterns() {
+        return (this.languages ? this.languages.getExtensions() : []).map(extension => `**/*${extension}`);
+    }
+
+    /**
+     * Combines the include patterns into one glob, for `findFiles`
+     *
+     * @returns {string} Glob pattern
+     */
+    getIncludeGlob() {
+        return `{${this.getIncludePatterns().join(',')}}`;
+    }
+
+    /**
+     * Combines the exclude patterns into one glob, for `findFiles`
+     *
+     * @returns {string|null} Glob pattern, or null when nothing is excluded
+     */
+    getExcludeGlob() {
+        return this.config.excludePatterns.length > 0 ? `{${this.config.excludePatterns.join(',')}}` : null;
+    }
+}
+
+/**
+ * Converts a path to forward slashes, as glob and gitignore patterns expect
+ *
+ * @param {string} filePath - Path
+ * @returns {string} Path with `/` separators
+ */
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+module.exports = FileScope;
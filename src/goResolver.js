@@ -0,0 +1,261 @@
+/**
+ * Go Module Resolver
+ *
+ * Resolves Go import paths to package directories the way the go command
+ * does in module mode:
+ * - The nearest go.mod declares the module path that prefixes the import
+ *   paths of its packages (`example.com/app/internal/store`)
+ * - `replace` directives pointing at local directories and the modules
+ *   listed in a go.work file resolve the same way
+ * - So do the modules of the other folders of a multi-root workspace, as if
+ *   a go.work listed them
+ * - Standard library and third-party imports have no local directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class GoModuleResolver {
+    constructor() {
+        this.moduleCache = new Map();    // Directory -> nearest module or null
+        this.workspaceCache = new Map(); // Directory -> modules of the enclosing go.work
+        this.workspaceRoots = [];        // Folders open in VS Code
+    }
+
+    /**
+     * Sets the folders open in VS Code, whose modules other folders may import
+     *
+     * @param {Array<string>} roots - Workspace folder paths
+     */
+    setWorkspaceRoots(roots) {
+        this.workspaceRoots = roots;
+    }
+
+    /**
+     * Resolves an import path to a package directory
+     *
+     * @param {string} specifier - Import path as written (`example.com/app/store`)
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} packageExists - Predicate deciding whether a candidate directory is a known package
+     * @returns {string|null} Package directory, or null
+     */
+    resolve(specifier, fromFile, packageExists) {
+        for (const module of this.getModules(fromFile)) {
+            const dir = this.getPackageDirectory(module, specifier);
+            if (dir && packageExists(dir)) {
+                return dir;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether an import path belongs to a module on disk, i.e. the
+     * import should resolve to a local package
+     *
+     * @param {string} specifier - Import path
+     * @param {string} fromFile - Path of the importing file
+     * @returns {boolean} True if a local module's path prefixes the import
+     */
+    isLocalImport(specifier, fromFile) {
+        return this.getModules(fromFile).some(module => this.getPackageDirectory(module, specifier) !== null);
+    }
+
+    /**
+     * Maps an import path into a module's directory
+     *
+     * @param {Object} module - { path, dir }
+     * @param {string} specifier - Import path
+     * @returns {string|null} Directory, or null if the import is outside the module
+     */
+    getPackageDirectory(module, specifier) {
+        if (specifier === module.path) {
+            return module.dir;
+        }
+
+        if (specifier.startsWith(`${module.path}/`)) {
+            return path.join(module.dir, ...specifier.slice(module.path.length + 1).split('/'));
+        }
+
+        return null;
+    }
+
+    /**
+     * Lists the modules an import from a file can resolve into: its own
+     * module, the modules it replaces with local directories, the other
+     * modules of its go.work workspace and the modules of the other workspace
+     * folders. Longer module paths come first so nested modules win over the
+     * modules containing them.
+     *
+     * @param {string} filePath - Path of the importing file
+     * @returns {Array<Object>} Modules: { path, dir }
+     */
+    getModules(filePath) {
+        const dir = path.dirname(filePath);
+        const own = this.findModule(dir);
+        const modules = [];
+
+        if (own) {
+            modules.push(own, ...own.replaces);
+        }
+        modules.push(...this.findWorkspaceModules(dir));
+
+        this.workspaceRoots
+            .filter(root => path.relative(root, filePath).startsWith('..'))
+            .forEach(root => {
+                const module = this.findModule(root);
+                if (module) {
+                    modules.push({ path: module.path, dir: module.dir });
+                }
+                modules.push(...this.findWorkspaceModules(root));
+            });
+
+        return modules.sort((a, b) => b.path.length - a.path.length);
+    }
+
+    /**
+     * Finds the module containing a directory
+     *
+     * @param {string} dir - Directory
+     * @returns {Object|null} { path, dir, replaces } or null outside a module
+     */
+    findModule(dir) {
+        if (this.moduleCache.has(dir)) {
+            return this.moduleCache.get(dir);
+        }
+
+        let module = null;
+        const content = this.readFile(path.join(dir, 'go.mod'));
+
+        if (content !== null) {
+            module = this.parseGoMod(content, dir);
+        } else if (path.dirname(dir) !== dir) {
+            module = this.findModule(path.dirname(dir));
+        }
+
+        this.moduleCache.set(dir, module);
+        return module;
+    }
+
+    /**
+     * Reads the module path and local `replace` directives of a go.mod
+     *
+     * @param {string} content - go.mod content
+     * @param {string} dir - Directory of the go.mod
+     * @returns {Object|null} { path, dir, replaces } or null without a module directive
+     */
+    parseGoMod(content, dir) {
+        const lines = content.split('\n').map(line => line.replace(/\/\/.*$/, '').trim());
+        const moduleLine = lines.find(line => /^module\s/.test(line));
+
+        if (!moduleLine) {
+            return null;
+        }
+
+        const replaces = [];
+        let inBlock = false;
+
+        lines.forEach(line => {
+            if (/^replace\s*\($/.test(line)) {
+                inBlock = true;
+                return;
+            }
+            if (inBlock && line === ')') {
+                inBlock = false;
+                return;
+            }
+
+            const directive = inBlock ? line : (line.match(/^replace\s+(.*)$/) || [])[1];
+            const match = directive && directive.match(/^(\S+)(?:\s+\S+)?\s*=>\s*(\S+)/);
+
+            // Only replacements with a local directory (`=> ../lib`) are in the workspace
+            if (match && /^\.{1,2}(\/|$)|^\//.test(match[2])) {
+                replaces.push({ path: this.unquote(match[1]), dir: path.resolve(dir, this.unquote(match[2])) });
+            }
+        });
+
+        return {
+            path: this.unquote(moduleLine.replace(/^module\s+/, '')),
+            dir: dir,
+            replaces: replaces
+        };
+    }
+
+    /**
+     * Finds the modules listed by the `use` directives of the go.work
+     * enclosing a directory
+     *
+     * @param {string} dir - Directory
+     * @returns {Array<Object>} Modules: { path, dir }
+     */
+    findWorkspaceModules(dir) {
+        if (this.workspaceCache.has(dir)) {
+            return this.workspaceCache.get(dir);
+        }
+
+        let modules = [];
+        const content = this.readFile(path.join(dir, 'go.work'));
+
+        if (content !== null) {
+            const uses = [];
+            let inBlock = false;
+
+            content.split('\n').map(line => line.replace(/\/\/.*$/, '').trim()).forEach(line => {
+                if (/^use\s*\($/.test(line)) {
+                    inBlock = true;
+                } else if (inBlock && line === ')') {
+                    inBlock = false;
+                } else if (inBlock && line) {
+                    uses.push(line);
+                } else if (/^use\s+\S/.test(line)) {
+                    uses.push(line.replace(/^use\s+/, ''));
+                }
+            });
+
+            modules = uses
+                .map(use => this.findModule(path.resolve(dir, this.unquote(use))))
+                .filter(Boolean)
+                .map(module => ({ path: module.path, dir: module.dir }));
+        } else if (path.dirname(dir) !== dir) {
+            modules = this.findWorkspaceModules(path.dirname(dir));
+        }
+
+        this.workspaceCache.set(dir, modules);
+        return modules;
+    }
+
+    /**
+     * Removes the quotes go.mod allows around paths
+     *
+     * @param {string} value - Possibly quoted value
+     * @returns {string} Unquoted value
+     */
+    unquote(value) {
+        return value.replace(/^["`](.*)["`]$/, '$1');
+    }
+
+    /**
+     * Reads a file, returning null if it doesn't exist
+     *
+     * @param {string} filePath - File path
+     * @returns {string|null} Content or null
+     */
+    readFile(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Clears cached modules (call when go.mod or go.work files change)
+     */
+    clearCache() {
+        this.moduleCache.clear();
+        this.workspaceCache.clear();
+    }
+}
+
+module.exports = GoModuleResolver;
@@ -2,30 +2,108 @@
  * Graph Builder Module
  * 
  * Builds a graph data structure from parsed file data:
- * - Creates nodes for folders, files, and functions
- * - Creates edges for imports and function calls
+ * - Creates nodes for folders, files, classes, exported types, and functions
+ * - Creates edges for imports (static, dynamic, re-export), function calls
+ *   class inheritance (extends / implements), type-only dependencies and
+ *   components rendered in Vue/Svelte/Astro markup
+ * - Optionally creates package nodes for workspace packages and the
+ *   external libraries they depend on
+ * - Treats each Go package (the files of one directory) as one scope:
+ *   imports point at the package folder and names resolve across its files
+ * - Shows Java/Kotlin packages in place of the folders that spell them out
+ *   and resolves their imports by package against the source roots
+ * - Builds the C/C++ include graph; names resolve through the headers a
+ *   file includes and the source files implementing them
+ * - Resolves Rust `mod` declarations and `use` paths through each crate's
+ *   module tree and Cargo.toml dependencies
+ * - Shows Jupyter notebooks as Python files whose code cells hold the
+ *   functions and classes they define and the calls made at their top level
+ * - Resolves imports of languages registered by other extensions through
+ *   the resolver they register
+ * - In multi-root workspaces, shows each workspace folder as a top-level
+ *   node and resolves imports across them
+ * - Optionally narrows the graph to a folder, or to a file and the files a
+ *   few hops away from it; neighbours outside that scope show as collapsed
+ *   boundary nodes
+ * - Collects problems per file (parse errors, unresolved relative imports)
  * - Organizes data for visualization
  */
 
+const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
+const ModuleResolver = require('./resolver');
+const PythonModuleResolver = require('./pythonResolver');
+const GoModuleResolver = require('./goResolver');
+const JvmModuleResolver = require('./jvmResolver');
+const CIncludeResolver = require('./cResolver');
+const RustModuleResolver = require('./rustResolver');
+const { getWorkspaceRoots, getRootForPath, getRelativePath, isInside } = require('./workspaceRoots');
+
+// Import extensions that name source files (anything else is an asset)
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte', '.astro'];
+
+// Languages whose imports follow JavaScript module resolution
+const JS_LANGUAGES = ['javascript', 'typescript', 'vue', 'svelte', 'astro'];
+
+// Languages whose imports name packages and classes
+const JVM_LANGUAGES = ['java', 'kotlin'];
+
+// Node types that belong to one file (their `path`)
+const FILE_NODE_TYPES = ['file', 'class', 'type', 'function', 'cell'];
+
+// Languages whose imports are `#include` directives
+const C_LANGUAGES = ['c', 'cpp'];
+const HEADER_EXTENSIONS = ['.h', '.hh', '.hpp', '.hxx'];
 
 class GraphBuilder {
-    constructor() {
+    /**
+     * @param {LanguageRegistry} [languages] - Languages registered by other extensions
+     */
+    constructor(languages = null) {
+        this.languages = languages;
+        this.roots = []; // Workspace folders: { name, path, uri }
         this.nodes = [];
         this.edges = [];
+        this.edgeKeys = new Set(); // `source-target-type-kind` of each edge added
         this.nodeIdCounter = 0;
         this.nodeMap = new Map(); // Maps unique keys to node IDs
+        this.nodeIds = new Set(); // IDs of nodes added to the graph
+        this.resolver = new ModuleResolver();
+        this.pythonResolver = new PythonModuleResolver();
+        this.goResolver = new GoModuleResolver();
+        this.jvmResolver = new JvmModuleResolver();
+        this.cResolver = new CIncludeResolver();
+        this.rustResolver = new RustModuleResolver();
+        this.packages = new Map(); // Go package directory or JVM package key -> file paths
+        this.implementationFiles = new Map(); // C/C++ file name without extension -> source file paths
+        this.includeScopes = new Map(); // C/C++ file path -> files whose declarations it sees
+        this.problems = new Map(); // File path -> parse errors and unresolved imports
+        this.focus = null; // Scope the graph is narrowed to (see applyFocus)
+        this.scopeFiles = null; // Paths of the files in that scope
     }
 
     /**
      * Builds a complete graph from scanned file data
+     * Edges are resolved across all files even when the graph is narrowed
+     * to a scope.
      * 
      * @param {Map<string, Object>} filesMap - Map of file paths to parsed data
+     * @param {Object} [focus] - Scope to narrow the graph to:
+     *   { type: 'folder'|'file', path }
      * @returns {Object} Graph data with nodes and edges
      */
-    buildGraph(filesMap) {
+    buildGraph(filesMap, focus = null) {
         this.reset();
+        this.config = this.loadConfiguration();
+        this.roots = getWorkspaceRoots();
+
+        // Imports may resolve into any workspace folder
+        const rootPaths = this.roots.map(root => root.path);
+        this.cResolver.setIncludeDirectories(this.config.includeDirectories, rootPaths);
+        this.resolver.setWorkspaceRoots(rootPaths);
+        this.pythonResolver.setWorkspaceRoots(rootPaths);
+        this.goResolver.setWorkspaceRoots(rootPaths);
 
         // Convert Map to Array for easier processing
         const files = Array.from(filesMap.values());
@@ -40,12 +118,41 @@ class GraphBuilder {
         // Build file and function nodes
         this.buildFileNodes(files);
 
+        // Group Go and Java/Kotlin files into packages (and index C/C++
+        // sources by name) before resolving names across them
+        this.indexPackages(files);
+
         // Build edges for imports and function calls
         this.buildEdges(files);
 
+        // Build package nodes for workspace packages, external libraries and system headers
+        if (this.config.showExternalPackages) {
+            this.buildPackageNodes(files);
+        }
+
+        this.markProblemFiles();
+
+        if (focus) {
+            this.applyFocus(focus);
+        }
+
         return this.getGraphData();
     }
 
+    /**
+     * Loads graph options from VS Code settings
+     * 
+     * @returns {Object} Configuration object
+     */
+    loadConfiguration() {
+        const config = vscode.workspace.getConfiguration('codeConnect');
+        return {
+            showExternalPackages: config.get('showExternalPackages', false),
+            includeDirectories: config.get('includeDirectories', []),
+            fileGraphHops: config.get('fileGraphHops', 2)
+        };
+    }
+
     /**
      * Builds folder nodes from file paths
      * Creates a hierarchy of folders
@@ -53,34 +160,75 @@ class GraphBuilder {
      * @param {Array<Object>} files - Array of file data
      */
     buildFolderNodes(files) {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        if (!workspaceFolder) return;
+        if (this.roots.length === 0) return;
 
         const folders = new Set();
+        const packageFolders = new Map(); // Directory -> Java/Kotlin package it holds
+        const usedRoots = new Map(); // Root path -> workspace folder holding scanned files
 
         // Extract all unique folder paths
         files.forEach(file => {
+            const root = getRootForPath(file.path, this.roots);
+            if (!root) return;
+            usedRoots.set(root.path, root);
+
             let currentPath = path.dirname(file.path);
 
+            // A Java/Kotlin package stands in for the directories that spell
+            // it out (com/acme/repo); folders resume at its source root
+            const sourceRoot = JVM_LANGUAGES.includes(file.language) && file.packageName &&
+                this.jvmResolver.getSourceRoot(file.path, file.packageName);
+
+            if (sourceRoot) {
+                packageFolders.set(currentPath, file.packageName);
+                currentPath = sourceRoot;
+            }
+
             // Add all parent folders
-            while (currentPath !== workspaceFolder && currentPath !== path.dirname(currentPath)) {
+            while (currentPath !== root.path && currentPath !== path.dirname(currentPath)) {
                 folders.add(currentPath);
                 currentPath = path.dirname(currentPath);
             }
         });
 
+        // With several workspace folders open, each is a top-level node
+        // holding the files and folders at its top
+        const multiRoot = this.roots.length > 1;
+        if (multiRoot) {
+            usedRoots.forEach(root => {
+                this.addNode({
+                    id: this.getNodeId('folder', root.path),
+                    label: root.name,
+                    type: 'folder',
+                    root: true,
+                    path: root.path,
+                    relativePath: root.name
+                });
+            });
+        }
+
         // Create folder nodes
-        folders.forEach(folderPath => {
-            const relativePath = path.relative(workspaceFolder, folderPath);
-            const folderName = path.basename(folderPath);
+        new Set([...folders, ...packageFolders.keys()]).forEach(folderPath => {
+            const packageName = packageFolders.get(folderPath);
 
-            this.addNode({
+            const folderNodeId = this.addNode({
                 id: this.getNodeId('folder', folderPath),
-                label: folderName,
+                label: packageName || path.basename(folderPath),
                 type: 'folder',
                 path: folderPath,
-                relativePath: relativePath || '.'
+                relativePath: getRelativePath(folderPath, this.roots),
+                ...(packageName ? { packageName } : {})
             });
+
+            const parentPath = path.dirname(folderPath);
+            if (multiRoot && usedRoots.has(parentPath)) {
+                this.addEdge({
+                    source: this.getNodeId('folder', parentPath),
+                    target: folderNodeId,
+                    type: 'contains',
+                    label: ''
+                });
+            }
         });
     }
 
@@ -90,13 +238,21 @@ class GraphBuilder {
      * @param {Array<Object>} files - Array of file data
      */
     buildFileNodes(files) {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-
         files.forEach(file => {
             const fileName = path.basename(file.path);
-            const relativePath = workspaceFolder 
-                ? path.relative(workspaceFolder, file.path)
-                : file.path;
+            const relativePath = getRelativePath(file.path, this.roots);
+
+            const problems = (file.errors || []).map(error => ({
+                message: error.fatal
+                    ? `Code Connect could not parse this file, so it has no functions or edges: ${error.message}`
+                    : `Syntax error (recovered, the graph may be incomplete): ${error.message}`,
+                line: error.line,
+                column: error.column,
+                severity: error.fatal ? 'error' : 'warning',
+                source: 'parse',
+                ...(error.cell !== undefined ? { cell: error.cell } : {})
+            }));
+            this.problems.set(file.path, problems);
 
             // Create file node
             const fileNodeId = this.addNode({
@@ -108,38 +264,109 @@ class GraphBuilder {
                 language: file.language,
                 functionCount: file.functions.length,
                 importCount: file.imports.length,
-                exportCount: file.exports.length
+                exportCount: file.exports.length,
+                problems: problems,
+                parseFailed: (file.errors || []).some(error => error.fatal),
+                ...(file.notebook ? { notebook: true } : {})
             });
 
             // Link file to its parent folder
             const parentFolder = path.dirname(file.path);
-            const parentNodeId = this.getNodeId('folder', parentFolder);
             
-            if (this.nodeMap.has(`folder:${parentFolder}`)) {
+            if (this.hasNode('folder', parentFolder)) {
                 this.addEdge({
-                    source: parentNodeId,
+                    source: this.getNodeId('folder', parentFolder),
                     target: fileNodeId,
                     type: 'contains',
                     label: ''
                 });
             }
 
+            // Create notebook cell nodes
+            (file.cells || []).forEach(cell => {
+                this.addNode({
+                    id: this.getCellNodeId(file.path, cell.index),
+                    label: `Cell ${cell.index + 1}`,
+                    type: 'cell',
+                    path: file.path,
+                    cell: cell.index,
+                    line: cell.line,
+                    endLine: cell.endLine,
+                    executionCount: cell.executionCount
+                });
+
+                this.addEdge({
+                    source: fileNodeId,
+                    target: this.getCellNodeId(file.path, cell.index),
+                    type: 'contains',
+                    label: ''
+                });
+            });
+
+            // Create class nodes
+            file.classes.forEach(cls => {
+                const classNodeId = this.addNode({
+                    id: this.getClassNodeId(file.path, cls),
+                    label: cls.name,
+                    type: 'class',
+                    path: file.path,
+                    line: cls.line,
+                    endLine: cls.endLine,
+                    bases: cls.bases || [],
+                    implements: cls.implements || [],
+                    ...(cls.cell !== undefined ? { cell: cls.cell } : {})
+                });
+
+                // Link class to its file (or notebook cell)
+                this.addEdge({
+                    source: this.getContainerNodeId(file.path, cls),
+                    target: classNodeId,
+                    type: 'contains',
+                    label: ''
+                });
+            });
+
+            // Create nodes for exported interfaces, type aliases and enums
+            file.types.filter(type => type.exported).forEach(type => {
+                const typeNodeId = this.addNode({
+                    id: this.getTypeNodeId(file.path, type),
+                    label: type.name,
+                    type: 'type',
+                    typeKind: type.kind,
+                    path: file.path,
+                    line: type.line,
+                    endLine: type.endLine
+                });
+
+                this.addEdge({
+                    source: fileNodeId,
+                    target: typeNodeId,
+                    type: 'contains',
+                    label: ''
+                });
+            });
+
             // Create function nodes
             file.functions.forEach(func => {
                 const funcNodeId = this.addNode({
-                    id: this.getNodeId('function', `${file.path}:${func.name}:${func.line}`),
+                    id: this.getFunctionNodeId(file.path, func),
                     label: func.name,
                     type: 'function',
                     path: file.path,
                     line: func.line,
                     endLine: func.endLine,
                     functionType: func.type,
-                    params: func.params || []
+                    params: func.params || [],
+                    className: func.className || null,
+                    metrics: func.metrics || null,
+                    ...(func.cell !== undefined ? { cell: func.cell } : {})
                 });
 
-                // Link function to its file
+                // Link methods to their class, everything else to the file (or notebook cell)
+                const owner = this.findOwningClass(file, func);
+
                 this.addEdge({
-                    source: fileNodeId,
+                    source: owner ? this.getClassNodeId(file.path, owner) : this.getContainerNodeId(file.path, func),
                     target: funcNodeId,
                     type: 'contains',
                     label: ''
@@ -155,44 +382,84 @@ class GraphBuilder {
      */
     buildEdges(files) {
         const filePathMap = new Map(files.map(f => [f.path, f]));
+        const componentFiles = this.indexComponentFiles(files);
 
         files.forEach(file => {
             const fileNodeId = this.getNodeId('file', file.path);
 
             // Create import edges
             file.imports.forEach(imp => {
-                const targetFileNodeId = this.resolveImportTarget(imp.source, filePathMap);
+                const binding = this.resolveImportBinding(file, imp, filePathMap);
+
+                if (!binding) {
+                    this.reportUnresolvedImport(file, imp);
+                    return;
+                }
+
+                const targetPath = binding.path;
 
-                if (targetFileNodeId) {
+                // Items of the file itself (Rust `use self::Shape::*`, or
+                // `use super::*` in an inline module)
+                if (targetPath === file.path) {
+                    return;
+                }
+
+                // Type-only imports are erased at runtime: keep them apart
+                const edgeType = imp.typeOnly ? 'type-depends' : 'imports';
+
+                this.getImportTargetIds(targetPath).forEach(targetId => {
                     this.addEdge({
                         source: fileNodeId,
-                        target: targetFileNodeId,
-                        type: 'imports',
+                        target: targetId,
+                        type: edgeType,
+                        kind: imp.kind || 'static',
                         label: imp.imported !== '*' ? imp.imported : ''
                     });
+                });
+
+                // Follow named imports through barrel files to the defining file
+                if (imp.kind !== 're-export' && binding.symbol !== '*') {
+                    const originPath = this.resolveSymbolOrigin(targetPath, binding.symbol, filePathMap);
+
+                    if (originPath && originPath !== targetPath && originPath !== file.path) {
+                        this.addEdge({
+                            source: fileNodeId,
+                            target: this.getNodeId('file', originPath),
+                            type: edgeType,
+                            kind: imp.kind || 'static',
+                            label: imp.imported,
+                            via: targetPath
+                        });
+                    }
                 }
             });
 
+            // Create extends / implements edges
+            this.buildInheritanceEdges(file, filePathMap);
+
+            // Create edges to components used in Vue/Svelte/Astro markup
+            this.buildComponentEdges(file, filePathMap, componentFiles);
+
             // Create function call edges
             file.functions.forEach(func => {
-                const funcNodeId = this.getNodeId('function', `${file.path}:${func.name}:${func.line}`);
+                const funcNodeId = this.getFunctionNodeId(file.path, func);
 
                 // Find calls made by this function
                 file.calls.forEach(call => {
-                    // Check if call is within this function's scope
-                    if (call.line >= func.line && call.line <= func.endLine) {
-                        // Try to find the called function in the same file
-                        const targetFunc = file.functions.find(f => f.name === call.name);
+                    // Check if call is within this function's scope. Parsers that
+                    // track scopes (Python) attribute nested calls precisely.
+                    // Notebook lines count from the start of each cell.
+                    const inScope = call.cell === func.cell && (call.scope !== undefined
+                        ? call.scope === func.scope
+                        : call.line >= func.line && call.line <= func.endLine);
 
-                        if (targetFunc) {
-                            const targetFuncNodeId = this.getNodeId(
-                                'function',
-                                `${file.path}:${targetFunc.name}:${targetFunc.line}`
-                            );
+                    if (inScope) {
+                        const target = this.resolveCallTarget(file, func, call, filePathMap);
 
+                        if (target) {
                             this.addEdge({
                                 source: funcNodeId,
-                                target: targetFuncNodeId,
+                                target: this.getFunctionNodeId(target.path, target.func),
                                 type: 'calls',
                                 label: ''
                             });
@@ -200,131 +467,1444 @@ class GraphBuilder {
                     }
                 });
             });
+
+            // Notebook code outside functions and classes runs as its cell
+            (file.cells || []).forEach(cell => {
+                file.calls.filter(call => call.cell === cell.index && !call.scope).forEach(call => {
+                    const target = this.resolveCallTarget(file, cell, call, filePathMap);
+
+                    if (target) {
+                        this.addEdge({
+                            source: this.getCellNodeId(file.path, cell.index),
+                            target: this.getFunctionNodeId(target.path, target.func),
+                            type: 'calls',
+                            label: ''
+                        });
+                    }
+                });
+            });
         });
     }
 
     /**
-     * Resolves an import source to a file node ID
+     * Groups files into packages: a Go directory's files form one package,
+     * Java/Kotlin files belong to the package they declare (keyed
+     * `jvm:<name>`, as it may span several source roots). C/C++ source
+     * files are indexed by name for the headers they implement, Rust files
+     * by their place in their crate's module tree.
      * 
-     * @param {string} importSource - Import source string
-     * @param {Map} filePathMap - Map of file paths to file data
-     * @returns {string|null} Node ID or null if not found
+     * @param {Array<Object>} files - Array of file data
      */
-    resolveImportTarget(importSource, filePathMap) {
-        // Try exact match first
-        if (filePathMap.has(importSource)) {
-            return this.getNodeId('file', importSource);
-        }
+    indexPackages(files) {
+        const addToPackage = (key, filePath) => {
+            if (!this.packages.has(key)) {
+                this.packages.set(key, []);
+            }
+            this.packages.get(key).push(filePath);
+        };
 
-        // Try with common extensions
-        const extensions = ['.js', '.jsx', '.ts', '.tsx', '.py'];
-        for (const ext of extensions) {
-            const withExt = importSource + ext;
-            if (filePathMap.has(withExt)) {
-                return this.getNodeId('file', withExt);
+        files.forEach(file => {
+            if (file.language === 'go') {
+                addToPackage(path.dirname(file.path), file.path);
+            } else if (JVM_LANGUAGES.includes(file.language)) {
+                addToPackage(this.jvmResolver.getPackageKey(file.packageName || ''), file.path);
             }
+        });
 
-            // Try index files
-            const indexPath = path.join(importSource, 'index' + ext);
-            if (filePathMap.has(indexPath)) {
-                return this.getNodeId('file', indexPath);
+        this.jvmResolver.index(files);
+        this.rustResolver.index(files);
+
+        // C/C++ headers find their implementation by name (geo/shape.hpp -> src/shape.cpp)
+        files.filter(file => C_LANGUAGES.includes(file.language) && !this.isHeader(file.path)).forEach(file => {
+            const name = path.basename(file.path, path.extname(file.path));
+            if (!this.implementationFiles.has(name)) {
+                this.implementationFiles.set(name, []);
             }
+            this.implementationFiles.get(name).push(file.path);
+        });
+    }
+
+    /**
+     * Gets the nodes an import edge points at: the file, or for a Go or
+     * JVM package its folders (each file whose folder has no node, as for
+     * a package at the workspace root)
+     * 
+     * @param {string} targetPath - Resolved file, Go package directory or JVM package key
+     * @returns {Array<string>} Node IDs
+     */
+    getImportTargetIds(targetPath) {
+        if (!this.packages.has(targetPath)) {
+            return [this.getNodeId('file', targetPath)];
         }
 
-        // Try relative path resolution
-        for (const [filePath] of filePathMap) {
-            if (filePath.endsWith(importSource) || filePath.includes(importSource)) {
-                return this.getNodeId('file', filePath);
-            }
+        const ids = this.packages.get(targetPath).map(filePath => {
+            const dir = path.dirname(filePath);
+            return this.hasNode('folder', dir) ? this.getNodeId('folder', dir) : this.getNodeId('file', filePath);
+        });
+
+        return Array.from(new Set(ids));
+    }
+
+    /**
+     * Gets the files whose declarations are in scope of a file: the file
+     * itself, plus for Go the other files of its package, for Java and
+     * Kotlin the other files of its package and of packages it imports
+     * with `.*`, and for C/C++ the headers it includes
+     * 
+     * @param {Object} file - File data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {Array<Object>} File data, the given file first
+     */
+    getScopeFiles(file, filePathMap) {
+        let keys;
+
+        if (file.language === 'go') {
+            keys = [path.dirname(file.path)];
+        } else if (C_LANGUAGES.includes(file.language)) {
+            return this.getIncludeScope(file, filePathMap);
+        } else if (JVM_LANGUAGES.includes(file.language)) {
+            keys = [
+                this.jvmResolver.getPackageKey(file.packageName || ''),
+                ...file.imports
+                    .filter(imp => imp.imported === '*')
+                    .map(imp => this.resolveImportPath(imp.source, filePathMap, file.path))
+            ];
+        } else {
+            return [file];
         }
 
-        return null;
+        const paths = new Set(keys.flatMap(key => this.packages.get(key) || []));
+        paths.delete(file.path);
+
+        return [file, ...Array.from(paths).map(filePath => filePathMap.get(filePath))];
     }
 
     /**
-     * Adds a node to the graph
+     * Gets the files a C/C++ file sees declarations from: the headers it
+     * includes, directly or through other headers, and the source files
+     * implementing those headers (whose function definitions the linker
+     * binds calls to)
      * 
-     * @param {Object} nodeData - Node data
-     * @returns {string} Node ID
+     * @param {Object} file - File data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {Array<Object>} File data, the given file first
      */
-    addNode(nodeData) {
-        const existingId = this.nodeMap.get(`${nodeData.type}:${nodeData.path || nodeData.id}`);
-        
-        if (existingId) {
-            return existingId;
+    getIncludeScope(file, filePathMap) {
+        if (this.includeScopes.has(file.path)) {
+            return this.includeScopes.get(file.path);
         }
 
-        const node = {
-            data: {
-                id: nodeData.id,
-                ...nodeData
+        const scope = [file];
+        const seen = new Set([file.path]);
+        const add = filePath => {
+            if (!seen.has(filePath)) {
+                seen.add(filePath);
+                scope.push(filePathMap.get(filePath));
             }
         };
 
-        this.nodes.push(node);
-        this.nodeMap.set(`${nodeData.type}:${nodeData.path || nodeData.id}`, nodeData.id);
+        for (let i = 0; i < scope.length; i++) {
+            scope[i].imports.forEach(imp => {
+                const targetPath = this.resolveImportPath(imp.source, filePathMap, scope[i].path);
+                if (targetPath) {
+                    add(targetPath);
+                }
+            });
+        }
 
-        return nodeData.id;
+        scope.filter(scopeFile => this.isHeader(scopeFile.path)).forEach(header => {
+            const name = path.basename(header.path, path.extname(header.path));
+            const sources = this.implementationFiles.get(name) || [];
+            // Prefer an implementation next to the header
+            const nearby = sources.filter(source => path.dirname(source) === path.dirname(header.path));
+            (nearby.length > 0 ? nearby : sources).forEach(add);
+        });
+
+        this.includeScopes.set(file.path, scope);
+        return scope;
     }
 
     /**
-     * Adds an edge to the graph
+     * Checks whether a C/C++ file is a header
      * 
-     * @param {Object} edgeData - Edge data
+     * @param {string} filePath - File path
+     * @returns {boolean} True for .h/.hpp/.hh/.hxx files
      */
-    addEdge(edgeData) {
-        // Avoid duplicate edges
-        const edgeKey = `${edgeData.source}-${edgeData.target}-${edgeData.type}`;
-        
-        if (this.edges.some(e => 
-            `${e.data.source}-${e.data.target}-${e.data.type}` === edgeKey
-        )) {
-            return;
+    isHeader(filePath) {
+        return HEADER_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    }
+
+    /**
+     * Gets the files an import target declares its names in: the file, or
+     * every file of a Go or JVM package
+     * 
+     * @param {string} targetPath - Resolved file, Go package directory or JVM package key
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {Array<Object>} File data
+     */
+    getTargetFiles(targetPath, filePathMap) {
+        const paths = this.packages.get(targetPath) || [targetPath];
+        return paths.map(filePath => filePathMap.get(filePath)).filter(Boolean);
+    }
+
+    /**
+     * Indexes component files by name, for components registered globally
+     * or auto-imported (Nuxt, unplugin-vue-components) rather than imported
+     * 
+     * @param {Array<Object>} files - Array of file data
+     * @returns {Map<string, Array<string>>} Component name -> file paths
+     */
+    indexComponentFiles(files) {
+        const index = new Map();
+
+        files.filter(file => file.components).forEach(file => {
+            const name = path.basename(file.path, path.extname(file.path));
+            if (!index.has(name)) {
+                index.set(name, []);
+            }
+            index.get(name).push(file.path);
+        });
+
+        return index;
+    }
+
+    /**
+     * Creates `renders` edges from a component file to the components its
+     * markup uses, through its imports or, failing that, a uniquely named
+     * component file
+     * 
+     * @param {Object} file - File data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {Map<string, Array<string>>} componentFiles - Component name -> file paths
+     */
+    buildComponentEdges(file, filePathMap, componentFiles) {
+        (file.components || []).forEach(component => {
+            const imp = file.imports.find(i => i.local === component.name);
+            let targetPath = null;
+
+            if (imp) {
+                const binding = this.resolveImportBinding(file, imp, filePathMap);
+                targetPath = binding && binding.path;
+            } else if ((componentFiles.get(component.name) || []).length === 1) {
+                targetPath = componentFiles.get(component.name)[0];
+            }
+
+            if (!targetPath || targetPath === file.path) {
+                return;
+            }
+
+            this.addEdge({
+                source: this.getNodeId('file', file.path),
+                target: this.getNodeId('file', targetPath),
+                type: 'renders',
+                label: `<${component.name}>`
+            });
+        });
+    }
+
+    /**
+     * Resolves a call to the function or method it invokes
+     * - `this.x()` / `self.x()`: method of the caller's class or its bases
+     * - `foo()`: local function, else the function behind an import binding
+     * - `mod.foo()`: function exported by a namespace/module import
+     * - `obj.foo()`: method of the class `obj` was instantiated from
+     * - `Foo.bar()`: static method of class `Foo`
+     * 
+     * @param {Object} file - File data of the caller
+     * @param {Object} caller - Function data of the calling function
+     * @param {Object} call - Call data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, func: Object}|null} The called function and its file
+     */
+    resolveCallTarget(file, caller, call, filePathMap) {
+        const object = call.object;
+
+        // Plain call: foo()
+        if (object === undefined) {
+            // Java/Kotlin/C++ methods call the members of their class (and its bases) unqualified
+            if (JVM_LANGUAGES.includes(file.language) || C_LANGUAGES.includes(file.language)) {
+                const owner = this.findCallerClass(file, caller, filePathMap);
+                const member = owner && this.findMethod(owner.path, owner.cls, call.name, filePathMap);
+                if (member) {
+                    return member;
+                }
+            }
+
+            for (const scopeFile of this.getScopeFiles(file, filePathMap)) {
+                const local = scopeFile.functions.find(f => f.name === call.name && !f.className);
+                if (local) {
+                    return { path: scopeFile.path, func: local };
+                }
+            }
+
+            const imp = file.imports.find(i => i.local === call.name);
+            if (imp) {
+                return this.resolveImportedFunction(file, imp, null, filePathMap);
+            }
+
+            // Unknown binding: keep the historical same-file name match
+            const sameName = file.functions.find(f => f.name === call.name);
+            return sameName ? { path: file.path, func: sameName } : null;
         }
 
-        const edge = {
-            data: {
-                id: `edge-${this.edges.length}`,
-                source: edgeData.source,
-                target: edgeData.target,
-                type: edgeData.type,
-                label: edgeData.label || ''
+        // Member call on the enclosing instance: this.foo() / self.foo(),
+        // or a Go method's receiver
+        if (object === 'this' || object === 'self' || object === 'cls') {
+            const owner = this.findCallerClass(file, caller, filePathMap);
+            return owner ? this.findMethod(owner.path, owner.cls, call.name, filePathMap) : null;
+        }
+
+        if (!object) {
+            return null;
+        }
+
+        // Rust paths: crate::store::reset(), store::Store::open()
+        if (file.language === 'rust' && object.includes('::')) {
+            return this.resolvePathCall(file, object.split('::'), call, filePathMap);
+        }
+
+        // obj.foo() where obj = new Foo() (latest assignment wins, notebook
+        // cells in order)
+        const instance = file.instances
+            .filter(inst => inst.name === object)
+            .sort((a, b) => (b.cell || 0) - (a.cell || 0) || b.line - a.line)[0];
+
+        if (instance) {
+            const target = this.resolveClassReference(file, instance.className, filePathMap);
+            return target ? this.findMethod(target.path, target.cls, call.name, filePathMap) : null;
+        }
+
+        // Foo.bar() on a class
+        const classTarget = this.resolveClassReference(file, object, filePathMap);
+        if (classTarget) {
+            return this.findMethod(classTarget.path, classTarget.cls, call.name, filePathMap);
+        }
+
+        // mod.foo() on a namespace / CommonJS module / Python module import,
+        // including dotted `import app.models` followed by `app.models.foo()`
+        const imp = file.imports.find(i => i.local === object || (i.imported === '*' && i.source === object));
+        if (imp) {
+            return this.resolveImportedFunction(file, imp, call.name, filePathMap);
+        }
+
+        // Rust paths need no import: super::foo(), inner::foo(), other_crate::foo()
+        return file.language === 'rust' ? this.resolvePathCall(file, [object], call, filePathMap) : null;
+    }
+
+    /**
+     * Resolves a call through a Rust path: a function of the module the
+     * path names (`crate::store::reset()`), or an associated function of
+     * the type it ends with (`models::User::new()`)
+     * 
+     * @param {Object} file - File data of the caller
+     * @param {Array<string>} segments - Path segments before the called name
+     * @param {Object} call - Call data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, func: Object}|null} The called function and its file
+     */
+    resolvePathCall(file, segments, call, filePathMap) {
+        const typeName = segments[segments.length - 1];
+
+        if (/^[A-Z]/.test(typeName)) {
+            if (segments.length < 2) {
+                return null;
             }
-        };
 
-        this.edges.push(edge);
+            const binding = this.resolveImportBinding(
+                file, { source: segments.slice(0, -1).join('::'), imported: typeName }, filePathMap
+            );
+            const originPath = binding && binding.symbol !== '*' &&
+                (this.resolveSymbolOrigin(binding.path, typeName, filePathMap) || binding.path);
+            const target = originPath && filePathMap.get(originPath);
+            const cls = target && target.classes.find(c => c.name === typeName);
+
+            return cls ? this.findMethod(originPath, cls, call.name, filePathMap) : null;
+        }
+
+        const modulePath = this.resolveImportPath(segments.join('::'), filePathMap, file.path);
+        const originPath = modulePath && (this.resolveSymbolOrigin(modulePath, call.name, filePathMap) || modulePath);
+        const target = originPath && filePathMap.get(originPath);
+        const func = target && target.functions.find(f => f.name === call.name && !f.className);
+
+        return func ? { path: originPath, func } : null;
     }
 
     /**
-     * Generates a unique node ID
+     * Finds the class a calling method belongs to. Go methods, Rust `impl`
+     * blocks and C++ methods defined outside their class (`void Foo::bar() {}`)
+     * name a type that may be declared in another file of the package, another
+     * module or a header.
      * 
-     * @param {string} type - Node type
-     * @param {string} identifier - Unique identifier
-     * @returns {string} Node ID
+     * @param {Object} file - File data of the caller
+     * @param {Object} caller - Function data of the calling method
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, cls: Object}|null} The class and its file
      */
-    getNodeId(type, identifier) {
-        const key = `${type}:${identifier}`;
-        
-        if (this.nodeMap.has(key)) {
-            return this.nodeMap.get(key);
+    findCallerClass(file, caller, filePathMap) {
+        if (file.language === 'go' || file.language === 'rust' || C_LANGUAGES.includes(file.language)) {
+            return caller.className ? this.resolveClassReference(file, caller.className, filePathMap) : null;
         }
 
-        const id = `${type}-${this.nodeIdCounter++}`;
-        return id;
+        const owner = this.findOwningClass(file, caller);
+        return owner ? { path: file.path, cls: owner } : null;
     }
 
     /**
-     * Gets the complete graph data
+     * Finds a top-level function reachable through an import binding
      * 
-     * @returns {Object} Graph data with nodes and edges
+     * @param {Object} file - File data of the importing file
+     * @param {Object} imp - Import data
+     * @param {string|null} member - Called member for `mod.foo()`, null for a plain call
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, func: Object}|null} The function and its file
      */
-    getGraphData() {
+    resolveImportedFunction(file, imp, member, filePathMap) {
+        const binding = this.resolveImportBinding(file, imp, filePathMap);
+        if (!binding || binding.path === file.path) {
+            return null;
+        }
+
+        const targetPath = binding.path;
+        const wholeModule = binding.symbol === '*' || binding.symbol === 'default';
+
+        // Only module bindings have callable members
+        if (member && !wholeModule) {
+            return null;
+        }
+
+        const symbol = member || binding.symbol;
+        const name = member || imp.local;
+        const named = symbol !== '*' && symbol !== 'default';
+        const originPath = (named && this.resolveSymbolOrigin(targetPath, symbol, filePathMap)) || targetPath;
+
+        for (const target of this.getTargetFiles(originPath, filePathMap)) {
+            // Java/Kotlin static imports bind a method of the imported class
+            const func = target.functions.find(f =>
+                f.name === (named ? symbol : name) && (!f.className || (named && JVM_LANGUAGES.includes(target.language)))
+            );
+            if (func) {
+                return { path: target.path, func };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds a method on a class, walking up its `extends` chain
+     * 
+     * @param {string} filePath - Path of the file declaring the class
+     * @param {Object} cls - Class data
+     * @param {string} name - Method name
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {Set<Object>} visited - Classes already searched (guards against cycles)
+     * @returns {{path: string, func: Object}|null} The method and its file
+     */
+    findMethod(filePath, cls, name, filePathMap, visited = new Set()) {
+        const file = filePathMap.get(filePath);
+        if (!file || visited.has(cls)) {
+            return null;
+        }
+        visited.add(cls);
+
+        // Go methods can be declared in any file of the type's package, C++
+        // methods in the source file implementing the class's header
+        const scopeFiles = file.language === 'go' || C_LANGUAGES.includes(file.language)
+            ? this.getScopeFiles(file, filePathMap)
+            : [file];
+
+        for (const scopeFile of scopeFiles) {
+            const method = scopeFile.functions.find(f =>
+                f.name === name && (scopeFile === file ? this.findOwningClass(file, f) === cls : f.className === cls.name)
+            );
+            if (method) {
+                return { path: scopeFile.path, func: method };
+            }
+        }
+
+        for (const base of cls.bases || []) {
+            const target = this.resolveClassReference(file, base, filePathMap);
+            const inherited = target && this.findMethod(target.path, target.cls, name, filePathMap, visited);
+            if (inherited) {
+                return inherited;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds `extends` and `implements` edges for the classes of a file
+     * 
+     * @param {Object} file - File data
+     * @param {Map} filePathMap - Map of file paths to file data
+     */
+    buildInheritanceEdges(file, filePathMap) {
+        file.classes.forEach(cls => {
+            const classNodeId = this.getClassNodeId(file.path, cls);
+            const references = [
+                ...(cls.bases || []).map(name => ({ name, type: 'extends' })),
+                ...(cls.implements || []).map(name => ({ name, type: 'implements' }))
+            ];
+
+            references.forEach(ref => {
+                // `implements` usually names an interface, but TS also allows classes
+                const typeTarget = ref.type === 'implements' &&
+                    this.resolveDeclaration(file, ref.name, filePathMap, 'types');
+
+                if (typeTarget && this.hasNode('type', this.getTypeKey(typeTarget.path, typeTarget.decl))) {
+                    this.addEdge({
+                        source: classNodeId,
+                        target: this.getTypeNodeId(typeTarget.path, typeTarget.decl),
+                        type: ref.type,
+                        label: ''
+                    });
+                    return;
+                }
+
+                const target = this.resolveClassReference(file, ref.name, filePathMap);
+
+                if (target && target.cls !== cls) {
+                    this.addEdge({
+                        source: classNodeId,
+                        target: this.getClassNodeId(target.path, target.cls),
+                        type: ref.type,
+                        label: ''
+                    });
+                }
+            });
+        });
+
+        // Interface inheritance, between exported interface nodes
+        file.types.filter(type => type.exported).forEach(type => {
+            (type.extends || []).forEach(name => {
+                const target = this.resolveDeclaration(file, name, filePathMap, 'types');
+
+                if (target && target.decl !== type &&
+                    this.hasNode('type', this.getTypeKey(target.path, target.decl))) {
+                    this.addEdge({
+                        source: this.getTypeNodeId(file.path, type),
+                        target: this.getTypeNodeId(target.path, target.decl),
+                        type: 'extends',
+                        label: ''
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Resolves a class name used in an `extends`/`implements` clause to the
+     * class that declares it, looking in the same file first and then
+     * following the file's import bindings (including barrel re-exports)
+     * 
+     * @param {Object} file - File data of the referencing file
+     * @param {string} name - Referenced name, possibly dotted (`models.Base`)
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, cls: Object}|null} The declaring file and class
+     */
+    resolveClassReference(file, name, filePathMap) {
+        const target = this.resolveDeclaration(file, name, filePathMap, 'classes');
+        return target ? { path: target.path, cls: target.decl } : null;
+    }
+
+    /**
+     * Resolves a name to a class or type declaration, in the same file or
+     * through the file's import bindings
+     * 
+     * @param {Object} file - File data of the referencing file
+     * @param {string} name - Referenced name, possibly dotted (`models.Base`)
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {string} collection - 'classes' or 'types'
+     * @returns {{path: string, decl: Object}|null} The declaring file and declaration
+     */
+    resolveDeclaration(file, name, filePathMap, collection) {
+        const [head, ...rest] = name.split('.');
+
+        if (rest.length === 0) {
+            for (const scopeFile of this.getScopeFiles(file, filePathMap)) {
+                const local = (scopeFile[collection] || []).find(d => d.name === name);
+                if (local) {
+                    return { path: scopeFile.path, decl: local };
+                }
+            }
+        }
+
+        const imp = file.imports.find(i => i.local === head);
+        const binding = imp && this.resolveImportBinding(file, imp, filePathMap);
+        if (!binding) {
+            return null;
+        }
+
+        // `ns.Base` reads a member of a namespace/module import
+        const targetPath = binding.path;
+        const symbol = rest.length > 0 ? rest[rest.length - 1] : binding.symbol;
+        const originPath = (symbol !== '*' && this.resolveSymbolOrigin(targetPath, symbol, filePathMap)) || targetPath;
+        const wholeModule = symbol === '*' || symbol === 'default';
+        const declName = wholeModule ? head : symbol;
+
+        // A Go or JVM package spreads its declarations over several files
+        if (this.packages.has(originPath)) {
+            for (const target of this.getTargetFiles(originPath, filePathMap)) {
+                const decl = (target[collection] || []).find(d => d.name === declName);
+                if (decl) {
+                    return { path: target.path, decl };
+                }
+            }
+            return null;
+        }
+
+        const target = filePathMap.get(originPath);
+        const declarations = target[collection] || [];
+
+        let decl = declarations.find(d => d.name === declName);
+
+        // A default export or `module.exports = Foo` under a different local name
+        // (Python and Rust modules have no default export)
+        if (!decl && wholeModule && declarations.length === 1 && !['python', 'rust'].includes(target.language)) {
+            decl = declarations[0];
+        }
+
+        return decl ? { path: originPath, decl } : null;
+    }
+
+    /**
+     * Finds the class a method belongs to
+     * 
+     * @param {Object} file - File data
+     * @param {Object} func - Function data
+     * @returns {Object|null} Class data, or null for free functions
+     */
+    findOwningClass(file, func) {
+        if (!func.className) {
+            return null;
+        }
+
+        // Go methods (and Rust `impl` blocks, C++ `Foo::bar` definitions) are
+        // declared outside their type, anywhere in the file
+        if (file.language === 'go' || file.language === 'rust' || C_LANGUAGES.includes(file.language)) {
+            return file.classes.find(cls => cls.name === func.className) || null;
+        }
+
+        return file.classes.find(cls =>
+            cls.name === func.className && cls.cell === func.cell && func.line >= cls.line && func.line <= cls.endLine
+        ) || null;
+    }
+
+    /**
+     * Builds package nodes from JavaScript/TypeScript imports:
+     * - One node per package.json that owns scanned files, labelled with its name
+     * - One external node per third-party package, linked from every package
+     *   (or package-less file) that imports it
+     * - Edges between workspace packages that import each other
+     * - One external node per C/C++ system header (`#include <vector>`)
+     * - One external node per Cargo dependency a Rust file uses
+     * 
+     * @param {Array<Object>} files - Array of file data
+     */
+    buildPackageNodes(files) {
+        const filePathMap = new Map(files.map(file => [file.path, file]));
+
+        files.forEach(file => {
+            if (C_LANGUAGES.includes(file.language)) {
+                this.buildSystemHeaderNodes(file, filePathMap);
+                return;
+            }
+
+            if (file.language === 'rust') {
+                this.buildCrateNodes(file);
+                return;
+            }
+
+            if (!JS_LANGUAGES.includes(file.language)) {
+                return;
+            }
+
+            const owner = this.resolver.findPackage(file.path);
+            const sourceId = owner ? this.addPackageNode(owner) : this.getNodeId('file', file.path);
+
+            file.imports.forEach(imp => {
+                const targetPath = this.resolveImportPath(imp.source, filePathMap, file.path);
+
+                if (targetPath) {
+                    const targetOwner = this.resolver.findPackage(targetPath);
+                    if (owner && targetOwner && targetOwner.dir !== owner.dir) {
+                        this.addEdge({
+                            source: sourceId,
+                            target: this.addPackageNode(targetOwner),
+                            type: 'depends',
+                            label: ''
+                        });
+                    }
+                    return;
+                }
+
+                if (!this.resolver.isExternalSpecifier(imp.source)) {
+                    return;
+                }
+
+                const name = this.resolver.getPackageName(imp.source);
+                const targetId = this.getNodeId('package', `external:${name}`);
+
+                this.addNode({
+                    id: targetId,
+                    label: name,
+                    type: 'package',
+                    external: true
+                });
+
+                this.addEdge({
+                    source: sourceId,
+                    target: targetId,
+                    type: 'depends',
+                    label: owner ? this.getDeclaredVersion(owner.manifest, name) : ''
+                });
+            });
+        });
+    }
+
+    /**
+     * Adds an external node for each `#include <...>` of a C/C++ file that
+     * resolves to no scanned file (standard library, SDK and third-party
+     * headers), linked from the file
+     * 
+     * @param {Object} file - File data
+     * @param {Map} filePathMap - Map of file paths to file data
+     */
+    buildSystemHeaderNodes(file, filePathMap) {
+        file.imports.forEach(imp => {
+            if (!imp.system || this.resolveImportPath(imp.source, filePathMap, file.path)) {
+                return;
+            }
+
+            const targetId = this.getNodeId('package', `system:${imp.source}`);
+
+            this.addNode({
+                id: targetId,
+                label: `<${imp.source}>`,
+                type: 'package',
+                external: true,
+                header: true
+            });
+
+            this.addEdge({
+                source: this.getNodeId('file', file.path),
+                target: targetId,
+                type: 'depends',
+                label: ''
+            });
+        });
+    }
+
+    /**
+     * Adds an external node for each crate from Cargo.toml (other than path
+     * dependencies) that a Rust file's `use` paths start with, linked from
+     * the file and labelled with the version requirement
+     * 
+     * @param {Object} file - File data
+     */
+    buildCrateNodes(file) {
+        file.imports.forEach(imp => {
+            const crate = this.rustResolver.findExternalCrate(imp.source, file.path);
+            if (!crate) {
+                return;
+            }
+
+            const targetId = this.getNodeId('package', `crate:${crate.name}`);
+
+            this.addNode({
+                id: targetId,
+                label: crate.name,
+                type: 'package',
+                external: true
+            });
+
+            this.addEdge({
+                source: this.getNodeId('file', file.path),
+                target: targetId,
+                type: 'depends',
+                label: crate.version
+            });
+        });
+    }
+
+    /**
+     * Adds the node for a package.json-owned package, linked to the folder
+     * node of its directory when that folder is in the graph
+     * 
+     * @param {Object} pkg - Package from ModuleResolver.findPackage
+     * @returns {string} Node ID
+     */
+    addPackageNode(pkg) {
+        const nodeId = this.getNodeId('package', pkg.dir);
+
+        if (!this.nodeIds.has(nodeId)) {
+            this.addNode({
+                id: nodeId,
+                label: pkg.name,
+                type: 'package',
+                path: pkg.dir,
+                external: false
+            });
+
+            if (this.hasNode('folder', pkg.dir)) {
+                this.addEdge({
+                    source: nodeId,
+                    target: this.getNodeId('folder', pkg.dir),
+                    type: 'contains',
+                    label: ''
+                });
+            }
+        }
+
+        return nodeId;
+    }
+
+    /**
+     * Looks up the version range a package.json declares for a dependency
+     * 
+     * @param {Object} manifest - Parsed package.json
+     * @param {string} name - Dependency name
+     * @returns {string} Version range, or '' if undeclared
+     */
+    getDeclaredVersion(manifest, name) {
+        const fields = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+        const field = fields.find(key => manifest[key] && manifest[key][name]);
+        return field ? manifest[field][name] : '';
+    }
+
+    /**
+     * Records a relative import (or a Go import inside the module, a
+     * Java/Kotlin import from a scanned package, a C/C++ `#include "..."`,
+     * a Rust `mod`/`use` inside the crate or a path dependency, or a
+     * relative path imported by a registered language) that points at no
+     * file. Imports of assets (`./styles.css`) and of files
+     * that exist but weren't scanned are fine.
+     * 
+     * @param {Object} file - File data of the importing file
+     * @param {Object} imp - Import data
+     */
+    reportUnresolvedImport(file, imp) {
+        const isPython = file.language === 'python';
+        const isGo = file.language === 'go';
+        const isJvm = JVM_LANGUAGES.includes(file.language);
+        const isC = C_LANGUAGES.includes(file.language);
+        const isRust = file.language === 'rust';
+        const registered = this.getRegisteredLanguage(file.language);
+        // JavaScript relative specifiers are already absolute after parsing;
+        // Go imports are local when they fall under a module on disk, JVM
+        // imports when they name a member of a scanned package, C/C++
+        // includes when they are quoted rather than `<system>` headers, Rust
+        // paths when they start in the crate or a local crate
+        let isRelative;
+        if (isGo) {
+            isRelative = this.goResolver.isLocalImport(imp.source, file.path);
+        } else if (isJvm) {
+            isRelative = this.jvmResolver.isLocalImport(imp.source);
+        } else if (isC) {
+            isRelative = !imp.system;
+        } else if (isRust) {
+            isRelative = this.rustResolver.isLocalImport(imp.source, file.path);
+        } else {
+            isRelative = imp.source.startsWith('.') || (!isPython && path.isAbsolute(imp.source));
+        }
+        const extension = isPython || isGo || isJvm || isC || isRust || registered ? '' : path.extname(imp.source);
+
+        if (!isRelative || (extension && !CODE_EXTENSIONS.includes(extension))) {
+            return;
+        }
+
+        const resolver = isPython ? this.pythonResolver
+            : isGo ? this.goResolver
+            : isJvm ? this.jvmResolver
+            : isC ? this.cResolver
+            : isRust ? this.rustResolver
+            : this.resolver;
+        const fileExists = candidate => fs.existsSync(candidate);
+        const resolved = registered
+            ? this.resolveRegisteredImport(registered, imp.source, file.path, fileExists)
+            : resolver.resolve(imp.source, file.path, fileExists);
+        if (resolved) {
+            return;
+        }
+
+        let specifier = imp.source;
+        if (path.isAbsolute(specifier)) {
+            specifier = path.relative(path.dirname(file.path), specifier).split(path.sep).join('/');
+            specifier = specifier.startsWith('.') ? specifier : `./${specifier}`;
+        }
+
+        const problems = this.problems.get(file.path);
+        if (problems.some(problem => problem.source === 'import' && problem.line === imp.line && problem.cell === imp.cell)) {
+            return;
+        }
+
+        let statement = isPython && imp.imported !== '*' ? `from ${specifier} import ${imp.imported}` : specifier;
+        if (isRust) {
+            statement = imp.kind === 'mod' ? `mod ${specifier.split('::').pop()}` : `${specifier}::${imp.imported}`;
+        }
+
+        problems.push({
+            message: `Cannot resolve import '${statement}'`,
+            line: imp.line,
+            column: 0,
+            severity: 'warning',
+            source: 'import',
+            ...(imp.cell !== undefined ? { cell: imp.cell } : {})
+        });
+    }
+
+    /**
+     * Flags file nodes that have problems so the webview can mark them
+     */
+    markProblemFiles() {
+        this.nodes.forEach(node => {
+            if (node.data.type === 'file') {
+                node.data.problemCount = node.data.problems.length;
+            }
+        });
+    }
+
+    /**
+     * Narrows the graph to a scope: a folder's files, or a file with the
+     * files within `fileGraphHops` of it along its dependencies and, apart
+     * from those, its dependents.
+     * A node outside the scope that shares an edge (other than `contains`)
+     * with it is kept as a boundary node, collapsed into its file (or, for a
+     * Go or JVM package, its folder); the edge is redirected to it.
+     * 
+     * @param {Object} focus - { type: 'folder'|'file', path }
+     */
+    applyFocus(focus) {
+        const nodesById = new Map(this.nodes.map(node => [node.data.id, node]));
+        const filePaths = this.nodes.filter(node => node.data.type === 'file').map(node => node.data.path);
+
+        this.scopeFiles = focus.type === 'folder'
+            ? new Set(filePaths.filter(filePath => isInside(focus.path, filePath)))
+            : this.getNeighbourFiles(focus.path, this.config.fileGraphHops, nodesById);
+
+        // Folders holding scope files: all of them down from a focused
+        // folder, only their own folders around a focused file
+        const scopeFolders = new Set();
+        this.scopeFiles.forEach(filePath => {
+            let dir = path.dirname(filePath);
+            scopeFolders.add(dir);
+            while (focus.type === 'folder' && dir !== focus.path && isInside(focus.path, dir)) {
+                dir = path.dirname(dir);
+                scopeFolders.add(dir);
+            }
+        });
+
+        const inScope = new Set(this.nodes.filter(node => {
+            const { type, path: nodePath } = node.data;
+            return type === 'folder'
+                ? scopeFolders.has(nodePath)
+                : FILE_NODE_TYPES.includes(type) && this.scopeFiles.has(nodePath);
+        }).map(node => node.data.id));
+
+        // External libraries and workspace packages the scope depends on
+        this.edges.forEach(edge => {
+            const { source, target } = edge.data;
+            [[source, target], [target, source]].forEach(([from, to]) => {
+                if (inScope.has(from) && nodesById.get(to).data.type === 'package') {
+                    inScope.add(to);
+                }
+            });
+        });
+
+        const boundary = new Set();
+        const redirectedKeys = new Set();
+        const edges = [];
+
+        this.edges.forEach(edge => {
+            let { source, target, type } = edge.data;
+
+            if (inScope.has(source) && inScope.has(target)) {
+                edges.push(edge);
+                return;
+            }
+            if (type === 'contains' || !inScope.has(source) && !inScope.has(target)) {
+                return;
+            }
+            if (inScope.has(source)) {
+                target = this.getBoundaryNodeId(nodesById.get(target));
+                boundary.add(target);
+            } else {
+                source = this.getBoundaryNodeId(nodesById.get(source));
+                boundary.add(source);
+            }
+
+            // Calls into several functions of one boundary file become one edge
+            const key = `${source}-${target}-${type}`;
+            if (!redirectedKeys.has(key)) {
+                redirectedKeys.add(key);
+                edges.push({ data: { ...edge.data, source, target } });
+            }
+        });
+
+        this.nodes = [
+            ...this.nodes.filter(node => inScope.has(node.data.id)),
+            ...Array.from(boundary, id => ({
+                data: { ...nodesById.get(id).data, boundary: true, problems: [], problemCount: 0 }
+            }))
+        ];
+        this.edges = edges;
+        this.focus = {
+            type: focus.type,
+            path: focus.path,
+            label: getRelativePath(focus.path, this.roots),
+            ...(focus.type === 'file' ? { hops: this.config.fileGraphHops } : {})
+        };
+    }
+
+    /**
+     * Collects a file and the files it depends on, up to a number of hops
+     * away, and likewise the files depending on it
+     * 
+     * @param {string} filePath - Focused file
+     * @param {number} hops - Edges to follow from it in each direction
+     * @param {Map<string, Object>} nodesById - Node ID -> node
+     * @returns {Set<string>} File paths, the focused file included
+     */
+    getNeighbourFiles(filePath, hops, nodesById) {
+        const dependencies = new Map(); // File path -> files it uses
+        const dependents = new Map(); // File path -> files using it
+        const packageFiles = new Map(); // Folder path -> its files, for Go and JVM package targets
+
+        this.nodes.filter(node => node.data.type === 'file').forEach(node => {
+            const dir = path.dirname(node.data.path);
+            packageFiles.set(dir, [...(packageFiles.get(dir) || []), node.data.path]);
+        });
+
+        const getFiles = node => FILE_NODE_TYPES.includes(node.data.type) ? [node.data.path]
+            : node.data.type === 'folder' ? packageFiles.get(node.data.path) || []
+            : [];
+
+        const link = (links, from, to) => {
+            links.set(from, (links.get(from) || new Set()).add(to));
+        };
+
+        this.edges.filter(edge => edge.data.type !== 'contains').forEach(edge => {
+            getFiles(nodesById.get(edge.data.source)).forEach(source => {
+                getFiles(nodesById.get(edge.data.target)).forEach(target => {
+                    if (source !== target) {
+                        link(dependencies, source, target);
+                        link(dependents, target, source);
+                    }
+                });
+            });
+        });
+
+        const files = new Set([filePath]);
+
+        [dependencies, dependents].forEach(links => {
+            const seen = new Set([filePath]);
+            let frontier = [filePath];
+
+            for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+                frontier = frontier.flatMap(current => Array.from(links.get(current) || []))
+                    .filter(next => !seen.has(next) && seen.add(next));
+            }
+
+            seen.forEach(file => files.add(file));
+        });
+
+        return files;
+    }
+
+    /**
+     * Gets the node standing in for a node outside the scope: the file of
+     * a class, type, function or cell, the node itself otherwise
+     * 
+     * @param {Object} node - Node outside the scope
+     * @returns {string} Node ID
+     */
+    getBoundaryNodeId(node) {
+        return FILE_NODE_TYPES.includes(node.data.type) ? this.getNodeId('file', node.data.path) : node.data.id;
+    }
+
+    /**
+     * Returns the problems found while building the graph
+     * 
+     * @returns {Map<string, Array<Object>>} File path -> problems
+     */
+    getProblems() {
+        return this.problems;
+    }
+
+    /**
+     * Resolves an import to the file it binds and the symbol it reads there.
+     * Python's `from pkg import name` binds the submodule `pkg/name.py` when
+     * `pkg` itself doesn't define `name`; the symbol is then the whole module.
+     * Rust's `use crate::store` (or `use crate::util::{self}`) likewise binds
+     * the module `store` rather than an item of the crate root.
+     * 
+     * @param {Object} file - File data of the importing file
+     * @param {Object} imp - Import data
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @returns {{path: string, symbol: string}|null} Target file and symbol ('*' for a module)
+     */
+    resolveImportBinding(file, imp, filePathMap) {
+        const targetPath = this.resolveImportPath(imp.source, filePathMap, file.path);
+
+        if (file.language === 'python' && imp.imported !== '*' &&
+            !(targetPath && this.resolveSymbolOrigin(targetPath, imp.imported, filePathMap))) {
+            const submodule = this.resolveImportPath(
+                this.pythonResolver.joinModule(imp.source, imp.imported), filePathMap, file.path
+            );
+            if (submodule) {
+                return { path: submodule, symbol: '*' };
+            }
+        }
+
+        if (file.language === 'rust' && imp.imported !== '*' &&
+            !(targetPath && this.resolveSymbolOrigin(targetPath, imp.imported, filePathMap))) {
+            const submodule = this.resolveImportPath(`${imp.source}::${imp.imported}`, filePathMap, file.path);
+            if (submodule && submodule !== targetPath) {
+                return { path: submodule, symbol: '*' };
+            }
+        }
+
+        return targetPath ? { path: targetPath, symbol: imp.imported } : null;
+    }
+
+    /**
+     * Resolves an import source to a file node ID
+     * 
+     * @param {string} importSource - Import source string
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {string} fromFile - Path of the importing file
+     * @returns {string|null} Node ID or null if not found
+     */
+    resolveImportTarget(importSource, filePathMap, fromFile) {
+        const targetPath = this.resolveImportPath(importSource, filePathMap, fromFile);
+        return targetPath ? this.getNodeId('file', targetPath) : null;
+    }
+
+    /**
+     * Resolves an import source to the path of a scanned file, following
+     * TypeScript module resolution (tsconfig/jsconfig paths and baseUrl)
+     * and workspace package entry points, or Python's package layout.
+     * Go imports resolve to a package directory through go.mod, Java and
+     * Kotlin imports to a class file or (`.*`) a package key, C/C++
+     * includes through the include directories, Rust paths through the
+     * crate's module tree, and imports of registered languages through their
+     * own resolver.
+     * 
+     * @param {string} importSource - Import source string
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {string} fromFile - Path of the importing file
+     * @returns {string|null} File path (Go: package directory, JVM wildcard: package key) or null if not found
+     */
+    resolveImportPath(importSource, filePathMap, fromFile) {
+        const fromData = filePathMap.get(fromFile);
+
+        if (fromData && fromData.language === 'go') {
+            return this.goResolver.resolve(importSource, fromFile, dir => this.packages.has(dir));
+        }
+
+        if (fromData && JVM_LANGUAGES.includes(fromData.language)) {
+            return this.jvmResolver.resolve(importSource, fromFile, candidate => filePathMap.has(candidate));
+        }
+
+        if (fromData && C_LANGUAGES.includes(fromData.language)) {
+            return this.cResolver.resolve(importSource, fromFile, candidate => filePathMap.has(candidate));
+        }
+
+        if (fromData && fromData.language === 'rust') {
+            return this.rustResolver.resolve(importSource, fromFile, candidate => filePathMap.has(candidate));
+        }
+
+        const registered = fromData && this.getRegisteredLanguage(fromData.language);
+        if (registered) {
+            return this.resolveRegisteredImport(registered, importSource, fromFile, candidate => filePathMap.has(candidate));
+        }
+
+        const resolver = fromData && fromData.language === 'python' ? this.pythonResolver : this.resolver;
+
+        return resolver.resolve(importSource, fromFile, candidate => filePathMap.has(candidate));
+    }
+
+    /**
+     * Gets a language registered by another extension
+     * 
+     * @param {string} language - Language ID of a file
+     * @returns {Object|null} Registered language, or null for built-in languages
+     */
+    getRegisteredLanguage(language) {
+        return this.languages ? this.languages.get(language) : null;
+    }
+
+    /**
+     * Resolves an import of a registered language through the resolver it
+     * registered or, without one, as a path relative to the importing file.
+     * A resolver that throws or returns an unknown file resolves nothing.
+     * 
+     * @param {Object} language - Registered language
+     * @param {string} specifier - Import source as parsed
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} File path, or null
+     */
+    resolveRegisteredImport(language, specifier, fromFile, fileExists) {
+        if (!language.resolveImport) {
+            if (!specifier.startsWith('.') && !path.isAbsolute(specifier)) {
+                return null;
+            }
+            const candidate = path.resolve(path.dirname(fromFile), specifier);
+            return fileExists(candidate) ? candidate : null;
+        }
+
+        try {
+            const resolved = language.resolveImport(specifier, fromFile, fileExists);
+            return typeof resolved === 'string' && fileExists(resolved) ? resolved : null;
+        } catch (error) {
+            console.error(`Import resolver of language '${language.id}' failed on '${specifier}':`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Finds the file that actually defines an exported symbol, following
+     * re-exports (`export { a } from`, `export * from`) through barrel files
+     * 
+     * @param {string} filePath - File the symbol is imported from
+     * @param {string} symbol - Exported name ('default' for default exports)
+     * @param {Map} filePathMap - Map of file paths to file data
+     * @param {Set<string>} visited - Files already searched (guards against cycles)
+     * @returns {string|null} Path of the defining file, or null if unknown
+     */
+    resolveSymbolOrigin(filePath, symbol, filePathMap, visited = new Set()) {
+        const file = filePathMap.get(filePath);
+        if (!file || visited.has(filePath)) {
+            return null;
+        }
+        visited.add(filePath);
+
+        const reExports = file.exports.filter(exp => exp.type === 're-export');
+
+        // Declared here
+        if (file.exports.some(exp => exp.name === symbol && exp.type !== 're-export')) {
+            return filePath;
+        }
+
+        // Python modules re-export whatever they import (`from .models import User`
+        // in a package's __init__.py)
+        const binding = file.language === 'python' && file.imports.find(imp => imp.local === symbol);
+        if (binding) {
+            const sourcePath = this.resolveImportPath(binding.source, filePathMap, filePath);
+            const origin = sourcePath && binding.imported !== '*' &&
+                this.resolveSymbolOrigin(sourcePath, binding.imported, filePathMap, visited);
+            const submodule = binding.imported !== '*' && this.resolveImportPath(
+                this.pythonResolver.joinModule(binding.source, binding.imported), filePathMap, filePath
+            );
+            return origin || submodule || sourcePath;
+        }
+
+        // Explicitly re-exported: export { symbol } from './x'
+        const named = reExports.find(exp => exp.name === symbol);
+        if (named) {
+            const sourcePath = this.resolveImportPath(named.source, filePathMap, filePath);
+            if (!sourcePath || named.imported === '*') {
+                return sourcePath;
+            }
+            return this.resolveSymbolOrigin(sourcePath, named.imported, filePathMap, visited) || sourcePath;
+        }
+
+        // Star re-exports never forward the default export
+        if (symbol === 'default') {
+            return null;
+        }
+
+        for (const exp of reExports.filter(e => e.name === '*')) {
+            const sourcePath = this.resolveImportPath(exp.source, filePathMap, filePath);
+            const origin = sourcePath && this.resolveSymbolOrigin(sourcePath, symbol, filePathMap, visited);
+            if (origin) {
+                return origin;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds a node to the graph
+     * 
+     * @param {Object} nodeData - Node data
+     * @returns {string} Node ID
+     */
+    addNode(nodeData) {
+        if (this.nodeIds.has(nodeData.id)) {
+            return nodeData.id;
+        }
+
+        const node = {
+            data: {
+                id: nodeData.id,
+                ...nodeData
+            }
+        };
+
+        this.nodes.push(node);
+        this.nodeIds.add(nodeData.id);
+
+        return nodeData.id;
+    }
+
+    /**
+     * Checks whether a node has been added to the graph
+     * 
+     * @param {string} type - Node type
+     * @param {string} identifier - Unique identifier
+     * @returns {boolean} True if the node exists
+     */
+    hasNode(type, identifier) {
+        const id = this.nodeMap.get(`${type}:${identifier}`);
+        return id !== undefined && this.nodeIds.has(id);
+    }
+
+    /**
+     * Adds an edge to the graph
+     * 
+     * @param {Object} edgeData - Edge data
+     */
+    addEdge(edgeData) {
+        // Avoid duplicate edges; a file imported both statically and with
+        // import() keeps an edge of each kind
+        const edgeKey = `${edgeData.source}-${edgeData.target}-${edgeData.type}-${edgeData.kind || ''}`;
+        
+        if (this.edgeKeys.has(edgeKey)) {
+            return;
+        }
+        this.edgeKeys.add(edgeKey);
+
+        const edge = {
+            data: {
+                id: `edge-${this.edges.length}`,
+                ...edgeData,
+                label: edgeData.label || ''
+            }
+        };
+
+        this.edges.push(edge);
+    }
+
+    /**
+     * Generates a unique node ID
+     * 
+     * @param {string} type - Node type
+     * @param {string} identifier - Unique identifier
+     * @returns {string} Node ID
+     */
+    getNodeId(type, identifier) {
+        const key = `${type}:${identifier}`;
+        
+        if (this.nodeMap.has(key)) {
+            return this.nodeMap.get(key);
+        }
+
+        const id = `${type}-${this.nodeIdCounter++}`;
+        this.nodeMap.set(key, id);
+        return id;
+    }
+
+    /**
+     * Gets the node ID of a function or method
+     * 
+     * @param {string} filePath - Path of the declaring file
+     * @param {Object} func - Function data
+     * @returns {string} Node ID
+     */
+    getFunctionNodeId(filePath, func) {
+        return this.getNodeId('function', `${filePath}:${func.name}:${this.getLocationKey(func)}`);
+    }
+
+    /**
+     * Gets the node ID of a class
+     * 
+     * @param {string} filePath - Path of the declaring file
+     * @param {Object} cls - Class data
+     * @returns {string} Node ID
+     */
+    getClassNodeId(filePath, cls) {
+        return this.getNodeId('class', `${filePath}:${cls.name}:${this.getLocationKey(cls)}`);
+    }
+
+    /**
+     * Gets the node ID of a notebook cell
+     * 
+     * @param {string} filePath - Path of the notebook
+     * @param {number} index - Cell index
+     * @returns {string} Node ID
+     */
+    getCellNodeId(filePath, index) {
+        return this.getNodeId('cell', `${filePath}#${index}`);
+    }
+
+    /**
+     * Gets the node a declaration hangs off: its notebook cell, or its file
+     * 
+     * @param {string} filePath - Path of the declaring file
+     * @param {Object} decl - Class, type or function data
+     * @returns {string} Node ID
+     */
+    getContainerNodeId(filePath, decl) {
+        return decl.cell !== undefined ? this.getCellNodeId(filePath, decl.cell) : this.getNodeId('file', filePath);
+    }
+
+    /**
+     * Gets the part of a declaration's key that tells it apart from others
+     * of the same name: its line, and in a notebook its cell
+     * 
+     * @param {Object} decl - Class, type or function data
+     * @returns {string|number} Location key
+     */
+    getLocationKey(decl) {
+        return decl.cell !== undefined ? `${decl.cell}:${decl.line}` : decl.line;
+    }
+
+    /**
+     * Gets the node ID of an interface, type alias or enum
+     * 
+     * @param {string} filePath - Path of the declaring file
+     * @param {Object} type - Type data
+     * @returns {string} Node ID
+     */
+    getTypeNodeId(filePath, type) {
+        return this.getNodeId('type', this.getTypeKey(filePath, type));
+    }
+
+    /**
+     * Gets the identifier used for type nodes (see hasNode)
+     * 
+     * @param {string} filePath - Path of the declaring file
+     * @param {Object} type - Type data
+     * @returns {string} Node identifier
+     */
+    getTypeKey(filePath, type) {
+        return `${filePath}:${type.name}:${type.line}`;
+    }
+
+    /**
+     * Gets the complete graph data
+     * 
+     * @returns {Object} Graph data with nodes and edges
+     */
+    getGraphData() {
+        // Problems of files outside the scope aren't in the graph
+        const problems = Array.from(this.problems)
+            .filter(([filePath]) => !this.scopeFiles || this.scopeFiles.has(filePath))
+            .map(([, list]) => list);
+
         return {
             nodes: this.nodes,
             edges: this.edges,
+            ...(this.focus ? { scope: this.focus } : {}),
             stats: {
                 totalNodes: this.nodes.length,
                 totalEdges: this.edges.length,
+                totalProblems: problems.reduce((sum, list) => sum + list.length, 0),
+                boundaryNodes: this.nodes.filter(node => node.data.boundary).length,
                 nodesByType: this.getNodeCountsByType(),
                 edgesByType: this.getEdgeCountsByType()
             }
@@ -340,11 +1920,16 @@ class GraphBuilder {
         const counts = {
             folder: 0,
             file: 0,
-            function: 0
+            class: 0,
+            type: 0,
+            function: 0,
+            package: 0,
+            cell: 0
         };
 
+        // Boundary nodes are counted apart (stats.boundaryNodes)
         this.nodes.forEach(node => {
-            if (counts.hasOwnProperty(node.data.type)) {
+            if (Object.prototype.hasOwnProperty.call(counts, node.data.type) && !node.data.boundary) {
                 counts[node.data.type]++;
             }
         });
@@ -361,11 +1946,16 @@ class GraphBuilder {
         const counts = {
             contains: 0,
             imports: 0,
-            calls: 0
+            'type-depends': 0,
+            calls: 0,
+            extends: 0,
+            implements: 0,
+            depends: 0,
+            renders: 0
         };
 
         this.edges.forEach(edge => {
-            if (counts.hasOwnProperty(edge.data.type)) {
+            if (Object.prototype.hasOwnProperty.call(counts, edge.data.type)) {
                 counts[edge.data.type]++;
             }
         });
@@ -379,8 +1969,22 @@ class GraphBuilder {
     reset() {
         this.nodes = [];
         this.edges = [];
+        this.edgeKeys.clear();
         this.nodeIdCounter = 0;
         this.nodeMap.clear();
+        this.nodeIds.clear();
+        this.problems.clear();
+        this.packages.clear();
+        this.implementationFiles.clear();
+        this.includeScopes.clear();
+        this.focus = null;
+        this.scopeFiles = null;
+        this.resolver.clearCache();
+        this.pythonResolver.clearCache();
+        this.goResolver.clearCache();
+        this.jvmResolver.clearCache();
+        this.cResolver.clearCache();
+        this.rustResolver.clearCache();
     }
 
     /**
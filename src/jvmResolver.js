@@ -0,0 +1,174 @@
+/**
+ * JVM Module Resolver
+ *
+ * Resolves Java and Kotlin imports by package the way the compiler sees a
+ * classpath:
+ * - Source roots (`src/main/java`, `src/main/kotlin`, `app/src`) are found by
+ *   stripping each file's package path from its directory
+ * - `import com.acme.repo.UserRepository` maps to
+ *   `<root>/com/acme/repo/UserRepository.java` (or `.kt`) in any source root;
+ *   nested classes and static members resolve to the outermost class file
+ * - Kotlin files may declare several top-level names in one file (or live
+ *   outside the directory of their package), so an index of the names each
+ *   package declares is consulted too
+ * - Wildcard imports (`com.acme.repo.*`) resolve to the package itself,
+ *   keyed `jvm:<package>`
+ */
+
+const path = require('path');
+
+const JVM_LANGUAGES = ['java', 'kotlin'];
+const EXTENSIONS = ['.java', '.kt'];
+const PACKAGE_PREFIX = 'jvm:';
+
+class JvmModuleResolver {
+    constructor() {
+        this.packages = new Map();     // Package name -> file paths
+        this.declarations = new Map(); // File path -> top-level names it declares
+        this.sourceRoots = new Map();  // File path -> source root, when its directory mirrors its package
+        this.roots = new Set();        // All source roots
+    }
+
+    /**
+     * Indexes the packages, declarations and source roots of the scanned
+     * Java and Kotlin files
+     *
+     * @param {Array<Object>} files - Parsed file data
+     */
+    index(files) {
+        this.clearCache();
+
+        files.filter(file => JVM_LANGUAGES.includes(file.language)).forEach(file => {
+            const packageName = file.packageName || '';
+
+            if (!this.packages.has(packageName)) {
+                this.packages.set(packageName, []);
+            }
+            this.packages.get(packageName).push(file.path);
+
+            this.declarations.set(file.path, file.exports.map(exp => exp.name));
+
+            const root = this.getSourceRoot(file.path, packageName);
+            if (root) {
+                this.sourceRoots.set(file.path, root);
+                this.roots.add(root);
+            }
+        });
+    }
+
+    /**
+     * Finds the source root of a file by stripping its package path from
+     * its directory (`src/main/java/com/acme/App.java` in `com.acme`)
+     *
+     * @param {string} filePath - File path
+     * @param {string} packageName - Declared package ('' for the default package)
+     * @returns {string|null} Source root, or null if the directory doesn't mirror the package
+     */
+    getSourceRoot(filePath, packageName) {
+        let dir = path.dirname(filePath);
+        const segments = packageName ? packageName.split('.') : [];
+
+        for (let i = segments.length - 1; i >= 0; i--) {
+            if (path.basename(dir) !== segments[i]) {
+                return null;
+            }
+            dir = path.dirname(dir);
+        }
+
+        return dir;
+    }
+
+    /**
+     * Resolves an import to a file, or to a package key for wildcard imports
+     *
+     * @param {string} specifier - Imported name (`com.acme.repo.UserRepository`, `com.acme.*`)
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} File path or package key, or null
+     */
+    resolve(specifier, fromFile, fileExists) {
+        if (specifier.endsWith('.*')) {
+            const name = specifier.slice(0, -2);
+            // `import com.acme.Outer.*` imports the nested classes of a class
+            return this.packages.has(name) ? this.getPackageKey(name) : this.resolve(name, fromFile, fileExists);
+        }
+
+        const segments = specifier.split('.');
+
+        // Longest prefix first: `a.b.C.D` is class D in package a.b.C, or the
+        // member D of class C in package a.b, and so on
+        for (let length = segments.length; length >= 1; length--) {
+            const name = segments[length - 1];
+            const packageSegments = segments.slice(0, length - 1);
+
+            for (const root of this.getSearchRoots(fromFile)) {
+                for (const extension of EXTENSIONS) {
+                    const candidate = path.join(root, ...packageSegments, name + extension);
+                    if (fileExists(candidate)) {
+                        return candidate;
+                    }
+                }
+            }
+
+            const declaring = (this.packages.get(packageSegments.join('.')) || [])
+                .find(filePath => this.declarations.get(filePath).includes(name));
+            if (declaring) {
+                return declaring;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether an import names something inside a scanned package,
+     * i.e. it should resolve
+     *
+     * @param {string} specifier - Imported name
+     * @returns {boolean} True if a prefix of the import is a known package
+     */
+    isLocalImport(specifier) {
+        const segments = specifier.split('.');
+
+        for (let length = segments.length - 1; length >= 1; length--) {
+            if (this.packages.has(segments.slice(0, length).join('.'))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Lists the source roots to search, the importing file's own root first
+     *
+     * @param {string} fromFile - Path of the importing file
+     * @returns {Array<string>} Source root directories
+     */
+    getSearchRoots(fromFile) {
+        const own = this.sourceRoots.get(fromFile);
+        return own ? [own, ...Array.from(this.roots).filter(root => root !== own)] : Array.from(this.roots);
+    }
+
+    /**
+     * Gets the key a package is known by in the graph
+     *
+     * @param {string} packageName - Package name ('' for the default package)
+     * @returns {string} Package key
+     */
+    getPackageKey(packageName) {
+        return PACKAGE_PREFIX + packageName;
+    }
+
+    /**
+     * Clears the indexes
+     */
+    clearCache() {
+        this.packages.clear();
+        this.declarations.clear();
+        this.sourceRoots.clear();
+        this.roots.clear();
+    }
+}
+
+module.exports = JvmModuleResolver;
@@ -0,0 +1,170 @@
+/**
+ * Language Registry Module
+ *
+ * Holds the languages other extensions add through Code Connect's public
+ * API (the object `activate()` returns):
+ * - Each language names the file extensions it claims, a parse function
+ *   producing the standard file data shape and, optionally, an import
+ *   resolver
+ * - Registering returns a Disposable that removes the language again
+ * - Listeners (scanner, watcher, graph) hear about changes through
+ *   `onDidChange`; the graph picks up new languages on its next scan
+ *
+ * Built-in languages and their extensions can't be replaced.
+ */
+
+const vscode = require('vscode');
+
+/**
+ * @typedef {Object} LanguageDefinition
+ * @property {string} id - Language ID stored in file data (`acme-dsl`)
+ * @property {Array<string>} extensions - File extensions, with the dot (`.acme`)
+ * @property {function(string, string): (Object|Promise<Object>)} parse -
+ *   Called with (filePath, content); returns file data in the standard shape
+ *   (`classes`, `types`, `functions`, `imports`, `exports`, `calls`,
+ *   `instances`, `errors`, with 0-based lines). Missing arrays are treated as
+ *   empty; throwing marks the file as failed to parse.
+ * @property {function(string, string, function(string): boolean): (string|null)} [resolveImport] -
+ *   Called with (specifier, fromFile, fileExists); returns the path of the
+ *   imported file, or null. Without it, relative and absolute paths resolve
+ *   as written.
+ */
+
+class LanguageRegistry {
+    /**
+     * @param {Array<string>} builtInLanguages - Language IDs parsed natively
+     * @param {Array<string>} builtInExtensions - File extensions scanned natively
+     */
+    constructor(builtInLanguages, builtInExtensions) {
+        this.builtInLanguages = new Set(builtInLanguages);
+        this.builtInExtensions = new Set(builtInExtensions);
+        this.languages = new Map(); // Language ID -> definition
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.changeEmitter.event;
+    }
+
+    /**
+     * Registers a language
+     *
+     * @param {LanguageDefinition} definition - Language definition
+     * @returns {vscode.Disposable} Removes the language when disposed
+     * @throws {Error} When the definition is incomplete or conflicts with another language
+     */
+    register(definition) {
+        const language = this.validate(definition);
+
+        this.languages.set(language.id, language);
+        this.changeEmitter.fire();
+        console.log(`Code Connect: registered language '${language.id}' (${language.extensions.join(', ')})`);
+
+        return new vscode.Disposable(() => {
+            if (this.languages.get(language.id) === language) {
+                this.languages.delete(language.id);
+                this.changeEmitter.fire();
+            }
+        });
+    }
+
+    /**
+     * Checks a definition and normalizes it
+     *
+     * @param {LanguageDefinition} definition - Language definition
+     * @returns {Object} { id, extensions, parse, resolveImport }
+     * @throws {Error} When the definition is incomplete or conflicts with another language
+     */
+    validate(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            throw new Error('A language needs an id');
+        }
+
+        const id = definition.id;
+        if (this.builtInLanguages.has(id) || this.languages.has(id)) {
+            throw new Error(`Language '${id}' is already registered`);
+        }
+
+        if (typeof definition.parse !== 'function') {
+            throw new Error(`Language '${id}' needs a parse function`);
+        }
+
+        if (definition.resolveImport !== undefined && typeof definition.resolveImport !== 'function') {
+            throw new Error(`The resolveImport of language '${id}' must be a function`);
+        }
+
+        if (!Array.isArray(definition.extensions) || definition.extensions.length === 0) {
+            throw new Error(`Language '${id}' needs at least one file extension`);
+        }
+
+        const extensions = definition.extensions.map(extension => {
+            if (typeof extension !== 'string' || !/^\.[\w.-]+$/.test(extension)) {
+                throw new Error(`Language '${id}' has an invalid file extension '${extension}' (expected e.g. '.acme')`);
+            }
+
+            const normalized = extension.toLowerCase();
+            const owner = this.getLanguageForExtension(normalized);
+            if (this.builtInExtensions.has(normalized) || owner) {
+                throw new Error(`File extension '${extension}' already belongs to ${owner ? `language '${owner}'` : 'a built-in language'}`);
+            }
+            return normalized;
+        });
+
+        return {
+            id,
+            extensions,
+            parse: definition.parse,
+            resolveImport: definition.resolveImport || null
+        };
+    }
+
+    /**
+     * Gets a registered language
+     *
+     * @param {string} id - Language ID
+     * @returns {Object|null} Normalized definition, or null
+     */
+    get(id) {
+        return this.languages.get(id) || null;
+    }
+
+    /**
+     * Finds the registered language claiming a file extension
+     *
+     * @param {string} extension - Extension with the dot, lowercase
+     * @returns {string|null} Language ID, or null
+     */
+    getLanguageForExtension(extension) {
+        for (const language of this.languages.values()) {
+            if (language.extensions.includes(extension)) {
+                return language.id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lists the IDs of the registered languages
+     *
+     * @returns {Array<string>} Language IDs
+     */
+    getLanguageIds() {
+        return Array.from(this.languages.keys());
+    }
+
+    /**
+     * Lists the file extensions of all registered languages
+     *
+     * @returns {Array<string>} Extensions with the dot
+     */
+    getExtensions() {
+        return Array.from(this.languages.values()).flatMap(language => language.extensions);
+    }
+
+    /**
+     * Disposes the change event
+     */
+    dispose() {
+        this.languages.clear();
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = LanguageRegistry;
@@ -0,0 +1,203 @@
+/**
+ * Parse Cache Module
+ *
+ * Keeps parsed file data between sessions, in the workspace's storage folder
+ * (`context.storageUri`), so a graph opens without re-parsing unchanged files:
+ * - Entries are keyed by file path and checked against a hash of the content;
+ *   the file's modification time and size are kept too, so an untouched file
+ *   is reused without reading it
+ * - The whole cache is dropped when the parser version changes
+ * - Entries of files a full scan no longer finds are evicted (see `retain`)
+ *
+ * Only built-in languages are cached: the parsers of registered languages
+ * aren't versioned.
+ */
+
+const vscode = require('vscode');
+const crypto = require('crypto');
+
+const CACHE_FILE = 'parse-cache.json';
+
+// Delay before changes made outside a full scan (file watcher updates) are written
+const SAVE_DELAY = 5000;
+
+class ParseCache {
+    /**
+     * @param {vscode.Uri|undefined} storageUri - Workspace storage folder;
+     *   without one (no folder open) the cache lives in memory only
+     * @param {string} version - Parser version; a cache written by another
+     *   version is discarded
+     */
+    constructor(storageUri, version) {
+        this.fileUri = storageUri ? vscode.Uri.joinPath(storageUri, CACHE_FILE) : null;
+        this.storageUri = storageUri;
+        this.version = version;
+        this.entries = new Map(); // File path -> { hash, mtime, size, data }
+        this.loaded = false;
+        this.changed = false;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Hashes file content
+     *
+     * @param {string} content - File content
+     * @returns {string} Hex digest
+     */
+    static hash(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /**
+     * Reads the cache from storage, once
+     */
+    async load() {
+        if (this.loaded) {
+            return;
+        }
+        this.loaded = true;
+
+        if (!this.fileUri) {
+            return;
+        }
+
+        try {
+            const cache = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(this.fileUri)).toString('utf8'));
+
+            if (cache.version !== this.version || !cache.entries) {
+                console.log('Code Connect: parse cache is from another parser version, discarding it');
+                this.changed = true;
+                return;
+            }
+
+            // Entries read from disk go after any set while loading
+            this.entries = new Map([...Object.entries(cache.entries), ...this.entries]);
+            console.log(`Code Connect: loaded ${this.entries.size} cached file(s)`);
+        } catch (error) {
+            if (!(error instanceof vscode.FileSystemError)) {
+                console.error('Code Connect: failed to read the parse cache:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Gets the data of a file that hasn't changed on disk since it was cached
+     *
+     * @param {string} filePath - Absolute path
+     * @param {vscode.FileStat} stat - Current file stat
+     * @returns {Object|null} Parsed file data, or null
+     */
+    lookup(filePath, stat) {
+        const entry = this.entries.get(filePath);
+        return entry && entry.mtime !== null && entry.mtime === stat.mtime && entry.size === stat.size
+            ? entry.data
+            : null;
+    }
+
+    /**
+     * Gets the data of a file whose content hasn't changed since it was cached
+     *
+     * @param {string} filePath - Absolute path
+     * @param {string} hash - Hash of the current content (see `ParseCache.hash`)
+     * @returns {Object|null} Parsed file data, or null
+     */
+    get(filePath, hash) {
+        const entry = this.entries.get(filePath);
+        return entry && entry.hash === hash ? entry.data : null;
+    }
+
+    /**
+     * Stores the data of a file
+     *
+     * @param {string} filePath - Absolute path
+     * @param {string} hash - Hash of the parsed content
+     * @param {vscode.FileStat|null} stat - Stat of the file the content was read
+     *   from, or null when it came from an unsaved editor
+     * @param {Object} data - Parsed file data
+     */
+    set(filePath, hash, stat, data) {
+        this.entries.set(filePath, {
+            hash,
+            mtime: stat ? stat.mtime : null,
+            size: stat ? stat.size : null,
+            data
+        });
+        this.changed = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Evicts the entry of a file
+     *
+     * @param {string} filePath - Absolute path
+     */
+    delete(filePath) {
+        if (this.entries.delete(filePath)) {
+            this.changed = true;
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Evicts the entries of files that aren't in a list
+     * Called after a full scan with the files it found.
+     *
+     * @param {Iterable<string>} filePaths - Paths to keep
+     */
+    retain(filePaths) {
+        const keep = new Set(filePaths);
+
+        for (const filePath of this.entries.keys()) {
+            if (!keep.has(filePath)) {
+                this.entries.delete(filePath);
+                this.changed = true;
+            }
+        }
+    }
+
+    /**
+     * Writes the cache to storage after a delay, batching watcher updates
+     */
+    scheduleSave() {
+        if (!this.fileUri || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Writes the cache to storage if it changed
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        if (!this.fileUri || !this.changed) {
+            return;
+        }
+        this.changed = false;
+
+        try {
+            const cache = { version: this.version, entries: Object.fromEntries(this.entries) };
+            await vscode.workspace.fs.createDirectory(this.storageUri);
+            await vscode.workspace.fs.writeFile(this.fileUri, Buffer.from(JSON.stringify(cache), 'utf8'));
+        } catch (error) {
+            this.changed = true;
+            console.error('Code Connect: failed to write the parse cache:', error.message);
+        }
+    }
+
+    /**
+     * Writes pending changes
+     * Called when the extension is deactivated
+     */
+    dispose() {
+        return this.save();
+    }
+}
+
+module.exports = ParseCache;
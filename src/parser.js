@@ -4,22 +4,107 @@
  * Handles AST (Abstract Syntax Tree) parsing for:
  * - JavaScript/JSX
  * - TypeScript/TSX
- * - Python
+ * - Python (via the tokenizer-backed parser in ./parsers/python)
+ * - Go (via the tokenizer-backed parser in ./parsers/go)
+ * - Java and Kotlin (via the tokenizer-backed parsers in ./parsers/java and ./parsers/kotlin)
+ * - C and C++ (via the tokenizer-backed parser in ./parsers/c)
+ * - Rust (via the tokenizer-backed parser in ./parsers/rust)
+ * - Jupyter notebooks (each Python code cell parsed on its own)
+ * - Languages other extensions register through the public API
+ *   (see ./languageRegistry)
+ * - Vue, Svelte and Astro components (script blocks parsed as JS/TS)
  * 
  * Extracts:
- * - Function definitions (name, location, parameters)
- * - Import statements
- * - Export statements
+ * - Function definitions (name, location, parameters, complexity metrics)
+ * - Class definitions (with extends / implements)
+ * - TypeScript interfaces, type aliases and enums, and type-only imports
+ * - Import statements (ES modules, CommonJS require() and dynamic import(), #include, use/mod)
+ * - Re-exports (export * from, export { a } from) for barrel tracing
+ * - Export statements (ES modules and module.exports / exports.foo)
  * - Function calls and relationships
+ * - Instances (x = new Foo()) used to resolve member calls
+ * - Component tags used in Vue/Svelte/Astro markup
+ * - Parse errors (recovered and fatal), so callers can report them
  */
 
 const babel = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const path = require('path');
+const PythonParser = require('./parsers/python');
+const GoParser = require('./parsers/go');
+const JavaParser = require('./parsers/java');
+const KotlinParser = require('./parsers/kotlin');
+const CParser = require('./parsers/c');
+const RustParser = require('./parsers/rust');
+const { computeFunctionMetrics } = require('./parsers/javascriptMetrics');
+const { extractScripts, findComponentTags } = require('./parsers/component');
+const { extractCells } = require('./parsers/notebook');
+
+// AST nodes whose subtree is only ever evaluated by the type checker
+const TYPE_CONTEXTS = new Set([
+    'TSTypeAnnotation',
+    'TSTypeReference',
+    'TSTypeQuery',
+    'TSTypeParameterInstantiation',
+    'TSExpressionWithTypeArguments',
+    'TSInterfaceHeritage',
+    'TSClassImplements',
+    'TSTypeAliasDeclaration',
+    'TSInterfaceDeclaration'
+]);
+
+// Field each entry of a registered parser's arrays must carry as a string;
+// entries without it are dropped instead of failing the graph build
+const REQUIRED_FIELDS = {
+    classes: 'name',
+    types: 'name',
+    functions: 'name',
+    imports: 'source',
+    exports: 'name',
+    calls: 'name',
+    instances: 'name',
+    errors: 'message'
+};
+
+// Built-in language -> method parsing it, called with (filePath, content, language)
+const BUILT_IN_PARSERS = {
+    javascript: 'parseJavaScript',
+    typescript: 'parseJavaScript',
+    python: 'parsePython',
+    go: 'parseGo',
+    java: 'parseJvm',
+    kotlin: 'parseJvm',
+    c: 'parseC',
+    cpp: 'parseC',
+    rust: 'parseRust',
+    notebook: 'parseNotebook',
+    vue: 'parseComponent',
+    svelte: 'parseComponent',
+    astro: 'parseComponent'
+};
 
 class Parser {
-    constructor() {
-        this.supportedLanguages = ['javascript', 'typescript', 'python'];
+    /**
+     * @param {LanguageRegistry} [languages] - Languages registered by other extensions
+     */
+    constructor(languages = null) {
+        this.languages = languages;
+        this.pythonParser = new PythonParser();
+        this.goParser = new GoParser();
+        this.javaParser = new JavaParser();
+        this.kotlinParser = new KotlinParser();
+        this.cParser = new CParser();
+        this.rustParser = new RustParser();
+    }
+
+    /**
+     * Languages that can be parsed: the built-in ones and those registered
+     * by other extensions
+     * 
+     * @returns {Array<string>} Language IDs
+     */
+    get supportedLanguages() {
+        return [...Parser.BUILT_IN_LANGUAGES, ...(this.languages ? this.languages.getLanguageIds() : [])];
     }
 
     /**
@@ -36,19 +121,17 @@ class Parser {
         }
 
         try {
-            let result;
-
-            if (language === 'javascript' || language === 'typescript') {
-                result = this.parseJavaScript(filePath, content, language);
-            } else if (language === 'python') {
-                result = this.parsePython(filePath, content);
-            }
+            const method = BUILT_IN_PARSERS[language];
 
-            return result;
+            return method
+                ? this[method](filePath, content, language)
+                : await this.parseRegistered(filePath, content, language);
         } catch (error) {
             console.error(`Parse error in ${filePath}:`, error.message);
             // Return minimal data structure on parse failure
-            return this.createEmptyFileData(filePath, language);
+            const fileData = this.createEmptyFileData(filePath, language);
+            fileData.errors.push(this.createParseError(error, true));
+            return fileData;
         }
     }
 
@@ -58,15 +141,21 @@ class Parser {
      * @param {string} filePath - File path
      * @param {string} content - File content
      * @param {string} language - 'javascript' or 'typescript'
+     * @param {Object} offset - 0-based position of `content` in the file
+     *   (for script blocks embedded in component files)
      * @returns {Object} Parsed file data
      */
-    parseJavaScript(filePath, content, language) {
+    parseJavaScript(filePath, content, language, offset = { line: 0, column: 0 }) {
         const fileData = this.createEmptyFileData(filePath, language);
+        const typeNames = new Set(); // Identifiers referenced in type positions
 
         try {
             // Parse with Babel
             const ast = babel.parse(content, {
                 sourceType: 'module',
+                allowReturnOutsideFunction: true,
+                startLine: offset.line + 1,
+                startColumn: offset.column,
                 plugins: [
                     'jsx',
                     'typescript',
@@ -82,8 +171,46 @@ class Parser {
                 errorRecovery: true
             });
 
+            // Syntax errors Babel recovered from: the file is still analysed
+            (ast.errors || []).forEach(error => {
+                fileData.errors.push(this.createParseError(error, false));
+            });
+
             // Traverse the AST to extract information
             traverse(ast, {
+                // Once all imports and type references are known, mark the
+                // imports that are only used as types
+                Program: {
+                    exit: (programPath) => {
+                        this.markTypeOnlyImports(programPath, fileData, typeNames);
+                    }
+                },
+
+                // Extract interfaces, type aliases and enums
+                TSInterfaceDeclaration: (nodePath) => {
+                    this.extractType(nodePath, fileData, 'interface');
+                },
+
+                TSTypeAliasDeclaration: (nodePath) => {
+                    this.extractType(nodePath, fileData, 'type');
+                },
+
+                TSEnumDeclaration: (nodePath) => {
+                    this.extractType(nodePath, fileData, 'enum');
+                },
+
+                // Collect names used in type positions (annotations, generics, typeof)
+                TSTypeReference: (nodePath) => {
+                    typeNames.add(this.getRootName(nodePath.node.typeName));
+                },
+
+                TSTypeQuery: (nodePath) => {
+                    typeNames.add(this.getRootName(nodePath.node.exprName));
+                },
+
+                TSExpressionWithTypeArguments: (nodePath) => {
+                    typeNames.add(this.getRootName(nodePath.node.expression));
+                },
                 // Extract function declarations
                 FunctionDeclaration: (nodePath) => {
                     this.extractFunction(nodePath, fileData, 'function');
@@ -98,11 +225,32 @@ class Parser {
                     }
                 },
 
+                // Extract classes
+                ClassDeclaration: (nodePath) => {
+                    this.extractClass(nodePath, fileData);
+                },
+
+                ClassExpression: (nodePath) => {
+                    this.extractClass(nodePath, fileData);
+                },
+
                 // Extract class methods
                 ClassMethod: (nodePath) => {
                     this.extractFunction(nodePath, fileData, 'method');
                 },
 
+                ClassPrivateMethod: (nodePath) => {
+                    this.extractFunction(nodePath, fileData, 'method');
+                },
+
+                // Extract arrow functions assigned to class fields: handle = () => {}
+                ClassProperty: (nodePath) => {
+                    const value = nodePath.node.value;
+                    if (value && (value.type === 'ArrowFunctionExpression' || value.type === 'FunctionExpression')) {
+                        this.extractFunction(nodePath, fileData, 'method');
+                    }
+                },
+
                 // Extract imports
                 ImportDeclaration: (nodePath) => {
                     this.extractImport(nodePath, fileData, filePath);
@@ -110,29 +258,60 @@ class Parser {
 
                 // Extract exports
                 ExportNamedDeclaration: (nodePath) => {
-                    this.extractExport(nodePath, fileData, 'named');
+                    if (nodePath.node.source) {
+                        this.extractReExport(nodePath, fileData, filePath);
+                    } else {
+                        this.extractExport(nodePath, fileData, 'named');
+                    }
                 },
 
                 ExportDefaultDeclaration: (nodePath) => {
                     this.extractExport(nodePath, fileData, 'default');
                 },
 
-                // Extract function calls
+                // Extract CommonJS exports (module.exports = ..., exports.foo = ...)
+                AssignmentExpression: (nodePath) => {
+                    this.extractCommonJSExport(nodePath, fileData);
+                },
+
+                // Extract instances (x = new Foo()) for member call resolution
+                NewExpression: (nodePath) => {
+                    this.extractInstance(nodePath, fileData);
+                },
+
+                // Extract re-exports (export * from './x')
+                ExportAllDeclaration: (nodePath) => {
+                    this.extractReExport(nodePath, fileData, filePath);
+                },
+
+                // Extract function calls, CommonJS require() and dynamic import()
                 CallExpression: (nodePath) => {
+                    const node = nodePath.node;
+
+                    if (node.callee.type === 'Import') {
+                        if (this.getStaticSpecifier(node)) {
+                            this.extractCallImport(nodePath, fileData, filePath, 'dynamic');
+                        }
+                        return;
+                    }
+
+                    if (this.isRequireCall(nodePath)) {
+                        this.extractCallImport(nodePath, fileData, filePath, 'static');
+                    }
                     this.extractFunctionCall(nodePath, fileData);
                 }
             });
 
         } catch (error) {
             console.error(`Babel parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
         }
 
         return fileData;
     }
 
     /**
-     * Parses Python files using regex-based extraction
-     * (Note: For production, consider using a Python AST parser via child process)
+     * Parses Python files with the tokenizer-backed PythonParser
      * 
      * @param {string} filePath - File path
      * @param {string} content - File content
@@ -142,103 +321,232 @@ class Parser {
         const fileData = this.createEmptyFileData(filePath, 'python');
 
         try {
-            const lines = content.split('\n');
-
-            // Extract function definitions
-            const functionRegex = /^\s*def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/gm;
-            let match;
-
-            while ((match = functionRegex.exec(content)) !== null) {
-                const functionName = match[1];
-                const startLine = content.substring(0, match.index).split('\n').length - 1;
-
-                fileData.functions.push({
-                    name: functionName,
-                    type: 'function',
-                    line: startLine,
-                    endLine: this.findPythonFunctionEnd(lines, startLine),
-                    params: this.extractPythonParams(match[0])
-                });
-            }
+            this.pythonParser.parse(content, fileData);
+        } catch (error) {
+            console.error(`Python parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
+        }
 
-            // Extract imports
-            const importRegex = /^\s*(?:from\s+([\w.]+)\s+)?import\s+(.+?)(?:\s+as\s+\w+)?$/gm;
+        return fileData;
+    }
 
-            while ((match = importRegex.exec(content)) !== null) {
-                const fromModule = match[1];
-                const importedItems = match[2].split(',').map(s => s.trim());
+    /**
+     * Parses Go files with the tokenizer-backed GoParser
+     * 
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @returns {Object} Parsed file data
+     */
+    parseGo(filePath, content) {
+        const fileData = this.createEmptyFileData(filePath, 'go');
 
-                importedItems.forEach(item => {
-                    fileData.imports.push({
-                        source: fromModule || item,
-                        imported: fromModule ? item : '*',
-                        line: content.substring(0, match.index).split('\n').length - 1
-                    });
-                });
-            }
+        try {
+            this.goParser.parse(content, fileData);
+        } catch (error) {
+            console.error(`Go parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
+        }
 
-            // Extract function calls (simplified)
-            const callRegex = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/g;
+        return fileData;
+    }
 
-            while ((match = callRegex.exec(content)) !== null) {
-                const calledFunction = match[1];
-                const line = content.substring(0, match.index).split('\n').length - 1;
+    /**
+     * Parses Java and Kotlin files with the tokenizer-backed JVM parsers
+     * 
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @param {string} language - 'java' or 'kotlin'
+     * @returns {Object} Parsed file data
+     */
+    parseJvm(filePath, content, language) {
+        const fileData = this.createEmptyFileData(filePath, language);
+        const parser = language === 'java' ? this.javaParser : this.kotlinParser;
 
-                // Avoid built-in functions and keywords
-                const builtins = ['print', 'len', 'range', 'str', 'int', 'list', 'dict', 'set'];
-                if (!builtins.includes(calledFunction)) {
-                    fileData.calls.push({
-                        name: calledFunction,
-                        line: line
-                    });
-                }
-            }
+        try {
+            parser.parse(content, fileData);
+        } catch (error) {
+            console.error(`${language === 'java' ? 'Java' : 'Kotlin'} parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
+        }
+
+        return fileData;
+    }
 
+    /**
+     * Parses C and C++ files with the tokenizer-backed C-family parser
+     * 
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @param {string} language - 'c' or 'cpp'
+     * @returns {Object} Parsed file data
+     */
+    parseC(filePath, content, language) {
+        const fileData = this.createEmptyFileData(filePath, language);
+
+        try {
+            this.cParser.parse(content, fileData);
         } catch (error) {
-            console.error(`Python parse error in ${filePath}:`, error.message);
+            console.error(`${language === 'c' ? 'C' : 'C++'} parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
         }
 
         return fileData;
     }
 
     /**
-     * Finds the end line of a Python function definition
+     * Parses Rust files with the tokenizer-backed RustParser
      * 
-     * @param {Array<string>} lines - File lines
-     * @param {number} startLine - Function start line
-     * @returns {number} End line number
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @returns {Object} Parsed file data
      */
-    findPythonFunctionEnd(lines, startLine) {
-        const indentMatch = lines[startLine].match(/^(\s*)/);
-        const baseIndent = indentMatch ? indentMatch[1].length : 0;
+    parseRust(filePath, content) {
+        const fileData = this.createEmptyFileData(filePath, 'rust');
 
-        for (let i = startLine + 1; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.trim() === '') continue;
+        try {
+            this.rustParser.parse(content, fileData);
+        } catch (error) {
+            console.error(`Rust parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
+        }
 
-            const lineIndent = line.match(/^(\s*)/)[1].length;
-            if (lineIndent <= baseIndent && line.trim().length > 0) {
-                return i - 1;
-            }
+        return fileData;
+    }
+
+    /**
+     * Parses Jupyter notebooks. Each Python code cell is parsed on its own,
+     * so a syntax error stays in its cell; everything found carries the
+     * cell's index, with lines counted from the start of the cell. The
+     * result is Python file data marked `notebook`, with the code cells
+     * listed in `cells`.
+     * 
+     * @param {string} filePath - File path
+     * @param {string} content - Notebook file content (JSON)
+     * @returns {Object} Parsed file data
+     */
+    parseNotebook(filePath, content) {
+        const fileData = this.createEmptyFileData(filePath, 'python');
+        fileData.notebook = true;
+        fileData.cells = [];
+
+        try {
+            extractCells(content).forEach(cell => {
+                const cellData = this.parsePython(filePath, cell.source);
+
+                // A cell that fails to parse leaves the rest of the notebook intact
+                cellData.errors.forEach(error => {
+                    error.fatal = false;
+                });
+
+                Object.keys(cellData)
+                    .filter(key => Array.isArray(cellData[key]))
+                    .forEach(key => fileData[key].push(...cellData[key].map(entry => ({ ...entry, cell: cell.index }))));
+
+                fileData.cells.push({
+                    index: cell.index,
+                    line: 0,
+                    endLine: Math.max(cell.lineCount - 1, 0),
+                    executionCount: cell.executionCount
+                });
+            });
+        } catch (error) {
+            console.error(`Notebook parse error in ${filePath}:`, error.message);
+            fileData.errors.push(this.createParseError(error, true));
         }
 
-        return lines.length - 1;
+        return fileData;
     }
 
     /**
-     * Extracts parameters from a Python function definition
+     * Parses a file of a language registered by another extension. The
+     * returned data is completed to the standard shape: missing arrays are
+     * empty, entries missing their name (or an import its source) are left
+     * out, and the path and language are always the file's.
      * 
-     * @param {string} defLine - The function definition line
-     * @returns {Array<string>} Parameter names
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @param {string} language - Registered language ID
+     * @returns {Promise<Object>} Parsed file data
      */
-    extractPythonParams(defLine) {
-        const paramsMatch = defLine.match(/\(([^)]*)\)/);
-        if (!paramsMatch || !paramsMatch[1]) return [];
+    async parseRegistered(filePath, content, language) {
+        const result = await this.languages.get(language).parse(filePath, content);
+        const data = result && typeof result === 'object' ? result : {};
+        const fileData = { ...data, ...this.createEmptyFileData(filePath, language) };
+
+        Object.keys(fileData)
+            .filter(key => Array.isArray(fileData[key]) && Array.isArray(data[key]))
+            .forEach(key => {
+                const field = REQUIRED_FIELDS[key];
+                const entries = data[key].filter(entry =>
+                    entry !== null && typeof entry === 'object' && (!field || typeof entry[field] === 'string'));
 
-        return paramsMatch[1]
-            .split(',')
-            .map(p => p.trim().split('=')[0].trim())
-            .filter(p => p && p !== 'self' && p !== 'cls');
+                if (entries.length < data[key].length) {
+                    console.warn(`Parser of language '${language}' returned ${data[key].length - entries.length} malformed ${key} for ${filePath}; they were left out`);
+                }
+
+                // Lines are 0-based numbers everywhere else; default them so ranges stay valid
+                fileData[key] = entries.map(entry =>
+                    Number.isInteger(entry.line) && entry.line >= 0 ? entry : { ...entry, line: 0 });
+            });
+
+        return fileData;
+    }
+
+    /**
+     * Converts a parser exception or recovered error into an error entry
+     * 
+     * @param {Error} error - Error thrown or recovered by the parser
+     * @param {boolean} fatal - Whether parsing stopped (the file's data is incomplete)
+     * @returns {Object} { message, line, column, fatal } with 0-based line/column
+     */
+    createParseError(error, fatal) {
+        const loc = error.loc || {};
+
+        return {
+            // Babel appends "(line:column)" to its messages
+            message: String(error.message).replace(/\s*\(\d+:\d+\)$/, ''),
+            line: loc.line ? loc.line - 1 : 0,
+            column: loc.column || 0,
+            fatal: fatal
+        };
+    }
+
+    /**
+     * Parses a Vue, Svelte or Astro component: each script block is parsed
+     * as JavaScript/TypeScript at its position in the file, and component
+     * tags in the markup are recorded for `renders` edges
+     * 
+     * @param {string} filePath - File path
+     * @param {string} content - File content
+     * @param {string} language - 'vue', 'svelte' or 'astro'
+     * @returns {Object} Parsed file data
+     */
+    parseComponent(filePath, content, language) {
+        const fileData = this.createEmptyFileData(filePath, language);
+
+        extractScripts(content, language).forEach(block => {
+            // <script src="./logic.js"> pulls the code in from another file
+            if (block.src) {
+                fileData.imports.push({
+                    source: this.resolveImportSource(block.src, filePath),
+                    imported: '*',
+                    local: null,
+                    kind: 'static',
+                    line: block.line
+                });
+                return;
+            }
+
+            const blockData = this.parseJavaScript(filePath, block.content, block.language, block);
+
+            Object.keys(blockData)
+                .filter(key => Array.isArray(blockData[key]))
+                .forEach(key => fileData[key].push(...blockData[key]));
+        });
+
+        fileData.components = findComponentTags(content, language);
+
+        return fileData;
     }
 
     /**
@@ -257,7 +565,11 @@ class Parser {
         } else if (functionType === 'variable' && node.id) {
             functionName = node.id.name;
         } else if (functionType === 'method' && node.key) {
-            functionName = node.key.name || node.key.value;
+            functionName = node.key.type === 'PrivateName'
+                ? '#' + node.key.id.name
+                : node.key.name || node.key.value;
+        } else if (functionType === 'assignment') {
+            functionName = node.left.property.name;
         }
 
         const functionInfo = {
@@ -265,12 +577,107 @@ class Parser {
             type: functionType,
             line: node.loc ? node.loc.start.line - 1 : 0,
             endLine: node.loc ? node.loc.end.line - 1 : 0,
-            params: this.extractParams(node)
+            params: this.extractParams(node),
+            metrics: computeFunctionMetrics(this.getFunctionPath(nodePath, functionType))
         };
 
+        if (functionType === 'method') {
+            const classPath = nodePath.parentPath && nodePath.parentPath.parentPath;
+            functionInfo.className = classPath ? this.getClassName(classPath) : null;
+        }
+
         fileData.functions.push(functionInfo);
     }
 
+    /**
+     * Finds the function node itself for the paths extractFunction receives
+     * (declarator, class field and assignment paths wrap the function)
+     * 
+     * @param {Object} nodePath - Babel node path passed to extractFunction
+     * @param {string} functionType - Type of function
+     * @returns {Object} Babel path of the function
+     */
+    getFunctionPath(nodePath, functionType) {
+        if (functionType === 'variable') {
+            return nodePath.get('init');
+        }
+        if (functionType === 'assignment') {
+            return nodePath.get('right');
+        }
+        if (nodePath.isClassProperty()) {
+            return nodePath.get('value');
+        }
+        return nodePath;
+    }
+
+    /**
+     * Extracts class information from a ClassDeclaration or ClassExpression
+     * Records the `extends` clause and TypeScript `implements` list so the
+     * graph can draw inheritance edges
+     * 
+     * @param {Object} nodePath - Babel node path
+     * @param {Object} fileData - File data object to populate
+     */
+    extractClass(nodePath, fileData) {
+        const node = nodePath.node;
+
+        fileData.classes.push({
+            name: this.getClassName(nodePath),
+            line: node.loc ? node.loc.start.line - 1 : 0,
+            endLine: node.loc ? node.loc.end.line - 1 : 0,
+            bases: node.superClass ? [this.getExpressionName(node.superClass)].filter(Boolean) : [],
+            implements: (node.implements || [])
+                .map(impl => this.getExpressionName(impl.expression || impl.id))
+                .filter(Boolean)
+        });
+    }
+
+    /**
+     * Determines the name of a class, falling back to the variable it is
+     * assigned to for class expressions (`const Foo = class {}`)
+     * 
+     * @param {Object} classPath - Babel node path of the class
+     * @returns {string} Class name, or 'anonymous'
+     */
+    getClassName(classPath) {
+        const node = classPath.node;
+
+        if (node.id) {
+            return node.id.name;
+        }
+
+        const parent = classPath.parent;
+        if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+            return parent.id.name;
+        }
+
+        return 'anonymous';
+    }
+
+    /**
+     * Converts an identifier or member chain (`React.Component`,
+     * TS qualified names like `ns.IService`) to dotted text
+     * 
+     * @param {Object} node - AST node
+     * @returns {string|null} Dotted name, or null for other expressions
+     */
+    getExpressionName(node) {
+        if (!node) {
+            return null;
+        } else if (node.type === 'Identifier') {
+            return node.name;
+        } else if (node.type === 'ThisExpression') {
+            return 'this';
+        } else if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed) {
+            const object = this.getExpressionName(node.object);
+            return object ? `${object}.${node.property.name}` : null;
+        } else if (node.type === 'TSQualifiedName') {
+            const left = this.getExpressionName(node.left);
+            return left ? `${left}.${node.right.name}` : null;
+        }
+        return null;
+    }
+
     /**
      * Extracts function parameters from a node
      * 
@@ -283,6 +690,10 @@ class Parser {
         // For variable declarators, get params from the init function
         if (node.type === 'VariableDeclarator' && node.init) {
             params = node.init.params || [];
+        } else if (node.type === 'AssignmentExpression') {
+            params = node.right.params || [];
+        } else if (node.type === 'ClassProperty') {
+            params = node.value.params || [];
         } else {
             params = node.params || [];
         }
@@ -308,13 +719,21 @@ class Parser {
      */
     extractImport(nodePath, fileData, currentFile) {
         const node = nodePath.node;
-        const source = node.source.value;
+        const resolvedSource = this.resolveImportSource(node.source.value, currentFile);
+        const line = node.loc ? node.loc.start.line - 1 : 0;
 
-        // Resolve relative import paths
-        let resolvedSource = source;
-        if (source.startsWith('.')) {
-            const currentDir = path.dirname(currentFile);
-            resolvedSource = path.resolve(currentDir, source);
+        const declarationTypeOnly = node.importKind === 'type' || node.importKind === 'typeof';
+
+        // Side-effect import: import './polyfills'
+        if (node.specifiers.length === 0) {
+            fileData.imports.push({
+                source: resolvedSource,
+                imported: '*',
+                local: null,
+                kind: 'static',
+                line: line
+            });
+            return;
         }
 
         node.specifiers.forEach(spec => {
@@ -332,11 +751,318 @@ class Parser {
                 source: resolvedSource,
                 imported: imported,
                 local: spec.local.name,
-                line: node.loc ? node.loc.start.line - 1 : 0
+                kind: 'static',
+                typeOnly: declarationTypeOnly || spec.importKind === 'type',
+                line: line
+            });
+        });
+    }
+
+    /**
+     * Marks imports whose bindings are only referenced in type positions
+     * (annotations, generics, `implements`, interface bodies). TypeScript
+     * erases these, so they are type-level rather than runtime coupling.
+     * 
+     * @param {Object} programPath - Babel path of the Program node
+     * @param {Object} fileData - File data object
+     * @param {Set<string>} typeNames - Names referenced in type positions
+     */
+    markTypeOnlyImports(programPath, fileData, typeNames) {
+        fileData.imports.forEach(imp => {
+            if (imp.typeOnly || !imp.local || imp.kind !== 'static' || !typeNames.has(imp.local)) {
+                return;
+            }
+
+            const binding = programPath.scope.getBinding(imp.local);
+            const usedAsValue = binding && binding.referencePaths.some(ref =>
+                !ref.findParent(parent => TYPE_CONTEXTS.has(parent.node.type))
+            );
+
+            if (binding && !usedAsValue) {
+                imp.typeOnly = true;
+            }
+        });
+    }
+
+    /**
+     * Extracts an interface, type alias or enum declaration
+     * 
+     * @param {Object} nodePath - Babel node path
+     * @param {Object} fileData - File data object
+     * @param {string} kind - 'interface', 'type' or 'enum'
+     */
+    extractType(nodePath, fileData, kind) {
+        const node = nodePath.node;
+        const parentType = nodePath.parent.type;
+
+        fileData.types.push({
+            name: node.id.name,
+            kind: kind,
+            line: node.loc ? node.loc.start.line - 1 : 0,
+            endLine: node.loc ? node.loc.end.line - 1 : 0,
+            exported: parentType === 'ExportNamedDeclaration' || parentType === 'ExportDefaultDeclaration',
+            extends: (node.extends || [])
+                .map(heritage => this.getExpressionName(heritage.expression))
+                .filter(Boolean)
+        });
+    }
+
+    /**
+     * Gets the left-most identifier of a (qualified) name: `ns.A.B` -> `ns`
+     * 
+     * @param {Object} node - Identifier, TSQualifiedName or MemberExpression
+     * @returns {string|null} Root identifier name
+     */
+    getRootName(node) {
+        const name = this.getExpressionName(node);
+        return name ? name.split('.')[0] : null;
+    }
+
+    /**
+     * Extracts re-exports from `export * from`, `export * as ns from`
+     * and `export { a, b as c } from`. Each one is recorded both as an
+     * import of the source module (kind 're-export') and as an export
+     * that remembers where the symbol really comes from, so barrel files
+     * can be traced to the defining file.
+     * 
+     * @param {Object} nodePath - Babel node path
+     * @param {Object} fileData - File data object
+     * @param {string} currentFile - Current file path for resolving relative imports
+     */
+    extractReExport(nodePath, fileData, currentFile) {
+        const node = nodePath.node;
+        const resolvedSource = this.resolveImportSource(node.source.value, currentFile);
+        const line = node.loc ? node.loc.start.line - 1 : 0;
+        const declarationTypeOnly = node.exportKind === 'type';
+
+        // export * from './x'
+        if (node.type === 'ExportAllDeclaration') {
+            fileData.imports.push({
+                source: resolvedSource,
+                imported: '*',
+                local: null,
+                kind: 're-export',
+                typeOnly: declarationTypeOnly,
+                line: line
+            });
+            fileData.exports.push({
+                name: '*',
+                type: 're-export',
+                source: resolvedSource,
+                imported: '*',
+                line: line
+            });
+            return;
+        }
+
+        node.specifiers.forEach(spec => {
+            let imported = '*';
+
+            if (spec.type === 'ExportSpecifier') {
+                imported = spec.local.name || spec.local.value;
+            } else if (spec.type === 'ExportDefaultSpecifier') {
+                imported = 'default';
+            }
+
+            const exported = spec.exported.name || spec.exported.value;
+
+            fileData.imports.push({
+                source: resolvedSource,
+                imported: imported,
+                local: null,
+                kind: 're-export',
+                typeOnly: declarationTypeOnly || spec.exportKind === 'type',
+                line: line
+            });
+            fileData.exports.push({
+                name: exported,
+                type: 're-export',
+                source: resolvedSource,
+                imported: imported,
+                line: line
             });
         });
     }
 
+    /**
+     * Checks whether a call is a CommonJS `require('literal')`. A `require`
+     * declared in the file (a parameter or a local loader) is not CommonJS.
+     * 
+     * @param {Object} nodePath - Babel path of the CallExpression
+     * @returns {boolean} True for require calls with a static specifier
+     */
+    isRequireCall(nodePath) {
+        const node = nodePath.node;
+
+        return node.callee.type === 'Identifier' &&
+            node.callee.name === 'require' &&
+            !nodePath.scope.hasBinding('require') &&
+            this.getStaticSpecifier(node) !== null;
+    }
+
+    /**
+     * Reads the module specifier of a require()/import() call when it is a
+     * string literal or a template literal without expressions
+     * 
+     * @param {Object} node - CallExpression node
+     * @returns {string|null} The specifier, or null if it is computed
+     */
+    getStaticSpecifier(node) {
+        const arg = node.arguments[0];
+
+        if (!arg) {
+            return null;
+        } else if (arg.type === 'StringLiteral') {
+            return arg.value;
+        } else if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) {
+            return arg.quasis[0].value.cooked;
+        }
+        return null;
+    }
+
+    /**
+     * Extracts import information from a require() or import() call
+     * Handles `const x = require()`, `const { a, b: c } = require()`,
+     * `const a = require().a`, `const m = await import()` and bare calls
+     * 
+     * @param {Object} nodePath - Babel node path of the CallExpression
+     * @param {Object} fileData - File data object
+     * @param {string} currentFile - Current file path for resolving relative imports
+     * @param {string} kind - 'static' for require(), 'dynamic' for import()
+     */
+    extractCallImport(nodePath, fileData, currentFile, kind) {
+        const node = nodePath.node;
+        const resolvedSource = this.resolveImportSource(this.getStaticSpecifier(node), currentFile);
+        const line = node.loc ? node.loc.start.line - 1 : 0;
+
+        let parentPath = nodePath.parentPath;
+        let imported = '*';
+
+        // await import('./x')
+        if (parentPath.node.type === 'AwaitExpression') {
+            parentPath = parentPath.parentPath;
+        }
+
+        let parent = parentPath.node;
+
+        // require('./x').member
+        if (parent.type === 'MemberExpression' && !parent.computed &&
+            (parent.object === node || parent.object === nodePath.parent)) {
+            imported = parent.property.name;
+            parent = parentPath.parent;
+        }
+
+        const binding = parent.type === 'VariableDeclarator' ? parent.id : null;
+
+        if (binding && binding.type === 'ObjectPattern' && imported === '*') {
+            binding.properties.forEach(prop => {
+                if (prop.type !== 'ObjectProperty') return;
+
+                const key = prop.key.name || prop.key.value;
+                const value = prop.value.type === 'AssignmentPattern' ? prop.value.left : prop.value;
+
+                fileData.imports.push({
+                    source: resolvedSource,
+                    imported: key,
+                    local: value.type === 'Identifier' ? value.name : key,
+                    kind: kind,
+                    line: line
+                });
+            });
+            return;
+        }
+
+        fileData.imports.push({
+            source: resolvedSource,
+            imported: imported,
+            local: binding && binding.type === 'Identifier' ? binding.name : null,
+            kind: kind,
+            line: line
+        });
+    }
+
+    /**
+     * Resolves a relative import specifier against the importing file
+     * Bare specifiers (packages) are returned unchanged
+     * 
+     * @param {string} source - Import specifier
+     * @param {string} currentFile - Current file path
+     * @returns {string} Absolute path for relative specifiers, otherwise the specifier
+     */
+    resolveImportSource(source, currentFile) {
+        if (source.startsWith('.')) {
+            return path.resolve(path.dirname(currentFile), source);
+        }
+        return source;
+    }
+
+    /**
+     * Extracts CommonJS export information from an assignment
+     * `module.exports = X` is a default export (object literals export each key),
+     * `module.exports.foo = ` and `exports.foo = ` are named exports
+     * 
+     * @param {Object} nodePath - Babel node path of the AssignmentExpression
+     * @param {Object} fileData - File data object
+     */
+    extractCommonJSExport(nodePath, fileData) {
+        const node = nodePath.node;
+        const left = node.left;
+        const line = node.loc ? node.loc.start.line - 1 : 0;
+
+        if (left.type !== 'MemberExpression' || left.computed) {
+            return;
+        }
+
+        if (this.isModuleExports(left)) {
+            if (node.right.type === 'ObjectExpression') {
+                node.right.properties.forEach(prop => {
+                    if ((prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod') && !prop.computed) {
+                        fileData.exports.push({
+                            name: prop.key.name || prop.key.value,
+                            type: 'named',
+                            line: line
+                        });
+                    }
+                });
+            } else {
+                fileData.exports.push({
+                    name: 'default',
+                    type: 'default',
+                    line: line
+                });
+            }
+            return;
+        }
+
+        const isExportsObject = (left.object.type === 'Identifier' && left.object.name === 'exports') ||
+            this.isModuleExports(left.object);
+
+        if (isExportsObject && left.property.type === 'Identifier') {
+            fileData.exports.push({
+                name: left.property.name,
+                type: 'named',
+                line: line
+            });
+
+            if (node.right.type === 'FunctionExpression' || node.right.type === 'ArrowFunctionExpression') {
+                this.extractFunction(nodePath, fileData, 'assignment');
+            }
+        }
+    }
+
+    /**
+     * Checks whether a node is the `module.exports` member expression
+     * 
+     * @param {Object} node - AST node
+     * @returns {boolean} True for `module.exports`
+     */
+    isModuleExports(node) {
+        return node.type === 'MemberExpression' &&
+            !node.computed &&
+            node.object.type === 'Identifier' && node.object.name === 'module' &&
+            node.property.type === 'Identifier' && node.property.name === 'exports';
+    }
+
     /**
      * Extracts export information from AST node
      * 
@@ -362,6 +1088,25 @@ class Parser {
                         type: 'function',
                         line: node.loc ? node.loc.start.line - 1 : 0
                     });
+                } else if (node.declaration.type === 'ClassDeclaration' && node.declaration.id) {
+                    fileData.exports.push({
+                        name: node.declaration.id.name,
+                        type: 'class',
+                        line: node.loc ? node.loc.start.line - 1 : 0
+                    });
+                } else if (node.declaration.type === 'TSInterfaceDeclaration' ||
+                           node.declaration.type === 'TSTypeAliasDeclaration' ||
+                           node.declaration.type === 'TSEnumDeclaration') {
+                    const kinds = {
+                        TSInterfaceDeclaration: 'interface',
+                        TSTypeAliasDeclaration: 'type',
+                        TSEnumDeclaration: 'enum'
+                    };
+                    fileData.exports.push({
+                        name: node.declaration.id.name,
+                        type: kinds[node.declaration.type],
+                        line: node.loc ? node.loc.start.line - 1 : 0
+                    });
                 } else if (node.declaration.type === 'VariableDeclaration') {
                     node.declaration.declarations.forEach(decl => {
                         if (decl.id && decl.id.name) {
@@ -397,17 +1142,59 @@ class Parser {
         const node = nodePath.node;
         let calledName = 'unknown';
 
+        let object;
+
         if (node.callee.type === 'Identifier') {
             calledName = node.callee.name;
-        } else if (node.callee.type === 'MemberExpression') {
+        } else if (node.callee.type === 'MemberExpression' || node.callee.type === 'OptionalMemberExpression') {
             if (node.callee.property && node.callee.property.name) {
                 calledName = node.callee.property.name;
             }
+            // Receiver as dotted text ('this', 'scanner', 'this.scanner'); '' when computed
+            object = this.getExpressionName(node.callee.object) || '';
         }
 
-        fileData.calls.push({
+        const call = {
             name: calledName,
             line: node.loc ? node.loc.start.line - 1 : 0
+        };
+
+        if (object !== undefined) {
+            call.object = object;
+        }
+
+        fileData.calls.push(call);
+    }
+
+    /**
+     * Records which class an identifier or `this.field` holds, from
+     * `const x = new Foo()`, `this.x = new Foo()` and `x = new Foo()` class fields
+     * 
+     * @param {Object} nodePath - Babel node path of the NewExpression
+     * @param {Object} fileData - File data object
+     */
+    extractInstance(nodePath, fileData) {
+        const node = nodePath.node;
+        const parent = nodePath.parent;
+        const className = this.getExpressionName(node.callee);
+        let name = null;
+
+        if (parent.type === 'VariableDeclarator' && parent.init === node) {
+            name = this.getExpressionName(parent.id);
+        } else if (parent.type === 'AssignmentExpression' && parent.right === node) {
+            name = this.getExpressionName(parent.left);
+        } else if (parent.type === 'ClassProperty' && parent.value === node && !parent.computed) {
+            name = `this.${parent.key.name}`;
+        }
+
+        if (!name || !className) {
+            return;
+        }
+
+        fileData.instances.push({
+            name: name,
+            className: className,
+            line: node.loc ? node.loc.start.line - 1 : 0
         });
     }
 
@@ -422,12 +1209,22 @@ class Parser {
         return {
             path: filePath,
             language: language,
+            classes: [],
+            types: [],
             functions: [],
             imports: [],
             exports: [],
-            calls: []
+            calls: [],
+            instances: [],
+            errors: []
         };
     }
 }
 
+Parser.BUILT_IN_LANGUAGES = Object.keys(BUILT_IN_PARSERS);
+
+// Version of the file data the built-in parsers produce; bump it when their
+// output changes so cached results (see ./parseCache) are thrown away
+Parser.VERSION = 1;
+
 module.exports = Parser;
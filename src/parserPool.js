@@ -0,0 +1,245 @@
+/**
+ * Parser Pool Module
+ *
+ * Parses files in worker threads so large scans don't block the extension
+ * host:
+ * - Workers (see ./parserWorker) are started on demand, up to the pool size,
+ *   and stopped again after a while without work
+ * - Files wait in a queue until a worker is free; callers bound how many
+ *   they queue at once (the scanner keeps a few per worker in flight)
+ * - `cancel(group)` drops the queued files of one group (e.g. one scan) and
+ *   stops the workers busy with its files, which are rejected with an error
+ *   whose `cancelled` flag is set; other callers' parses carry on
+ * - A worker that crashes is replaced, and the file it was parsing is
+ *   rejected so the caller can parse it another way
+ */
+
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, 'parserWorker.js');
+
+// Idle workers are stopped after this long, freeing their memory between scans
+const IDLE_TIMEOUT = 30000;
+
+class ParserPool {
+    /**
+     * @param {number} [size] - Number of workers; by default one per CPU core
+     *   but one (left to the extension host), at most 4
+     */
+    constructor(size = 0) {
+        this.size = ParserPool.getSize(size);
+        this.workers = [];
+        this.idleWorkers = [];
+        this.busyWorkers = new Map(); // Worker -> task it is parsing
+        this.queue = [];
+        this.nextTaskId = 1;
+        this.idleTimer = null;
+        this.disposed = false;
+    }
+
+    /**
+     * Gets the number of workers a pool starts at most
+     *
+     * @param {number} [size] - Requested size; 0 picks one for this machine
+     * @returns {number} Number of workers
+     */
+    static getSize(size = 0) {
+        return size > 0 ? Math.floor(size) : Math.max(1, Math.min(os.cpus().length - 1, 4));
+    }
+
+    /**
+     * Parses a file in a worker
+     *
+     * @param {string} filePath - Absolute path to the file
+     * @param {string} content - File content
+     * @param {string} language - Built-in language ID
+     * @param {*} [group] - Groups the parse with others cancelled together
+     * @returns {Promise<Object>} Parsed file data
+     */
+    parse(filePath, content, language, group) {
+        if (this.disposed) {
+            return Promise.reject(new Error('Parser pool is disposed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextTaskId++, filePath, content, language, group, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hands queued files to free workers, starting workers as needed
+     */
+    dispatch() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        while (this.queue.length > 0) {
+            const worker = this.idleWorkers.pop() || (this.workers.length < this.size ? this.startWorker() : null);
+            if (!worker) {
+                break;
+            }
+
+            const task = this.queue.shift();
+            this.busyWorkers.set(worker, task);
+            worker.postMessage({
+                id: task.id,
+                filePath: task.filePath,
+                content: task.content,
+                language: task.language
+            });
+        }
+
+        if (this.busyWorkers.size === 0 && this.workers.length > 0) {
+            this.idleTimer = setTimeout(() => this.stopIdleWorkers(), IDLE_TIMEOUT);
+        }
+    }
+
+    /**
+     * Starts a worker
+     *
+     * @returns {Worker|null} The worker, or null when workers can't be started
+     *   (queued files are then rejected)
+     */
+    startWorker() {
+        let worker;
+        try {
+            worker = new Worker(WORKER_SCRIPT);
+        } catch (error) {
+            console.error('Code Connect: failed to start a parser worker:', error.message);
+            this.rejectQueue(error);
+            return null;
+        }
+
+        worker.on('message', message => this.handleMessage(worker, message));
+        worker.on('error', error => this.handleFailure(worker, error));
+        worker.on('exit', code => {
+            if (this.workers.includes(worker)) {
+                this.handleFailure(worker, new Error(`Parser worker stopped with exit code ${code}`));
+            }
+        });
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Settles the task a worker finished and gives it the next one
+     *
+     * @param {Worker} worker - Worker that answered
+     * @param {Object} message - { id, data } or { id, error }
+     */
+    handleMessage(worker, message) {
+        const task = this.busyWorkers.get(worker);
+        if (!task || task.id !== message.id) {
+            return;
+        }
+
+        this.busyWorkers.delete(worker);
+        this.idleWorkers.push(worker);
+
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve(message.data);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Drops a crashed worker and rejects the file it was parsing
+     *
+     * @param {Worker} worker - Worker that failed
+     * @param {Error} error - Why it failed
+     */
+    handleFailure(worker, error) {
+        const task = this.busyWorkers.get(worker);
+        this.removeWorker(worker);
+        worker.terminate();
+
+        if (task) {
+            console.error(`Code Connect: parser worker failed on ${task.filePath}:`, error.message);
+            task.reject(error);
+        }
+
+        if (!this.disposed) {
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Forgets a worker
+     *
+     * @param {Worker} worker - Worker to forget
+     */
+    removeWorker(worker) {
+        this.workers = this.workers.filter(other => other !== worker);
+        this.idleWorkers = this.idleWorkers.filter(other => other !== worker);
+        this.busyWorkers.delete(worker);
+    }
+
+    /**
+     * Rejects every queued file
+     *
+     * @param {Error} error - Rejection reason
+     */
+    rejectQueue(error) {
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(task => task.reject(error));
+    }
+
+    /**
+     * Cancels queued and running parses
+     * Workers busy with them are stopped; new ones start with the next parse.
+     *
+     * @param {*} [group] - Cancels only the parses of this group; all when omitted
+     */
+    cancel(group) {
+        const error = new Error('Parsing cancelled');
+        error.cancelled = true;
+        const matches = task => group === undefined || task.group === group;
+
+        const cancelled = this.queue.filter(matches);
+        this.queue = this.queue.filter(task => !matches(task));
+        cancelled.forEach(task => task.reject(error));
+
+        for (const [worker, task] of this.busyWorkers) {
+            if (!matches(task)) {
+                continue;
+            }
+            this.removeWorker(worker);
+            worker.terminate();
+            task.reject(error);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Stops the workers that have nothing to do
+     */
+    stopIdleWorkers() {
+        this.idleTimer = null;
+        this.idleWorkers.slice().forEach(worker => {
+            this.removeWorker(worker);
+            worker.terminate();
+        });
+    }
+
+    /**
+     * Cancels all parses and stops every worker
+     * Called when the extension is deactivated
+     */
+    dispose() {
+        this.disposed = true;
+        this.cancel();
+        clearTimeout(this.idleTimer);
+        this.stopIdleWorkers();
+    }
+}
+
+module.exports = ParserPool;
@@ -0,0 +1,25 @@
+/**
+ * Parser Worker
+ *
+ * Runs a Parser in a worker thread for the ParserPool (see ./parserPool):
+ * - Receives { id, filePath, content, language } messages
+ * - Answers { id, data } with the parsed file data, or { id, error } when
+ *   the file can't be parsed here
+ *
+ * Only built-in languages are parsed in workers; languages registered by
+ * other extensions live in the extension host and are parsed there.
+ */
+
+const { parentPort } = require('worker_threads');
+const Parser = require('./parser');
+
+const parser = new Parser();
+
+parentPort.on('message', async ({ id, filePath, content, language }) => {
+    try {
+        const data = await parser.parse(filePath, content, language);
+        parentPort.postMessage({ id, data });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
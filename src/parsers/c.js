@@ -0,0 +1,854 @@
+/**
+ * C/C++ Parser Module
+ *
+ * A lightweight C-family parser working on the token stream produced by
+ * cTokenizer. It recognises declarations by their shape instead of building
+ * a full AST, so it needs no compiler and tolerates unexpanded macros.
+ *
+ * Extracts:
+ * - `#include "x.h"` (local) and `#include <x.h>` (system) directives
+ * - Function definitions, including out-of-class `Foo::bar` methods,
+ *   constructors, destructors and operators; prototypes are exports only
+ * - Classes, structs and unions (`typedef struct { } Name` too), with their
+ *   base classes; namespaces and `extern "C"` blocks are looked into
+ * - Exports: non-static functions and prototypes, and classes at file scope
+ * - Calls, with `obj.f()`, `ptr->f()`, `this->f()` and `Foo::f()` receivers
+ * - Typed variables (`Foo foo;`, `Foo *p = new Bar()`, `auto x = make_unique<Foo>()`),
+ *   used to resolve member calls
+ * - Per-function metrics, computed by tokenMetrics
+ * - Recovered syntax errors: unterminated literals and unbalanced brackets
+ */
+
+const { tokenize } = require('./cTokenizer');
+const { measureFunction } = require('./tokenMetrics');
+const { checkBrackets } = require('./syntaxErrors');
+
+const KEYWORDS = new Set([
+    'alignas', 'alignof', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'char8_t',
+    'char16_t', 'char32_t', 'class', 'co_await', 'co_return', 'co_yield', 'const', 'consteval',
+    'constexpr', 'constinit', 'const_cast', 'continue', 'decltype', 'default', 'delete', 'do',
+    'double', 'dynamic_cast', 'else', 'enum', 'explicit', 'export', 'extern', 'false', 'float',
+    'for', 'friend', 'goto', 'if', 'inline', 'int', 'long', 'mutable', 'namespace', 'new',
+    'noexcept', 'nullptr', 'operator', 'private', 'protected', 'public', 'register',
+    'reinterpret_cast', 'requires', 'restrict', 'return', 'short', 'signed', 'sizeof', 'static',
+    'static_assert', 'static_cast', 'struct', 'switch', 'template', 'this', 'thread_local',
+    'throw', 'true', 'try', 'typedef', 'typeid', 'typename', 'union', 'unsigned', 'using',
+    'virtual', 'void', 'volatile', 'wchar_t', 'while', '_Alignas', '_Alignof', '_Atomic', '_Bool',
+    '_Generic', '_Noreturn', '_Static_assert', '__attribute__', '__declspec', 'defined'
+]);
+
+// Keywords a call may follow (`return foo()`); other names before a call mean a declaration
+const EXPRESSION_KEYWORDS = new Set(['return', 'case', 'else', 'throw', 'co_return', 'co_await', 'co_yield', 'do']);
+
+// Names that may follow a parameter list before the body or `;`
+const QUALIFIERS = new Set(['const', 'volatile', 'noexcept', 'override', 'final', 'throw', 'mutable', 'requires', '__attribute__']);
+
+// Factories whose template argument names the created class
+const FACTORIES = new Set(['make_unique', 'make_shared']);
+
+// Tokens a declaration may follow
+const DECLARATION_OPENERS = new Set(['(', ',', ';', '{', '}', ':', '<']);
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+// Conditional compilation: both branches are read, so their brackets may not balance
+const CONDITIONAL_DIRECTIVE = /^#\s*(if|elif|else)/;
+
+class CParser {
+    /**
+     * Parses C or C++ source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, fileData.errors);
+
+        this.parseScope(tokens, 0, tokens.length, null, fileData);
+
+        if (!tokens.some(token => token.type === 'DIRECTIVE' && CONDITIONAL_DIRECTIVE.test(token.value))) {
+            checkBrackets(tokens, fileData.errors);
+        }
+
+        return fileData;
+    }
+
+    /**
+     * Handles the declarations of a file, namespace or class body
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     */
+    parseScope(tokens, start, end, cls, fileData) {
+        let i = start;
+        let declarationStart = start;
+
+        while (i < end) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (token.type === 'DIRECTIVE') {
+                this.parseDirective(token, fileData);
+                i++;
+                declarationStart = i;
+                continue;
+            }
+
+            if (token.type === 'NAME') {
+                if (token.value === 'namespace') {
+                    i = this.parseNamespace(tokens, i, end, cls, fileData);
+                    declarationStart = i;
+                    continue;
+                }
+
+                // extern "C" { ... }
+                if (token.value === 'extern' && next && next.type === 'STRING' && tokens[i + 2] && tokens[i + 2].value === '{') {
+                    const close = this.findClosingBracket(tokens, i + 2);
+                    this.parseScope(tokens, i + 3, close, cls, fileData);
+                    i = close + 1;
+                    declarationStart = i;
+                    continue;
+                }
+
+                if (token.value === 'template' && next && next.value === '<') {
+                    i = this.skipTemplateArguments(tokens, i + 1);
+                    continue;
+                }
+
+                if ((token.value === 'class' || token.value === 'struct' || token.value === 'union') &&
+                    !this.isName(tokens[i - 1], 'enum')) {
+                    const after = this.parseClass(tokens, i, end, cls, fileData, declarationStart);
+                    if (after !== -1) {
+                        i = after;
+                        declarationStart = i;
+                        continue;
+                    }
+                }
+
+                // Access specifiers in class bodies
+                if (cls && ['public', 'protected', 'private'].includes(token.value) && next && next.value === ':') {
+                    i += 2;
+                    declarationStart = i;
+                    continue;
+                }
+            }
+
+            if (token.value === '(') {
+                const after = this.parseFunction(tokens, i, end, cls, fileData, declarationStart);
+                if (after !== -1) {
+                    i = after;
+                    declarationStart = i;
+                } else {
+                    i = this.findClosingBracket(tokens, i) + 1;
+                }
+                continue;
+            }
+
+            if (token.value === ';') {
+                // Fields and globals: `Foo *foo;`
+                this.collectInstances(tokens, declarationStart, i + 1, fileData);
+                i++;
+                declarationStart = i;
+                continue;
+            }
+
+            if (token.type === 'OP' && OPENING[token.value]) {
+                i = this.findClosingBracket(tokens, i) + 1;
+                continue;
+            }
+
+            i++;
+        }
+    }
+
+    /**
+     * Records `#include` directives as imports; `system` marks the
+     * angle-bracket form (`<stdio.h>`)
+     *
+     * @param {Object} token - DIRECTIVE token
+     * @param {Object} fileData - File data to populate
+     */
+    parseDirective(token, fileData) {
+        const match = token.value.match(/^#\s*include(?:_next)?\s*(?:"([^"]+)"|<([^>]+)>)/);
+        if (!match) {
+            return;
+        }
+
+        fileData.imports.push({
+            source: match[1] || match[2],
+            imported: '*',
+            local: null,
+            kind: 'static',
+            system: !match[1],
+            line: token.line
+        });
+    }
+
+    /**
+     * Handles `namespace a::b { ... }`, whose declarations are scanned like
+     * those of the file (a namespace alias is skipped)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `namespace`
+     * @param {number} limit - End of the enclosing scope
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the namespace
+     */
+    parseNamespace(tokens, index, limit, cls, fileData) {
+        let i = index + 1;
+
+        while (i < limit && tokens[i].value !== '{' && tokens[i].value !== ';' && tokens[i].value !== '=') {
+            i++;
+        }
+
+        if (i >= limit || tokens[i].value !== '{') {
+            while (i < limit && tokens[i].value !== ';') {
+                i++;
+            }
+            return i + 1;
+        }
+
+        const close = this.findClosingBracket(tokens, i);
+        this.parseScope(tokens, i + 1, close, cls, fileData);
+        return close + 1;
+    }
+
+    /**
+     * Handles a class, struct or union definition. Forward declarations and
+     * elaborated types (`struct foo *p;`) are left to the caller.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the keyword
+     * @param {number} limit - End of the enclosing scope
+     * @param {Object|null} outer - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @param {number} declarationStart - Index of the first token of the declaration
+     * @returns {number} Index after the body, or -1 if this is no definition
+     */
+    parseClass(tokens, index, limit, outer, fileData, declarationStart) {
+        let i = index + 1;
+        let nameToken = null;
+
+        // Attributes and export macros: `class [[nodiscard]] API_EXPORT Foo final : public Base {`
+        while (i < limit) {
+            const token = tokens[i];
+            if (token.value === '[' && tokens[i + 1] && tokens[i + 1].value === '[') {
+                i = this.findClosingBracket(tokens, i) + 1;
+            } else if (this.isName(token, '__attribute__') || this.isName(token, '__declspec') || this.isName(token, 'alignas')) {
+                i = tokens[i + 1] && tokens[i + 1].value === '(' ? this.findClosingBracket(tokens, i + 1) + 1 : i + 1;
+            } else if (token.type === 'NAME' && !KEYWORDS.has(token.value) && token.value !== 'final') {
+                nameToken = token;
+                i++;
+                // Qualified (`struct ns::Foo {`) or specialised (`struct hash<Foo> {`)
+                if (tokens[i] && tokens[i].value === '<') {
+                    i = this.skipTemplateArguments(tokens, i);
+                }
+                if (tokens[i] && tokens[i].value === '::') {
+                    i++;
+                }
+            } else {
+                break;
+            }
+        }
+
+        if (this.isName(tokens[i], 'final')) {
+            i++;
+        }
+
+        const bases = [];
+
+        if (tokens[i] && tokens[i].value === ':') {
+            i++;
+            while (i < limit && tokens[i].value !== '{' && tokens[i].value !== ';') {
+                const token = tokens[i];
+
+                if (token.type === 'NAME' && !['public', 'protected', 'private', 'virtual'].includes(token.value)) {
+                    const type = this.readTypeName(tokens, i);
+                    bases.push(type.name);
+                    i = type.next;
+                } else if (token.type === 'OP' && OPENING[token.value]) {
+                    i = this.findClosingBracket(tokens, i) + 1;
+                } else {
+                    i++;
+                }
+            }
+        }
+
+        if (!tokens[i] || tokens[i].value !== '{') {
+            return -1;
+        }
+
+        const close = this.findClosingBracket(tokens, i);
+
+        // typedef struct [tag] { ... } Name;
+        const typedefName = this.isName(tokens[declarationStart], 'typedef') &&
+            tokens[close + 1] && tokens[close + 1].type === 'NAME' ? tokens[close + 1] : null;
+        const name = (typedefName || nameToken || {}).value;
+
+        if (!name) {
+            // Anonymous: still scan the members
+            this.parseScope(tokens, i + 1, close, outer, fileData);
+            return close + 1;
+        }
+
+        const cls = {
+            name: name,
+            kind: tokens[index].value,
+            line: tokens[index].line,
+            endLine: tokens[close].endLine,
+            bases: bases,
+            implements: []
+        };
+        fileData.classes.push(cls);
+
+        if (!outer && !fileData.exports.some(exp => exp.name === name)) {
+            fileData.exports.push({ name: name, type: 'class', line: cls.line });
+        }
+
+        this.parseScope(tokens, i + 1, close, cls, fileData);
+
+        return close + 1;
+    }
+
+    /**
+     * Handles a parameter list at declaration level: a function definition
+     * when a body follows (after qualifiers, a trailing return type or a
+     * constructor initializer list), a prototype when `;` or `= 0` follows
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} open - Index of `(`
+     * @param {number} limit - End of the enclosing scope
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @param {number} declarationStart - Index of the first token of the declaration
+     * @returns {number} Index after the definition, or -1 if there is no body
+     */
+    parseFunction(tokens, open, limit, cls, fileData, declarationStart) {
+        const declarator = this.readFunctionName(tokens, open);
+        if (!declarator || declarator.index < declarationStart) {
+            return -1;
+        }
+
+        const close = this.findClosingBracket(tokens, open);
+        let i = close + 1;
+
+        while (i < limit) {
+            const token = tokens[i];
+
+            if (token.type === 'NAME' && (QUALIFIERS.has(token.value) || /^[A-Z_][A-Z0-9_]*$/.test(token.value))) {
+                // `noexcept(...)`, `throw()`, `__attribute__((...))` and macros like `OVERRIDE`
+                i = tokens[i + 1] && tokens[i + 1].value === '(' ? this.findClosingBracket(tokens, i + 1) + 1 : i + 1;
+            } else if (token.value === '&' || token.value === '&&') {
+                i++;
+            } else if (token.value === '[' && tokens[i + 1] && tokens[i + 1].value === '[') {
+                i = this.findClosingBracket(tokens, i) + 1;
+            } else if (token.value === '->') {
+                // Trailing return type
+                i++;
+                while (i < limit && !['{', ';', '='].includes(tokens[i].value)) {
+                    if (tokens[i].value === '<') {
+                        i = this.skipTemplateArguments(tokens, i);
+                    } else if (OPENING[tokens[i].value]) {
+                        i = this.findClosingBracket(tokens, i) + 1;
+                    } else {
+                        i++;
+                    }
+                }
+            } else {
+                break;
+            }
+        }
+
+        if (this.isName(tokens[i], 'try')) {
+            i++;
+        }
+
+        // Constructor initializer list: `: Base(x), count_{0} {`
+        if (tokens[i] && tokens[i].value === ':') {
+            i++;
+            while (i < limit) {
+                while (i < limit && (tokens[i].type === 'NAME' || tokens[i].value === '::')) {
+                    i++;
+                    if (tokens[i] && tokens[i].value === '<') {
+                        i = this.skipTemplateArguments(tokens, i);
+                    }
+                }
+                if (tokens[i] && (tokens[i].value === '(' || tokens[i].value === '{')) {
+                    i = this.findClosingBracket(tokens, i) + 1;
+                }
+                if (tokens[i] && tokens[i].value === '...') {
+                    i++;
+                }
+                if (!tokens[i] || tokens[i].value !== ',') break;
+                i++;
+            }
+        }
+
+        const modifiers = tokens.slice(declarationStart, declarator.index).map(token => token.value);
+        const className = declarator.className || (cls ? cls.name : null);
+
+        if (!tokens[i] || tokens[i].value !== '{') {
+            // A prototype names a return type before the declarator; a macro call doesn't
+            const isPrototype = tokens[i] && (tokens[i].value === ';' || tokens[i].value === '=') &&
+                declarator.index > declarationStart && !modifiers.includes('typedef');
+
+            if (isPrototype && !cls && !className && !modifiers.includes('static') &&
+                !fileData.exports.some(exp => exp.name === declarator.name)) {
+                fileData.exports.push({ name: declarator.name, type: 'function', line: tokens[declarator.index].line });
+            }
+            return -1;
+        }
+
+        const bodyStart = i;
+        const end = this.findClosingBracket(tokens, bodyStart);
+        const params = this.extractParams(tokens, open + 1, close);
+        const nameToken = tokens[declarator.index];
+
+        fileData.functions.push({
+            name: declarator.name,
+            type: className ? 'method' : 'function',
+            line: nameToken.line,
+            endLine: tokens[end].endLine,
+            params: params,
+            metrics: measureFunction(tokens, declarator.index, end, bodyStart, params.length, fileData.language),
+            className: className
+        });
+
+        if (!className && !modifiers.includes('static') && !fileData.exports.some(exp => exp.name === declarator.name)) {
+            fileData.exports.push({ name: declarator.name, type: 'function', line: nameToken.line });
+        }
+
+        this.collectInstances(tokens, open + 1, close + 1, fileData);
+        this.collectCalls(tokens, bodyStart + 1, end, fileData);
+        this.collectInstances(tokens, bodyStart + 1, end, fileData);
+
+        return end + 1;
+    }
+
+    /**
+     * Reads the declarator before a parameter list: `foo`, `Foo::bar`,
+     * `Foo::~Foo`, `Foo<T>::bar`, `operator==`, `operator()`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} open - Index of `(`
+     * @returns {{name: string, index: number, className: string|null}|null} Name, index of its first token and qualifying class
+     */
+    readFunctionName(tokens, open) {
+        let index = open - 1;
+        let name = null;
+
+        if (this.isName(tokens[index - 2], 'operator') && tokens[index - 1].value === '(' && tokens[index].value === ')') {
+            // operator()(...)
+            index -= 2;
+            name = 'operator()';
+        } else {
+            // operator==, operator<<, operator new
+            let j = index;
+            while (j > index - 3 && j >= 0 && tokens[j].type === 'OP' && !['(', ')', ';', '{', '}', ','].includes(tokens[j].value)) {
+                j--;
+            }
+            if (this.isName(tokens[j], 'operator') && j < index) {
+                name = 'operator' + tokens.slice(j + 1, index + 1).map(token => token.value).join('');
+                index = j;
+            } else if (this.isName(tokens[index - 1], 'operator')) {
+                name = `operator ${tokens[index].value}`;
+                index--;
+            }
+        }
+
+        if (!name) {
+            const token = tokens[index];
+            if (!token || token.type !== 'NAME' || KEYWORDS.has(token.value)) {
+                return null;
+            }
+            name = token.value;
+            if (tokens[index - 1] && tokens[index - 1].value === '~') {
+                name = `~${name}`;
+                index--;
+            }
+        }
+
+        // Out-of-class definitions: the class is the segment before `::`
+        let className = null;
+        if (tokens[index - 1] && tokens[index - 1].value === '::') {
+            let j = index - 2;
+            if (tokens[j] && tokens[j].value === '>') {
+                j = this.skipTemplateArgumentsBackwards(tokens, j);
+            }
+            if (tokens[j] && tokens[j].type === 'NAME') {
+                className = tokens[j].value;
+                // Step back over the whole qualifier so that it belongs to the declarator
+                index = j;
+                while (tokens[index - 1] && tokens[index - 1].value === '::' && tokens[index - 2] && tokens[index - 2].type === 'NAME') {
+                    index -= 2;
+                }
+            }
+        }
+
+        return { name, index, className };
+    }
+
+    /**
+     * Extracts parameter names: the last name of each parameter, before any
+     * default value (`const Foo &foo = Foo()`); unnamed parameters are skipped
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names
+     */
+    extractParams(tokens, start, end) {
+        const params = [];
+        let depth = 0;
+        let candidate = null;
+        let tokenCount = 0;
+        let inDefault = false;
+
+        const finish = () => {
+            if (candidate && tokenCount > 1) {
+                params.push(candidate);
+            }
+            candidate = null;
+            tokenCount = 0;
+            inDefault = false;
+        };
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (depth === 0 && token.value === ',') {
+                finish();
+                continue;
+            }
+            if (token.value === '(' || token.value === '[' || token.value === '{' || token.value === '<') depth++;
+            if (token.value === ')' || token.value === ']' || token.value === '}' || token.value === '>') depth--;
+
+            if (depth === 0 && token.value === '=') {
+                inDefault = true;
+            }
+            if (inDefault) continue;
+
+            tokenCount++;
+            if (depth === 0 && token.type === 'NAME' && !KEYWORDS.has(token.value)) {
+                candidate = token.value;
+            }
+        }
+        finish();
+
+        return params;
+    }
+
+    /**
+     * Records calls: `foo()`, `obj.foo()`, `ptr->foo()`, `this->foo()` and
+     * `Foo::foo()` (recorded on the object `Foo`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    collectCalls(tokens, start, end, fileData) {
+        for (let i = start; i < end - 1; i++) {
+            const token = tokens[i];
+            const previous = tokens[i - 1];
+
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value) || tokens[i + 1].value !== '(') continue;
+
+            const isMember = previous.value === '.' || previous.value === '->';
+            const isScoped = previous.value === '::';
+
+            // `Foo foo(1)` / `new Foo(` construct, `~Foo(` destroys
+            if (previous.type === 'NAME' && !EXPRESSION_KEYWORDS.has(previous.value)) continue;
+            if (previous.value === '~') continue;
+
+            const call = {
+                name: token.value,
+                line: token.line
+            };
+
+            if (isMember) {
+                // Walk back over `a.b->` to recover the receiver; complex receivers stay ''
+                const parts = [];
+                let j = i - 1;
+                while (tokens[j].value === '.' || tokens[j].value === '->') {
+                    const owner = tokens[j - 1];
+                    if (!owner || owner.type !== 'NAME' || j - 1 < start) {
+                        parts.length = 0;
+                        break;
+                    }
+                    parts.unshift(owner.value);
+                    j -= 2;
+                }
+
+                // Fields are read with or without `this->`
+                if (parts.length > 1 && parts[0] === 'this') {
+                    parts.shift();
+                }
+                call.object = parts.join('.');
+            } else if (isScoped) {
+                const owner = tokens[i - 2];
+                if (owner && owner.type === 'NAME') {
+                    call.object = owner.value;
+                }
+            }
+
+            fileData.calls.push(call);
+        }
+    }
+
+    /**
+     * Records variables whose class is known: `Foo foo;`, `ns::Foo *foo = ...`,
+     * `const Foo &foo`, and `auto foo = new Foo()` / `make_unique<Foo>()`.
+     * A `new` in the initializer names the concrete class.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    collectInstances(tokens, start, end, fileData) {
+        for (let i = start; i < end - 1; i++) {
+            const token = tokens[i];
+            const previous = tokens[i - 1];
+
+            if (token.type !== 'NAME' || (KEYWORDS.has(token.value) && token.value !== 'auto')) continue;
+
+            // A type starts a declaration; after an operator (`a * b;`) or
+            // `return` it's an expression
+            if (previous && (previous.type === 'OP' ? !DECLARATION_OPENERS.has(previous.value) : EXPRESSION_KEYWORDS.has(previous.value))) continue;
+
+            const type = this.readTypeName(tokens, i);
+            let j = type.next;
+
+            while (tokens[j] && (tokens[j].value === '*' || tokens[j].value === '&' || tokens[j].value === '&&' || this.isName(tokens[j], 'const'))) {
+                j++;
+            }
+
+            const variable = tokens[j];
+            const after = tokens[j + 1];
+            if (!variable || variable.type !== 'NAME' || KEYWORDS.has(variable.value) || j >= end ||
+                !after || ![';', '=', '(', '{', ',', ')', '[', ':'].includes(after.value)) {
+                continue;
+            }
+
+            // `Foo foo(1)` constructs; `Foo make(int)` / `Foo make()` declares a function
+            if (after.value === '(' && !this.isConstructorArgument(tokens, j + 2)) {
+                continue;
+            }
+
+            let className = token.value === 'auto' ? null : type.name;
+
+            if (after.value === '=') {
+                const created = this.readCreatedClass(tokens, j + 2);
+                if (created) {
+                    className = created;
+                }
+            }
+
+            if (className) {
+                fileData.instances.push({ name: variable.value, className: className, line: variable.line });
+            }
+            i = j;
+        }
+    }
+
+    /**
+     * Checks whether the first token inside `name(` reads as an argument
+     * (a literal or an expression) rather than a parameter declaration
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first token after `(`
+     * @returns {boolean} True for constructor arguments
+     */
+    isConstructorArgument(tokens, index) {
+        const token = tokens[index];
+        const next = tokens[index + 1];
+
+        if (!token || token.value === ')') {
+            return false;
+        }
+        if (token.type === 'NUMBER' || token.type === 'STRING' || token.value === '&' || this.isName(token, 'this')) {
+            return true;
+        }
+
+        return token.type === 'NAME' && !KEYWORDS.has(token.value) && Boolean(next) &&
+            [',', ')', '.', '->', '(', '+', '-', '*', '/', '['].includes(next.value);
+    }
+
+    /**
+     * Reads the class an initializer creates: `new Foo(`, `Foo(`, `Foo{`,
+     * `std::make_unique<Foo>(`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first token of the initializer
+     * @returns {string|null} Class name
+     */
+    readCreatedClass(tokens, index) {
+        let i = index;
+        if (this.isName(tokens[i], 'new')) {
+            i++;
+        }
+
+        if (!tokens[i] || tokens[i].type !== 'NAME' || KEYWORDS.has(tokens[i].value)) {
+            return null;
+        }
+
+        const type = this.readTypeName(tokens, i);
+        const next = tokens[type.next];
+
+        if (FACTORIES.has(type.name) && tokens[type.next - 1].value === '>') {
+            // The first template argument
+            let j = i;
+            while (tokens[j].value !== '<') j++;
+            return tokens[j + 1] && tokens[j + 1].type === 'NAME' ? this.readTypeName(tokens, j + 1).name : null;
+        }
+
+        if (i > index) {
+            return type.name;
+        }
+
+        // Constructor calls, told apart from function calls by their capital
+        const constructs = next && (next.value === '(' || next.value === '{');
+        return constructs && /^[A-Z]/.test(type.name) ? type.name : null;
+    }
+
+    /**
+     * Reads a possibly qualified, possibly templated type name
+     * (`std::vector<int>`, `ns::Foo`); the result is its last segment
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first segment
+     * @returns {{name: string, next: number}} Last segment and the index after the type
+     */
+    readTypeName(tokens, index) {
+        let i = index;
+        let name = tokens[i].value;
+        i++;
+
+        while (tokens[i] && tokens[i].value === '::' && tokens[i + 1] && tokens[i + 1].type === 'NAME') {
+            name = tokens[i + 1].value;
+            i += 2;
+        }
+
+        if (tokens[i] && tokens[i].value === '<') {
+            const after = this.skipTemplateArguments(tokens, i);
+            if (after !== i) {
+                i = after;
+                // `Outer<T>::Inner`
+                while (tokens[i] && tokens[i].value === '::' && tokens[i + 1] && tokens[i + 1].type === 'NAME') {
+                    name = tokens[i + 1].value;
+                    i += 2;
+                }
+            }
+        }
+
+        return { name, next: i };
+    }
+
+    /**
+     * Skips template arguments starting at `<`. Gives up (returning the
+     * index of `<`) when the angle brackets don't close before a `;` or `{`,
+     * i.e. the `<` is a comparison.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `<`
+     * @returns {number} Index after the closing `>`
+     */
+    skipTemplateArguments(tokens, index) {
+        let depth = 0;
+
+        for (let i = index; i < tokens.length; i++) {
+            const value = tokens[i].value;
+
+            if (value === '<') {
+                depth++;
+            } else if (value === '>') {
+                depth--;
+                if (depth === 0) {
+                    return i + 1;
+                }
+            } else if (value === '(' || value === '[') {
+                i = this.findClosingBracket(tokens, i);
+            } else if (value === ';' || value === '{' || value === '}' || value === '&&' || value === '||') {
+                return index;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Skips template arguments backwards from their closing `>`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `>`
+     * @returns {number} Index of the token before the opening `<`
+     */
+    skipTemplateArgumentsBackwards(tokens, index) {
+        let depth = 0;
+
+        for (let i = index; i >= 0; i--) {
+            const value = tokens[i].value;
+
+            if (value === '>') {
+                depth++;
+            } else if (value === '<') {
+                depth--;
+                if (depth === 0) {
+                    return i - 1;
+                }
+            } else if (value === ';' || value === '{' || value === '}') {
+                return index;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Finds the bracket that closes the one at openIndex
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} openIndex - Index of `(`, `[` or `{`
+     * @returns {number} Index of the closing bracket (last token if unbalanced)
+     */
+    findClosingBracket(tokens, openIndex) {
+        const open = tokens[openIndex].value;
+        const close = OPENING[open];
+        let depth = 0;
+
+        for (let i = openIndex; i < tokens.length; i++) {
+            const value = tokens[i].value;
+            if (tokens[i].type !== 'OP') continue;
+
+            if (value === open) {
+                depth++;
+            } else if (value === close) {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return tokens.length - 1;
+    }
+
+    /**
+     * Checks whether a token is the given name or keyword
+     *
+     * @param {Object} token - Token (may be undefined)
+     * @param {string} value - Expected value
+     * @returns {boolean} True if it matches
+     */
+    isName(token, value) {
+        return Boolean(token) && token.type === 'NAME' && token.value === value;
+    }
+}
+
+module.exports = CParser;
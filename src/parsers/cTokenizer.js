@@ -0,0 +1,217 @@
+/**
+ * C/C++ Tokenizer Module
+ *
+ * Converts C and C++ source into a flat token stream for structural
+ * analysis:
+ * - Preprocessor lines (`#include`, `#define`, with `\` continuations)
+ *   become single DIRECTIVE tokens, so macro bodies are never read as code
+ * - String, raw string (`R"(...)"`) and character literals are consumed whole;
+ *   unterminated ones are recorded as recovered syntax errors
+ * - Line and block comments are dropped
+ * - Every token carries its line; newlines are not tokens
+ *
+ * Token types: NAME, NUMBER, STRING, OP, DIRECTIVE
+ */
+
+const { recordSyntaxError } = require('./syntaxErrors');
+
+const NAME_START = /[A-Za-z_$\u0080-￿]/;
+const NAME_PART = /[A-Za-z0-9_$\u0080-￿]/;
+const NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F'.pP+-]+|0[bB][01']+|(?:\d[\d']*(?:\.[\d']*)?|\.\d[\d']*)(?:[eE][+-]?\d[\d']*)?)[A-Za-z_]*/y;
+const RAW_PREFIXES = new Set(['R', 'LR', 'uR', 'UR', 'u8R']);
+
+// Longest operators first so that `<<=` wins over `<<` and `<`. `>>` is
+// left as two tokens: it usually closes nested template arguments.
+const OPERATORS = [
+    '<<=', '>>=', '->*', '...',
+    '::', '->', '.*', '++', '--', '<<', '<=', '>=', '==', '!=', '&&', '||', '##',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='
+];
+
+/**
+ * Tokenizes C or C++ source code
+ *
+ * @param {string} source - Source code
+ * @param {Array<Object>} errors - Receives recovered syntax errors
+ * @returns {Array<Object>} Tokens with type, value, line and endLine (0-based lines)
+ */
+function tokenize(source, errors) {
+    const tokens = [];
+    const length = source.length;
+
+    let pos = 0;
+    let line = 0;
+    let lineStart = true; // Only whitespace and comments so far on this line
+
+    // Advances to `end`, counting the newlines passed
+    const advanceTo = (end) => {
+        for (let i = pos; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+                lineStart = true;
+            }
+        }
+        pos = end;
+    };
+
+    while (pos < length) {
+        const ch = source[pos];
+        const startLine = line;
+
+        if (ch === '\n' || ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v') {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            advanceTo(end === -1 ? length : end);
+            continue;
+        }
+
+        if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            advanceTo(end === -1 ? length : end + 2);
+            continue;
+        }
+
+        if (ch === '#' && lineStart) {
+            const end = findDirectiveEnd(source, pos);
+            const value = source.slice(pos, end).replace(/\\\r?\n/g, ' ');
+            advanceTo(end);
+            tokens.push({ type: 'DIRECTIVE', value, line: startLine, endLine: line });
+            continue;
+        }
+
+        lineStart = false;
+
+        if (NAME_START.test(ch)) {
+            let end = pos + 1;
+            while (end < length && NAME_PART.test(source[end])) {
+                end++;
+            }
+            const value = source.slice(pos, end);
+
+            // R"delim( ... )delim"
+            if (RAW_PREFIXES.has(value) && source[end] === '"') {
+                const open = source.indexOf('(', end);
+                const delimiter = open === -1 ? '' : source.slice(end + 1, open);
+                const close = open === -1 ? -1 : source.indexOf(`)${delimiter}"`, open);
+                const stop = close === -1 ? length : close + delimiter.length + 2;
+                if (close === -1) {
+                    recordSyntaxError(errors, 'Unterminated raw string literal', startLine);
+                }
+                const literal = source.slice(pos, stop);
+                advanceTo(stop);
+                tokens.push({ type: 'STRING', value: literal, line: startLine, endLine: line });
+                continue;
+            }
+
+            tokens.push({ type: 'NAME', value, line: startLine, endLine: startLine });
+            advanceTo(end);
+            continue;
+        }
+
+        if (ch === '"' || ch === '\'') {
+            const literal = findLiteralEnd(source, pos);
+            if (!literal.closed) {
+                recordSyntaxError(errors, ch === '\'' ? 'Unterminated character literal' : 'Unterminated string literal', startLine);
+            }
+            tokens.push({ type: 'STRING', value: source.slice(pos, literal.end), line: startLine, endLine: startLine });
+            advanceTo(literal.end);
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(source);
+            const value = match ? match[0] : ch;
+            tokens.push({ type: 'NUMBER', value, line: startLine, endLine: startLine });
+            advanceTo(pos + value.length);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+        tokens.push({ type: 'OP', value: operator, line: startLine, endLine: startLine });
+        advanceTo(pos + operator.length);
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds the end of a preprocessor line, following `\` continuations and
+ * block comments running past the end of the line
+ *
+ * @param {string} source - Source code
+ * @param {number} start - Index of the `#`
+ * @returns {number} Index of the terminating newline (or the end of the source)
+ */
+function findDirectiveEnd(source, start) {
+    let pos = start;
+
+    while (pos < source.length) {
+        if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) {
+                return source.length;
+            }
+            pos = end + 2;
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            if (end === -1) {
+                return source.length;
+            }
+            pos = end;
+        }
+
+        if (source[pos] === '\n') {
+            const lineEnd = source[pos - 1] === '\r' ? pos - 1 : pos;
+            if (source[lineEnd - 1] !== '\\') {
+                return pos;
+            }
+        }
+
+        pos++;
+    }
+
+    return source.length;
+}
+
+/**
+ * Finds the index just past the end of a string or character literal.
+ * An unterminated literal ends at the end of its line.
+ *
+ * @param {string} source - Source code
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { end, closed }: index after the closing quote, and
+ *   whether the closing quote was found
+ */
+function findLiteralEnd(source, start) {
+    const quote = source[start];
+    let pos = start + 1;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\\') {
+            pos += 2;
+            continue;
+        }
+        if (ch === quote) {
+            return { end: pos + 1, closed: true };
+        }
+        if (ch === '\n') {
+            return { end: pos, closed: false };
+        }
+
+        pos++;
+    }
+
+    return { end: source.length, closed: false };
+}
+
+module.exports = { tokenize };
@@ -0,0 +1,154 @@
+/**
+ * Single-File Component Module
+ *
+ * Splits Vue, Svelte and Astro component files into the parts the graph
+ * cares about:
+ * - Script blocks (`<script>`, `<script setup>`, `<script context="module">`,
+ *   Astro frontmatter) with their position in the file, so they can be parsed
+ *   as JavaScript/TypeScript with correct line numbers
+ * - Component tags used in the markup (`<UserCard>`, `<user-card>` in Vue)
+ */
+
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const STYLE_PATTERN = /<style\b[^>]*>[\s\S]*?<\/style\s*>/gi;
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+const FRONTMATTER_PATTERN = /^(\s*---\r?\n)([\s\S]*?)\r?\n---/;
+const TAG_PATTERN = /<([A-Za-z][\w.-]*)/g;
+
+// Script types that hold data or templates rather than code
+const NON_CODE_TYPES = /^(application\/(ld\+)?json|importmap|text\/(template|x-template|html|markdown))$/i;
+
+/**
+ * Extracts the script blocks of a component file
+ *
+ * @param {string} content - File content
+ * @param {string} language - 'vue', 'svelte' or 'astro'
+ * @returns {Array<Object>} Blocks: { content, language, line, column, src }
+ *   with 0-based line/column of the first character of the block
+ */
+function extractScripts(content, language) {
+    const blocks = [];
+
+    // Astro frontmatter is always TypeScript
+    if (language === 'astro') {
+        const frontmatter = content.match(FRONTMATTER_PATTERN);
+        if (frontmatter) {
+            const start = frontmatter[1].length;
+            blocks.push({
+                content: frontmatter[2],
+                language: 'typescript',
+                ...getPosition(content, start),
+                src: null
+            });
+        }
+    }
+
+    for (const match of content.matchAll(SCRIPT_PATTERN)) {
+        const attributes = match[1];
+        const type = getAttribute(attributes, 'type');
+
+        if (type && NON_CODE_TYPES.test(type)) {
+            continue;
+        }
+
+        const lang = getAttribute(attributes, 'lang');
+        const isTypeScript = lang ? /^(ts|tsx|typescript)$/i.test(lang) : language === 'astro';
+        const start = match.index + match[0].indexOf('>') + 1;
+
+        blocks.push({
+            content: match[2],
+            language: isTypeScript ? 'typescript' : 'javascript',
+            ...getPosition(content, start),
+            src: getAttribute(attributes, 'src')
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Finds the components used in a component file's markup
+ *
+ * @param {string} content - File content
+ * @param {string} language - 'vue', 'svelte' or 'astro'
+ * @returns {Array<Object>} Components: { name, line } (first use of each, 0-based line)
+ */
+function findComponentTags(content, language) {
+    // Blank out code and comments but keep offsets, so positions stay valid
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    let markup = content
+        .replace(SCRIPT_PATTERN, blank)
+        .replace(STYLE_PATTERN, blank)
+        .replace(COMMENT_PATTERN, blank);
+
+    if (language === 'astro') {
+        markup = markup.replace(FRONTMATTER_PATTERN, blank);
+    }
+
+    const components = new Map();
+
+    for (const match of markup.matchAll(TAG_PATTERN)) {
+        const name = getComponentName(match[1], language);
+
+        if (name && !components.has(name)) {
+            components.set(name, { name, line: getPosition(content, match.index).line });
+        }
+    }
+
+    return Array.from(components.values());
+}
+
+/**
+ * Maps a tag to the component binding it refers to, or null for HTML elements
+ * (`UserCard` -> `UserCard`, `Form.Input` -> `Form`, Vue's `user-card` -> `UserCard`)
+ *
+ * @param {string} tag - Tag name
+ * @param {string} language - 'vue', 'svelte' or 'astro'
+ * @returns {string|null} Component name
+ */
+function getComponentName(tag, language) {
+    const head = tag.split('.')[0];
+
+    if (/^[A-Z]/.test(head)) {
+        return head;
+    }
+
+    // Vue resolves kebab-case tags to PascalCase components; elsewhere they
+    // are custom elements
+    if (language === 'vue' && head.includes('-')) {
+        return head.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    }
+
+    return null;
+}
+
+/**
+ * Reads an attribute value from a tag's attribute string
+ *
+ * @param {string} attributes - Raw attributes (`setup lang="ts"`)
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value, or null when absent
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Converts a character offset to a 0-based line and column
+ *
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Position
+ */
+function getPosition(content, offset) {
+    const before = content.slice(0, offset);
+    const lastNewline = before.lastIndexOf('\n');
+
+    return {
+        line: before.split('\n').length - 1,
+        column: offset - lastNewline - 1
+    };
+}
+
+module.exports = { extractScripts, findComponentTags };
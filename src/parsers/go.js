@@ -0,0 +1,658 @@
+/**
+ * Go Parser Module
+ *
+ * Builds file data for Go sources from the token stream produced by
+ * goTokenizer, so strings and comments never leak into the results.
+ *
+ * Extracts:
+ * - Functions and methods; methods carry their receiver type as className
+ * - `import "x"` and `import ( ... )` blocks, with aliases, `_` and `.`
+ * - Structs (as classes, embedded fields as bases) and interfaces (as
+ *   types, embedded interfaces as extends); other named types as type aliases
+ * - Exports: capitalized top-level names
+ * - Calls, with calls on the method receiver recorded on `this`
+ * - `x := &Foo{}`, `var x Foo` and `x := NewFoo()`, used to resolve `x.Method()` calls
+ * - Per-function metrics, computed by tokenMetrics
+ * - Recovered syntax errors: unterminated literals and unbalanced brackets
+ */
+
+const { tokenize } = require('./goTokenizer');
+const { measureFunction } = require('./tokenMetrics');
+const { checkBrackets } = require('./syntaxErrors');
+
+const KEYWORDS = new Set([
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+    'fallthrough', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface',
+    'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'
+]);
+
+// Built-in functions and conversions are not interesting as graph edges
+const BUILTINS = new Set([
+    'append', 'cap', 'clear', 'close', 'complex', 'copy', 'delete', 'imag', 'len',
+    'make', 'max', 'min', 'new', 'panic', 'print', 'println', 'real', 'recover',
+    'any', 'bool', 'byte', 'complex64', 'complex128', 'error', 'float32', 'float64',
+    'int', 'int8', 'int16', 'int32', 'int64', 'rune', 'string', 'uint', 'uint8',
+    'uint16', 'uint32', 'uint64', 'uintptr'
+]);
+
+// Keywords that start a top-level declaration
+const DECLARATIONS = new Set(['func', 'type', 'var', 'const', 'import']);
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+class GoParser {
+    /**
+     * Parses Go source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, fileData.errors);
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+
+            if (token.type === 'NAME' && token.value === 'import') {
+                index = this.parseImports(tokens, index + 1, fileData);
+            } else if (token.type === 'NAME' && token.value === 'func') {
+                index = this.parseFunction(tokens, index, fileData);
+            } else if (token.type === 'NAME' && token.value === 'type') {
+                index = this.parseGroup(tokens, index + 1, (start, end) => this.parseTypeSpec(tokens, start, end, fileData));
+            } else if (token.type === 'NAME' && (token.value === 'var' || token.value === 'const')) {
+                index = this.parseGroup(tokens, index + 1, (start, end) => this.parseValueSpec(tokens, start, end, fileData));
+            } else if (token.type === 'OP' && OPENING[token.value]) {
+                index = this.findClosingBracket(tokens, index) + 1;
+            } else {
+                index++;
+            }
+        }
+
+        checkBrackets(tokens, fileData.errors);
+
+        return fileData;
+    }
+
+    /**
+     * Handles `import "fmt"`, `import f "fmt"` and `import ( ... )`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index after the `import` keyword
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseImports(tokens, index, fileData) {
+        const grouped = tokens[index] && tokens[index].value === '(';
+        const end = grouped ? this.findClosingBracket(tokens, index) : Math.min(index + 2, tokens.length);
+
+        const start = grouped ? index + 1 : index;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (token.type !== 'STRING') continue;
+
+            const previous = i > start ? tokens[i - 1] : null;
+            const alias = previous && previous.line === token.line && (previous.type === 'NAME' || previous.value === '.')
+                ? previous.value
+                : null;
+            const source = token.value.slice(1, -1);
+
+            fileData.imports.push({
+                source: source,
+                imported: '*',
+                // `_` and `.` imports bind no package name
+                local: alias === '_' || alias === '.' ? null : alias || this.getPackageName(source),
+                kind: 'static',
+                line: token.line
+            });
+
+            if (!grouped) {
+                return i + 1;
+            }
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `func Name(...)` and `func (r *Recv) Name(...)`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the `func` keyword
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseFunction(tokens, index, fileData) {
+        let i = index + 1;
+        let receiver = null;
+
+        if (tokens[i] && tokens[i].value === '(') {
+            const close = this.findClosingBracket(tokens, i);
+            receiver = this.parseReceiver(tokens.slice(i + 1, close));
+            i = close + 1;
+        }
+
+        const nameToken = tokens[i];
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return i;
+        }
+        i++;
+
+        // Type parameters: func Map[T, U any](...)
+        if (tokens[i] && tokens[i].value === '[') {
+            i = this.findClosingBracket(tokens, i) + 1;
+        }
+
+        let params = [];
+        if (tokens[i] && tokens[i].value === '(') {
+            const close = this.findClosingBracket(tokens, i);
+            params = this.extractParams(tokens, i + 1, close);
+            i = close + 1;
+        }
+
+        // Skip the result types to the body; `struct{}` / `interface{}` results
+        // have braces of their own. Declarations without a body (implemented in
+        // assembly) end where the next declaration starts.
+        let bodyStart = -1;
+        while (i < tokens.length) {
+            const token = tokens[i];
+
+            if (token.value === '(' || token.value === '[') {
+                i = this.findClosingBracket(tokens, i) + 1;
+                continue;
+            }
+            if (token.value === '{') {
+                const previous = tokens[i - 1];
+                if (previous.type === 'NAME' && (previous.value === 'struct' || previous.value === 'interface')) {
+                    i = this.findClosingBracket(tokens, i) + 1;
+                    continue;
+                }
+                bodyStart = i;
+                break;
+            }
+            if (token.type === 'NAME' && DECLARATIONS.has(token.value) && token.line > nameToken.line) {
+                break;
+            }
+            i++;
+        }
+
+        const end = bodyStart !== -1 ? this.findClosingBracket(tokens, bodyStart) : i - 1;
+
+        fileData.functions.push({
+            name: nameToken.value,
+            type: receiver ? 'method' : 'function',
+            line: tokens[index].line,
+            endLine: tokens[end].endLine,
+            params: params,
+            metrics: measureFunction(tokens, index, end, bodyStart, params.length, 'go'),
+            className: receiver ? receiver.type : null
+        });
+
+        if (!receiver && this.isExported(nameToken.value)) {
+            fileData.exports.push({ name: nameToken.value, type: 'function', line: tokens[index].line });
+        }
+
+        if (bodyStart !== -1) {
+            this.collectCalls(tokens, bodyStart + 1, end, receiver && receiver.name, fileData);
+            this.collectInstances(tokens, bodyStart + 1, end, fileData);
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Reads the receiver of a method: `(s *Server)`, `(Server)`, `(l *List[T])`
+     *
+     * @param {Array<Object>} tokens - Tokens between the receiver parentheses
+     * @returns {{name: string|null, type: string|null}} Receiver variable and type
+     */
+    parseReceiver(tokens) {
+        const named = tokens[0] && tokens[0].type === 'NAME' && tokens[1] &&
+            (tokens[1].type === 'NAME' || tokens[1].value === '*');
+        const typeToken = tokens.slice(named ? 1 : 0).find(token => token.type === 'NAME');
+
+        return {
+            name: named ? tokens[0].value : null,
+            type: typeToken ? typeToken.value : null
+        };
+    }
+
+    /**
+     * Runs a spec parser over a single declaration (`type A int`) or each
+     * line of a group (`type ( A int; B string )`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index after the declaration keyword
+     * @param {Function} parseSpec - Called with the start and end (exclusive) of each spec
+     * @returns {number} Index after the declaration
+     */
+    parseGroup(tokens, index, parseSpec) {
+        if (!tokens[index]) {
+            return index;
+        }
+
+        if (tokens[index].value !== '(') {
+            const end = this.findStatementEnd(tokens, index, tokens.length);
+            parseSpec(index, end);
+            return end;
+        }
+
+        const close = this.findClosingBracket(tokens, index);
+        let start = index + 1;
+
+        while (start < close) {
+            const end = this.findStatementEnd(tokens, start, close);
+            parseSpec(start, end);
+            start = end;
+        }
+
+        return close + 1;
+    }
+
+    /**
+     * Handles one type spec: `Name struct {...}`, `Name interface {...}`,
+     * `Name[T any] ...`, `Name = Other`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the type name
+     * @param {number} end - End of the spec (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    parseTypeSpec(tokens, start, end, fileData) {
+        const nameToken = tokens[start];
+        if (!nameToken || nameToken.type !== 'NAME') return;
+
+        let i = start + 1;
+
+        // Type parameters, as opposed to an array type: `List[T any]` vs `Grid [4]int`
+        if (tokens[i] && tokens[i].value === '[' && tokens[i + 1] && tokens[i + 1].type === 'NAME' &&
+            tokens[i + 2] && tokens[i + 2].value !== ']') {
+            i = this.findClosingBracket(tokens, i) + 1;
+        }
+        if (tokens[i] && tokens[i].value === '=') {
+            i++;
+        }
+
+        const kind = tokens[i] && tokens[i].type === 'NAME' ? tokens[i].value : null;
+        const hasBody = tokens[i + 1] && tokens[i + 1].value === '{';
+        const exported = this.isExported(nameToken.value);
+        const line = nameToken.line;
+
+        if (kind === 'struct' && hasBody) {
+            const close = this.findClosingBracket(tokens, i + 1);
+            fileData.classes.push({
+                name: nameToken.value,
+                line: line,
+                endLine: tokens[close].endLine,
+                // Embedded structs promote their methods, like base classes
+                bases: this.findEmbeddedTypes(tokens, i + 2, close),
+                implements: []
+            });
+        } else if (kind === 'interface' && hasBody) {
+            const close = this.findClosingBracket(tokens, i + 1);
+            fileData.types.push({
+                name: nameToken.value,
+                kind: 'interface',
+                line: line,
+                endLine: tokens[close].endLine,
+                exported: exported,
+                extends: this.findEmbeddedTypes(tokens, i + 2, close)
+            });
+        } else {
+            fileData.types.push({
+                name: nameToken.value,
+                kind: 'type',
+                line: line,
+                endLine: tokens[end - 1].endLine,
+                exported: exported,
+                extends: []
+            });
+        }
+
+        if (exported) {
+            fileData.exports.push({
+                name: nameToken.value,
+                type: kind === 'struct' && hasBody ? 'class' : kind === 'interface' && hasBody ? 'interface' : 'type',
+                line: line
+            });
+        }
+    }
+
+    /**
+     * Handles one var/const spec: `a, B = f(), 2`. Initializers run at
+     * package level, so their calls belong to no function.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the first name
+     * @param {number} end - End of the spec (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    parseValueSpec(tokens, start, end, fileData) {
+        for (let i = start; i < end; i += 2) {
+            const token = tokens[i];
+            if (token.type !== 'NAME') break;
+
+            if (this.isExported(token.value)) {
+                fileData.exports.push({ name: token.value, type: 'variable', line: token.line });
+            }
+
+            if (!tokens[i + 1] || tokens[i + 1].value !== ',') break;
+        }
+
+        this.collectCalls(tokens, start, end, null, fileData);
+        this.collectInstances(tokens, start - 1, end, fileData);
+    }
+
+    /**
+     * Finds the embedded types in a struct or interface body: fields that
+     * are only a (possibly qualified, possibly pointer) type name
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `{`
+     * @param {number} end - Index of `}`
+     * @returns {Array<string>} Type names (`Base`, `io.Reader`)
+     */
+    findEmbeddedTypes(tokens, start, end) {
+        const embedded = [];
+        let i = start;
+
+        while (i < end) {
+            const fieldEnd = this.findStatementEnd(tokens, i, end);
+            const field = tokens.slice(i, fieldEnd).filter(token => token.value !== ';');
+
+            // Drop the struct tag
+            if (field.length > 0 && field[field.length - 1].type === 'STRING') {
+                field.pop();
+            }
+            if (field.length > 0 && field[0].value === '*') {
+                field.shift();
+            }
+
+            const simple = field.length === 1 && field[0].type === 'NAME';
+            const qualified = field.length === 3 && field[0].type === 'NAME' && field[1].value === '.' &&
+                field[2].type === 'NAME';
+
+            if (simple || qualified) {
+                embedded.push(field.map(token => token.value).join(''));
+            }
+
+            i = fieldEnd;
+        }
+
+        return embedded;
+    }
+
+    /**
+     * Extracts parameter names. Go lists either names with types
+     * (`a, b int, opts ...Option`) or types only (`int, string`), in which
+     * case every parameter is recorded as `_`.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names
+     */
+    extractParams(tokens, start, end) {
+        const parts = this.splitArguments(tokens, start, end);
+
+        const named = parts.some(part =>
+            part.length >= 2 && part[0].type === 'NAME' && part[1].value !== '.' &&
+            // `T[int]` is a generic type, `a []int` a named slice parameter
+            !(part[1].value === '[' && part[2] && part[2].type === 'NAME')
+        );
+
+        return parts.map(part => (named ? part[0].value : '_'));
+    }
+
+    /**
+     * Records calls (`name(...)`, `obj.field.Name(...)`) in a token range
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {string|null} receiver - Receiver variable of the enclosing method
+     * @param {Object} fileData - File data to populate
+     */
+    collectCalls(tokens, start, end, receiver, fileData) {
+        for (let i = start; i < end - 1; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value)) continue;
+            if (next.type !== 'OP' || next.value !== '(') continue;
+
+            const isMember = i > start && tokens[i - 1].value === '.';
+            if (!isMember && BUILTINS.has(token.value)) continue;
+
+            const call = {
+                name: token.value,
+                line: token.line
+            };
+
+            if (isMember) {
+                // Walk back over `a.b.` to recover the receiver; complex receivers stay ''
+                const parts = [];
+                let j = i - 1;
+                while (j - 1 >= start && tokens[j].value === '.' && tokens[j - 1].type === 'NAME') {
+                    parts.unshift(tokens[j - 1].value);
+                    if (!(j - 2 >= start && tokens[j - 2].value === '.')) break;
+                    j -= 2;
+                }
+
+                // Calls on the method receiver resolve like `this.foo()`
+                if (receiver && parts[0] === receiver) {
+                    parts[0] = 'this';
+                }
+                call.object = parts.join('.');
+            }
+
+            fileData.calls.push(call);
+        }
+    }
+
+    /**
+     * Records variables whose type is known from their initializer:
+     * `x := Foo{}`, `x := &pkg.Foo{}`, `var x Foo`, `x, err := NewFoo()`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    collectInstances(tokens, start, end, fileData) {
+        for (let i = Math.max(start, 0); i < end - 1; i++) {
+            const token = tokens[i];
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value)) continue;
+            // Field assignments (`s.cache = ...`) don't declare variables
+            if (i > 0 && tokens[i - 1].value === '.') continue;
+
+            const operator = tokens[i + 1];
+            const declared = i > 0 && tokens[i - 1].type === 'NAME' && tokens[i - 1].value === 'var';
+            let valueIndex;
+
+            if (operator.value === ':=' || operator.value === '=') {
+                valueIndex = i + 2;
+            } else if (declared && (operator.type === 'NAME' || operator.value === '*')) {
+                // var x Foo / var x *pkg.Foo
+                const type = this.readTypeName(tokens, operator.value === '*' ? i + 2 : i + 1);
+                if (type.name && (!tokens[type.next] || tokens[type.next].line !== token.line ||
+                    tokens[type.next].value === '=')) {
+                    fileData.instances.push({ name: token.value, className: type.name, line: token.line });
+                }
+                continue;
+            } else if (operator.value === ',') {
+                // a, err := NewFoo(): the first name receives the value
+                let j = i + 1;
+                while (tokens[j] && tokens[j].value === ',' && tokens[j + 1] && tokens[j + 1].type === 'NAME') {
+                    j += 2;
+                }
+                if (!tokens[j] || (tokens[j].value !== ':=' && tokens[j].value !== '=')) continue;
+                valueIndex = j + 1;
+            } else {
+                continue;
+            }
+
+            // Skip the names of a multi-name assignment we are part of
+            if (i > 0 && tokens[i - 1].value === ',') continue;
+
+            const pointer = tokens[valueIndex] && tokens[valueIndex].value === '&';
+            const type = this.readTypeName(tokens, pointer ? valueIndex + 1 : valueIndex);
+            const after = tokens[type.next];
+            if (!type.name || !after) continue;
+
+            let className = null;
+            if (after.value === '{') {
+                className = type.name;
+            } else if (after.value === '(' && !pointer) {
+                // Constructor convention: NewServer() / server.NewServer() return a Server
+                const match = type.name.match(/^(?:(\w+)\.)?New([A-Z]\w*)$/);
+                className = match ? (match[1] ? `${match[1]}.${match[2]}` : match[2]) : null;
+            }
+
+            if (className) {
+                fileData.instances.push({ name: token.value, className: className, line: token.line });
+            }
+        }
+    }
+
+    /**
+     * Reads a possibly qualified name (`Foo`, `pkg.Foo`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first name
+     * @returns {{name: string|null, next: number}} Name and the index after it
+     */
+    readTypeName(tokens, index) {
+        const first = tokens[index];
+        if (!first || first.type !== 'NAME' || KEYWORDS.has(first.value)) {
+            return { name: null, next: index };
+        }
+
+        if (tokens[index + 1] && tokens[index + 1].value === '.' && tokens[index + 2] && tokens[index + 2].type === 'NAME') {
+            return { name: `${first.value}.${tokens[index + 2].value}`, next: index + 3 };
+        }
+
+        return { name: first.value, next: index + 1 };
+    }
+
+    /**
+     * Derives the default package name from an import path
+     * (`github.com/x/yaml/v3` -> `yaml`, `gopkg.in/yaml.v3` -> `yaml`)
+     *
+     * @param {string} source - Import path
+     * @returns {string} Package name
+     */
+    getPackageName(source) {
+        const segments = source.split('/');
+        let name = segments.pop();
+
+        if (/^v\d+$/.test(name) && segments.length > 0) {
+            name = segments.pop();
+        }
+
+        return name.replace(/\.v\d+$/, '').replace(/^go-/, '');
+    }
+
+    /**
+     * Splits a bracketed range at top-level commas
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @returns {Array<Array<Object>>} Non-empty token lists
+     */
+    splitArguments(tokens, start, end) {
+        const parts = [];
+        let current = [];
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'OP' && OPENING[token.value]) depth++;
+            if (token.type === 'OP' && Object.values(OPENING).includes(token.value)) depth--;
+
+            if (depth === 0 && token.value === ',') {
+                parts.push(current);
+                current = [];
+            } else {
+                current.push(token);
+            }
+        }
+
+        parts.push(current);
+        return parts.filter(part => part.length > 0);
+    }
+
+    /**
+     * Finds the end of a newline- or `;`-terminated statement, treating
+     * bracketed spans as part of the line they start on
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the first token
+     * @param {number} limit - Index the statement cannot extend past
+     * @returns {number} Index after the statement
+     */
+    findStatementEnd(tokens, start, limit) {
+        let i = start;
+
+        while (i < limit) {
+            const token = tokens[i];
+
+            if (i > start && token.line > tokens[i - 1].endLine) break;
+
+            if (token.type === 'OP' && OPENING[token.value]) {
+                i = this.findClosingBracket(tokens, i) + 1;
+                continue;
+            }
+
+            i++;
+            if (token.value === ';') break;
+        }
+
+        return Math.min(Math.max(i, start + 1), limit);
+    }
+
+    /**
+     * Finds the bracket matching the one at openIndex
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} openIndex - Index of `(`, `[` or `{`
+     * @returns {number} Index of the closing bracket (last token if unbalanced)
+     */
+    findClosingBracket(tokens, openIndex) {
+        const open = tokens[openIndex].value;
+        const close = OPENING[open];
+        let depth = 0;
+
+        for (let i = openIndex; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'OP') continue;
+
+            if (token.value === open) {
+                depth++;
+            } else if (token.value === close) {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return tokens.length - 1;
+    }
+
+    /**
+     * Checks whether a Go identifier is exported (starts with an upper-case letter)
+     *
+     * @param {string} name - Identifier
+     * @returns {boolean} True if exported
+     */
+    isExported(name) {
+        return /^\p{Lu}/u.test(name);
+    }
+}
+
+module.exports = GoParser;
@@ -0,0 +1,146 @@
+/**
+ * Go Tokenizer Module
+ *
+ * Converts Go source into a flat token stream for structural analysis:
+ * - Interpreted ("..."), raw (`...`) and rune ('x') literals are consumed
+ *   whole, so nothing inside them is mistaken for code
+ * - Line and block comments are dropped
+ * - Unterminated literals are recorded as recovered syntax errors
+ * - Newlines are not tokens; every token carries its line, which is enough
+ *   to recover Go's newline-terminated statements where they matter
+ *
+ * Token types: NAME, NUMBER, STRING, OP
+ */
+
+const { recordSyntaxError } = require('./syntaxErrors');
+
+const NAME_START = /[A-Za-z_\u0080-￿]/;
+const NAME_PART = /[A-Za-z0-9_\u0080-￿]/;
+const NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F_.pP+-]+|0[oObB][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)i?/y;
+
+// Longest operators first so that `<<=` wins over `<<` and `<`
+const OPERATORS = [
+    '<<=', '>>=', '&^=', '...',
+    '&&', '||', '<-', '++', '--', '==', '!=', '<=', '>=', ':=', '<<', '>>', '&^',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='
+];
+
+/**
+ * Tokenizes Go source code
+ *
+ * @param {string} source - Go source code
+ * @param {Array<Object>} errors - Receives recovered syntax errors
+ * @returns {Array<Object>} Tokens with type, value, line and endLine (0-based lines)
+ */
+function tokenize(source, errors) {
+    const tokens = [];
+    const length = source.length;
+
+    let pos = 0;
+    let line = 0;
+
+    // Advances to `end`, counting the newlines passed
+    const advanceTo = (end) => {
+        for (let i = pos; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+        }
+        pos = end;
+    };
+
+    while (pos < length) {
+        const ch = source[pos];
+        const startLine = line;
+
+        if (ch === '\n' || ch === ' ' || ch === '\t' || ch === '\r') {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            advanceTo(end === -1 ? length : end);
+            continue;
+        }
+
+        if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            advanceTo(end === -1 ? length : end + 2);
+            continue;
+        }
+
+        if (NAME_START.test(ch)) {
+            let end = pos + 1;
+            while (end < length && NAME_PART.test(source[end])) {
+                end++;
+            }
+            tokens.push({ type: 'NAME', value: source.slice(pos, end), line: startLine, endLine: startLine });
+            advanceTo(end);
+            continue;
+        }
+
+        if (ch === '"' || ch === '\'' || ch === '`') {
+            const literal = findLiteralEnd(source, pos);
+            if (!literal.closed) {
+                recordSyntaxError(errors, ch === '\'' ? 'Unterminated rune literal' : 'Unterminated string literal', startLine);
+            }
+            const value = source.slice(pos, literal.end);
+            advanceTo(literal.end);
+            tokens.push({ type: 'STRING', value, line: startLine, endLine: line });
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(source);
+            const value = match ? match[0] : ch;
+            tokens.push({ type: 'NUMBER', value, line: startLine, endLine: startLine });
+            advanceTo(pos + value.length);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+        tokens.push({ type: 'OP', value: operator, line: startLine, endLine: startLine });
+        advanceTo(pos + operator.length);
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds the index just past the end of a string or rune literal.
+ * Raw strings may span lines; the others stop at the end of the line.
+ *
+ * @param {string} source - Go source code
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { end, closed }: index after the closing quote, and
+ *   whether the closing quote was found
+ */
+function findLiteralEnd(source, start) {
+    const quote = source[start];
+    let pos = start + 1;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\\' && quote !== '`') {
+            pos += 2;
+            continue;
+        }
+
+        if (ch === quote) {
+            return { end: pos + 1, closed: true };
+        }
+
+        if (ch === '\n' && quote !== '`') {
+            return { end: pos, closed: false };
+        }
+
+        pos++;
+    }
+
+    return { end: source.length, closed: false };
+}
+
+module.exports = { tokenize };
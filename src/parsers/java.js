@@ -0,0 +1,445 @@
+/**
+ * Java Parser Module
+ *
+ * Builds file data for Java sources from the token stream produced by
+ * jvmTokenizer, so strings and comments never leak into the results.
+ *
+ * Extracts:
+ * - The `package` declaration (fileData.packageName)
+ * - Classes, interfaces, enums, records and annotation types, including
+ *   nested ones, with `extends` / `implements`
+ * - Methods and constructors with their owning class
+ * - `import`, `import static` and wildcard imports
+ * - Exports: top-level types (what other packages can import)
+ * - Calls, with `this.field.m()` recorded on `field`
+ * - Typed fields, parameters and locals (`UserRepository repo`,
+ *   `var x = new Foo()`), used to resolve `repo.save()` calls
+ * - Per-function metrics, computed by tokenMetrics
+ * - Recovered syntax errors: unterminated literals and unbalanced brackets
+ */
+
+const { tokenize } = require('./jvmTokenizer');
+const {
+    OPENING,
+    findClosingBracket,
+    skipTypeArguments,
+    skipAnnotation,
+    readQualifiedName,
+    parseImport,
+    collectCalls
+} = require('./jvmShared');
+const { measureFunction } = require('./tokenMetrics');
+const { checkBrackets } = require('./syntaxErrors');
+
+const KEYWORDS = new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+    'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final',
+    'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int',
+    'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public',
+    'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this',
+    'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while', 'var', 'yield',
+    'true', 'false', 'null'
+]);
+
+// Java has no top-level functions, so every bare call may be a graph edge
+const BUILTINS = new Set();
+
+const TYPE_KEYWORDS = new Set(['class', 'interface', 'enum', 'record']);
+
+class JavaParser {
+    /**
+     * Parses Java source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, 'java', fileData.errors);
+        fileData.packageName = null;
+
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+
+            if (token.type === 'NAME' && token.value === 'package') {
+                const { name, next } = readQualifiedName(tokens, index + 1);
+                fileData.packageName = name;
+                index = next;
+            } else if (token.type === 'NAME' && token.value === 'import') {
+                index = parseImport(tokens, index + 1, fileData);
+            } else if (token.value === '@' && !this.isName(tokens[index + 1], 'interface')) {
+                index = skipAnnotation(tokens, index);
+            } else if (this.isTypeDeclaration(tokens, index)) {
+                index = this.parseType(tokens, index, fileData, true);
+            } else if (token.type === 'OP' && OPENING[token.value]) {
+                index = findClosingBracket(tokens, index) + 1;
+            } else {
+                index++;
+            }
+        }
+
+        checkBrackets(tokens, fileData.errors);
+
+        return fileData;
+    }
+
+    /**
+     * Handles a type declaration and its body
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `class` / `interface` / `enum` / `record`
+     * @param {Object} fileData - File data to populate
+     * @param {boolean} topLevel - Whether the type is declared at file level
+     * @returns {number} Index after the declaration
+     */
+    parseType(tokens, index, fileData, topLevel) {
+        const keyword = tokens[index].value;
+        const isAnnotation = keyword === 'interface' && tokens[index - 1] && tokens[index - 1].value === '@';
+        const nameToken = tokens[index + 1];
+        let i = index + 2;
+
+        if (tokens[i] && tokens[i].value === '<') {
+            i = skipTypeArguments(tokens, i);
+        }
+
+        // Record components are fields
+        let componentsEnd = -1;
+        if (keyword === 'record' && tokens[i] && tokens[i].value === '(') {
+            componentsEnd = findClosingBracket(tokens, i);
+            this.collectInstances(tokens, i + 1, componentsEnd + 1, fileData);
+            i = componentsEnd + 1;
+        }
+
+        const bases = [];
+        const implemented = [];
+        let list = null;
+
+        while (i < tokens.length && tokens[i].value !== '{' && tokens[i].value !== ';') {
+            const token = tokens[i];
+
+            if (this.isName(token, 'extends')) {
+                // Interfaces extend interfaces: kept as bases, like class inheritance
+                list = bases;
+            } else if (this.isName(token, 'implements')) {
+                list = implemented;
+            } else if (this.isName(token, 'permits')) {
+                list = null;
+            } else if (token.value === '<') {
+                i = skipTypeArguments(tokens, i);
+                continue;
+            } else if (token.type === 'NAME' && list) {
+                const { name, next } = readQualifiedName(tokens, i);
+                list.push(name);
+                i = next;
+                continue;
+            }
+
+            i++;
+        }
+
+        const open = i;
+        const close = tokens[open] && tokens[open].value === '{' ? findClosingBracket(tokens, open) : open;
+
+        const cls = {
+            name: nameToken.value,
+            kind: isAnnotation ? 'annotation' : keyword,
+            line: tokens[index].line,
+            endLine: tokens[Math.min(close, tokens.length - 1)].endLine,
+            bases: bases,
+            implements: implemented
+        };
+        fileData.classes.push(cls);
+
+        if (topLevel) {
+            fileData.exports.push({
+                name: cls.name,
+                type: keyword === 'interface' && !isAnnotation ? 'interface' : 'class',
+                line: cls.line
+            });
+        }
+
+        if (close > open) {
+            this.parseClassBody(tokens, open + 1, close, cls, fileData);
+        }
+
+        return close + 1;
+    }
+
+    /**
+     * Handles the members of a type body
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `{`
+     * @param {number} end - Index of `}`
+     * @param {Object} cls - The enclosing type
+     * @param {Object} fileData - File data to populate
+     */
+    parseClassBody(tokens, start, end, cls, fileData) {
+        let i = start;
+
+        // Enum constants come first, up to the first `;`
+        if (cls.kind === 'enum') {
+            while (i < end && tokens[i].value !== ';') {
+                i = tokens[i].type === 'OP' && OPENING[tokens[i].value] ? findClosingBracket(tokens, i) + 1 : i + 1;
+            }
+            i++;
+        }
+
+        while (i < end) {
+            const token = tokens[i];
+
+            if (token.value === ';') {
+                i++;
+                continue;
+            }
+
+            // Initializer blocks: `{ ... }` and `static { ... }`
+            if (token.value === '{' || (this.isName(token, 'static') && tokens[i + 1].value === '{')) {
+                const open = token.value === '{' ? i : i + 1;
+                const close = findClosingBracket(tokens, open);
+                collectCalls(tokens, open + 1, close, fileData, KEYWORDS, BUILTINS, false);
+                this.collectInstances(tokens, open + 1, close, fileData);
+                i = close + 1;
+                continue;
+            }
+
+            // Scan the member header to find out what it declares
+            let j = i;
+            let kind = null;
+            let headerStart = -1;
+
+            while (j < end) {
+                const current = tokens[j];
+
+                if (current.value === '@' && !this.isName(tokens[j + 1], 'interface')) {
+                    j = skipAnnotation(tokens, j);
+                    continue;
+                }
+                if (headerStart === -1 && current.value !== '@') {
+                    headerStart = j;
+                }
+                if (this.isTypeDeclaration(tokens, j)) {
+                    kind = 'type';
+                } else if (current.value === '<') {
+                    j = skipTypeArguments(tokens, j);
+                    continue;
+                } else if (current.value === '(') {
+                    kind = 'method';
+                } else if (current.value === '=' || current.value === ';') {
+                    kind = 'field';
+                } else if (current.value === '{') {
+                    // Compact record constructor: `public Point { ... }`
+                    kind = 'block';
+                }
+
+                if (kind) break;
+                j++;
+            }
+
+            if (kind === 'type') {
+                i = this.parseType(tokens, j, fileData, false);
+            } else if (kind === 'method') {
+                i = this.parseMethod(tokens, headerStart, j, end, cls, fileData);
+            } else if (kind === 'field') {
+                i = this.parseField(tokens, i, end, fileData);
+            } else if (kind === 'block') {
+                const close = findClosingBracket(tokens, j);
+                collectCalls(tokens, j + 1, close, fileData, KEYWORDS, BUILTINS, false);
+                i = close + 1;
+            } else {
+                i = end;
+            }
+        }
+    }
+
+    /**
+     * Handles a method or constructor declaration
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the first modifier / type token
+     * @param {number} openIndex - Index of the parameter list's `(`
+     * @param {number} limit - End of the enclosing body
+     * @param {Object} cls - The enclosing type
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseMethod(tokens, start, openIndex, limit, cls, fileData) {
+        const nameToken = tokens[openIndex - 1];
+        const close = findClosingBracket(tokens, openIndex);
+
+        // Skip `throws ...` (and an annotation element's `default ...`) to the body
+        let bodyStart = close + 1;
+        while (bodyStart < limit && tokens[bodyStart].value !== '{' && tokens[bodyStart].value !== ';') {
+            bodyStart++;
+        }
+
+        const hasBody = bodyStart < limit && tokens[bodyStart].value === '{';
+        const end = hasBody ? findClosingBracket(tokens, bodyStart) : bodyStart;
+
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return end + 1;
+        }
+
+        const params = this.extractParams(tokens, openIndex + 1, close);
+
+        fileData.functions.push({
+            name: nameToken.value,
+            type: 'method',
+            line: tokens[start].line,
+            endLine: tokens[Math.min(end, tokens.length - 1)].endLine,
+            params: params,
+            metrics: measureFunction(tokens, start, Math.min(end, tokens.length - 1), hasBody ? bodyStart : -1, params.length, 'java'),
+            className: cls.name
+        });
+
+        this.collectInstances(tokens, openIndex + 1, close + 1, fileData);
+
+        if (hasBody) {
+            collectCalls(tokens, bodyStart + 1, end, fileData, KEYWORDS, BUILTINS, false);
+            this.collectInstances(tokens, bodyStart + 1, end, fileData);
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles a field declaration up to its `;`. Initializers run outside
+     * any method, so their calls belong to no function.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the first token
+     * @param {number} limit - End of the enclosing body
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseField(tokens, start, limit, fileData) {
+        let i = start;
+
+        while (i < limit && tokens[i].value !== ';') {
+            i = tokens[i].type === 'OP' && OPENING[tokens[i].value] ? findClosingBracket(tokens, i) + 1 : i + 1;
+        }
+
+        collectCalls(tokens, start, i, fileData, KEYWORDS, BUILTINS, false);
+        this.collectInstances(tokens, start, i + 1, fileData);
+
+        return i + 1;
+    }
+
+    /**
+     * Extracts parameter names: the last name of each parameter
+     * (`final @Valid UserDto dto` -> `dto`, `String... args` -> `args`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names
+     */
+    extractParams(tokens, start, end) {
+        const params = [];
+        let last = null;
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (token.value === '@' && depth === 0) {
+                i = skipAnnotation(tokens, i) - 1;
+                continue;
+            }
+            if (token.value === '<' || token.value === '(') depth++;
+            if (/^>+$/.test(token.value)) depth -= token.value.length;
+            if (token.value === ')') depth--;
+
+            if (depth === 0 && token.value === ',') {
+                if (last) params.push(last);
+                last = null;
+            } else if (depth === 0 && token.type === 'NAME' && !KEYWORDS.has(token.value)) {
+                last = token.value;
+            }
+        }
+
+        if (last) params.push(last);
+        return params;
+    }
+
+    /**
+     * Records variables declared with a class type: fields, parameters and
+     * locals (`UserRepository repo`, `Foo foo = new FooImpl()`, `var x = new Foo()`).
+     * A `new` initializer names the concrete class.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    collectInstances(tokens, start, end, fileData) {
+        const terminators = ['=', ';', ',', ')', ':'];
+
+        for (let i = start; i < end - 2; i++) {
+            const token = tokens[i];
+            const nameToken = tokens[i + 1];
+            const after = tokens[i + 2];
+
+            if (token.type !== 'NAME' || nameToken.type !== 'NAME' || KEYWORDS.has(nameToken.value)) continue;
+            if (!terminators.includes(after.value)) continue;
+
+            const isVar = token.value === 'var';
+            if (!isVar && (!/^[A-Z]/.test(token.value) || KEYWORDS.has(token.value))) continue;
+
+            let className = isVar ? null : token.value;
+
+            // Qualified type: com.example.Foo foo
+            let j = i;
+            while (!isVar && j >= 2 && tokens[j - 1].value === '.' && tokens[j - 2].type === 'NAME') {
+                className = `${tokens[j - 2].value}.${className}`;
+                j -= 2;
+            }
+
+            if (after.value === '=' && this.isName(tokens[i + 3], 'new')) {
+                const created = readQualifiedName(tokens, i + 4);
+                className = created.name || className;
+            }
+
+            if (className) {
+                fileData.instances.push({ name: nameToken.value, className: className, line: nameToken.line });
+            }
+        }
+    }
+
+    /**
+     * Checks whether the token at index starts a type declaration
+     * (`record` is only a keyword in front of a record header)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Token index
+     * @returns {boolean} True for `class Foo`, `interface Foo`, `enum Foo`, `record Foo(`
+     */
+    isTypeDeclaration(tokens, index) {
+        const token = tokens[index];
+        const name = tokens[index + 1];
+
+        if (!token || token.type !== 'NAME' || !TYPE_KEYWORDS.has(token.value) || !name || name.type !== 'NAME') {
+            return false;
+        }
+        if (index > 0 && tokens[index - 1].value === '.') {
+            return false;
+        }
+
+        return token.value !== 'record' || ['(', '<'].includes(tokens[index + 2] && tokens[index + 2].value);
+    }
+
+    /**
+     * Checks whether a token is the given name or keyword
+     *
+     * @param {Object} token - Token (may be undefined)
+     * @param {string} value - Expected value
+     * @returns {boolean} True if it matches
+     */
+    isName(token, value) {
+        return Boolean(token) && token.type === 'NAME' && token.value === value;
+    }
+}
+
+module.exports = JavaParser;
@@ -0,0 +1,194 @@
+/**
+ * JavaScript/TypeScript Function Metrics
+ *
+ * Computes size and complexity metrics for a function from its Babel path:
+ * - Cyclomatic complexity: 1 + decision points (branches, loops, cases,
+ *   catch clauses, `&&` / `||` / `??` and their assignment forms)
+ * - Cognitive complexity (SonarSource): structural increments weighted by
+ *   nesting, plus one per sequence of like boolean operators
+ * - Lines of code: lines holding code, so blank and comment-only lines don't count
+ * - Maximum nesting depth of control structures
+ * - Parameter count
+ *
+ * Functions that get their own graph node (declarations, methods, functions
+ * assigned to variables) are measured separately; inline callbacks count
+ * towards the function they are written in.
+ */
+
+const LOGICAL_ASSIGNMENTS = ['&&=', '||=', '??='];
+
+const LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+
+/**
+ * Computes metrics for a function
+ *
+ * @param {Object} functionPath - Babel path of the function node
+ * @returns {Object} { cyclomatic, cognitive, linesOfCode, maxNesting, parameterCount }
+ */
+function computeFunctionMetrics(functionPath) {
+    const node = functionPath.node;
+    const lines = new Set();
+    const metrics = {
+        cyclomatic: 1,
+        cognitive: 0,
+        linesOfCode: 0,
+        maxNesting: 0,
+        parameterCount: (node.params || []).length
+    };
+
+    // Cognitive nesting level and control-structure depth of the current node
+    let nesting = 0;
+    let depth = 0;
+    const opened = new WeakMap();
+
+    const addLines = (loc) => {
+        if (loc) {
+            lines.add(loc.start.line);
+            lines.add(loc.end.line);
+        }
+    };
+
+    addLines(node.loc);
+
+    functionPath.traverse({
+        enter(path) {
+            if (path.isFunction() && hasOwnNode(path)) {
+                path.skip();
+                return;
+            }
+
+            addLines(path.node.loc);
+
+            const structure = classify(path);
+            if (!structure) {
+                return;
+            }
+
+            metrics.cyclomatic += structure.decision;
+            metrics.cognitive += structure.increment + (structure.nested ? nesting : 0);
+
+            if (structure.nests) {
+                nesting++;
+            }
+            if (structure.deepens) {
+                depth++;
+                metrics.maxNesting = Math.max(metrics.maxNesting, depth);
+            }
+
+            opened.set(path.node, structure);
+        },
+
+        exit(path) {
+            const structure = opened.get(path.node);
+            if (!structure) {
+                return;
+            }
+
+            if (structure.nests) {
+                nesting--;
+            }
+            if (structure.deepens) {
+                depth--;
+            }
+        }
+    });
+
+    metrics.linesOfCode = lines.size;
+    return metrics;
+}
+
+/**
+ * Describes how a node contributes to the metrics
+ * - decision: cyclomatic increment
+ * - increment / nested: cognitive increment, and whether nesting adds to it
+ * - nests: raises the cognitive nesting level for its children
+ * - deepens: counts towards the maximum nesting depth
+ *
+ * @param {Object} path - Babel path
+ * @returns {Object|null} Contribution, or null for neutral nodes
+ */
+function classify(path) {
+    const node = path.node;
+
+    switch (node.type) {
+        case 'IfStatement': {
+            const isElseIf = path.parentPath.isIfStatement() && path.parent.alternate === node;
+            // A trailing plain `else` is one more cognitive increment
+            const hasElse = node.alternate && node.alternate.type !== 'IfStatement' ? 1 : 0;
+
+            return isElseIf
+                ? { decision: 1, increment: 1 + hasElse, nested: false, nests: false, deepens: false }
+                : { decision: 1, increment: 1 + hasElse, nested: true, nests: true, deepens: true };
+        }
+
+        case 'ConditionalExpression':
+            return { decision: 1, increment: 1, nested: true, nests: true, deepens: false };
+
+        case 'SwitchStatement':
+            return { decision: 0, increment: 1, nested: true, nests: true, deepens: true };
+
+        case 'SwitchCase':
+            return node.test ? { decision: 1, increment: 0, nested: false, nests: false, deepens: false } : null;
+
+        case 'TryStatement':
+            return { decision: 0, increment: 0, nested: false, nests: false, deepens: true };
+
+        case 'CatchClause':
+            return { decision: 1, increment: 1, nested: true, nests: true, deepens: false };
+
+        case 'LogicalExpression': {
+            // `a && b && c` is one sequence; `a && b || c` is two
+            const continues = path.parentPath.isLogicalExpression() && path.parent.operator === node.operator;
+            return { decision: 1, increment: continues ? 0 : 1, nested: false, nests: false, deepens: false };
+        }
+
+        case 'AssignmentExpression':
+            return LOGICAL_ASSIGNMENTS.includes(node.operator)
+                ? { decision: 1, increment: 1, nested: false, nests: false, deepens: false }
+                : null;
+
+        case 'BreakStatement':
+        case 'ContinueStatement':
+            return node.label ? { decision: 0, increment: 1, nested: false, nests: false, deepens: false } : null;
+
+        default:
+            if (LOOPS.includes(node.type)) {
+                return { decision: 1, increment: 1, nested: true, nests: true, deepens: true };
+            }
+            // Inline callbacks nest their bodies without an increment of their own
+            if (path.isFunction()) {
+                return { decision: 0, increment: 0, nested: false, nests: true, deepens: false };
+            }
+            return null;
+    }
+}
+
+/**
+ * Checks whether a nested function becomes a graph node of its own, mirroring
+ * what Parser.extractFunction records
+ *
+ * @param {Object} path - Babel path of a function
+ * @returns {boolean} True for declarations, methods, functions assigned to
+ *   variables or class fields, and `exports.foo = function () {}`
+ */
+function hasOwnNode(path) {
+    if (path.isFunctionDeclaration() || path.isClassMethod() || path.isClassPrivateMethod()) {
+        return true;
+    }
+
+    const parent = path.parentPath;
+    if (parent.isVariableDeclarator() || parent.isClassProperty()) {
+        return true;
+    }
+
+    if (parent.isAssignmentExpression() && path.key === 'right' && parent.node.left.type === 'MemberExpression') {
+        const object = parent.node.left.object;
+        return (object.type === 'Identifier' && object.name === 'exports') ||
+            (object.type === 'MemberExpression' && object.object.name === 'module' &&
+             object.property.name === 'exports');
+    }
+
+    return false;
+}
+
+module.exports = { computeFunctionMetrics };
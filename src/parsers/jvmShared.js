@@ -0,0 +1,245 @@
+/**
+ * Shared Java/Kotlin Parsing Helpers
+ *
+ * Token-level helpers used by both JVM parsers:
+ * - Bracket, type-argument and annotation skipping
+ * - `import` statements (Java `static` imports, Kotlin `as` aliases)
+ * - Call collection, with `this.field.m()` recorded on `field`
+ */
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+// Names that may precede a call (`return foo()`) rather than declare a method (`void foo()`)
+const EXPRESSION_KEYWORDS = new Set(['return', 'throw', 'else', 'case', 'yield', 'assert', 'in', 'is', 'by', 'to']);
+
+/**
+ * Finds the bracket matching the one at openIndex
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} openIndex - Index of `(`, `[` or `{`
+ * @returns {number} Index of the closing bracket (last token if unbalanced)
+ */
+function findClosingBracket(tokens, openIndex) {
+    const open = tokens[openIndex].value;
+    const close = OPENING[open];
+    let depth = 0;
+
+    for (let i = openIndex; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'OP') continue;
+
+        if (token.value === open) {
+            depth++;
+        } else if (token.value === close) {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return tokens.length - 1;
+}
+
+/**
+ * Skips type arguments or parameters: `<K, List<V>>`
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} index - Index of `<`
+ * @returns {number} Index after the closing `>`
+ */
+function skipTypeArguments(tokens, index) {
+    let depth = 0;
+    let i = index;
+
+    while (i < tokens.length) {
+        const value = tokens[i].value;
+
+        if (value === '(' || value === '[') {
+            i = findClosingBracket(tokens, i) + 1;
+            continue;
+        }
+        if (value === '{' || value === ';' || value === '=') {
+            return i;
+        }
+
+        if (value === '<') depth++;
+        // `>>` and `>>>` close several levels at once
+        if (/^>+$/.test(value)) depth -= value.length;
+
+        i++;
+        if (depth <= 0) {
+            return i;
+        }
+    }
+
+    return i;
+}
+
+/**
+ * Skips an annotation: `@Inject`, `@field:Json(name = "x")`, `@a.b.C(...)`
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} index - Index of `@`
+ * @returns {number} Index after the annotation
+ */
+function skipAnnotation(tokens, index) {
+    let i = index + 1;
+
+    // Kotlin use-site target: @field:Inject
+    if (tokens[i + 1] && tokens[i + 1].value === ':' && tokens[i + 2] && tokens[i + 2].type === 'NAME') {
+        i += 2;
+    }
+
+    i = readQualifiedName(tokens, i).next;
+
+    if (tokens[i] && tokens[i].value === '<') {
+        i = skipTypeArguments(tokens, i);
+    }
+    if (tokens[i] && tokens[i].value === '(' && tokens[i].line === tokens[i - 1].line) {
+        i = findClosingBracket(tokens, i) + 1;
+    }
+
+    return Math.max(i, index + 1);
+}
+
+/**
+ * Reads a dotted name (`com.example.Foo`)
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} index - Index of the first name
+ * @returns {{name: string, next: number}} Name ('' if none) and the index after it
+ */
+function readQualifiedName(tokens, index) {
+    const parts = [];
+    let i = index;
+
+    while (tokens[i] && tokens[i].type === 'NAME') {
+        parts.push(tokens[i].value);
+        if (!(tokens[i + 1] && tokens[i + 1].value === '.' && tokens[i + 2] && tokens[i + 2].type === 'NAME')) {
+            i++;
+            break;
+        }
+        i += 2;
+    }
+
+    return { name: parts.join('.'), next: i };
+}
+
+/**
+ * Handles `import [static] a.b.C[.*] [as D]`
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} index - Index after the `import` keyword
+ * @param {Object} fileData - File data to populate
+ * @returns {number} Index after the statement
+ */
+function parseImport(tokens, index, fileData) {
+    const line = tokens[index - 1].line;
+    let i = index;
+
+    if (tokens[i] && tokens[i].value === 'static' && tokens[i + 1] && tokens[i + 1].type === 'NAME') {
+        i++;
+    }
+
+    const { name, next } = readQualifiedName(tokens, i);
+    if (!name) {
+        return i;
+    }
+    i = next;
+
+    const wildcard = tokens[i] && tokens[i].value === '.' && tokens[i + 1] && tokens[i + 1].value === '*';
+    if (wildcard) {
+        i += 2;
+    }
+
+    let alias = null;
+    if (tokens[i] && tokens[i].value === 'as' && tokens[i + 1] && tokens[i + 1].type === 'NAME' &&
+        tokens[i + 1].line === line) {
+        alias = tokens[i + 1].value;
+        i += 2;
+    }
+
+    if (tokens[i] && tokens[i].value === ';') {
+        i++;
+    }
+
+    const imported = wildcard ? '*' : name.split('.').pop();
+
+    fileData.imports.push({
+        source: wildcard ? `${name}.*` : name,
+        imported: imported,
+        local: wildcard ? null : alias || imported,
+        kind: 'static',
+        line: line
+    });
+
+    return i;
+}
+
+/**
+ * Records calls (`name(...)`, `obj.field.name(...)`, and in Kotlin
+ * trailing-lambda calls `items.forEach { }`) in a token range
+ *
+ * @param {Array<Object>} tokens - All tokens
+ * @param {number} start - First index (inclusive)
+ * @param {number} end - Last index (exclusive)
+ * @param {Object} fileData - File data to populate
+ * @param {Set<string>} keywords - Keywords of the language, never calls
+ * @param {Set<string>} builtins - Standard library helpers of the language,
+ *   left out unless called on a receiver
+ * @param {boolean} kotlin - Whether trailing lambdas count as calls
+ */
+function collectCalls(tokens, start, end, fileData, keywords, builtins, kotlin) {
+    for (let i = start; i < end - 1; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        const previous = i > start ? tokens[i - 1] : null;
+
+        if (token.type !== 'NAME' || keywords.has(token.value)) continue;
+
+        const isMember = previous && (previous.value === '.' || previous.value === '?.');
+        const opensCall = next.value === '(' ||
+            (kotlin && next.value === '{' && next.line === token.line && /^[a-z]/.test(token.value) &&
+             !(previous && previous.value === ':'));
+        if (!opensCall) continue;
+
+        // `new Foo(` constructs, `void foo(` / `fun foo(` declares
+        if (previous && previous.type === 'NAME' && !isMember && !EXPRESSION_KEYWORDS.has(previous.value)) continue;
+        if (!isMember && builtins.has(token.value)) continue;
+
+        const call = {
+            name: token.value,
+            line: token.line
+        };
+
+        if (isMember) {
+            // Walk back over `a.b.` to recover the receiver; complex receivers stay ''
+            const parts = [];
+            let j = i - 1;
+            while (j - 1 >= start && (tokens[j].value === '.' || tokens[j].value === '?.') && tokens[j - 1].type === 'NAME') {
+                parts.unshift(tokens[j - 1].value);
+                if (!(j - 2 >= start && (tokens[j - 2].value === '.' || tokens[j - 2].value === '?.'))) break;
+                j -= 2;
+            }
+
+            // Fields are read with or without `this.`
+            if (parts.length > 1 && parts[0] === 'this') {
+                parts.shift();
+            }
+            call.object = parts.join('.');
+        }
+
+        fileData.calls.push(call);
+    }
+}
+
+module.exports = {
+    OPENING,
+    findClosingBracket,
+    skipTypeArguments,
+    skipAnnotation,
+    readQualifiedName,
+    parseImport,
+    collectCalls
+};
@@ -0,0 +1,205 @@
+/**
+ * JVM Tokenizer Module
+ *
+ * Converts Java and Kotlin source into a flat token stream for structural
+ * analysis:
+ * - String, text block (`"""`), and character literals are consumed whole;
+ *   Kotlin `${...}` templates stay inside their string
+ * - Line and block comments are dropped (Kotlin block comments nest)
+ * - Kotlin backticked names (`` `is valid` ``) become plain names
+ * - Unterminated literals are recorded as recovered syntax errors
+ * - Every token carries its line; newlines are not tokens
+ *
+ * Token types: NAME, NUMBER, STRING, OP
+ */
+
+const { recordSyntaxError } = require('./syntaxErrors');
+
+const NAME_START = /[A-Za-z_$\u0080-￿]/;
+const NAME_PART = /[A-Za-z0-9_$\u0080-￿]/;
+const NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.\d[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)[lLfFdDuU]*/y;
+
+// Longest operators first so that `>>>=` wins over `>>` and `>`
+const OPERATORS = [
+    '>>>=', '<<=', '>>=', '===', '!==', '...', '..<',
+    '::', '->', '?.', '?:', '!!', '..', '==', '!=', '<=', '>=', '&&', '||', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='
+];
+
+/**
+ * Tokenizes Java or Kotlin source code
+ *
+ * @param {string} source - Source code
+ * @param {string} language - 'java' or 'kotlin'
+ * @param {Array<Object>} errors - Receives recovered syntax errors
+ * @returns {Array<Object>} Tokens with type, value, line and endLine (0-based lines)
+ */
+function tokenize(source, language, errors) {
+    const tokens = [];
+    const length = source.length;
+    const kotlin = language === 'kotlin';
+
+    let pos = 0;
+    let line = 0;
+
+    // Advances to `end`, counting the newlines passed
+    const advanceTo = (end) => {
+        for (let i = pos; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+        }
+        pos = end;
+    };
+
+    while (pos < length) {
+        const ch = source[pos];
+        const startLine = line;
+
+        if (ch === '\n' || ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f') {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            advanceTo(end === -1 ? length : end);
+            continue;
+        }
+
+        if (source.startsWith('/*', pos)) {
+            advanceTo(findCommentEnd(source, pos, kotlin));
+            continue;
+        }
+
+        if (kotlin && ch === '`') {
+            const end = source.indexOf('`', pos + 1);
+            const close = end === -1 ? length : end;
+            tokens.push({ type: 'NAME', value: source.slice(pos + 1, close), line: startLine, endLine: startLine });
+            advanceTo(Math.min(close + 1, length));
+            continue;
+        }
+
+        if (NAME_START.test(ch)) {
+            let end = pos + 1;
+            while (end < length && NAME_PART.test(source[end])) {
+                end++;
+            }
+            tokens.push({ type: 'NAME', value: source.slice(pos, end), line: startLine, endLine: startLine });
+            advanceTo(end);
+            continue;
+        }
+
+        if (ch === '"' || ch === '\'') {
+            const literal = findLiteralEnd(source, pos, kotlin);
+            if (!literal.closed) {
+                recordSyntaxError(errors, ch === '\'' ? 'Unterminated character literal' : 'Unterminated string literal', startLine);
+            }
+            const value = source.slice(pos, literal.end);
+            advanceTo(literal.end);
+            tokens.push({ type: 'STRING', value, line: startLine, endLine: line });
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(source);
+            const value = match ? match[0] : ch;
+            tokens.push({ type: 'NUMBER', value, line: startLine, endLine: startLine });
+            advanceTo(pos + value.length);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+        tokens.push({ type: 'OP', value: operator, line: startLine, endLine: startLine });
+        advanceTo(pos + operator.length);
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds the index just past the end of a block comment
+ *
+ * @param {string} source - Source code
+ * @param {number} start - Index of the opening `/*`
+ * @param {boolean} nested - Whether comments nest (Kotlin)
+ * @returns {number} Index after the closing `*\/`
+ */
+function findCommentEnd(source, start, nested) {
+    let depth = 0;
+    let pos = start;
+
+    while (pos < source.length) {
+        if (source.startsWith('/*', pos)) {
+            depth++;
+            pos += 2;
+        } else if (source.startsWith('*/', pos)) {
+            depth--;
+            pos += 2;
+            if (depth === 0 || !nested) {
+                return pos;
+            }
+        } else {
+            pos++;
+        }
+    }
+
+    return source.length;
+}
+
+/**
+ * Finds the index just past the end of a string, text block or character
+ * literal. Kotlin templates (`"${map["key"]}"`) are skipped as a whole.
+ *
+ * @param {string} source - Source code
+ * @param {number} start - Index of the opening quote
+ * @param {boolean} kotlin - Whether `${...}` templates are allowed
+ * @returns {Object} { end, closed }: index after the closing quote, and
+ *   whether the closing quote was found
+ */
+function findLiteralEnd(source, start, kotlin) {
+    const block = source.startsWith('"""', start);
+    const quote = block ? '"""' : source[start];
+    let pos = start + quote.length;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (kotlin && source.startsWith('${', pos)) {
+            let depth = 0;
+            while (pos < source.length) {
+                if (source[pos] === '{') depth++;
+                if (source[pos] === '}' && --depth === 0) break;
+                pos++;
+            }
+            pos++;
+            continue;
+        }
+
+        // Kotlin raw strings have no escapes; Java text blocks do
+        if (ch === '\\' && !(block && kotlin)) {
+            pos += 2;
+            continue;
+        }
+
+        if (source.startsWith(quote, pos)) {
+            // A raw string may end in extra quotes: """a""""
+            let end = pos + quote.length;
+            while (block && source[end] === '"') {
+                end++;
+            }
+            return { end, closed: true };
+        }
+
+        if (ch === '\n' && !block) {
+            return { end: pos, closed: false };
+        }
+
+        pos++;
+    }
+
+    return { end: source.length, closed: false };
+}
+
+module.exports = { tokenize };
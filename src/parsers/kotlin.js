@@ -0,0 +1,596 @@
+/**
+ * Kotlin Parser Module
+ *
+ * Builds file data for Kotlin sources from the token stream produced by
+ * jvmTokenizer, so strings and comments never leak into the results.
+ *
+ * Extracts:
+ * - The `package` declaration (fileData.packageName)
+ * - Classes, interfaces, objects and enum classes; supertypes with a
+ *   constructor call (`Base()`) are bases, the others implemented interfaces
+ * - Top-level and extension functions, methods (companion object members
+ *   belong to the enclosing class), secondary constructors and type aliases
+ * - `import a.b.C`, `import a.b.C as D` and wildcard imports
+ * - Exports: non-private top-level declarations
+ * - Calls, including trailing-lambda calls (`items.forEach { }`)
+ * - Typed properties, parameters and locals (`repo: UserRepository`,
+ *   `val x = Foo()`), used to resolve `repo.save()` calls
+ * - Per-function metrics, computed by tokenMetrics
+ * - Recovered syntax errors: unterminated literals and unbalanced brackets
+ */
+
+const { tokenize } = require('./jvmTokenizer');
+const {
+    OPENING,
+    findClosingBracket,
+    skipTypeArguments,
+    skipAnnotation,
+    readQualifiedName,
+    parseImport,
+    collectCalls
+} = require('./jvmShared');
+const { measureFunction } = require('./tokenMetrics');
+const { checkBrackets } = require('./syntaxErrors');
+
+// Hard keywords and declaration modifiers. Soft keywords that are common
+// identifiers (`value`, `data`, `get`, `field`) are left out.
+const KEYWORDS = new Set([
+    'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in',
+    'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw',
+    'true', 'try', 'typealias', 'val', 'var', 'when', 'while', 'by', 'catch', 'constructor',
+    'finally', 'import', 'init', 'where', 'abstract', 'actual', 'annotation', 'companion',
+    'const', 'crossinline', 'enum', 'expect', 'external', 'final', 'infix', 'inline',
+    'inner', 'internal', 'lateinit', 'noinline', 'open', 'operator', 'out', 'override',
+    'private', 'protected', 'public', 'reified', 'sealed', 'suspend', 'tailrec', 'vararg'
+]);
+
+// Standard library helpers (collection builders, scope functions, preconditions)
+// that are not interesting as graph edges
+const BUILTINS = new Set([
+    'println', 'print', 'require', 'check', 'error', 'TODO', 'assert', 'synchronized',
+    'listOf', 'mapOf', 'setOf', 'mutableListOf', 'mutableMapOf', 'mutableSetOf', 'arrayOf',
+    'emptyList', 'emptyMap', 'lazy', 'let', 'also', 'apply', 'run', 'with', 'takeIf'
+]);
+
+// Tokens that continue an expression onto the next line
+const CONTINUES_LINE = new Set(['.', '?.', '?:', '&&', '||']);
+const ENDS_INCOMPLETE = new Set(['=', '.', '?.', ',', '+', '-', '*', '/', '%', '&&', '||', '?:', '->', ':', 'to', 'in', 'is', 'as']);
+
+class KotlinParser {
+    /**
+     * Parses Kotlin source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, 'kotlin', fileData.errors);
+        fileData.packageName = null;
+
+        this.parseDeclarations(tokens, 0, tokens.length, null, fileData);
+        checkBrackets(tokens, fileData.errors);
+
+        return fileData;
+    }
+
+    /**
+     * Handles the declarations of a file (cls null) or a class body
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     */
+    parseDeclarations(tokens, start, end, cls, fileData) {
+        let i = start;
+
+        while (i < end) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (token.value === '@') {
+                i = skipAnnotation(tokens, i);
+            } else if (!cls && this.isName(token, 'package')) {
+                const { name, next: after } = readQualifiedName(tokens, i + 1);
+                fileData.packageName = name;
+                i = after;
+            } else if (!cls && this.isName(token, 'import')) {
+                i = parseImport(tokens, i + 1, fileData);
+            } else if (this.isName(token, 'fun') && next && next.value !== '(' && !this.isName(next, 'interface')) {
+                i = this.parseFunction(tokens, i, end, cls, fileData);
+            } else if (this.isName(token, 'object') && this.isName(tokens[i - 1], 'companion')) {
+                i = this.parseCompanion(tokens, i, end, cls, fileData);
+            } else if ((this.isName(token, 'class') || this.isName(token, 'interface') || this.isName(token, 'object')) &&
+                       next && next.type === 'NAME') {
+                i = this.parseClass(tokens, i, end, cls, fileData);
+            } else if (this.isName(token, 'typealias') && next && next.type === 'NAME') {
+                i = this.parseTypeAlias(tokens, i, end, cls, fileData);
+            } else if ((this.isName(token, 'val') || this.isName(token, 'var')) && next) {
+                i = this.parseProperty(tokens, i, end, cls, fileData);
+            } else if (this.isName(token, 'init') && next && next.value === '{') {
+                const close = findClosingBracket(tokens, i + 1);
+                collectCalls(tokens, i + 2, close, fileData, KEYWORDS, BUILTINS, true);
+                this.collectInstances(tokens, i + 2, close, fileData);
+                i = close + 1;
+            } else if (cls && this.isName(token, 'constructor') && next && next.value === '(') {
+                i = this.parseFunction(tokens, i, end, cls, fileData);
+            } else if (token.type === 'OP' && OPENING[token.value]) {
+                i = findClosingBracket(tokens, i) + 1;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * Handles `class`, `interface` and `object` declarations
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the keyword
+     * @param {number} limit - End of the enclosing block
+     * @param {Object|null} outer - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseClass(tokens, index, limit, outer, fileData) {
+        const keyword = tokens[index].value;
+        const nameToken = tokens[index + 1];
+        const modifiers = this.getModifiers(tokens, index);
+        let i = index + 2;
+
+        if (tokens[i] && tokens[i].value === '<') {
+            i = skipTypeArguments(tokens, i);
+        }
+
+        // Primary constructor: `private constructor(...)`, `@Inject constructor(...)`, `(...)`
+        while (i < limit && tokens[i].line === nameToken.line &&
+               (tokens[i].value === '@' || ['private', 'protected', 'internal', 'public', 'constructor'].includes(tokens[i].value))) {
+            i = tokens[i].value === '@' ? skipAnnotation(tokens, i) : i + 1;
+        }
+        if (tokens[i] && tokens[i].value === '(') {
+            const close = findClosingBracket(tokens, i);
+            this.collectInstances(tokens, i + 1, close + 1, fileData);
+            i = close + 1;
+        }
+
+        const bases = [];
+        const implemented = [];
+
+        if (tokens[i] && tokens[i].value === ':') {
+            i++;
+            while (i < limit) {
+                const { name, next } = readQualifiedName(tokens, i);
+                if (!name) break;
+                i = next;
+
+                if (tokens[i] && tokens[i].value === '<') {
+                    i = skipTypeArguments(tokens, i);
+                }
+
+                // `Base(args)` calls a superclass constructor; interfaces have none.
+                // Interfaces extending interfaces are kept as bases.
+                const calls = tokens[i] && tokens[i].value === '(';
+                if (calls) {
+                    i = findClosingBracket(tokens, i) + 1;
+                }
+                (calls || keyword === 'interface' ? bases : implemented).push(name);
+
+                // Delegation: `Repo by impl`
+                if (this.isName(tokens[i], 'by')) {
+                    i = readQualifiedName(tokens, i + 1).next;
+                }
+
+                if (!tokens[i] || tokens[i].value !== ',') break;
+                i++;
+            }
+        }
+
+        // `where` constraints and anything else up to the body on the same line
+        while (i < limit && tokens[i].value !== '{' && tokens[i].line === tokens[i - 1].endLine &&
+               !(tokens[i].type === 'NAME' && KEYWORDS.has(tokens[i].value) && tokens[i].value !== 'where')) {
+            i++;
+        }
+
+        const hasBody = i < limit && tokens[i].value === '{';
+        const close = hasBody ? findClosingBracket(tokens, i) : i - 1;
+
+        const cls = {
+            name: nameToken.value,
+            kind: modifiers.includes('enum') ? 'enum' : modifiers.includes('annotation') ? 'annotation' : keyword,
+            line: tokens[index].line,
+            endLine: tokens[close].endLine,
+            bases: bases,
+            implements: implemented
+        };
+        fileData.classes.push(cls);
+
+        if (!outer && !modifiers.includes('private')) {
+            fileData.exports.push({
+                name: cls.name,
+                type: keyword === 'interface' ? 'interface' : 'class',
+                line: cls.line
+            });
+        }
+
+        if (hasBody) {
+            let bodyStart = i + 1;
+
+            // Enum entries come first, up to the first `;`
+            if (cls.kind === 'enum') {
+                let j = bodyStart;
+                while (j < close && tokens[j].value !== ';') {
+                    j = tokens[j].type === 'OP' && OPENING[tokens[j].value] ? findClosingBracket(tokens, j) + 1 : j + 1;
+                }
+                bodyStart = j + 1;
+            }
+
+            this.parseDeclarations(tokens, bodyStart, close, cls, fileData);
+        }
+
+        return close + 1;
+    }
+
+    /**
+     * Handles `companion object [Name] [: Super] { ... }`: its members are
+     * called through the enclosing class (`Foo.create()`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `object`
+     * @param {number} limit - End of the enclosing block
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseCompanion(tokens, index, limit, cls, fileData) {
+        let i = index + 1;
+
+        while (i < limit && tokens[i].value !== '{' && tokens[i].line === tokens[index].line) {
+            i++;
+        }
+
+        if (i >= limit || tokens[i].value !== '{') {
+            return i;
+        }
+
+        const close = findClosingBracket(tokens, i);
+        this.parseDeclarations(tokens, i + 1, close, cls, fileData);
+        return close + 1;
+    }
+
+    /**
+     * Handles `fun name(...)`, `fun <T> Receiver.name(...)` and secondary
+     * `constructor(...)`, with block or expression bodies
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `fun` / `constructor`
+     * @param {number} limit - End of the enclosing block
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseFunction(tokens, index, limit, cls, fileData) {
+        const modifiers = this.getModifiers(tokens, index);
+        let i = index;
+        let nameToken = tokens[index];
+
+        if (tokens[index].value === 'fun') {
+            i = index + 1;
+            nameToken = null;
+
+            if (tokens[i] && tokens[i].value === '<') {
+                i = skipTypeArguments(tokens, i);
+            }
+
+            // The last name before `(` is the function; earlier ones are the receiver type
+            while (i < limit && tokens[i].type === 'NAME') {
+                nameToken = tokens[i];
+                i++;
+                if (tokens[i] && tokens[i].value === '<') {
+                    i = skipTypeArguments(tokens, i);
+                }
+                if (tokens[i] && tokens[i].value === '?') {
+                    i++;
+                }
+                if (!tokens[i] || (tokens[i].value !== '.' && tokens[i].value !== '?.')) break;
+                i++;
+            }
+        } else {
+            i = index + 1;
+        }
+
+        if (!nameToken || !tokens[i] || tokens[i].value !== '(') {
+            return i;
+        }
+
+        const close = findClosingBracket(tokens, i);
+        const params = this.extractParams(tokens, i + 1, close);
+        this.collectInstances(tokens, i + 1, close + 1, fileData);
+
+        // Return type, `: this(...)` delegation and constraints, up to the body
+        let j = close + 1;
+        let bodyStart = -1;
+        let end = close;
+
+        while (j < limit) {
+            const token = tokens[j];
+
+            if (token.value === '{') {
+                bodyStart = j;
+                end = findClosingBracket(tokens, j);
+                break;
+            }
+            if (token.value === '=') {
+                end = this.findStatementEnd(tokens, j + 1, limit) - 1;
+                break;
+            }
+            if (token.line > tokens[j - 1].endLine && !ENDS_INCOMPLETE.has(tokens[j - 1].value)) {
+                break;
+            }
+            if (token.value === '(' || token.value === '[') {
+                j = findClosingBracket(tokens, j) + 1;
+                continue;
+            }
+            if (token.value === '<') {
+                j = skipTypeArguments(tokens, j);
+                continue;
+            }
+            j++;
+        }
+
+        // Abstract members and `: this(...)` delegations end with their header
+        if (bodyStart === -1 && end === close) {
+            end = j - 1;
+        }
+
+        fileData.functions.push({
+            name: nameToken.value,
+            type: cls ? 'method' : 'function',
+            line: tokens[index].line,
+            endLine: tokens[end].endLine,
+            params: params,
+            metrics: measureFunction(tokens, index, end, bodyStart, params.length, 'kotlin'),
+            className: cls ? cls.name : null
+        });
+
+        if (!cls && !modifiers.includes('private')) {
+            fileData.exports.push({ name: nameToken.value, type: 'function', line: tokens[index].line });
+        }
+
+        collectCalls(tokens, close + 1, end + 1, fileData, KEYWORDS, BUILTINS, true);
+        this.collectInstances(tokens, close + 1, end + 1, fileData);
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `val` / `var` properties, at file, class or block level
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `val` / `var`
+     * @param {number} limit - End of the enclosing block
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseProperty(tokens, index, limit, cls, fileData) {
+        const end = this.findStatementEnd(tokens, index, limit);
+        const modifiers = this.getModifiers(tokens, index);
+
+        // The last name before `:` / `=` / `by` is the property (`val String.size`)
+        let nameToken = null;
+        for (let i = index + 1; i < end; i++) {
+            const token = tokens[i];
+            if (token.type === 'NAME' && !KEYWORDS.has(token.value)) {
+                nameToken = token;
+            } else if (token.value === '<') {
+                i = skipTypeArguments(tokens, i) - 1;
+            } else if (token.value !== '.') {
+                break;
+            }
+        }
+
+        if (nameToken && !cls && !modifiers.includes('private')) {
+            fileData.exports.push({ name: nameToken.value, type: 'variable', line: nameToken.line });
+        }
+
+        collectCalls(tokens, index, end, fileData, KEYWORDS, BUILTINS, true);
+        this.collectInstances(tokens, index, end, fileData);
+
+        return end;
+    }
+
+    /**
+     * Handles `typealias Name = Type`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `typealias`
+     * @param {number} limit - End of the enclosing block
+     * @param {Object|null} cls - The enclosing class
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseTypeAlias(tokens, index, limit, cls, fileData) {
+        const end = this.findStatementEnd(tokens, index, limit);
+        const nameToken = tokens[index + 1];
+        const exported = !cls && !this.getModifiers(tokens, index).includes('private');
+
+        fileData.types.push({
+            name: nameToken.value,
+            kind: 'type',
+            line: nameToken.line,
+            endLine: tokens[end - 1].endLine,
+            exported: exported,
+            extends: []
+        });
+
+        if (exported) {
+            fileData.exports.push({ name: nameToken.value, type: 'type', line: nameToken.line });
+        }
+
+        return end;
+    }
+
+    /**
+     * Extracts parameter names (`vararg ids: Int`, `@Valid dto: UserDto`, `val repo: Repo`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names
+     */
+    extractParams(tokens, start, end) {
+        const params = [];
+        let expectName = true;
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (token.value === '@' && depth === 0) {
+                i = skipAnnotation(tokens, i) - 1;
+                continue;
+            }
+            if (token.value === '(' || token.value === '<' || token.value === '[' || token.value === '{') depth++;
+            if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+            if (/^>+$/.test(token.value)) depth -= token.value.length;
+
+            if (depth !== 0) continue;
+
+            if (token.value === ',') {
+                expectName = true;
+            } else if (expectName && token.type === 'NAME' && !KEYWORDS.has(token.value) &&
+                       tokens[i + 1] && tokens[i + 1].value === ':') {
+                params.push(token.value);
+                expectName = false;
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Records variables whose class is known: `name: Type` (properties,
+     * parameters, locals) and `val name = Type(...)`. A constructor call in
+     * the initializer names the concrete class.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} fileData - File data to populate
+     */
+    collectInstances(tokens, start, end, fileData) {
+        for (let i = start; i < end - 2; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value)) continue;
+
+            const previous = i > 0 ? tokens[i - 1] : null;
+            // `class A : B` / `object A : B` declare, they don't type a variable
+            if (previous && ['class', 'interface', 'object'].includes(previous.value)) continue;
+
+            let className = null;
+            let valueIndex = -1;
+
+            if (next.value === ':' && tokens[i + 2].type === 'NAME' && /^[A-Z]/.test(tokens[i + 2].value)) {
+                const type = readQualifiedName(tokens, i + 2);
+                className = type.name;
+                let j = type.next;
+                if (tokens[j] && tokens[j].value === '<') j = skipTypeArguments(tokens, j);
+                if (tokens[j] && tokens[j].value === '?') j++;
+                if (tokens[j] && tokens[j].value === '=') valueIndex = j + 1;
+            } else if (next.value === '=' && previous && (previous.value === 'val' || previous.value === 'var')) {
+                valueIndex = i + 2;
+            } else {
+                continue;
+            }
+
+            if (valueIndex !== -1 && tokens[valueIndex] && tokens[valueIndex].type === 'NAME' &&
+                /^[A-Z]/.test(tokens[valueIndex].value)) {
+                const created = readQualifiedName(tokens, valueIndex);
+                if (tokens[created.next] && tokens[created.next].value === '(' &&
+                    /^[A-Z]/.test(created.name.split('.').pop())) {
+                    className = created.name;
+                }
+            }
+
+            if (className) {
+                fileData.instances.push({ name: token.value, className: className, line: token.line });
+            }
+        }
+    }
+
+    /**
+     * Finds the end of a newline-terminated statement. Bracketed spans,
+     * lines ending in an operator and lines starting with `.`, `?.`, `?:`,
+     * `&&` or `||` continue the statement.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index of the first token
+     * @param {number} limit - Index the statement cannot extend past
+     * @returns {number} Index after the statement
+     */
+    findStatementEnd(tokens, start, limit) {
+        let i = start;
+
+        while (i < limit) {
+            const token = tokens[i];
+
+            if (i > start) {
+                const previous = tokens[i - 1];
+                if (token.line > previous.endLine && !CONTINUES_LINE.has(token.value) && !ENDS_INCOMPLETE.has(previous.value)) {
+                    break;
+                }
+            }
+
+            if (token.value === ';') {
+                i++;
+                break;
+            }
+            if (token.type === 'OP' && OPENING[token.value]) {
+                i = findClosingBracket(tokens, i) + 1;
+                continue;
+            }
+
+            i++;
+        }
+
+        return Math.min(Math.max(i, start + 1), limit);
+    }
+
+    /**
+     * Collects the modifiers written before a declaration keyword
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the declaration keyword
+     * @returns {Array<string>} Modifiers (`private`, `enum`, `data`, ...)
+     */
+    getModifiers(tokens, index) {
+        const modifiers = [];
+        let i = index - 1;
+
+        while (i >= 0 && tokens[i].type === 'NAME' &&
+               (KEYWORDS.has(tokens[i].value) || tokens[i].value === 'data' || tokens[i].value === 'value') &&
+               !['fun', 'class', 'interface', 'object', 'val', 'var', 'typealias', 'import', 'package'].includes(tokens[i].value)) {
+            modifiers.unshift(tokens[i].value);
+            i--;
+        }
+
+        return modifiers;
+    }
+
+    /**
+     * Checks whether a token is the given name or keyword
+     *
+     * @param {Object} token - Token (may be undefined)
+     * @param {string} value - Expected value
+     * @returns {boolean} True if it matches
+     */
+    isName(token, value) {
+        return Boolean(token) && token.type === 'NAME' && token.value === value;
+    }
+}
+
+module.exports = KotlinParser;
@@ -0,0 +1,81 @@
+/**
+ * Jupyter Notebook Module
+ *
+ * Reads the code cells of a Jupyter notebook (`.ipynb`, nbformat 4) so each
+ * can be parsed as Python on its own:
+ * - Markdown and raw cells, and cells in another language, are skipped, but
+ *   keep their place in the numbering (a cell's index is its position in the
+ *   notebook, as in VS Code's notebook editor)
+ * - IPython syntax that isn't Python (`%magic`, `!shell`, `x = !ls`, `obj?`)
+ *   is blanked out line by line, so line numbers within a cell stay valid;
+ *   cells run by a non-Python cell magic (`%%bash`, `%%html`) are skipped
+ */
+
+// Cell magics whose body is still Python
+const PYTHON_CELL_MAGICS = new Set(['time', 'timeit', 'capture', 'prun', 'debug']);
+
+// Lines IPython rewrites before Python sees them: magics and shell escapes
+// (also when assigned), and help lookups. `% x` and `!= y` continuation
+// lines are Python.
+const IPYTHON_LINE = /^\s*(?:%{1,2}[A-Za-z]|![^=]|[\w.,\s]+=\s*(?:%[A-Za-z]|![^=]))|^\s*(?:\?\??[\w.]+|[\w.]+\?\??)\s*$/;
+
+/**
+ * Extracts the Python code cells of a notebook
+ *
+ * @param {string} content - Notebook file content (JSON)
+ * @returns {Array<Object>} Cells: { index, source, lineCount, executionCount }
+ * @throws {SyntaxError} When the notebook isn't valid JSON
+ */
+function extractCells(content) {
+    const notebook = JSON.parse(content);
+    const metadata = notebook.metadata || {};
+    const kernelLanguage = (metadata.kernelspec && metadata.kernelspec.language) ||
+        (metadata.language_info && metadata.language_info.name) || 'python';
+
+    if (!Array.isArray(notebook.cells) || kernelLanguage.toLowerCase() !== 'python') {
+        return [];
+    }
+
+    const cells = [];
+
+    notebook.cells.forEach((cell, index) => {
+        if (!cell || cell.cell_type !== 'code') {
+            return;
+        }
+
+        // VS Code records cells written in another language than the kernel's
+        const languageId = cell.metadata && cell.metadata.vscode && cell.metadata.vscode.languageId;
+        if (languageId && languageId !== 'python') {
+            return;
+        }
+
+        const text = getSource(cell);
+        const lines = text.split(/\r?\n/);
+        const cellMagic = lines[0].match(/^%%(\w+)/);
+
+        if (cellMagic && !PYTHON_CELL_MAGICS.has(cellMagic[1])) {
+            return;
+        }
+
+        cells.push({
+            index,
+            source: lines.map(line => (IPYTHON_LINE.test(line) ? '' : line)).join('\n'),
+            lineCount: text.endsWith('\n') ? lines.length - 1 : lines.length,
+            executionCount: typeof cell.execution_count === 'number' ? cell.execution_count : null
+        });
+    });
+
+    return cells;
+}
+
+/**
+ * Gets the source of a cell, stored as one string or as a list of lines
+ *
+ * @param {Object} cell - Notebook cell
+ * @returns {string} Source
+ */
+function getSource(cell) {
+    return Array.isArray(cell.source) ? cell.source.join('') : String(cell.source || '');
+}
+
+module.exports = { extractCells };
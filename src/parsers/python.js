@@ -0,0 +1,676 @@
+/**
+ * Python Parser Module
+ *
+ * Builds file data for Python sources from the token stream produced by
+ * pythonTokenizer, so strings and comments never leak into the results.
+ *
+ * Extracts:
+ * - Classes (with bases and decorators) and functions, including `async def`,
+ *   nested functions and methods with their owning class
+ * - `import x` / `from x import (a, b)` statements, relative imports included
+ * - Exports (`__all__` when present, otherwise public top-level names)
+ * - Calls, attributed to the innermost enclosing function or class
+ * - `x = Foo()` assignments, used to resolve `x.method()` calls
+ * - Per-function metrics: cyclomatic and cognitive complexity, lines of code,
+ *   maximum nesting depth and parameter count
+ * - Recovered syntax errors: unterminated strings, unbalanced brackets and
+ *   malformed `def` / `class` headers
+ */
+
+const { tokenize } = require('./pythonTokenizer');
+const { recordSyntaxError, checkBrackets } = require('./syntaxErrors');
+
+const KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+    'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally',
+    'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+    'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+// Built-in functions are not interesting as graph edges
+const BUILTINS = new Set([
+    'abs', 'all', 'any', 'bool', 'bytes', 'callable', 'dict', 'dir', 'enumerate',
+    'filter', 'float', 'format', 'frozenset', 'getattr', 'hasattr', 'hash', 'id',
+    'input', 'int', 'isinstance', 'issubclass', 'iter', 'len', 'list', 'map', 'max',
+    'min', 'next', 'object', 'open', 'print', 'range', 'repr', 'reversed', 'round',
+    'set', 'setattr', 'sorted', 'str', 'sum', 'super', 'tuple', 'type', 'vars', 'zip'
+]);
+
+// Block headers that add a decision point and raise the cognitive nesting increment
+const BRANCH_KEYWORDS = new Set(['if', 'for', 'while', 'except']);
+
+class PythonParser {
+    /**
+     * Parses Python source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, fileData.errors);
+        const state = {
+            fileData,
+            scopes: [],         // Enclosing classes/functions, innermost last
+            pendingBlock: null, // Scope whose body starts at the next INDENT
+            decorators: [],
+            depth: 0,
+            lastLine: 0,
+            allNames: null,
+            allNamesLine: 0
+        };
+
+        let statement = [];
+
+        for (const token of tokens) {
+            if (token.type === 'INDENT') {
+                state.depth++;
+                if (state.pendingBlock) {
+                    state.pendingBlock.depth = state.depth;
+                    state.scopes.push(state.pendingBlock);
+                    state.pendingBlock = null;
+                }
+            } else if (token.type === 'DEDENT') {
+                this.closeScopes(state, state.depth);
+                state.depth--;
+            } else if (token.type === 'NEWLINE') {
+                if (statement.length > 0) {
+                    state.lastLine = statement[statement.length - 1].endLine;
+                    this.parseStatement(statement, state);
+                }
+                statement = [];
+            } else if (token.type !== 'ENDMARKER') {
+                // A block header without an indented body (invalid, but tolerated)
+                if (statement.length === 0 && state.pendingBlock) {
+                    state.pendingBlock = null;
+                }
+                statement.push(token);
+            }
+        }
+
+        this.closeScopes(state, 0);
+        this.collectExports(state);
+        checkBrackets(tokens, fileData.errors);
+
+        return fileData;
+    }
+
+    /**
+     * Closes every open scope whose body sits at or below the given depth
+     *
+     * @param {Object} state - Parser state
+     * @param {number} depth - Indentation depth being left
+     */
+    closeScopes(state, depth) {
+        while (state.scopes.length > 0 && state.scopes[state.scopes.length - 1].depth >= depth) {
+            const scope = state.scopes.pop();
+            scope.entry.endLine = state.lastLine;
+        }
+    }
+
+    /**
+     * Dispatches a single logical line to the matching handler
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    parseStatement(tokens, state) {
+        const first = tokens[0];
+
+        this.recordMetrics(tokens, state);
+
+        if (first.type === 'OP' && first.value === '@') {
+            state.decorators.push(this.readDottedName(tokens, 1).name);
+            this.collectCalls(tokens, 1, tokens.length, state);
+            return;
+        }
+
+        let index = 0;
+        let isAsync = false;
+
+        if (this.isName(first, 'async') && tokens.length > 1 && tokens[1].type === 'NAME') {
+            isAsync = tokens[1].value === 'def';
+            index = 1;
+        }
+
+        const keyword = tokens[index];
+
+        if (this.isName(keyword, 'def')) {
+            if (this.isDeclaredName(tokens[index + 1]) && tokens[index + 2] && tokens[index + 2].value === '(') {
+                this.parseFunction(tokens, index, isAsync, state);
+            } else {
+                recordSyntaxError(state.fileData.errors, "Expected a function name and '(' after 'def'", keyword.line, keyword.col);
+            }
+        } else if (this.isName(keyword, 'class')) {
+            if (this.isDeclaredName(tokens[index + 1])) {
+                this.parseClass(tokens, index, state);
+            } else {
+                recordSyntaxError(state.fileData.errors, "Expected a class name after 'class'", keyword.line, keyword.col);
+            }
+        } else if (this.isName(keyword, 'import')) {
+            this.parseImport(tokens, state);
+        } else if (this.isName(keyword, 'from')) {
+            this.parseFromImport(tokens, state);
+        } else {
+            if (state.scopes.length === 0 && this.isName(first, '__all__')) {
+                this.collectAllNames(tokens, state);
+            }
+            this.collectInstance(tokens, state);
+            this.collectCalls(tokens, 0, tokens.length, state);
+        }
+
+        state.decorators = [];
+    }
+
+    /**
+     * Handles `def name(params) -> ret:` and `async def`
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {number} index - Index of the `def` keyword
+     * @param {boolean} isAsync - Whether the function is declared `async`
+     * @param {Object} state - Parser state
+     */
+    parseFunction(tokens, index, isAsync, state) {
+        const nameToken = tokens[index + 1];
+        const openIndex = index + 2;
+        const closeIndex = this.findClosingBracket(tokens, openIndex);
+        const enclosing = this.currentScope(state);
+        const className = enclosing && enclosing.kind === 'class' ? enclosing.name : null;
+
+        // Default values are evaluated in the enclosing scope
+        this.collectCalls(tokens, openIndex + 1, closeIndex, state);
+
+        const params = this.extractParams(tokens, openIndex + 1, closeIndex);
+
+        const entry = {
+            name: nameToken.value,
+            type: className ? 'method' : 'function',
+            line: tokens[0].line,
+            endLine: tokens[tokens.length - 1].endLine,
+            params: params,
+            metrics: {
+                cyclomatic: 1,
+                cognitive: 0,
+                linesOfCode: this.countLines(tokens),
+                maxNesting: 0,
+                parameterCount: params.length
+            },
+            async: isAsync,
+            decorators: state.decorators,
+            className: className,
+            scope: this.qualify(enclosing, nameToken.value)
+        };
+
+        state.fileData.functions.push(entry);
+        this.openBlock(tokens, closeIndex + 1, 'function', entry, state);
+    }
+
+    /**
+     * Handles `class Name(Base, metaclass=Meta):`
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {number} index - Index of the `class` keyword
+     * @param {Object} state - Parser state
+     */
+    parseClass(tokens, index, state) {
+        const nameToken = tokens[index + 1];
+        const enclosing = this.currentScope(state);
+        let bases = [];
+        let bodyIndex = index + 2;
+
+        if (tokens[bodyIndex] && tokens[bodyIndex].value === '(') {
+            const closeIndex = this.findClosingBracket(tokens, bodyIndex);
+            bases = this.splitArguments(tokens, bodyIndex + 1, closeIndex)
+                .filter(arg => !(arg[1] && arg[1].value === '='))
+                .map(arg => arg.map(t => t.value).join(''));
+            this.collectCalls(tokens, bodyIndex + 1, closeIndex, state);
+            bodyIndex = closeIndex + 1;
+        }
+
+        const entry = {
+            name: nameToken.value,
+            line: tokens[0].line,
+            endLine: tokens[tokens.length - 1].endLine,
+            bases: bases,
+            implements: [],
+            decorators: state.decorators,
+            scope: this.qualify(enclosing, nameToken.value)
+        };
+
+        state.fileData.classes.push(entry);
+        this.openBlock(tokens, bodyIndex, 'class', entry, state);
+    }
+
+    /**
+     * Opens the scope for a `def`/`class` body. A body on the header line
+     * (`def f(): return g()`) is handled immediately; otherwise the scope
+     * becomes active at the next INDENT.
+     *
+     * @param {Array<Object>} tokens - Tokens of the header line
+     * @param {number} fromIndex - Index to start looking for the `:`
+     * @param {string} kind - 'function' or 'class'
+     * @param {Object} entry - The function or class entry
+     * @param {Object} state - Parser state
+     */
+    openBlock(tokens, fromIndex, kind, entry, state) {
+        const scope = { kind, name: entry.name, qualifiedName: entry.scope, entry, depth: 0 };
+        const colonIndex = this.findTopLevel(tokens, fromIndex, ':');
+
+        if (colonIndex === -1) {
+            const last = tokens[tokens.length - 1];
+            recordSyntaxError(state.fileData.errors, `Expected ':' at the end of the ${kind === 'class' ? 'class' : 'def'} header`, last.line, last.col);
+        }
+
+        if (colonIndex !== -1 && colonIndex < tokens.length - 1) {
+            state.scopes.push(scope);
+            this.collectCalls(tokens, colonIndex + 1, tokens.length, state);
+            state.scopes.pop();
+            return;
+        }
+
+        state.pendingBlock = scope;
+    }
+
+    /**
+     * Adds a statement's size and complexity to the metrics of the function
+     * whose body it sits in. Nested `def`s are measured on their own.
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    recordMetrics(tokens, state) {
+        const scope = this.currentScope(state);
+        if (!scope || scope.kind !== 'function') return;
+
+        const start = this.isName(tokens[0], 'async') ? 1 : 0;
+        const keyword = tokens[start] && tokens[start].type === 'NAME' ? tokens[start].value : null;
+        if (keyword === 'def' || (tokens[0].type === 'OP' && tokens[0].value === '@')) return;
+
+        const metrics = scope.entry.metrics;
+        const nesting = state.depth - scope.depth;
+
+        metrics.linesOfCode += this.countLines(tokens);
+        metrics.maxNesting = Math.max(metrics.maxNesting, nesting);
+
+        if (BRANCH_KEYWORDS.has(keyword)) {
+            metrics.cyclomatic++;
+            metrics.cognitive += 1 + nesting;
+        } else if (keyword === 'match') {
+            metrics.cognitive += 1 + nesting;
+        } else if (keyword === 'elif') {
+            metrics.cyclomatic++;
+            metrics.cognitive++;
+        } else if (keyword === 'else') {
+            metrics.cognitive++;
+        } else if (keyword === 'case' && !this.isName(tokens[start + 1], '_')) {
+            metrics.cyclomatic++;
+        }
+
+        // Conditional expressions, comprehensions and boolean operator sequences
+        let lastOperator = null;
+
+        for (let i = start + 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'NAME') continue;
+
+            if (token.value === 'and' || token.value === 'or') {
+                metrics.cyclomatic++;
+                if (token.value !== lastOperator) {
+                    metrics.cognitive++;
+                }
+                lastOperator = token.value;
+            } else if (token.value === 'if') {
+                metrics.cyclomatic++;
+                metrics.cognitive += 1 + nesting;
+            } else if (token.value === 'for') {
+                metrics.cyclomatic++;
+            }
+        }
+    }
+
+    /**
+     * Counts the physical lines a logical line spans
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @returns {number} Number of distinct lines holding tokens
+     */
+    countLines(tokens) {
+        const lines = new Set();
+
+        tokens.forEach(token => {
+            for (let line = token.line; line <= token.endLine; line++) {
+                lines.add(line);
+            }
+        });
+
+        return lines.size;
+    }
+
+    /**
+     * Handles `import a.b.c as d, e`
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    parseImport(tokens, state) {
+        const line = tokens[0].line;
+
+        this.splitArguments(tokens, 1, tokens.length).forEach(part => {
+            const { name, next } = this.readDottedName(part, 0);
+            if (!name) return;
+
+            const alias = this.isName(part[next], 'as') && part[next + 1] ? part[next + 1].value : null;
+
+            state.fileData.imports.push({
+                source: name,
+                imported: '*',
+                // `import a.b` binds `a`; `import a.b as c` binds `c`
+                local: alias || name.split('.')[0],
+                kind: 'static',
+                line: line
+            });
+        });
+    }
+
+    /**
+     * Handles `from ..pkg.mod import (a as b, c)` and `from x import *`
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    parseFromImport(tokens, state) {
+        const line = tokens[0].line;
+        let index = 1;
+        let dots = '';
+
+        while (tokens[index] && tokens[index].type === 'OP' && (tokens[index].value === '.' || tokens[index].value === '...')) {
+            dots += tokens[index].value;
+            index++;
+        }
+
+        const { name, next } = this.readDottedName(tokens, index);
+        const source = dots + name;
+        if (!source || !this.isName(tokens[next], 'import')) return;
+
+        let start = next + 1;
+        let end = tokens.length;
+        if (tokens[start] && tokens[start].value === '(') {
+            end = this.findClosingBracket(tokens, start);
+            start++;
+        }
+
+        if (tokens[start] && tokens[start].value === '*') {
+            state.fileData.imports.push({ source, imported: '*', local: null, kind: 'static', line });
+            return;
+        }
+
+        this.splitArguments(tokens, start, end).forEach(part => {
+            if (!part[0] || part[0].type !== 'NAME') return;
+
+            const imported = part[0].value;
+            const alias = this.isName(part[1], 'as') && part[2] ? part[2].value : null;
+
+            state.fileData.imports.push({
+                source,
+                imported,
+                local: alias || imported,
+                kind: 'static',
+                line
+            });
+        });
+    }
+
+    /**
+     * Records calls (`name(...)`, `obj.attr.name(...)`) in a token range
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} state - Parser state
+     */
+    collectCalls(tokens, start, end, state) {
+        const scope = this.currentScope(state);
+
+        for (let i = start; i < end - 1; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value)) continue;
+            if (next.type !== 'OP' || next.value !== '(') continue;
+
+            const isMember = i > start && tokens[i - 1].type === 'OP' && tokens[i - 1].value === '.';
+            if (!isMember && BUILTINS.has(token.value)) continue;
+
+            const call = {
+                name: token.value,
+                line: token.line,
+                scope: scope ? scope.qualifiedName : null
+            };
+
+            if (isMember) {
+                // Walk back over `a.b.` to recover the receiver; complex receivers stay ''
+                const parts = [];
+                let j = i - 1;
+                while (j - 1 >= start && tokens[j].value === '.' && tokens[j - 1].type === 'NAME') {
+                    parts.unshift(tokens[j - 1].value);
+                    if (!(j - 2 >= start && tokens[j - 2].value === '.')) break;
+                    j -= 2;
+                }
+                call.object = parts.join('.');
+            }
+
+            state.fileData.calls.push(call);
+        }
+    }
+
+    /**
+     * Records `x = Foo(...)` and `self.x = Foo(...)` assignments as possible
+     * instances. Python cannot tell instantiation from a call, so the graph
+     * only uses these when `Foo` resolves to a class.
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    collectInstance(tokens, state) {
+        const target = this.readDottedName(tokens, 0);
+        const operator = tokens[target.next];
+        if (!target.name || !operator || operator.type !== 'OP' || operator.value !== '=') return;
+
+        const value = this.readDottedName(tokens, target.next + 1);
+        const open = tokens[value.next];
+        if (!value.name || !open || open.value !== '(') return;
+
+        // Only whole-statement assignments: x = Foo(...)
+        if (this.findClosingBracket(tokens, value.next) !== tokens.length - 1) return;
+
+        state.fileData.instances.push({
+            name: target.name,
+            className: value.name,
+            line: tokens[0].line
+        });
+    }
+
+    /**
+     * Records the string entries of a module-level `__all__` assignment
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {Object} state - Parser state
+     */
+    collectAllNames(tokens, state) {
+        const operator = tokens[1] && tokens[1].value;
+        if (operator !== '=' && operator !== '+=') return;
+
+        const names = tokens
+            .slice(2)
+            .filter(t => t.type === 'STRING')
+            .map(t => t.value.replace(/^[a-zA-Z]*(['"]{1,3})([\s\S]*)\1$/, '$2'));
+
+        state.allNames = operator === '=' ? names : (state.allNames || []).concat(names);
+        state.allNamesLine = tokens[0].line;
+    }
+
+    /**
+     * Fills fileData.exports from `__all__`, or from public top-level
+     * functions and classes when the module does not declare one
+     *
+     * @param {Object} state - Parser state
+     */
+    collectExports(state) {
+        const { fileData } = state;
+
+        if (state.allNames) {
+            state.allNames.forEach(name => {
+                fileData.exports.push({ name, type: 'named', line: state.allNamesLine });
+            });
+            return;
+        }
+
+        fileData.classes
+            .filter(cls => cls.scope === cls.name && !cls.name.startsWith('_'))
+            .forEach(cls => fileData.exports.push({ name: cls.name, type: 'class', line: cls.line }));
+
+        fileData.functions
+            .filter(func => func.scope === func.name && !func.name.startsWith('_'))
+            .forEach(func => fileData.exports.push({ name: func.name, type: 'function', line: func.line }));
+    }
+
+    /**
+     * Extracts parameter names from a `def` parameter list
+     *
+     * @param {Array<Object>} tokens - Tokens of the logical line
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names ('*args', '**kwargs' keep their stars)
+     */
+    extractParams(tokens, start, end) {
+        return this.splitArguments(tokens, start, end)
+            .map(part => {
+                let prefix = '';
+                let index = 0;
+                if (part[0] && (part[0].value === '*' || part[0].value === '**')) {
+                    prefix = part[0].value;
+                    index = 1;
+                }
+                return part[index] && part[index].type === 'NAME' ? prefix + part[index].value : null;
+            })
+            .filter(p => p && p !== 'self' && p !== 'cls');
+    }
+
+    /**
+     * Splits a token range on top-level commas
+     *
+     * @param {Array<Object>} tokens - Tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @returns {Array<Array<Object>>} Non-empty token groups
+     */
+    splitArguments(tokens, start, end) {
+        const parts = [];
+        let current = [];
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'OP') {
+                if ('([{'.includes(token.value)) depth++;
+                else if (')]}'.includes(token.value)) depth--;
+                else if (token.value === ',' && depth === 0) {
+                    if (current.length) parts.push(current);
+                    current = [];
+                    continue;
+                }
+            }
+
+            current.push(token);
+        }
+
+        if (current.length) parts.push(current);
+        return parts;
+    }
+
+    /**
+     * Finds the bracket that closes the one at `openIndex`
+     *
+     * @param {Array<Object>} tokens - Tokens
+     * @param {number} openIndex - Index of the opening bracket
+     * @returns {number} Index of the closing bracket, or tokens.length if unbalanced
+     */
+    findClosingBracket(tokens, openIndex) {
+        let depth = 0;
+
+        for (let i = openIndex; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'OP') continue;
+
+            if ('([{'.includes(token.value)) depth++;
+            else if (')]}'.includes(token.value) && --depth === 0) return i;
+        }
+
+        return tokens.length;
+    }
+
+    /**
+     * Finds an operator outside of any brackets
+     *
+     * @param {Array<Object>} tokens - Tokens
+     * @param {number} start - Index to start from
+     * @param {string} value - Operator to look for
+     * @returns {number} Index of the operator, or -1
+     */
+    findTopLevel(tokens, start, value) {
+        let depth = 0;
+
+        for (let i = start; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'OP') continue;
+
+            if ('([{'.includes(token.value)) depth++;
+            else if (')]}'.includes(token.value)) depth--;
+            else if (token.value === value && depth === 0) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Reads a dotted name (`a.b.c`) starting at `index`
+     *
+     * @param {Array<Object>} tokens - Tokens
+     * @param {number} index - Start index
+     * @returns {{name: string, next: number}} The name and the index after it
+     */
+    readDottedName(tokens, index) {
+        const parts = [];
+        let i = index;
+
+        while (tokens[i] && tokens[i].type === 'NAME' && !KEYWORDS.has(tokens[i].value)) {
+            parts.push(tokens[i].value);
+            if (!(tokens[i + 1] && tokens[i + 1].value === '.')) {
+                i++;
+                break;
+            }
+            i += 2;
+        }
+
+        return { name: parts.join('.'), next: i };
+    }
+
+    currentScope(state) {
+        return state.scopes[state.scopes.length - 1] || null;
+    }
+
+    qualify(scope, name) {
+        return scope ? `${scope.qualifiedName}.${name}` : name;
+    }
+
+    isName(token, value) {
+        return Boolean(token) && token.type === 'NAME' && token.value === value;
+    }
+
+    isDeclaredName(token) {
+        return Boolean(token) && token.type === 'NAME' && !KEYWORDS.has(token.value);
+    }
+}
+
+module.exports = PythonParser;
@@ -0,0 +1,249 @@
+/**
+ * Python Tokenizer Module
+ *
+ * Converts Python source into a flat token stream, following the rules of
+ * CPython's tokenize module closely enough for structural analysis:
+ * - Strings (single, triple-quoted, prefixed) and comments are consumed whole,
+ *   so nothing inside them is mistaken for code
+ * - Implicit line joining inside brackets and explicit `\` continuations
+ * - INDENT / DEDENT tokens derived from leading whitespace
+ * - Unterminated strings are recorded as recovered syntax errors
+ *
+ * Token types: NAME, NUMBER, STRING, OP, NEWLINE, INDENT, DEDENT, ENDMARKER
+ */
+
+const { recordSyntaxError } = require('./syntaxErrors');
+
+const NAME_START = /[A-Za-z_\u0080-\uffff]/;
+const NAME_PART = /[A-Za-z0-9_\u0080-\uffff]/;
+const NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)[jJlL]?/y;
+const STRING_PREFIX = /^(?:[rRbBuUfF]|[rR][bBfF]|[bBfF][rR])$/;
+
+// Longest operators first so that `**=` wins over `**` and `*`
+const OPERATORS = [
+    '**=', '//=', '>>=', '<<=', '...',
+    '->', '**', '//', '==', '!=', '<=', '>=', ':=', '<<', '>>',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@='
+];
+
+const OPEN_BRACKETS = '([{';
+const CLOSE_BRACKETS = ')]}';
+
+/**
+ * Tokenizes Python source code
+ *
+ * @param {string} source - Python source code
+ * @param {Array<Object>} errors - Receives recovered syntax errors
+ * @returns {Array<Object>} Tokens with type, value, line, col and endLine (0-based lines)
+ */
+function tokenize(source, errors) {
+    const tokens = [];
+    const indents = [0];
+    const length = source.length;
+
+    let pos = 0;
+    let line = 0;
+    let col = 0;
+    let bracketDepth = 0;
+    let atLineStart = true;
+
+    const push = (type, value, startLine, startCol) => {
+        tokens.push({ type, value, line: startLine, col: startCol, endLine: line });
+    };
+
+    // Advances over `count` characters, keeping line/column counters in sync
+    const advance = (count) => {
+        for (let i = 0; i < count; i++) {
+            if (source[pos] === '\n') {
+                line++;
+                col = 0;
+            } else {
+                col++;
+            }
+            pos++;
+        }
+    };
+
+    const lastToken = () => tokens[tokens.length - 1];
+
+    // Consumes the string literal whose opening quote is at quoteIndex
+    const pushString = (startLine, startCol, quoteIndex) => {
+        const literal = findStringEnd(source, quoteIndex);
+        if (!literal.closed) {
+            recordSyntaxError(errors, 'Unterminated string literal', startLine, startCol);
+        }
+        const value = source.slice(pos, literal.end);
+        advance(literal.end - pos);
+        push('STRING', value, startLine, startCol);
+    };
+
+    while (pos < length) {
+        // Measure indentation at the start of each physical line outside brackets
+        if (atLineStart && bracketDepth === 0) {
+            let width = 0;
+            let scan = pos;
+
+            while (scan < length && (source[scan] === ' ' || source[scan] === '\t' || source[scan] === '\f')) {
+                if (source[scan] === '\t') {
+                    width = (Math.floor(width / 8) + 1) * 8;
+                } else if (source[scan] === ' ') {
+                    width++;
+                } else {
+                    width = 0;
+                }
+                scan++;
+            }
+
+            advance(scan - pos);
+            atLineStart = false;
+
+            // Blank and comment-only lines never affect indentation
+            const next = source[pos];
+            if (next === '\n' || next === '\r' || next === '#' || pos >= length) {
+                continue;
+            }
+
+            if (width > indents[indents.length - 1]) {
+                indents.push(width);
+                push('INDENT', '', line, 0);
+            } else {
+                while (width < indents[indents.length - 1]) {
+                    indents.pop();
+                    push('DEDENT', '', line, 0);
+                }
+            }
+        }
+
+        const ch = source[pos];
+
+        if (ch === '\n') {
+            const last = lastToken();
+            if (bracketDepth === 0 && last && last.type !== 'NEWLINE' &&
+                last.type !== 'INDENT' && last.type !== 'DEDENT') {
+                push('NEWLINE', '\n', line, col);
+            }
+            advance(1);
+            atLineStart = true;
+            continue;
+        }
+
+        if (ch === ' ' || ch === '\t' || ch === '\f' || ch === '\r') {
+            advance(1);
+            continue;
+        }
+
+        if (ch === '#') {
+            while (pos < length && source[pos] !== '\n') {
+                advance(1);
+            }
+            continue;
+        }
+
+        // Explicit line continuation
+        if (ch === '\\' && (source[pos + 1] === '\n' || (source[pos + 1] === '\r' && source[pos + 2] === '\n'))) {
+            advance(source[pos + 1] === '\r' ? 3 : 2);
+            continue;
+        }
+
+        const startLine = line;
+        const startCol = col;
+
+        if (NAME_START.test(ch)) {
+            let end = pos + 1;
+            while (end < length && NAME_PART.test(source[end])) {
+                end++;
+            }
+
+            const word = source.slice(pos, end);
+            const quote = source[end];
+
+            if ((quote === '"' || quote === "'") && STRING_PREFIX.test(word)) {
+                pushString(startLine, startCol, end);
+                continue;
+            }
+
+            advance(end - pos);
+            push('NAME', word, startLine, startCol);
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            pushString(startLine, startCol, pos);
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(source);
+            const value = match ? match[0] : ch;
+            advance(value.length);
+            push('NUMBER', value, startLine, startCol);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+
+        if (OPEN_BRACKETS.includes(operator)) {
+            bracketDepth++;
+        } else if (CLOSE_BRACKETS.includes(operator) && bracketDepth > 0) {
+            bracketDepth--;
+        }
+
+        advance(operator.length);
+        push('OP', operator, startLine, startCol);
+    }
+
+    const last = lastToken();
+    if (last && last.type !== 'NEWLINE' && last.type !== 'DEDENT' && last.type !== 'INDENT') {
+        push('NEWLINE', '', line, col);
+    }
+
+    while (indents.length > 1) {
+        indents.pop();
+        push('DEDENT', '', line, 0);
+    }
+
+    push('ENDMARKER', '', line, col);
+
+    return tokens;
+}
+
+/**
+ * Finds the index just past the end of a string literal
+ * Unterminated single-quoted strings stop at the end of the line
+ *
+ * @param {string} source - Python source code
+ * @param {number} quoteIndex - Index of the opening quote
+ * @returns {Object} { end, closed }: index after the closing quote, and
+ *   whether the closing quote was found
+ */
+function findStringEnd(source, quoteIndex) {
+    const quote = source[quoteIndex];
+    const triple = source.startsWith(quote.repeat(3), quoteIndex);
+    const delimiter = triple ? quote.repeat(3) : quote;
+
+    let pos = quoteIndex + delimiter.length;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\\') {
+            pos += 2;
+            continue;
+        }
+
+        if (!triple && ch === '\n') {
+            return { end: pos, closed: false };
+        }
+
+        if (source.startsWith(delimiter, pos)) {
+            return { end: pos + delimiter.length, closed: true };
+        }
+
+        pos++;
+    }
+
+    return { end: source.length, closed: false };
+}
+
+module.exports = { tokenize };
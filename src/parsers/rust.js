@@ -0,0 +1,1198 @@
+/**
+ * Rust Parser Module
+ *
+ * Builds file data for Rust sources from the token stream produced by
+ * rustTokenizer, so strings, lifetimes and comments never leak into the
+ * results.
+ *
+ * Extracts:
+ * - `mod foo;` and inline `mod foo { }` declarations (fileData.modules), with
+ *   `#[path = "..."]`; each file module is also recorded as an import of kind
+ *   'mod' so the module tree shows as edges
+ * - `use` trees (`use crate::a::{b, c as d, e::*}`) flattened into one import
+ *   per name; `pub use` is recorded as a re-export too. `self::`/`super::`
+ *   paths inside inline modules are rewritten relative to the file's module.
+ * - `extern crate foo as bar`
+ * - Functions, and methods of `impl` blocks (with the implemented type as
+ *   className); trait default methods carry the trait name
+ * - Structs, enums and unions (as classes, with the traits implemented for
+ *   them in the same file), traits (as interfaces, supertraits as extends)
+ *   and type aliases
+ * - Exports: `pub` items at the top of the file
+ * - Calls, with `obj.f()`, `self.f()`, `Self::f()` and path (`store::open()`,
+ *   `crate::a::f()`, `User::new()`) receivers; macros are not calls
+ * - Typed parameters, fields and `let` bindings (`let s = Store::new()`,
+ *   `let s: Store`, `Foo { .. }`), used to resolve member calls
+ * - Per-function metrics, computed by tokenMetrics
+ * - Recovered syntax errors: unterminated literals and unbalanced brackets
+ *
+ * Items under `#[cfg(test)]` are skipped, as test files are elsewhere.
+ */
+
+const { tokenize } = require('./rustTokenizer');
+const { measureFunction } = require('./tokenMetrics');
+const { checkBrackets } = require('./syntaxErrors');
+
+const KEYWORDS = new Set([
+    'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum',
+    'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move',
+    'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true',
+    'type', 'unsafe', 'use', 'where', 'while', 'yield'
+]);
+
+// Modifiers that may precede `fn`, `impl` or `trait`
+const MODIFIERS = new Set(['default', 'async', 'unsafe', 'auto']);
+
+// Keywords that may start or continue a path
+const PATH_KEYWORDS = new Set(['crate', 'self', 'super', 'Self']);
+
+// Wrappers whose methods are those of the wrapped type (through Deref)
+const SMART_POINTERS = new Set(['Box', 'Rc', 'Arc']);
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+class RustParser {
+    /**
+     * Parses Rust source into the given file data object
+     *
+     * @param {string} content - File content
+     * @param {Object} fileData - File data object to populate
+     * @returns {Object} The populated file data
+     */
+    parse(content, fileData) {
+        const tokens = tokenize(content, fileData.errors);
+        const implementations = [];
+
+        fileData.modules = [];
+        this.parseItems(tokens, 0, tokens.length, { modulePath: [], typeName: null, implementations }, fileData);
+
+        // `impl Display for Store` in the file of `struct Store`
+        implementations.forEach(({ typeName, trait }) => {
+            const cls = fileData.classes.find(c => c.name === typeName);
+            if (cls && !cls.implements.includes(trait)) {
+                cls.implements.push(trait);
+            }
+        });
+
+        checkBrackets(tokens, fileData.errors);
+
+        return fileData;
+    }
+
+    /**
+     * Parses the items of a file, inline module, impl block or trait
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Object} scope - { modulePath, typeName, implementations }: the
+     *   enclosing inline modules, the impl/trait type, and the trait impls found
+     * @param {Object} fileData - File data to populate
+     */
+    parseItems(tokens, start, end, scope, fileData) {
+        let i = start;
+        let attributes = { test: false, path: null };
+
+        while (i < end) {
+            const token = tokens[i];
+
+            // #[attr] applies to the next item, #![attr] to the enclosing one
+            if (token.value === '#') {
+                const inner = tokens[i + 1] && tokens[i + 1].value === '!';
+                const open = inner ? i + 2 : i + 1;
+                if (tokens[open] && tokens[open].value === '[') {
+                    const close = this.findClosingBracket(tokens, open);
+                    if (!inner) {
+                        this.readAttribute(tokens, open + 1, close, attributes);
+                    }
+                    i = close + 1;
+                    continue;
+                }
+            }
+
+            let j = i;
+            let isPublic = false;
+
+            if (this.isName(tokens[j], 'pub')) {
+                isPublic = true;
+                j++;
+                // pub(crate), pub(super), pub(in path)
+                if (tokens[j] && tokens[j].value === '(') {
+                    j = this.findClosingBracket(tokens, j) + 1;
+                }
+            }
+            j = this.skipModifiers(tokens, j, end);
+
+            const keyword = tokens[j];
+            if (!keyword) {
+                break;
+            }
+
+            const item = { start: i, keyword: j, end, isPublic, scope, attributes };
+            let next;
+
+            if (attributes.test) {
+                // #[cfg(test)] mod tests { ... }
+                next = this.findItemEnd(tokens, j, end);
+            } else if (this.isName(keyword, 'use')) {
+                next = this.parseUse(tokens, item, fileData);
+            } else if (this.isName(keyword, 'mod')) {
+                next = this.parseModule(tokens, item, fileData);
+            } else if (this.isName(keyword, 'fn')) {
+                next = this.parseFunction(tokens, item, fileData);
+            } else if (this.isName(keyword, 'struct') || this.isName(keyword, 'enum') ||
+                (this.isName(keyword, 'union') && tokens[j + 1] && tokens[j + 1].type === 'NAME')) {
+                next = this.parseStruct(tokens, item, fileData);
+            } else if (this.isName(keyword, 'trait')) {
+                next = this.parseTrait(tokens, item, fileData);
+            } else if (this.isName(keyword, 'impl')) {
+                next = this.parseImpl(tokens, item, fileData);
+            } else if (this.isName(keyword, 'type')) {
+                next = this.parseTypeAlias(tokens, item, fileData);
+            } else if (this.isName(keyword, 'const') || this.isName(keyword, 'static')) {
+                next = this.parseValue(tokens, item, fileData);
+            } else if (this.isName(keyword, 'extern')) {
+                next = this.parseExtern(tokens, item, fileData);
+            } else if (keyword.type === 'NAME' && tokens[j + 1] && tokens[j + 1].value === '!') {
+                // macro_rules! name { ... } and item macros (lazy_static! { ... })
+                next = this.findItemEnd(tokens, j, end);
+            } else if (keyword.type === 'OP' && OPENING[keyword.value]) {
+                next = this.findClosingBracket(tokens, j) + 1;
+            } else {
+                next = j + 1;
+            }
+
+            attributes = { test: false, path: null };
+            i = Math.max(next, i + 1);
+        }
+    }
+
+    /**
+     * Reads the attributes that matter here: `cfg(test)` and `path = "..."`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `[`
+     * @param {number} end - Index of `]`
+     * @param {Object} attributes - { test, path } to update
+     */
+    readAttribute(tokens, start, end, attributes) {
+        const first = tokens[start];
+        if (!first) return;
+
+        if (this.isName(first, 'cfg') && tokens[start + 1] && tokens[start + 1].value === '(' &&
+            this.isName(tokens[start + 2], 'test') && tokens[start + 3] && tokens[start + 3].value === ')') {
+            attributes.test = true;
+        }
+
+        if (this.isName(first, 'path') && tokens[start + 1] && tokens[start + 1].value === '=' &&
+            tokens[start + 2] && tokens[start + 2].type === 'STRING') {
+            attributes.path = tokens[start + 2].value.slice(1, -1);
+        }
+    }
+
+    /**
+     * Skips the modifiers before an item keyword: `async`, `unsafe`,
+     * `default`, `const fn`, `extern "C" fn`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first modifier
+     * @param {number} end - Last index (exclusive)
+     * @returns {number} Index of the item keyword
+     */
+    skipModifiers(tokens, index, end) {
+        let i = index;
+
+        while (i < end - 1 && tokens[i].type === 'NAME') {
+            const next = tokens[i + 1];
+
+            if (MODIFIERS.has(tokens[i].value) && next.type === 'NAME') {
+                i++;
+            } else if (tokens[i].value === 'const' && ['fn', 'unsafe', 'async', 'extern'].includes(next.value)) {
+                i++;
+            } else if (tokens[i].value === 'extern' && next.type === 'STRING' && this.isName(tokens[i + 2], 'fn')) {
+                i += 2;
+            } else if (tokens[i].value === 'extern' && this.isName(next, 'fn')) {
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        return i;
+    }
+
+    /**
+     * Handles `use` declarations, flattening the use tree into one import per
+     * bound name
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseUse(tokens, item, fileData) {
+        const end = this.findItemEnd(tokens, item.keyword, item.end);
+        const line = tokens[item.start].line;
+        const entries = [];
+
+        this.readUseTree(tokens, item.keyword + 1, end, [], entries);
+
+        entries.forEach(entry => {
+            let segments = entry.segments;
+
+            // `use store::{self}` binds the module itself
+            if (!entry.glob && segments[segments.length - 1] === 'self' && segments.length > 1) {
+                segments = segments.slice(0, -1);
+            }
+            segments = this.normalizePath(segments, item.scope.modulePath);
+            if (segments.length === 0) return;
+
+            const last = segments[segments.length - 1];
+            let imp;
+
+            if (entry.glob && !/^[A-Z]/.test(last)) {
+                imp = { source: segments.join('::'), imported: '*', local: null };
+            } else if (entry.glob) {
+                // `use self::Color::*` brings an enum's variants into scope
+                imp = { source: segments.slice(0, -1).join('::'), imported: last, local: null };
+            } else if (segments.length === 1) {
+                // `use serde;` / `use std as s;` bind a crate
+                imp = { source: last, imported: '*', local: entry.alias === '_' ? null : entry.alias || last };
+            } else {
+                imp = {
+                    source: segments.slice(0, -1).join('::'),
+                    imported: last,
+                    local: entry.alias === '_' ? null : entry.alias || last
+                };
+            }
+
+            if (!imp.source) return;
+
+            fileData.imports.push({
+                source: imp.source,
+                imported: imp.imported,
+                local: imp.local,
+                kind: item.isPublic ? 're-export' : 'static',
+                line: line
+            });
+
+            if (item.isPublic && item.scope.modulePath.length === 0) {
+                fileData.exports.push({
+                    name: entry.glob ? '*' : imp.local || imp.imported,
+                    type: 're-export',
+                    source: imp.source,
+                    imported: entry.glob ? '*' : imp.imported,
+                    line: line
+                });
+            }
+        });
+
+        return end + 1;
+    }
+
+    /**
+     * Reads one use tree: `a::b`, `a::b as c`, `a::*`, `a::{b, c::{d}}`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index of the tree
+     * @param {number} end - End of the tree (exclusive)
+     * @param {Array<string>} prefix - Path segments of the enclosing trees
+     * @param {Array<Object>} entries - Receives { segments, alias, glob }
+     */
+    readUseTree(tokens, start, end, prefix, entries) {
+        const segments = [...prefix];
+        let i = start;
+
+        // `use ::serde::Serialize` names an external crate explicitly
+        if (tokens[i] && tokens[i].value === '::') {
+            i++;
+        }
+
+        while (i < end) {
+            const token = tokens[i];
+
+            if (token.value === '{') {
+                const close = Math.min(this.findClosingBracket(tokens, i), end);
+                this.splitArguments(tokens, i + 1, close).forEach(part => {
+                    const first = tokens.indexOf(part[0], i);
+                    this.readUseTree(tokens, first, first + part.length, segments, entries);
+                });
+                return;
+            }
+
+            if (token.value === '*') {
+                entries.push({ segments, alias: null, glob: true });
+                return;
+            }
+
+            if (token.type !== 'NAME') {
+                return;
+            }
+
+            segments.push(token.value);
+            i++;
+
+            if (tokens[i] && tokens[i].value === '::' && i < end) {
+                i++;
+                continue;
+            }
+
+            const alias = this.isName(tokens[i], 'as') && i + 1 < end ? tokens[i + 1].value : null;
+            entries.push({ segments, alias, glob: false });
+            return;
+        }
+    }
+
+    /**
+     * Rewrites a `self::`/`super::` path written inside inline modules so it
+     * is relative to the module of the file
+     *
+     * @param {Array<string>} segments - Path segments
+     * @param {Array<string>} modulePath - Enclosing inline modules
+     * @returns {Array<string>} Path segments
+     */
+    normalizePath(segments, modulePath) {
+        if (modulePath.length === 0 || (segments[0] !== 'self' && segments[0] !== 'super')) {
+            return segments;
+        }
+
+        if (segments[0] === 'self') {
+            return ['self', ...modulePath, ...segments.slice(1)];
+        }
+
+        let supers = 0;
+        while (segments[supers] === 'super') {
+            supers++;
+        }
+
+        const rest = segments.slice(supers);
+        if (supers <= modulePath.length) {
+            return ['self', ...modulePath.slice(0, modulePath.length - supers), ...rest];
+        }
+
+        return [...new Array(supers - modulePath.length).fill('super'), ...rest];
+    }
+
+    /**
+     * Handles `mod name;` (a module in another file) and `mod name { ... }`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, scope, attributes }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseModule(tokens, item, fileData) {
+        const nameToken = tokens[item.keyword + 1];
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return item.keyword + 1;
+        }
+
+        const next = tokens[item.keyword + 2];
+        const line = tokens[item.start].line;
+        const modulePath = item.scope.modulePath;
+
+        if (next && next.value === '{') {
+            const close = this.findClosingBracket(tokens, item.keyword + 2);
+
+            fileData.modules.push({ name: nameToken.value, line, inline: true, parents: modulePath, path: null });
+            this.parseItems(tokens, item.keyword + 3, close, {
+                modulePath: [...modulePath, nameToken.value],
+                typeName: null,
+                implementations: item.scope.implementations
+            }, fileData);
+
+            return close + 1;
+        }
+
+        fileData.modules.push({ name: nameToken.value, line, inline: false, parents: modulePath, path: item.attributes.path });
+        fileData.imports.push({
+            source: ['self', ...modulePath, nameToken.value].join('::'),
+            imported: '*',
+            // Only a module declared at the top of the file is in scope here
+            local: modulePath.length === 0 ? nameToken.value : null,
+            kind: 'mod',
+            line: line
+        });
+
+        return item.keyword + 3;
+    }
+
+    /**
+     * Handles `fn name<T>(params) -> R where ... { body }`. Declarations
+     * without a body (required trait methods, foreign functions) are skipped.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseFunction(tokens, item, fileData) {
+        const nameToken = tokens[item.keyword + 1];
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return item.keyword + 1;
+        }
+
+        let i = item.keyword + 2;
+        if (tokens[i] && tokens[i].value === '<') {
+            i = this.skipGenerics(tokens, i);
+        }
+
+        let params = [];
+        let paramsOpen = -1;
+        let paramsClose = -1;
+        if (tokens[i] && tokens[i].value === '(') {
+            paramsOpen = i;
+            paramsClose = this.findClosingBracket(tokens, i);
+            params = this.extractParams(tokens, i + 1, paramsClose);
+            i = paramsClose + 1;
+        }
+
+        // Return type and where clause up to the body or `;`
+        let bodyStart = -1;
+        while (i < item.end) {
+            const token = tokens[i];
+            if (token.value === '{') {
+                bodyStart = i;
+                break;
+            }
+            if (token.value === ';') break;
+            i = token.value === '(' || token.value === '[' ? this.findClosingBracket(tokens, i) + 1 : i + 1;
+        }
+
+        if (bodyStart === -1) {
+            return i + 1;
+        }
+
+        const end = this.findClosingBracket(tokens, bodyStart);
+        const typeName = item.scope.typeName;
+
+        fileData.functions.push({
+            name: nameToken.value,
+            type: typeName ? 'method' : 'function',
+            line: tokens[item.start].line,
+            endLine: tokens[end].endLine,
+            params: params,
+            metrics: measureFunction(tokens, item.start, end, bodyStart, params.length, 'rust'),
+            className: typeName
+        });
+
+        if (item.isPublic && !typeName && item.scope.modulePath.length === 0) {
+            fileData.exports.push({ name: nameToken.value, type: 'function', line: tokens[item.start].line });
+        }
+
+        if (paramsOpen !== -1) {
+            this.collectTypedNames(tokens, paramsOpen + 1, paramsClose, typeName, fileData);
+        }
+        this.collectCalls(tokens, bodyStart + 1, end, item.scope.modulePath, fileData);
+        this.collectInstances(tokens, bodyStart + 1, end, typeName, fileData);
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `struct`, `enum` and `union` declarations
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseStruct(tokens, item, fileData) {
+        const kind = tokens[item.keyword].value;
+        const nameToken = tokens[item.keyword + 1];
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return item.keyword + 1;
+        }
+
+        // Body `{ ... }`, or a tuple / unit struct ending in `;`
+        let i = item.keyword + 2;
+        let end = -1;
+        while (i < item.end) {
+            const token = tokens[i];
+            if (token.value === '<') {
+                i = this.skipGenerics(tokens, i);
+                continue;
+            }
+            if (token.value === '{') {
+                end = this.findClosingBracket(tokens, i);
+                if (kind === 'struct' || kind === 'union') {
+                    this.collectTypedNames(tokens, i + 1, end, nameToken.value, fileData);
+                }
+                break;
+            }
+            if (token.value === ';') {
+                end = i;
+                break;
+            }
+            i = token.value === '(' ? this.findClosingBracket(tokens, i) + 1 : i + 1;
+        }
+        if (end === -1) {
+            end = Math.min(i, tokens.length - 1);
+        }
+
+        fileData.classes.push({
+            name: nameToken.value,
+            kind: kind,
+            line: tokens[item.start].line,
+            endLine: tokens[end].endLine,
+            bases: [],
+            implements: []
+        });
+
+        if (item.isPublic && item.scope.modulePath.length === 0) {
+            fileData.exports.push({ name: nameToken.value, type: 'class', line: tokens[item.start].line });
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `trait Name<T>: Super + Other { ... }`; default method bodies
+     * are recorded with the trait as className
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseTrait(tokens, item, fileData) {
+        const nameToken = tokens[item.keyword + 1];
+        if (!nameToken || nameToken.type !== 'NAME') {
+            return item.keyword + 1;
+        }
+
+        let i = item.keyword + 2;
+        if (tokens[i] && tokens[i].value === '<') {
+            i = this.skipGenerics(tokens, i);
+        }
+
+        // Supertraits, up to the body or where clause
+        const supertraits = [];
+        if (tokens[i] && tokens[i].value === ':') {
+            i++;
+            while (i < item.end && tokens[i].value !== '{' && !this.isName(tokens[i], 'where') && tokens[i].value !== ';') {
+                const type = this.readTypeName(tokens, i);
+                if (type.name) {
+                    supertraits.push(type.name);
+                    i = type.next;
+                }
+                if (tokens[i] && tokens[i].value === '<') {
+                    i = this.skipGenerics(tokens, i);
+                } else if (tokens[i] && tokens[i].value === '(') {
+                    i = this.findClosingBracket(tokens, i) + 1;
+                } else if (!type.name) {
+                    i++;
+                }
+            }
+        }
+
+        while (i < item.end && tokens[i].value !== '{' && tokens[i].value !== ';') {
+            i++;
+        }
+
+        const end = tokens[i] && tokens[i].value === '{' ? this.findClosingBracket(tokens, i) : Math.min(i, tokens.length - 1);
+        const exported = item.isPublic && item.scope.modulePath.length === 0;
+
+        fileData.types.push({
+            name: nameToken.value,
+            kind: 'interface',
+            line: tokens[item.start].line,
+            endLine: tokens[end].endLine,
+            exported: exported,
+            extends: supertraits
+        });
+
+        if (exported) {
+            fileData.exports.push({ name: nameToken.value, type: 'interface', line: tokens[item.start].line });
+        }
+
+        if (tokens[i] && tokens[i].value === '{') {
+            this.parseItems(tokens, i + 1, end, { ...item.scope, typeName: nameToken.value }, fileData);
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `impl<T> Type<T> { ... }` and `impl Trait for Type { ... }`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the block
+     */
+    parseImpl(tokens, item, fileData) {
+        let i = item.keyword + 1;
+        if (tokens[i] && tokens[i].value === '<') {
+            i = this.skipGenerics(tokens, i);
+        }
+
+        // `impl !Send for Foo` declares a negative impl
+        if (tokens[i] && tokens[i].value === '!') {
+            i++;
+        }
+
+        const first = this.readTypeName(tokens, i);
+        let selfType = first;
+        let trait = null;
+
+        i = first.next;
+        while (i < item.end && tokens[i].value !== '{' && tokens[i].value !== ';') {
+            if (tokens[i].value === '<') {
+                i = this.skipGenerics(tokens, i);
+            } else if (tokens[i].value === '(' || tokens[i].value === '[') {
+                i = this.findClosingBracket(tokens, i) + 1;
+            } else if (this.isName(tokens[i], 'for') && !trait) {
+                trait = first.name;
+                selfType = this.readTypeName(tokens, i + 1);
+                i = selfType.next;
+            } else if (this.isName(tokens[i], 'where')) {
+                while (i < item.end && tokens[i].value !== '{') {
+                    i++;
+                }
+            } else {
+                i++;
+            }
+        }
+
+        if (!tokens[i] || tokens[i].value !== '{') {
+            return i + 1;
+        }
+
+        const close = this.findClosingBracket(tokens, i);
+        // Methods belong to the type's own name (`impl fmt::Display for store::Store` -> Store)
+        const typeName = selfType.name ? selfType.name.split('.').pop() : null;
+
+        if (typeName && trait) {
+            item.scope.implementations.push({ typeName, trait });
+        }
+
+        this.parseItems(tokens, i + 1, close, { ...item.scope, typeName }, fileData);
+
+        return close + 1;
+    }
+
+    /**
+     * Handles `type Name<T> = ...;`. Associated types in impls and traits
+     * are not recorded.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseTypeAlias(tokens, item, fileData) {
+        const end = this.findItemEnd(tokens, item.keyword, item.end);
+        const nameToken = tokens[item.keyword + 1];
+
+        if (nameToken && nameToken.type === 'NAME' && !item.scope.typeName) {
+            const exported = item.isPublic && item.scope.modulePath.length === 0;
+
+            fileData.types.push({
+                name: nameToken.value,
+                kind: 'type',
+                line: tokens[item.start].line,
+                endLine: tokens[Math.min(end, tokens.length - 1)].endLine,
+                exported: exported,
+                extends: []
+            });
+
+            if (exported) {
+                fileData.exports.push({ name: nameToken.value, type: 'type', line: tokens[item.start].line });
+            }
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `const NAME: T = ...;` and `static [mut] NAME: T = ...;`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end, isPublic, scope }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseValue(tokens, item, fileData) {
+        const end = this.findItemEnd(tokens, item.keyword, item.end);
+        let nameIndex = item.keyword + 1;
+        if (this.isName(tokens[nameIndex], 'mut')) {
+            nameIndex++;
+        }
+
+        const nameToken = tokens[nameIndex];
+        if (item.isPublic && !item.scope.typeName && item.scope.modulePath.length === 0 &&
+            nameToken && nameToken.type === 'NAME' && nameToken.value !== '_') {
+            fileData.exports.push({ name: nameToken.value, type: 'variable', line: tokens[item.start].line });
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Handles `extern crate foo [as bar];` and skips `extern "C" { ... }` blocks
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {Object} item - { start, keyword, end }
+     * @param {Object} fileData - File data to populate
+     * @returns {number} Index after the declaration
+     */
+    parseExtern(tokens, item, fileData) {
+        const end = this.findItemEnd(tokens, item.keyword, item.end);
+        const crate = tokens[item.keyword + 2];
+
+        if (this.isName(tokens[item.keyword + 1], 'crate') && crate && crate.type === 'NAME' && crate.value !== 'self') {
+            const alias = this.isName(tokens[item.keyword + 3], 'as') ? tokens[item.keyword + 4] : null;
+
+            fileData.imports.push({
+                source: crate.value,
+                imported: '*',
+                local: alias && alias.value !== '_' ? alias.value : alias ? null : crate.value,
+                kind: 'static',
+                line: tokens[item.start].line
+            });
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Extracts parameter names; `self` receivers are not parameters and
+     * destructuring patterns are recorded as `_`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(`
+     * @param {number} end - Index of `)`
+     * @returns {Array<string>} Parameter names
+     */
+    extractParams(tokens, start, end) {
+        return this.splitArguments(tokens, start, end, true)
+            .map(part => part.filter(token => token.value !== '&' && token.type !== 'LIFETIME' &&
+                !this.isName(token, 'mut') && !this.isName(token, 'ref')))
+            .filter(part => part.length > 0 && !this.isName(part[0], 'self'))
+            .map(part => (part[0].type === 'NAME' && part[1] && part[1].value === ':' ? part[0].value : '_'));
+    }
+
+    /**
+     * Records calls in a token range: `f()`, `obj.f()`, `self.field.f()`,
+     * `Self::f()`, `module::f()` and `f::<T>()`. Macros (`println!()`) and
+     * tuple struct / enum variant constructors (`Some(x)`) are not calls.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {Array<string>} modulePath - Enclosing inline modules
+     * @param {Object} fileData - File data to populate
+     */
+    collectCalls(tokens, start, end, modulePath, fileData) {
+        for (let i = start; i < end - 1; i++) {
+            const token = tokens[i];
+            if (token.type !== 'NAME' || KEYWORDS.has(token.value) || /^[A-Z]/.test(token.value)) continue;
+
+            let next = i + 1;
+            // Turbofish: parse::<u32>()
+            if (tokens[next].value === '::' && tokens[next + 1] && tokens[next + 1].value === '<') {
+                next = this.skipGenerics(tokens, next + 1);
+            }
+            if (!tokens[next] || tokens[next].value !== '(') continue;
+
+            const previous = i > start ? tokens[i - 1] : null;
+            if (previous && this.isName(previous, 'fn')) continue;
+
+            const call = {
+                name: token.value,
+                line: token.line
+            };
+
+            const object = previous && (previous.value === '.' || previous.value === '::')
+                ? this.readReceiver(tokens, i - 1, start, previous.value, modulePath)
+                : null;
+            if (object !== null) {
+                call.object = object;
+            }
+
+            fileData.calls.push(call);
+        }
+    }
+
+    /**
+     * Walks back over `a.b.` or `a::b::` before a called name. `self.field`
+     * becomes `field`, a `Self::` path becomes `self`, and paths into the
+     * current module (`self::f()`, `super::f()` inside an inline module)
+     * are plain calls; receivers that are not plain names (`f().g()`,
+     * `<T as Trait>::f()`) become ''.
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the separator before the called name
+     * @param {number} start - Lowest index to look at
+     * @param {string} separator - '.' or '::'
+     * @param {Array<string>} modulePath - Enclosing inline modules
+     * @returns {string|null} Receiver, or null for a plain call
+     */
+    readReceiver(tokens, index, start, separator, modulePath) {
+        const parts = [];
+        let j = index;
+
+        while (j - 1 >= start && tokens[j].value === separator && tokens[j - 1].type === 'NAME') {
+            parts.unshift(tokens[j - 1].value);
+            j -= 2;
+        }
+
+        // Something else before the chain: a call, index or cast
+        if (parts.length === 0 || (j >= start && (tokens[j].value === separator || tokens[j].value === ')' ||
+            tokens[j].value === ']' || tokens[j].value === '>'))) {
+            return '';
+        }
+
+        if (separator === '.') {
+            return parts[0] === 'self' && parts.length > 1 ? parts.slice(1).join('.') : parts.join('.');
+        }
+
+        if (parts.length === 1 && parts[0] === 'Self') {
+            return 'self';
+        }
+
+        const path = this.normalizePath(parts, modulePath);
+        return path.length === 1 && path[0] === 'self' ? null : path.join('::');
+    }
+
+    /**
+     * Records `let` bindings whose type is known: `let s: Store = ...`,
+     * `let s = Store::new()`, `let s = store::Store::open()?`,
+     * `let s = Store { .. }`, `let s = Arc::new(Store::new())`
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {string|null} selfType - Type `Self` stands for
+     * @param {Object} fileData - File data to populate
+     */
+    collectInstances(tokens, start, end, selfType, fileData) {
+        for (let i = start; i < end - 1; i++) {
+            if (!this.isName(tokens[i], 'let')) continue;
+
+            let nameIndex = i + 1;
+            if (this.isName(tokens[nameIndex], 'mut')) {
+                nameIndex++;
+            }
+
+            const nameToken = tokens[nameIndex];
+            if (!nameToken || nameToken.type !== 'NAME' || nameIndex + 1 >= end) continue;
+
+            let className = null;
+            let next = nameIndex + 1;
+
+            if (tokens[next].value === ':') {
+                const type = this.readTypeName(tokens, next + 1, true);
+                className = type.name;
+                next = type.next;
+                while (next < end && tokens[next].value !== '=' && tokens[next].value !== ';') {
+                    next = tokens[next].value === '<' ? this.skipGenerics(tokens, next) : next + 1;
+                }
+            }
+
+            if (!className && tokens[next] && tokens[next].value === '=') {
+                className = this.readCreatedType(tokens, next + 1);
+            }
+
+            className = className === 'Self' ? selfType : className;
+            if (className && /^[A-Z]/.test(className.split('.').pop())) {
+                fileData.instances.push({ name: nameToken.value, className: className, line: nameToken.line });
+            }
+        }
+    }
+
+    /**
+     * Records `name: Type` pairs of a parameter list or struct body as
+     * instances, so `store.save()` and `self.store.save()` resolve
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - Index after `(` or `{`
+     * @param {number} end - Index of `)` or `}`
+     * @param {string|null} selfType - Type `Self` stands for
+     * @param {Object} fileData - File data to populate
+     */
+    collectTypedNames(tokens, start, end, selfType, fileData) {
+        this.splitArguments(tokens, start, end, true).forEach(part => {
+            const fields = part.filter(token => !this.isName(token, 'pub') && !this.isName(token, 'mut'));
+            const colon = fields.findIndex(token => token.value === ':');
+            if (colon !== 1 || fields[0].type !== 'NAME' || this.isName(fields[0], 'self')) return;
+
+            const index = tokens.indexOf(fields[2], start);
+            if (index === -1) return;
+
+            let className = this.readTypeName(tokens, index, true).name;
+            className = className === 'Self' ? selfType : className;
+
+            if (className && /^[A-Z]/.test(className.split('.').pop())) {
+                fileData.instances.push({ name: fields[0].value, className: className, line: fields[0].line });
+            }
+        });
+    }
+
+    /**
+     * Reads the type an initializer creates: `Foo::new(..)` / `m::Foo::open(..)`
+     * (an associated function of a capitalized type), `Foo { .. }`, or a
+     * smart pointer around one of those
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first token of the initializer
+     * @returns {string|null} Class name (`Foo`, `m.Foo`)
+     */
+    readCreatedType(tokens, index) {
+        const segments = [];
+        let i = index;
+
+        while (this.isPathSegment(tokens[i])) {
+            segments.push(tokens[i].value);
+            if (!tokens[i + 1] || tokens[i + 1].value !== '::') break;
+            i += 2;
+            // Turbofish in the path: Vec::<u8>::new()
+            if (tokens[i] && tokens[i].value === '<') {
+                i = this.skipGenerics(tokens, i);
+                if (!tokens[i] || tokens[i].value !== '::') break;
+                i++;
+            }
+        }
+
+        const next = tokens[i + 1];
+        if (segments.length === 0 || !next) {
+            return null;
+        }
+
+        const last = segments[segments.length - 1];
+
+        // Foo { .. }
+        if (next.value === '{' && /^[A-Z]/.test(last)) {
+            return this.toClassName(segments);
+        }
+
+        // Foo::new(..): the segment before the function names the type
+        if (next.value === '(' && segments.length >= 2 && /^[A-Z]/.test(segments[segments.length - 2]) && !/^[A-Z]/.test(last)) {
+            const typeSegments = segments.slice(0, -1);
+            const type = typeSegments[typeSegments.length - 1];
+
+            // Box::new(Foo::new()) wraps a Foo
+            if (SMART_POINTERS.has(type) && last === 'new') {
+                return this.readCreatedType(tokens, i + 2) || null;
+            }
+
+            return this.toClassName(typeSegments);
+        }
+
+        return null;
+    }
+
+    /**
+     * Reads a type: `Foo`, `&mut Foo`, `&'a m::Foo<T>`, `Box<dyn Foo>`;
+     * smart pointers optionally unwrap to the type they hold
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the first token of the type
+     * @param {boolean} [unwrap] - Read through Box/Rc/Arc
+     * @returns {{name: string|null, next: number}} Class name (`Foo`, `m.Foo`) and the index after the path
+     */
+    readTypeName(tokens, index, unwrap = false) {
+        let i = index;
+
+        while (tokens[i] && (tokens[i].value === '&' || tokens[i].value === '&&' || tokens[i].value === '*' ||
+            tokens[i].type === 'LIFETIME' || ['mut', 'const', 'dyn', 'impl'].includes(tokens[i].value))) {
+            i++;
+        }
+
+        const segments = [];
+        if (tokens[i] && tokens[i].value === '::') {
+            i++;
+        }
+        while (this.isPathSegment(tokens[i])) {
+            segments.push(tokens[i].value);
+            i++;
+            if (!tokens[i] || tokens[i].value !== '::' || !tokens[i + 1] || tokens[i + 1].type !== 'NAME') break;
+            i++;
+        }
+
+        if (segments.length === 0) {
+            return { name: null, next: i };
+        }
+
+        const last = segments[segments.length - 1];
+        if (unwrap && SMART_POINTERS.has(last) && tokens[i] && tokens[i].value === '<') {
+            const inner = this.readTypeName(tokens, i + 1, true);
+            return { name: inner.name, next: this.skipGenerics(tokens, i) };
+        }
+
+        return { name: this.toClassName(segments), next: i };
+    }
+
+    /**
+     * Turns a type path into the dotted class reference the graph resolves:
+     * the type, qualified by the module it is read from (`crate::models::User` -> `models.User`)
+     *
+     * @param {Array<string>} segments - Path segments
+     * @returns {string} Class name
+     */
+    toClassName(segments) {
+        const named = segments.filter(segment => !PATH_KEYWORDS.has(segment) || segment === 'Self');
+        return named.slice(-2).join('.') || segments[segments.length - 1];
+    }
+
+    /**
+     * Finds the end of an item that ends in `;` or a braced body, whichever
+     * comes first at the top level
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the item keyword
+     * @param {number} end - Last index (exclusive)
+     * @returns {number} Index of the `;` or closing `}`
+     */
+    findItemEnd(tokens, index, end) {
+        let i = index;
+
+        while (i < end) {
+            const token = tokens[i];
+            if (token.value === ';') {
+                return i;
+            }
+            if (token.value === '{') {
+                const close = this.findClosingBracket(tokens, i);
+                // `macro! { ... }` / `mod x { ... }` end at the brace; `const X: T = T { .. };` at the `;`
+                return tokens[close + 1] && tokens[close + 1].value === ';' && this.isValueItem(tokens, index) ? close + 1 : close;
+            }
+            if (token.type === 'OP' && OPENING[token.value]) {
+                i = this.findClosingBracket(tokens, i) + 1;
+                continue;
+            }
+            i++;
+        }
+
+        return end - 1;
+    }
+
+    /**
+     * Checks whether an item is a declaration ending in `;` even after a
+     * braced expression (`const`, `static`, `let`, `type`, macro calls with `( )`)
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of the item keyword
+     * @returns {boolean} True for value items
+     */
+    isValueItem(tokens, index) {
+        return ['const', 'static', 'type', 'use'].includes(tokens[index].value) ||
+            (tokens[index + 1] && tokens[index + 1].value === '!');
+    }
+
+    /**
+     * Skips generic arguments or parameters
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} index - Index of `<`
+     * @returns {number} Index after the matching `>`
+     */
+    skipGenerics(tokens, index) {
+        let depth = 0;
+
+        for (let i = index; i < tokens.length; i++) {
+            const value = tokens[i].value;
+
+            if (value === '<') {
+                depth++;
+            } else if (value === '>') {
+                depth--;
+                if (depth === 0) {
+                    return i + 1;
+                }
+            } else if (value === '(' || value === '[') {
+                i = this.findClosingBracket(tokens, i);
+            } else if (value === '{' || value === ';') {
+                // Not generics after all (a comparison)
+                return index + 1;
+            }
+        }
+
+        return tokens.length;
+    }
+
+    /**
+     * Splits a bracketed range at top-level commas
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} start - First index (inclusive)
+     * @param {number} end - Last index (exclusive)
+     * @param {boolean} [types] - The range holds types, so `<` `>` bracket too
+     * @returns {Array<Array<Object>>} Non-empty token lists
+     */
+    splitArguments(tokens, start, end, types = false) {
+        const parts = [];
+        let current = [];
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'OP' && (OPENING[token.value] || (types && token.value === '<'))) depth++;
+            if (token.type === 'OP' && (Object.values(OPENING).includes(token.value) || (types && token.value === '>'))) depth--;
+
+            if (depth === 0 && token.value === ',') {
+                parts.push(current);
+                current = [];
+            } else {
+                current.push(token);
+            }
+        }
+
+        parts.push(current);
+        return parts.filter(part => part.length > 0);
+    }
+
+    /**
+     * Finds the bracket matching the one at openIndex
+     *
+     * @param {Array<Object>} tokens - All tokens
+     * @param {number} openIndex - Index of `(`, `[` or `{`
+     * @returns {number} Index of the closing bracket (last token if unbalanced)
+     */
+    findClosingBracket(tokens, openIndex) {
+        const open = tokens[openIndex].value;
+        const close = OPENING[open];
+        let depth = 0;
+
+        for (let i = openIndex; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'OP') continue;
+
+            if (token.value === open) {
+                depth++;
+            } else if (token.value === close) {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return tokens.length - 1;
+    }
+
+    /**
+     * Checks whether a token can be a segment of a path (`crate::m::Foo`)
+     *
+     * @param {Object} token - Token
+     * @returns {boolean} True for names and path keywords
+     */
+    isPathSegment(token) {
+        return Boolean(token) && token.type === 'NAME' && (!KEYWORDS.has(token.value) || PATH_KEYWORDS.has(token.value));
+    }
+
+    /**
+     * Checks whether a token is a given name
+     *
+     * @param {Object} token - Token
+     * @param {string} value - Name
+     * @returns {boolean} True if the token is that name
+     */
+    isName(token, value) {
+        return Boolean(token) && token.type === 'NAME' && token.value === value;
+    }
+}
+
+module.exports = RustParser;
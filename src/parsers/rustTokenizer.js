@@ -0,0 +1,279 @@
+/**
+ * Rust Tokenizer Module
+ *
+ * Converts Rust source into a flat token stream for structural analysis:
+ * - String, byte string, C string and raw string (`r#"..."#`) literals are
+ *   consumed whole, as are character literals (`'x'`, `b'\n'`); unterminated
+ *   ones are recorded as recovered syntax errors
+ * - Lifetimes (`'a`, `'static`) and loop labels become LIFETIME tokens, so
+ *   they are never mistaken for unterminated character literals
+ * - Raw identifiers (`r#type`) become plain names
+ * - Line comments and (nested) block comments are dropped
+ * - Every token carries its line; newlines are not tokens
+ *
+ * Token types: NAME, NUMBER, STRING, LIFETIME, OP
+ */
+
+const { recordSyntaxError } = require('./syntaxErrors');
+
+const NAME_START = /[A-Za-z_\u0080-￿]/;
+const NAME_PART = /[A-Za-z0-9_\u0080-￿]/;
+// A `.` only continues a number when a digit follows or it ends the literal
+// (`1.`), not in ranges (`0..10`) or method calls (`1.max(2)`)
+const NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*|\.(?![.\w]))?(?:[eE][+-]?[\d_]+)?)(?:[iuf](?:8|16|32|64|128|size))?/y;
+const STRING_PREFIXES = new Set(['b', 'c']);
+const RAW_PREFIXES = new Set(['r', 'br', 'cr']);
+
+// Longest operators first so that `..=` wins over `..` and `.`. `>>` is
+// left as two tokens: it usually closes nested generic arguments.
+const OPERATORS = [
+    '<<=', '...', '..=',
+    '::', '->', '=>', '..', '&&', '||', '==', '!=', '<=', '>=', '<<',
+    '+=', '-=', '*=', '/=', '%=', '^=', '&=', '|='
+];
+
+/**
+ * Tokenizes Rust source code
+ *
+ * @param {string} source - Rust source code
+ * @param {Array<Object>} errors - Receives recovered syntax errors
+ * @returns {Array<Object>} Tokens with type, value, line and endLine (0-based lines)
+ */
+function tokenize(source, errors) {
+    const tokens = [];
+    const length = source.length;
+
+    let pos = 0;
+    let line = 0;
+
+    // Advances to `end`, counting the newlines passed
+    const advanceTo = (end) => {
+        for (let i = pos; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+        }
+        pos = end;
+    };
+
+    // Pushes the literal from pos to its end, recording it if unterminated
+    const pushLiteral = (literal, startLine) => {
+        if (!literal.closed) {
+            recordSyntaxError(errors, 'Unterminated string literal', startLine);
+        }
+        const value = source.slice(pos, literal.end);
+        advanceTo(literal.end);
+        tokens.push({ type: 'STRING', value, line: startLine, endLine: line });
+    };
+
+    // Shebang (`#!/usr/bin/env run-cargo-script`), but not an inner attribute (`#![...]`)
+    if (source.startsWith('#!') && !/^#!\s*\[/.test(source)) {
+        const end = source.indexOf('\n');
+        pos = end === -1 ? length : end;
+    }
+
+    while (pos < length) {
+        const ch = source[pos];
+        const startLine = line;
+
+        if (ch === '\n' || ch === ' ' || ch === '\t' || ch === '\r') {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            advanceTo(end === -1 ? length : end);
+            continue;
+        }
+
+        if (source.startsWith('/*', pos)) {
+            advanceTo(findBlockCommentEnd(source, pos));
+            continue;
+        }
+
+        if (NAME_START.test(ch)) {
+            let end = pos + 1;
+            while (end < length && NAME_PART.test(source[end])) {
+                end++;
+            }
+            const value = source.slice(pos, end);
+
+            // r"...", r#"..."#, br"...", cr#"..."#
+            if (RAW_PREFIXES.has(value) && (source[end] === '"' || (source[end] === '#' && /^#*"/.test(source.slice(end, end + 256))))) {
+                pushLiteral(findRawStringEnd(source, end), startLine);
+                continue;
+            }
+
+            // b"...", c"...", b'x'
+            if (STRING_PREFIXES.has(value) && (source[end] === '"' || (value === 'b' && source[end] === '\''))) {
+                pushLiteral(findLiteralEnd(source, end), startLine);
+                continue;
+            }
+
+            // r#type is the identifier `type`
+            if (value === 'r' && source[end] === '#' && NAME_START.test(source[end + 1] || '')) {
+                let stop = end + 2;
+                while (stop < length && NAME_PART.test(source[stop])) {
+                    stop++;
+                }
+                tokens.push({ type: 'NAME', value: source.slice(end + 1, stop), line: startLine, endLine: startLine });
+                advanceTo(stop);
+                continue;
+            }
+
+            tokens.push({ type: 'NAME', value, line: startLine, endLine: startLine });
+            advanceTo(end);
+            continue;
+        }
+
+        if (ch === '"') {
+            pushLiteral(findLiteralEnd(source, pos), startLine);
+            continue;
+        }
+
+        if (ch === '\'') {
+            const end = findCharacterEnd(source, pos);
+
+            if (end !== -1) {
+                tokens.push({ type: 'STRING', value: source.slice(pos, end), line: startLine, endLine: startLine });
+                advanceTo(end);
+                continue;
+            }
+
+            // Lifetime or label: 'a, 'static, 'outer
+            let stop = pos + 1;
+            while (stop < length && NAME_PART.test(source[stop])) {
+                stop++;
+            }
+            tokens.push({ type: 'LIFETIME', value: source.slice(pos, stop), line: startLine, endLine: startLine });
+            advanceTo(Math.max(stop, pos + 1));
+            continue;
+        }
+
+        if (/[0-9]/.test(ch)) {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(source);
+            const value = match ? match[0] : ch;
+            tokens.push({ type: 'NUMBER', value, line: startLine, endLine: startLine });
+            advanceTo(pos + value.length);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+        tokens.push({ type: 'OP', value: operator, line: startLine, endLine: startLine });
+        advanceTo(pos + operator.length);
+    }
+
+    return tokens;
+}
+
+/**
+ * Finds the end of a block comment; Rust block comments nest
+ *
+ * @param {string} source - Rust source code
+ * @param {number} start - Index of the opening `/*`
+ * @returns {number} Index after the closing `*\/` (or the end of the source)
+ */
+function findBlockCommentEnd(source, start) {
+    let depth = 0;
+    let pos = start;
+
+    while (pos < source.length) {
+        if (source.startsWith('/*', pos)) {
+            depth++;
+            pos += 2;
+        } else if (source.startsWith('*/', pos)) {
+            depth--;
+            pos += 2;
+            if (depth === 0) {
+                return pos;
+            }
+        } else {
+            pos++;
+        }
+    }
+
+    return source.length;
+}
+
+/**
+ * Finds the index just past the end of a string literal. Rust strings may
+ * span lines.
+ *
+ * @param {string} source - Rust source code
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { end, closed }: index after the closing quote, and
+ *   whether the closing quote was found
+ */
+function findLiteralEnd(source, start) {
+    const quote = source[start];
+    let pos = start + 1;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\\') {
+            pos += 2;
+            continue;
+        }
+        if (ch === quote) {
+            return { end: pos + 1, closed: true };
+        }
+        // Only strings continue past the end of the line
+        if (ch === '\n' && quote === '\'') {
+            return { end: pos, closed: false };
+        }
+
+        pos++;
+    }
+
+    return { end: source.length, closed: false };
+}
+
+/**
+ * Finds the end of a raw string: `"` preceded by as many `#` as opened it
+ *
+ * @param {string} source - Rust source code
+ * @param {number} start - Index of the first `#` or of the opening quote
+ * @returns {Object} { end, closed }: index after the closing delimiter, and
+ *   whether it was found
+ */
+function findRawStringEnd(source, start) {
+    let hashes = 0;
+    while (source[start + hashes] === '#') {
+        hashes++;
+    }
+
+    const close = source.indexOf(`"${'#'.repeat(hashes)}`, start + hashes + 1);
+    return close === -1
+        ? { end: source.length, closed: false }
+        : { end: close + hashes + 1, closed: true };
+}
+
+/**
+ * Finds the end of a character literal starting at a quote, telling it
+ * apart from a lifetime (`'a'` vs `'a`)
+ *
+ * @param {string} source - Rust source code
+ * @param {number} start - Index of the quote
+ * @returns {number} Index after the closing quote, or -1 for a lifetime or label
+ */
+function findCharacterEnd(source, start) {
+    if (source[start + 1] === '\\') {
+        const close = source.indexOf('\'', start + 3);
+        const newline = source.indexOf('\n', start);
+        return close !== -1 && (newline === -1 || close < newline) ? close + 1 : -1;
+    }
+
+    // One character (a code point, which may be two UTF-16 units) then a quote
+    const codePoint = source.codePointAt(start + 1);
+    if (codePoint === undefined || source[start + 1] === '\n') {
+        return -1;
+    }
+    const width = codePoint > 0xFFFF ? 2 : 1;
+
+    return source[start + 1 + width] === '\'' ? start + 2 + width : -1;
+}
+
+module.exports = { tokenize };
@@ -0,0 +1,70 @@
+/**
+ * Recovered Syntax Errors
+ *
+ * Helpers for the tokenizer-backed parsers, which read past syntax errors
+ * instead of failing. Each error they recover from is recorded in the file
+ * data as a non-fatal parse error: the file stays in the graph, but what
+ * follows the error may be read wrong.
+ */
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+const OPENING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Records a recovered syntax error
+ *
+ * @param {Array<Object>} errors - Errors of the file data
+ * @param {string} message - Error message
+ * @param {number} line - 0-based line
+ * @param {number} [column] - 0-based column, when the tokenizer tracks it
+ */
+function recordSyntaxError(errors, message, line, column) {
+    errors.push({
+        message: message,
+        line: line,
+        column: column || 0,
+        fatal: false
+    });
+}
+
+/**
+ * Reports the first unbalanced bracket of a token stream: a closing bracket
+ * without an opening one, one closing a different kind of bracket, or an
+ * opening bracket never closed. Errors after the first one are usually its
+ * consequences, so they are not reported.
+ *
+ * @param {Array<Object>} tokens - Tokens with type, value, line (and col)
+ * @param {Array<Object>} errors - Errors of the file data
+ */
+function checkBrackets(tokens, errors) {
+    const open = [];
+
+    for (const token of tokens) {
+        if (token.type !== 'OP') continue;
+
+        if (CLOSING[token.value]) {
+            open.push(token);
+        } else if (OPENING[token.value]) {
+            const last = open.pop();
+
+            if (!last) {
+                recordSyntaxError(errors, `Unmatched '${token.value}'`, token.line, token.col);
+                return;
+            }
+            if (CLOSING[last.value] !== token.value) {
+                recordSyntaxError(errors, `'${token.value}' does not match '${last.value}' on line ${last.line + 1}`, token.line, token.col);
+                return;
+            }
+        }
+    }
+
+    if (open.length > 0) {
+        const last = open[open.length - 1];
+        recordSyntaxError(errors, `'${last.value}' is never closed`, last.line, last.col);
+    }
+}
+
+module.exports = {
+    recordSyntaxError,
+    checkBrackets
+};
@@ -0,0 +1,358 @@
+/**
+ * Token-based Function Metrics
+ *
+ * Computes size and complexity metrics for a function from the token stream
+ * of a brace language (Go, Java, Kotlin, C/C++, Rust):
+ * - Cyclomatic complexity: 1 + decision points (branches, loops, catch
+ *   clauses, case labels or match arms, `?:` conditionals, boolean operators)
+ * - Cognitive complexity (SonarSource): structural increments weighted by
+ *   nesting, `else`, labelled jumps and sequences of like boolean operators;
+ *   nested functions (closures, lambdas, function literals) raise the
+ *   nesting of their bodies
+ * - Lines of code: lines holding tokens, so blank and comment-only lines
+ *   don't count
+ * - Maximum nesting depth of control structures
+ * - Parameter count (counted by the caller)
+ *
+ * What differs between languages is described by a table of rules per
+ * language (see LANGUAGE_RULES); the counting is the same for all.
+ */
+
+/**
+ * @typedef {Object} MetricRules
+ * @property {Array<string>} decisions - Keywords adding a decision point and
+ *   a nested structure (`if` is always one)
+ * @property {Array<string>} structures - Keywords adding a nested structure
+ *   only (`switch`, `loop`)
+ * @property {Array<string>} armed - Structures whose branches are arms
+ *   (`when`, `match`), each arm a decision point
+ * @property {string|null} armOperator - Operator ending an arm's pattern
+ * @property {string|null} defaultArm - Pattern of the default arm, which isn't a decision
+ * @property {Array<string>} cases - Labels adding a decision point (`case`)
+ * @property {Array<string>} booleanOperators - Operators adding a decision point
+ * @property {boolean} conditional - `?` is a conditional operator
+ * @property {Array<string>} jumps - Keywords that jump to a label
+ * @property {Object} jumpLabel - What makes a jump labelled: the `type` or
+ *   `value` of the token after it, on the same line
+ * @property {Array<string>} plainBlocks - Keywords whose braces are plain blocks (`try`)
+ * @property {Array<string>} functionKeywords - Keywords starting nested function literals
+ * @property {string|null} lambdaArrow - Operator before the block body of a lambda
+ * @property {boolean} bracketLambdas - `[captures](params) {` starts a lambda (C++)
+ * @property {boolean} bareBraceLambdas - A brace no keyword asked for is a lambda (Kotlin)
+ * @property {boolean} compositeLiterals - `[]T{` and `map[K]V{` are literals (Go)
+ * @property {boolean} bracelessBodies - Bodies may be one statement ending in `;`
+ * @property {boolean} newlineStatements - Statements end at line breaks
+ */
+
+const C_RULES = {
+    decisions: ['for', 'while', 'do', 'catch'],
+    structures: ['switch'],
+    armed: [],
+    armOperator: null,
+    defaultArm: null,
+    cases: ['case'],
+    booleanOperators: ['&&', '||'],
+    conditional: true,
+    jumps: ['goto'],
+    jumpLabel: { type: 'NAME' },
+    plainBlocks: ['try'],
+    functionKeywords: [],
+    lambdaArrow: null,
+    bracketLambdas: true,
+    bareBraceLambdas: false,
+    compositeLiterals: false,
+    bracelessBodies: true,
+    newlineStatements: false
+};
+
+const LANGUAGE_RULES = {
+    go: {
+        decisions: ['for'],
+        structures: ['switch', 'select'],
+        armed: [],
+        armOperator: null,
+        defaultArm: null,
+        cases: ['case'],
+        booleanOperators: ['&&', '||'],
+        conditional: false,
+        jumps: ['break', 'continue', 'goto'],
+        jumpLabel: { type: 'NAME' },
+        plainBlocks: [],
+        functionKeywords: ['func'],
+        lambdaArrow: null,
+        bracketLambdas: false,
+        bareBraceLambdas: false,
+        compositeLiterals: true,
+        bracelessBodies: false,
+        newlineStatements: true
+    },
+    java: {
+        decisions: ['for', 'while', 'do', 'catch'],
+        structures: ['switch'],
+        armed: [],
+        armOperator: null,
+        defaultArm: null,
+        cases: ['case'],
+        booleanOperators: ['&&', '||'],
+        conditional: true,
+        jumps: ['break', 'continue'],
+        jumpLabel: { type: 'NAME' },
+        plainBlocks: ['try', 'finally'],
+        functionKeywords: [],
+        lambdaArrow: '->',
+        bracketLambdas: false,
+        bareBraceLambdas: false,
+        compositeLiterals: false,
+        bracelessBodies: true,
+        newlineStatements: false
+    },
+    kotlin: {
+        decisions: ['for', 'while', 'do', 'catch'],
+        structures: [],
+        armed: ['when'],
+        armOperator: '->',
+        defaultArm: 'else',
+        cases: [],
+        booleanOperators: ['&&', '||'],
+        conditional: false,
+        jumps: ['break', 'continue'],
+        jumpLabel: { value: '@' },
+        plainBlocks: ['try', 'finally'],
+        functionKeywords: [],
+        lambdaArrow: null,
+        bracketLambdas: false,
+        bareBraceLambdas: true,
+        compositeLiterals: false,
+        bracelessBodies: true,
+        newlineStatements: true
+    },
+    c: C_RULES,
+    cpp: C_RULES,
+    rust: {
+        decisions: ['for', 'while'],
+        structures: ['loop'],
+        armed: ['match'],
+        armOperator: '=>',
+        defaultArm: '_',
+        cases: [],
+        booleanOperators: ['&&', '||'],
+        conditional: false,
+        jumps: ['break', 'continue'],
+        jumpLabel: { type: 'LIFETIME' },
+        plainBlocks: [],
+        functionKeywords: [],
+        lambdaArrow: null,
+        bracketLambdas: false,
+        bareBraceLambdas: false,
+        compositeLiterals: false,
+        bracelessBodies: false,
+        newlineStatements: false
+    }
+};
+
+// Brace kinds whose bodies count towards the nesting depth
+const CONTROL_KINDS = ['control', 'armed', 'do'];
+
+/**
+ * Computes metrics for a function from its tokens
+ *
+ * @param {Array<Object>} tokens - All tokens (type, value, line, endLine)
+ * @param {number} start - Index of the first token of the function
+ * @param {number} end - Index of the last token of the function (its closing `}`)
+ * @param {number} bodyStart - Index of the opening `{` of the body, or -1
+ *   for an expression body or none
+ * @param {number} parameterCount - Number of parameters
+ * @param {string} language - Key of LANGUAGE_RULES
+ * @returns {Object} { cyclomatic, cognitive, linesOfCode, maxNesting, parameterCount }
+ */
+function measureFunction(tokens, start, end, bodyStart, parameterCount, language) {
+    const rules = LANGUAGE_RULES[language];
+    const metrics = { cyclomatic: 1, cognitive: 0, linesOfCode: 0, maxNesting: 0, parameterCount };
+    const lines = new Set();
+
+    for (let i = start; i <= end; i++) {
+        for (let line = tokens[i].line; line <= tokens[i].endLine; line++) {
+            lines.add(line);
+        }
+    }
+    metrics.linesOfCode = lines.size;
+
+    const braces = [];    // Kind of each open brace: 'control', 'armed', 'do', 'func' or 'plain'
+    const lambdas = [];   // Whether each open `[` starts a lambda (bracketLambdas)
+    let nesting = 0;      // Cognitive nesting level
+    let depth = 0;        // Control-structure depth
+    let parens = 0;
+    let pending = null;   // Header waiting for its `{`: { kind, parens }
+    let lastOperator = null;
+    let closedDo = false; // The `while` after `do { }` is not another loop
+    let caseLabel = false; // Between `case`/`default` and the end of its label
+
+    const from = bodyStart === -1 ? start : bodyStart + 1;
+
+    for (let i = from; i < end; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        const next = tokens[i + 1];
+
+        if (token.type === 'OP') {
+            switch (token.value) {
+                case '(':
+                    parens++;
+                    break;
+                case '[':
+                    // `[&](int x) {` starts a lambda, `items[i]` indexes
+                    lambdas.push(rules.bracketLambdas && (
+                        (previous.type === 'OP' && previous.value !== ')' && previous.value !== ']') ||
+                        (previous.type === 'NAME' && previous.value === 'return')));
+                    parens++;
+                    break;
+                case ')':
+                    parens--;
+                    break;
+                case ']':
+                    parens--;
+                    if (lambdas.pop() && next && (next.value === '(' || next.value === '{')) {
+                        pending = { kind: 'func', parens };
+                    }
+                    break;
+                case '{': {
+                    // `[]T{` / `map[K]V{` in a header is a composite literal
+                    const literal = rules.compositeLiterals && previous.type === 'NAME' && tokens[i - 2].value === ']';
+                    const matched = pending && pending.parens === parens && !literal;
+                    const kind = matched ? pending.kind : rules.bareBraceLambdas ? 'func' : 'plain';
+                    if (matched) {
+                        pending = null;
+                    }
+                    caseLabel = false;
+                    if (kind !== 'plain') {
+                        nesting++;
+                    }
+                    if (CONTROL_KINDS.includes(kind)) {
+                        depth++;
+                        metrics.maxNesting = Math.max(metrics.maxNesting, depth);
+                    }
+                    braces.push(kind);
+                    lastOperator = null;
+                    break;
+                }
+                case '}': {
+                    const kind = braces.pop();
+                    if (kind && kind !== 'plain') {
+                        nesting--;
+                    }
+                    if (CONTROL_KINDS.includes(kind)) {
+                        depth--;
+                    }
+                    closedDo = kind === 'do';
+                    lastOperator = null;
+                    continue;
+                }
+                case '?':
+                    // `List<?>` and `? extends T` are wildcards
+                    if (rules.conditional && next && !['>', ',', 'extends', 'super'].includes(next.value)) {
+                        metrics.cyclomatic++;
+                        metrics.cognitive += 1 + nesting;
+                    }
+                    break;
+                case ';':
+                    // A braceless body ends here
+                    if (rules.bracelessBodies && pending && pending.parens === parens) {
+                        pending = null;
+                    }
+                    caseLabel = false;
+                    lastOperator = null;
+                    break;
+                case ':':
+                    caseLabel = false;
+                    break;
+                case ',':
+                case '=':
+                case ':=':
+                    lastOperator = null;
+                    break;
+            }
+
+            if (rules.booleanOperators.includes(token.value)) {
+                metrics.cyclomatic++;
+                if (token.value !== lastOperator) {
+                    metrics.cognitive++;
+                }
+                lastOperator = token.value;
+            } else if (token.value === rules.armOperator && braces[braces.length - 1] === 'armed' && parens === 0) {
+                // Each arm but the default one is a decision; a guard's
+                // `if` has no body of its own
+                if (previous.value !== rules.defaultArm) {
+                    metrics.cyclomatic++;
+                }
+                pending = null;
+                lastOperator = null;
+            } else if (token.value === rules.lambdaArrow) {
+                // A lambda's block body; `case X -> {` of a switch is not one
+                if (!caseLabel && next && next.value === '{') {
+                    pending = { kind: 'func', parens };
+                }
+                caseLabel = false;
+            }
+
+            closedDo = false;
+            continue;
+        }
+
+        if (rules.newlineStatements && token.line !== previous.endLine && parens === 0) {
+            lastOperator = null;
+        }
+
+        if (token.type !== 'NAME') {
+            closedDo = false;
+            continue;
+        }
+
+        const value = token.value;
+
+        if (value === 'if') {
+            metrics.cyclomatic++;
+            // `else if` is one flat increment
+            metrics.cognitive += previous.value === 'else' ? 1 : 1 + nesting;
+            pending = { kind: 'control', parens };
+        } else if (value === 'else') {
+            // `else if` was counted by its `if`; `else ->` is a default arm
+            if (!next || (next.value !== 'if' && next.value !== rules.armOperator)) {
+                metrics.cognitive++;
+                pending = { kind: 'control', parens };
+            }
+        } else if (rules.decisions.includes(value) || rules.structures.includes(value) || rules.armed.includes(value)) {
+            // `for<'a>` bounds don't loop; the `while` of `do { } while` isn't a loop
+            if ((next && next.value === '<') || (value === 'while' && closedDo)) {
+                closedDo = false;
+                continue;
+            }
+            if (rules.decisions.includes(value)) {
+                metrics.cyclomatic++;
+            }
+            metrics.cognitive += 1 + nesting;
+            const kind = value === 'do' ? 'do' : rules.armed.includes(value) ? 'armed' : 'control';
+            pending = { kind, parens };
+        } else if (rules.cases.includes(value)) {
+            metrics.cyclomatic++;
+            caseLabel = true;
+        } else if (value === 'default' && rules.cases.length > 0) {
+            caseLabel = true;
+        } else if (rules.jumps.includes(value)) {
+            const label = rules.jumpLabel;
+            if (next && next.line === token.line &&
+                (label.type ? next.type === label.type : next.value === label.value)) {
+                metrics.cognitive++;
+            }
+        } else if (rules.plainBlocks.includes(value)) {
+            pending = { kind: 'plain', parens };
+        } else if (rules.functionKeywords.includes(value)) {
+            pending = { kind: 'func', parens };
+        }
+
+        closedDo = false;
+    }
+
+    return metrics;
+}
+
+module.exports = { LANGUAGE_RULES, measureFunction };
@@ -0,0 +1,200 @@
+/**
+ * Python Module Resolver
+ *
+ * Resolves Python import names to files the way the import system finds
+ * them on `sys.path`:
+ * - Relative imports (`.`, `..pkg.mod`) from the importing module's package
+ * - Absolute imports (`app.models`) against detected source roots
+ * - Packages resolve to their `__init__.py`, modules to `<name>.py`
+ *
+ * Source roots for a file are, in order:
+ * - The folder above its top-most package (the last ancestor with `__init__.py`)
+ * - Ancestor `src/` folders
+ * - Project roots (folders with pyproject.toml, setup.py, setup.cfg or
+ *   manage.py) and their `src/` folders, up to the workspace folder owning
+ *   the file
+ * - The file's own folder (script-style sibling imports)
+ * - The other folders of a multi-root workspace, and their `src/` folders
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isInside } = require('./workspaceRoots');
+
+const PROJECT_MARKERS = ['pyproject.toml', 'setup.py', 'setup.cfg', 'manage.py'];
+
+class PythonModuleResolver {
+    constructor() {
+        this.rootCache = new Map();   // Directory -> source roots
+        this.existsCache = new Map(); // Path -> exists on disk
+        this.workspaceRoots = [];     // Folders open in VS Code
+    }
+
+    /**
+     * Sets the folders open in VS Code, whose modules other folders may import
+     *
+     * @param {Array<string>} roots - Workspace folder paths
+     */
+    setWorkspaceRoots(roots) {
+        this.workspaceRoots = roots;
+        this.rootCache.clear();
+    }
+
+    /**
+     * Resolves a dotted import name to a file
+     *
+     * @param {string} specifier - Module name as written (`.models`, `..`, `app.models`)
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate deciding whether a candidate path is a known file
+     * @returns {string|null} Resolved file path, or null
+     */
+    resolve(specifier, fromFile, fileExists) {
+        const dots = specifier.match(/^\.*/)[0].length;
+        const parts = specifier.slice(dots).split('.').filter(Boolean);
+
+        if (dots > 0) {
+            // `.` is the importing module's package, each extra dot one level up
+            let base = path.dirname(fromFile);
+            for (let i = 1; i < dots; i++) {
+                base = path.dirname(base);
+            }
+            return this.resolveInDirectory(base, parts, fileExists);
+        }
+
+        if (parts.length === 0) {
+            return null;
+        }
+
+        for (const root of this.getSourceRoots(fromFile)) {
+            const resolved = this.resolveInDirectory(root, parts, fileExists);
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Joins a `from` module and an imported name into the name of a
+     * possible submodule (`from . import views` -> `.views`)
+     *
+     * @param {string} source - Module name of the `from` clause
+     * @param {string} name - Imported name
+     * @returns {string} Dotted submodule name
+     */
+    joinModule(source, name) {
+        return source.endsWith('.') ? source + name : `${source}.${name}`;
+    }
+
+    /**
+     * Resolves module path segments below a directory
+     *
+     * @param {string} base - Directory the name is relative to
+     * @param {Array<string>} parts - Module path segments
+     * @param {Function} fileExists - Predicate for candidate paths
+     * @returns {string|null} `<name>.py` or `<name>/__init__.py`, or null
+     */
+    resolveInDirectory(base, parts, fileExists) {
+        const target = path.join(base, ...parts);
+        const candidates = parts.length > 0
+            ? [`${target}.py`, `${target}.pyi`, path.join(target, '__init__.py')]
+            : [path.join(target, '__init__.py')];
+
+        return candidates.find(candidate => fileExists(candidate)) || null;
+    }
+
+    /**
+     * Finds the source roots absolute imports are resolved against
+     *
+     * @param {string} filePath - Path of the importing file
+     * @returns {Array<string>} Root directories, most specific first
+     */
+    getSourceRoots(filePath) {
+        const dir = path.dirname(filePath);
+        if (this.rootCache.has(dir)) {
+            return this.rootCache.get(dir);
+        }
+
+        const roots = [];
+        const add = root => {
+            if (!roots.includes(root)) {
+                roots.push(root);
+            }
+        };
+
+        // Walk out of the package the file belongs to
+        let packageRoot = dir;
+        while (this.exists(path.join(packageRoot, '__init__.py')) && path.dirname(packageRoot) !== packageRoot) {
+            packageRoot = path.dirname(packageRoot);
+        }
+        add(packageRoot);
+
+        // Markers above the workspace folder (a pyproject.toml in the home
+        // directory) belong to other projects
+        const owner = this.workspaceRoots
+            .filter(root => isInside(root, dir))
+            .sort((a, b) => b.length - a.length)[0];
+        const projectRoots = [];
+        let current = dir;
+
+        while (true) {
+            if (path.basename(current) === 'src') {
+                add(current);
+            }
+            if (PROJECT_MARKERS.some(marker => this.exists(path.join(current, marker)))) {
+                projectRoots.push(current);
+            }
+
+            const parent = path.dirname(current);
+            if (parent === current || current === owner) {
+                break;
+            }
+            current = parent;
+        }
+
+        projectRoots.forEach(root => {
+            add(root);
+            if (this.exists(path.join(root, 'src'))) {
+                add(path.join(root, 'src'));
+            }
+        });
+
+        add(dir);
+
+        this.workspaceRoots
+            .filter(root => path.relative(root, dir).startsWith('..'))
+            .forEach(root => {
+                add(root);
+                if (this.exists(path.join(root, 'src'))) {
+                    add(path.join(root, 'src'));
+                }
+            });
+
+        this.rootCache.set(dir, roots);
+        return roots;
+    }
+
+    /**
+     * Cached existence check for marker files and folders
+     *
+     * @param {string} target - Path to check
+     * @returns {boolean} True if the path exists
+     */
+    exists(target) {
+        if (!this.existsCache.has(target)) {
+            this.existsCache.set(target, fs.existsSync(target));
+        }
+        return this.existsCache.get(target);
+    }
+
+    /**
+     * Clears cached source roots (call when files change)
+     */
+    clearCache() {
+        this.rootCache.clear();
+        this.existsCache.clear();
+    }
+}
+
+module.exports = PythonModuleResolver;
@@ -0,0 +1,838 @@
+/**
+ * Module Resolver
+ *
+ * Resolves JavaScript/TypeScript import specifiers to files the way
+ * TypeScript's module resolution does:
+ * - Relative and absolute paths, with extension and index-file lookup
+ * - `compilerOptions.paths` aliases (longest matching prefix wins)
+ * - `compilerOptions.baseUrl` for non-relative specifiers
+ * - `extends` chains between tsconfig/jsconfig files
+ * - Sibling packages of npm/yarn/pnpm workspaces, through their
+ *   package.json `exports` / `source` / `types` / `main` fields
+ * - Packages of the other folders of a multi-root workspace (the folder's
+ *   own package.json and its workspace packages), the same way
+ *
+ * The nearest tsconfig.json (or jsconfig.json) above the importing file
+ * decides which options apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const { minimatch } = require('minimatch');
+
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Same order TypeScript tries them in (sources before declarations before JS)
+const EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mts', '.cts', '.mjs', '.cjs'];
+
+// ESM-style imports name the emitted file: './util.js' refers to './util.ts'
+const EMITTED_EXTENSIONS = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts']
+};
+
+// package.json `exports` conditions, most source-like first
+const EXPORT_CONDITIONS = ['source', 'development', 'types', 'import', 'module', 'require', 'node', 'default'];
+
+// Build output folders that usually mirror `src/` in workspace packages
+const BUILD_DIRS = ['dist', 'lib', 'build', 'out', 'esm', 'cjs'];
+
+class ModuleResolver {
+    constructor() {
+        this.configCache = new Map(); // Directory -> applicable config (or null)
+        this.fileCache = new Map();   // Config file path -> loaded config
+        this.packageCache = new Map();   // Directory -> nearest package.json (or null)
+        this.workspaceCache = new Map(); // Directory -> enclosing workspace (or null)
+        this.workspaceRoots = [];  // Folders open in VS Code
+        this.rootPackages = null;  // Package name -> package, across those folders
+    }
+
+    /**
+     * Sets the folders open in VS Code, whose packages other folders may import
+     *
+     * @param {Array<string>} roots - Workspace folder paths
+     */
+    setWorkspaceRoots(roots) {
+        this.workspaceRoots = roots;
+        this.rootPackages = null;
+    }
+
+    /**
+     * Resolves an import specifier to a file
+     *
+     * @param {string} specifier - Import specifier (already absolute for relative imports)
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate deciding whether a candidate path is a known file
+     * @returns {string|null} Resolved file path, or null
+     */
+    resolve(specifier, fromFile, fileExists) {
+        if (specifier.startsWith('.')) {
+            return this.resolveAsFile(path.resolve(path.dirname(fromFile), specifier), fileExists);
+        }
+
+        if (path.isAbsolute(specifier)) {
+            return this.resolveAsFile(specifier, fileExists);
+        }
+
+        const config = this.getConfigForFile(fromFile);
+
+        if (config && config.paths) {
+            const resolved = this.resolveWithPaths(specifier, config, fileExists);
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        if (config && config.baseUrl) {
+            const resolved = this.resolveAsFile(path.resolve(config.baseUrl, specifier), fileExists);
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        return this.resolveWorkspaceImport(specifier, fromFile, fileExists);
+    }
+
+    /**
+     * Resolves an import of a sibling workspace package (`@our/shared`,
+     * `@our/shared/utils`) to its source file
+     *
+     * @param {string} specifier - Bare import specifier
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate for candidate paths
+     * @returns {string|null} Resolved file path, or null
+     */
+    resolveWorkspaceImport(specifier, fromFile, fileExists) {
+        const workspace = this.findWorkspace(fromFile);
+        const name = this.getPackageName(specifier);
+        const pkg = (workspace && workspace.packages.get(name)) || this.findRootPackage(name, fromFile);
+
+        if (!pkg) {
+            return null;
+        }
+
+        const subpath = '.' + specifier.slice(name.length);
+
+        for (const entry of this.getPackageEntries(pkg.manifest, subpath)) {
+            const target = path.resolve(pkg.dir, entry);
+            const resolved = this.resolveAsFile(target, fileExists) ||
+                this.resolveAsFile(this.toSourcePath(pkg.dir, target), fileExists);
+
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds a package by name in another workspace folder than the
+     * importing file's
+     *
+     * @param {string} name - Package name
+     * @param {string} fromFile - Path of the importing file
+     * @returns {Object|null} { name, dir, manifest }, or null
+     */
+    findRootPackage(name, fromFile) {
+        if (!this.rootPackages) {
+            this.rootPackages = new Map();
+
+            this.workspaceRoots.forEach(root => {
+                const patterns = this.readWorkspacePatterns(root);
+                const packages = patterns ? this.loadWorkspacePackages(root, patterns) : new Map();
+                const rootPackage = this.readPackage(root);
+
+                if (rootPackage && rootPackage.manifest.name) {
+                    packages.set(rootPackage.manifest.name, rootPackage);
+                }
+                packages.forEach((pkg, packageName) => {
+                    if (!this.rootPackages.has(packageName)) {
+                        this.rootPackages.set(packageName, pkg);
+                    }
+                });
+            });
+        }
+
+        // A file's own package is not imported by name
+        const pkg = this.rootPackages.get(name);
+        return pkg && path.relative(pkg.dir, fromFile).startsWith('..') ? pkg : null;
+    }
+
+    /**
+     * Lists the package-relative files a subpath of a package may point to,
+     * from `exports` first, then the legacy entry fields
+     *
+     * @param {Object} manifest - Parsed package.json
+     * @param {string} subpath - '.' or './sub/path'
+     * @returns {Array<string>} Package-relative candidates
+     */
+    getPackageEntries(manifest, subpath) {
+        const entries = [];
+
+        if (manifest.exports !== undefined) {
+            const exported = this.resolveExportsField(manifest.exports, subpath);
+            if (exported) {
+                entries.push(exported);
+            }
+        }
+
+        if (subpath === '.') {
+            ['source', 'types', 'typings', 'module', 'main']
+                .map(field => manifest[field])
+                .filter(value => typeof value === 'string')
+                .forEach(value => entries.push(value));
+            entries.push('index');
+        } else {
+            entries.push(subpath);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Resolves a subpath through a package.json `exports` field, including
+     * `./*` subpath patterns and nested condition objects
+     *
+     * @param {*} exportsField - The `exports` value
+     * @param {string} subpath - '.' or './sub/path'
+     * @returns {string|null} Package-relative target, or null
+     */
+    resolveExportsField(exportsField, subpath) {
+        const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+            Object.keys(exportsField).some(key => key.startsWith('.'));
+
+        if (!isSubpathMap) {
+            return subpath === '.' ? this.resolveExportConditions(exportsField) : null;
+        }
+
+        if (exportsField[subpath] !== undefined) {
+            return this.resolveExportConditions(exportsField[subpath]);
+        }
+
+        for (const key of Object.keys(exportsField)) {
+            const star = key.indexOf('*');
+            if (star === -1) continue;
+
+            const prefix = key.slice(0, star);
+            const suffix = key.slice(star + 1);
+
+            if (subpath.startsWith(prefix) && subpath.endsWith(suffix) &&
+                subpath.length >= prefix.length + suffix.length) {
+                const captured = subpath.slice(prefix.length, subpath.length - suffix.length);
+                const target = this.resolveExportConditions(exportsField[key]);
+                return target ? target.split('*').join(captured) : null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Picks a target from an `exports` value (string, fallback array or
+     * condition object)
+     *
+     * @param {*} value - Export target
+     * @returns {string|null} Package-relative target, or null
+     */
+    resolveExportConditions(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                const target = this.resolveExportConditions(item);
+                if (target) {
+                    return target;
+                }
+            }
+            return null;
+        }
+
+        if (value && typeof value === 'object') {
+            for (const condition of EXPORT_CONDITIONS) {
+                if (value[condition] !== undefined) {
+                    const target = this.resolveExportConditions(value[condition]);
+                    if (target) {
+                        return target;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Maps a build output path back to its likely source path:
+     * `<pkg>/dist/utils/index.js` -> `<pkg>/src/utils/index`
+     *
+     * @param {string} pkgDir - Package directory
+     * @param {string} target - Absolute entry path
+     * @returns {string} Source path candidate (without extension)
+     */
+    toSourcePath(pkgDir, target) {
+        const segments = path.relative(pkgDir, target).split(path.sep);
+
+        if (BUILD_DIRS.includes(segments[0])) {
+            segments[0] = 'src';
+        }
+
+        return path.join(pkgDir, ...segments).replace(/(\.d)?\.(m|c)?[jt]sx?$/, '');
+    }
+
+    /**
+     * Checks whether a specifier names an installed/external package rather
+     * than a file or a Node.js built-in module
+     *
+     * @param {string} specifier - Import specifier
+     * @returns {boolean} True for bare package specifiers
+     */
+    isExternalSpecifier(specifier) {
+        if (!specifier || specifier.startsWith('.') || path.isAbsolute(specifier) ||
+            specifier.startsWith('node:') || /^[a-z][a-z0-9+.-]*:/i.test(specifier)) {
+            return false;
+        }
+
+        return !builtinModules.includes(this.getPackageName(specifier));
+    }
+
+    /**
+     * Extracts the package name from a bare specifier
+     * (`lodash/fp` -> `lodash`, `@our/shared/utils` -> `@our/shared`)
+     *
+     * @param {string} specifier - Bare import specifier
+     * @returns {string} Package name
+     */
+    getPackageName(specifier) {
+        const segments = specifier.split('/');
+        return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    }
+
+    /**
+     * Finds the nearest package.json above a file
+     *
+     * @param {string} filePath - Path of a source file
+     * @returns {Object|null} { name, dir, manifest }
+     */
+    findPackage(filePath) {
+        const visited = [];
+        let dir = path.dirname(filePath);
+        let pkg = null;
+
+        while (true) {
+            if (this.packageCache.has(dir)) {
+                pkg = this.packageCache.get(dir);
+                break;
+            }
+
+            visited.push(dir);
+            pkg = this.readPackage(dir);
+            if (pkg) {
+                break;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+
+        visited.forEach(visitedDir => this.packageCache.set(visitedDir, pkg));
+        return pkg;
+    }
+
+    /**
+     * Finds the npm/yarn (package.json `workspaces`) or pnpm
+     * (pnpm-workspace.yaml) workspace enclosing a file
+     *
+     * @param {string} filePath - Path of a source file
+     * @returns {Object|null} { root, packages: Map<name, package> }
+     */
+    findWorkspace(filePath) {
+        const visited = [];
+        let dir = path.dirname(filePath);
+        let workspace = null;
+
+        while (true) {
+            if (this.workspaceCache.has(dir)) {
+                workspace = this.workspaceCache.get(dir);
+                break;
+            }
+
+            visited.push(dir);
+            const patterns = this.readWorkspacePatterns(dir);
+            if (patterns) {
+                workspace = { root: dir, packages: this.loadWorkspacePackages(dir, patterns) };
+                break;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+
+        visited.forEach(visitedDir => this.workspaceCache.set(visitedDir, workspace));
+        return workspace;
+    }
+
+    /**
+     * Reads the workspace package globs declared in a directory, if any
+     *
+     * @param {string} dir - Candidate workspace root
+     * @returns {Array<string>|null} Package globs, or null if not a workspace root
+     */
+    readWorkspacePatterns(dir) {
+        const pnpmFile = path.join(dir, 'pnpm-workspace.yaml');
+        if (fs.existsSync(pnpmFile)) {
+            return parsePnpmWorkspace(fs.readFileSync(pnpmFile, 'utf8'));
+        }
+
+        const pkg = this.readPackage(dir);
+        const workspaces = pkg && pkg.manifest.workspaces;
+
+        if (Array.isArray(workspaces)) {
+            return workspaces;
+        }
+        if (workspaces && Array.isArray(workspaces.packages)) {
+            return workspaces.packages;
+        }
+        return null;
+    }
+
+    /**
+     * Expands workspace globs (`packages/*`, `apps/**`, `!packages/legacy`)
+     * into the packages they contain
+     *
+     * @param {string} root - Workspace root
+     * @param {Array<string>} patterns - Package globs
+     * @returns {Map<string, Object>} Package name -> { name, dir, manifest }
+     */
+    loadWorkspacePackages(root, patterns) {
+        const include = patterns.filter(pattern => !pattern.startsWith('!'));
+        const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+        const dirs = new Set();
+        const packages = new Map();
+
+        include.forEach(pattern => {
+            const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+            this.expandWorkspacePattern(root, segments, 0, dirs, 0);
+        });
+
+        dirs.forEach(dir => {
+            const relative = path.relative(root, dir).split(path.sep).join('/');
+            if (exclude.some(pattern => minimatch(relative, pattern.replace(/^\.\//, '')))) {
+                return;
+            }
+
+            const pkg = this.readPackage(dir);
+            if (pkg && pkg.manifest.name) {
+                packages.set(pkg.manifest.name, pkg);
+            }
+        });
+
+        return packages;
+    }
+
+    /**
+     * Collects the directories matched by a split workspace glob
+     *
+     * @param {string} dir - Directory matched so far
+     * @param {Array<string>} segments - Glob segments
+     * @param {number} index - Segment to match next
+     * @param {Set<string>} out - Matched directories
+     * @param {number} depth - Recursion depth for `**`
+     */
+    expandWorkspacePattern(dir, segments, index, out, depth) {
+        if (index === segments.length) {
+            out.add(dir);
+            return;
+        }
+
+        const segment = segments[index];
+
+        if (segment === '**') {
+            this.expandWorkspacePattern(dir, segments, index + 1, out, depth);
+            if (depth < 8) {
+                listSubdirectories(dir).forEach(sub => {
+                    this.expandWorkspacePattern(sub, segments, index, out, depth + 1);
+                });
+            }
+        } else if (segment.includes('*')) {
+            listSubdirectories(dir)
+                .filter(sub => minimatch(path.basename(sub), segment))
+                .forEach(sub => this.expandWorkspacePattern(sub, segments, index + 1, out, depth));
+        } else {
+            const next = path.join(dir, segment);
+            if (fs.existsSync(next) && fs.statSync(next).isDirectory()) {
+                this.expandWorkspacePattern(next, segments, index + 1, out, depth);
+            }
+        }
+    }
+
+    /**
+     * Reads the package.json in a directory
+     *
+     * @param {string} dir - Directory
+     * @returns {Object|null} { name, dir, manifest }, or null if absent/invalid
+     */
+    readPackage(dir) {
+        const file = path.join(dir, 'package.json');
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        try {
+            const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { name: manifest.name || path.basename(dir), dir, manifest };
+        } catch (error) {
+            console.error(`Failed to read ${file}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Applies `compilerOptions.paths`: picks the pattern with the longest
+     * prefix before `*` and tries each of its substitutions in order
+     *
+     * @param {string} specifier - Non-relative import specifier
+     * @param {Object} config - Loaded config
+     * @param {Function} fileExists - Predicate for candidate paths
+     * @returns {string|null} Resolved file path, or null
+     */
+    resolveWithPaths(specifier, config, fileExists) {
+        let best = null;
+
+        for (const pattern of Object.keys(config.paths)) {
+            const star = pattern.indexOf('*');
+            let captured = null;
+
+            if (star === -1) {
+                if (pattern === specifier) {
+                    captured = '';
+                }
+            } else {
+                const prefix = pattern.slice(0, star);
+                const suffix = pattern.slice(star + 1);
+
+                if (specifier.length >= prefix.length + suffix.length &&
+                    specifier.startsWith(prefix) && specifier.endsWith(suffix)) {
+                    captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+                }
+            }
+
+            if (captured === null) {
+                continue;
+            }
+
+            // Exact patterns beat wildcards; otherwise the longest prefix wins
+            const weight = star === -1 ? Infinity : star;
+            if (!best || weight > best.weight) {
+                best = { pattern, captured, weight };
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        for (const substitution of config.paths[best.pattern]) {
+            const target = path.resolve(config.pathsBase, substitution.replace('*', best.captured));
+            const resolved = this.resolveAsFile(target, fileExists);
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Tries a path as a file (with extensions) and then as a directory
+     *
+     * @param {string} target - Absolute path without (or with) extension
+     * @param {Function} fileExists - Predicate for candidate paths
+     * @returns {string|null} Resolved file path, or null
+     */
+    resolveAsFile(target, fileExists) {
+        if (fileExists(target)) {
+            return target;
+        }
+
+        const ext = path.extname(target);
+        if (EMITTED_EXTENSIONS[ext]) {
+            const base = target.slice(0, -ext.length);
+            for (const sourceExt of EMITTED_EXTENSIONS[ext]) {
+                if (fileExists(base + sourceExt)) {
+                    return base + sourceExt;
+                }
+            }
+        }
+
+        for (const candidateExt of EXTENSIONS) {
+            if (fileExists(target + candidateExt)) {
+                return target + candidateExt;
+            }
+        }
+
+        for (const candidateExt of EXTENSIONS) {
+            const indexPath = path.join(target, 'index' + candidateExt);
+            if (fileExists(indexPath)) {
+                return indexPath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the config that applies to a file: the nearest tsconfig.json
+     * or jsconfig.json in its directory or any parent
+     *
+     * @param {string} filePath - Path of a source file
+     * @returns {Object|null} Loaded config with absolute baseUrl/pathsBase
+     */
+    getConfigForFile(filePath) {
+        const visited = [];
+        let dir = path.dirname(filePath);
+        let config = null;
+
+        while (true) {
+            if (this.configCache.has(dir)) {
+                config = this.configCache.get(dir);
+                break;
+            }
+
+            visited.push(dir);
+
+            const configFile = CONFIG_FILES
+                .map(name => path.join(dir, name))
+                .find(candidate => fs.existsSync(candidate));
+
+            if (configFile) {
+                config = this.loadConfig(configFile, new Set());
+                break;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+
+        visited.forEach(visitedDir => this.configCache.set(visitedDir, config));
+        return config;
+    }
+
+    /**
+     * Loads a config file and the chain of configs it extends. `baseUrl` and
+     * `paths` are resolved relative to the file that declares them.
+     *
+     * @param {string} configFile - Absolute path of the config file
+     * @param {Set<string>} seen - Config files already on the chain (guards against cycles)
+     * @returns {Object|null} { baseUrl, paths, pathsBase }, or null if unreadable
+     */
+    loadConfig(configFile, seen) {
+        if (this.fileCache.has(configFile)) {
+            return this.fileCache.get(configFile);
+        }
+        if (seen.has(configFile)) {
+            return null;
+        }
+        seen.add(configFile);
+
+        let raw;
+        try {
+            raw = parseJsonWithComments(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            console.error(`Failed to read ${configFile}:`, error.message);
+            this.fileCache.set(configFile, null);
+            return null;
+        }
+
+        const configDir = path.dirname(configFile);
+        const bases = [].concat(raw.extends || [])
+            .map(ext => this.resolveExtends(ext, configDir))
+            .filter(Boolean)
+            .map(baseFile => this.loadConfig(baseFile, seen))
+            .filter(Boolean);
+
+        // Later entries in an `extends` array override earlier ones
+        const config = Object.assign({ baseUrl: null, paths: null, pathsBase: null }, ...bases);
+        const options = raw.compilerOptions || {};
+
+        if (options.baseUrl !== undefined) {
+            config.baseUrl = path.resolve(configDir, options.baseUrl);
+        }
+
+        if (options.paths !== undefined) {
+            config.paths = options.paths;
+            config.pathsBase = config.baseUrl || configDir;
+        } else if (config.paths && options.baseUrl !== undefined) {
+            // Inherited paths are relative to the effective baseUrl
+            config.pathsBase = config.baseUrl;
+        }
+
+        this.fileCache.set(configFile, config);
+        return config;
+    }
+
+    /**
+     * Resolves an `extends` entry: a relative/absolute path or a package
+     * (e.g. "@tsconfig/node18/tsconfig.json") looked up in node_modules
+     *
+     * @param {string} ext - The `extends` value
+     * @param {string} configDir - Directory of the extending config
+     * @returns {string|null} Absolute path of the base config, or null
+     */
+    resolveExtends(ext, configDir) {
+        const withJson = (candidate) => {
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return candidate;
+            }
+            if (fs.existsSync(candidate + '.json')) {
+                return candidate + '.json';
+            }
+            const inDir = path.join(candidate, 'tsconfig.json');
+            return fs.existsSync(inDir) ? inDir : null;
+        };
+
+        if (ext.startsWith('.') || path.isAbsolute(ext)) {
+            return withJson(path.resolve(configDir, ext));
+        }
+
+        let dir = configDir;
+        while (true) {
+            const found = withJson(path.join(dir, 'node_modules', ext));
+            if (found) {
+                return found;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
+    /**
+     * Drops cached configs so edits to tsconfig/jsconfig are picked up
+     */
+    clearCache() {
+        this.configCache.clear();
+        this.fileCache.clear();
+        this.packageCache.clear();
+        this.workspaceCache.clear();
+        this.rootPackages = null;
+    }
+}
+
+/**
+ * Lists the subdirectories of a directory, skipping node_modules and
+ * hidden folders
+ *
+ * @param {string} dir - Directory
+ * @returns {Array<string>} Absolute subdirectory paths
+ */
+function listSubdirectories(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+            .map(entry => path.join(dir, entry.name));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Reads the `packages:` list of a pnpm-workspace.yaml file
+ *
+ * @param {string} text - File content
+ * @returns {Array<string>} Package globs
+ */
+function parsePnpmWorkspace(text) {
+    const patterns = [];
+    let inPackages = false;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            return;
+        }
+
+        if (!inPackages) {
+            return;
+        }
+
+        const item = line.match(/^\s*-\s*(['"]?)([^'"#]+?)\1\s*(#.*)?$/);
+        if (item) {
+            patterns.push(item[2]);
+        } else if (/^\S/.test(line)) {
+            inPackages = false;
+        }
+    });
+
+    return patterns;
+}
+
+/**
+ * Parses JSON that may contain comments and trailing commas, as
+ * tsconfig.json and jsconfig.json are allowed to
+ *
+ * @param {string} text - File content
+ * @returns {Object} Parsed value
+ */
+function parseJsonWithComments(text) {
+    let result = '';
+    let inString = false;
+    let comma = -1; // Position in result of a `,` not yet followed by a value
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            result += ch;
+            if (ch === '\\') {
+                result += text[++i] || '';
+            } else if (ch === '"') {
+                inString = false;
+            }
+        } else if (ch === '"') {
+            inString = true;
+            comma = -1;
+            result += ch;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            result += '\n';
+        } else if (ch === '/' && text[i + 1] === '*') {
+            i += 2;
+            while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+            i++;
+        } else {
+            if ((ch === '}' || ch === ']') && comma !== -1) {
+                // Drop the trailing comma before the closing bracket
+                result = result.slice(0, comma) + result.slice(comma + 1);
+            }
+            if (ch === ',') {
+                comma = result.length;
+            } else if (!/\s/.test(ch)) {
+                comma = -1;
+            }
+            result += ch;
+        }
+    }
+
+    return JSON.parse(result);
+}
+
+module.exports = ModuleResolver;
+module.exports.parseJsonWithComments = parseJsonWithComments;
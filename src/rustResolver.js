@@ -0,0 +1,656 @@
+/**
+ * Rust Module Resolver
+ *
+ * Resolves Rust `use` paths and `mod` declarations to files the way Cargo
+ * and rustc lay out a crate:
+ * - Every target of a Cargo.toml (`src/lib.rs`, `src/main.rs`,
+ *   `src/bin/*.rs`, `[lib]`/`[[bin]]` paths, examples, benches, build.rs)
+ *   is the root of a crate
+ * - The module tree is walked from the roots through `mod` declarations:
+ *   `mod foo;` in lib.rs, main.rs or a mod.rs loads `foo.rs` or `foo/mod.rs`
+ *   next to it, in any other file (`bar.rs`) from its `bar/` folder;
+ *   `#[path = "..."]` overrides the location and inline `mod foo { }`
+ *   blocks nest
+ * - Files no declaration reaches are placed by the same conventions under
+ *   `src/`, so partial scans still resolve
+ * - `crate::`, `self::` and `super::` paths walk the tree; other paths start
+ *   at a child module of the current module or at a dependency listed in
+ *   Cargo.toml. Path (and workspace path) dependencies resolve into their
+ *   crate; the others are external crates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_NAME = 'Cargo.toml';
+const DEPENDENCY_TABLES = ['dependencies', 'dev-dependencies', 'build-dependencies'];
+const PATH_ROOTS = ['crate', 'self', 'super'];
+
+class RustModuleResolver {
+    constructor() {
+        this.packageCache = new Map();   // Directory -> nearest Cargo package or null
+        this.workspaceCache = new Map(); // Directory -> enclosing workspace or null
+        this.modules = new Map();        // File path -> { root, path, modRoot }
+        this.moduleFiles = new Map();    // Module key (`<root>#a::b`) -> file path
+        this.declarations = new Map();   // File path -> its `mod` declarations
+    }
+
+    /**
+     * Builds the module trees of the scanned Rust files
+     *
+     * @param {Array<Object>} files - Parsed file data
+     */
+    index(files) {
+        this.modules.clear();
+        this.moduleFiles.clear();
+        this.declarations.clear();
+
+        const rustFiles = files.filter(file => file.language === 'rust');
+        const known = new Set(rustFiles.map(file => file.path));
+
+        rustFiles.forEach(file => this.declarations.set(file.path, file.modules || []));
+
+        rustFiles.filter(file => this.isCrateRoot(file.path)).forEach(file => {
+            this.walk(file.path, file.path, [], true, candidate => known.has(candidate));
+        });
+
+        // Files no `mod` declaration reaches
+        rustFiles.filter(file => !this.modules.has(file.path)).forEach(file => {
+            const placed = this.placeByConvention(file.path);
+            if (placed && !this.moduleFiles.has(this.getKey(placed.root, placed.path))) {
+                this.walk(file.path, placed.root, placed.path, path.basename(file.path) === 'mod.rs',
+                    candidate => known.has(candidate));
+            }
+        });
+    }
+
+    /**
+     * Records a module file and, through its `mod` declarations, its submodules
+     *
+     * @param {string} filePath - Module file
+     * @param {string} root - Root file of the crate
+     * @param {Array<string>} modulePath - Module path within the crate
+     * @param {boolean} modRoot - Whether submodules live next to the file (lib.rs, main.rs, mod.rs)
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     */
+    walk(filePath, root, modulePath, modRoot, fileExists) {
+        if (this.modules.has(filePath)) {
+            return;
+        }
+
+        this.modules.set(filePath, { root, path: modulePath, modRoot });
+        this.addModuleFile(root, modulePath, filePath);
+
+        (this.declarations.get(filePath) || []).forEach(decl => {
+            const childPath = [...modulePath, ...decl.parents, decl.name];
+
+            // Inline modules live in the file that declares them
+            if (decl.inline) {
+                this.addModuleFile(root, childPath, filePath);
+                return;
+            }
+
+            const child = this.findModuleFile(filePath, modRoot, decl, fileExists);
+            if (child) {
+                this.walk(child, root, childPath, decl.path !== null || path.basename(child) === 'mod.rs', fileExists);
+            }
+        });
+    }
+
+    /**
+     * Finds the file a `mod name;` declaration loads
+     *
+     * @param {string} filePath - Declaring file
+     * @param {boolean} modRoot - Whether the declaring file is lib.rs, main.rs or a mod.rs
+     * @param {Object} decl - { name, parents, path } from the parser
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} Module file, or null
+     */
+    findModuleFile(filePath, modRoot, decl, fileExists) {
+        const dir = modRoot
+            ? path.dirname(filePath)
+            : path.join(path.dirname(filePath), path.basename(filePath, '.rs'));
+        const nested = path.join(dir, ...decl.parents);
+
+        if (decl.path) {
+            const candidate = path.resolve(decl.parents.length > 0 ? nested : path.dirname(filePath), decl.path);
+            return fileExists(candidate) ? candidate : null;
+        }
+
+        const candidates = [path.join(nested, `${decl.name}.rs`), path.join(nested, decl.name, 'mod.rs')];
+        return candidates.find(candidate => fileExists(candidate)) || null;
+    }
+
+    /**
+     * Resolves a path to the file of the module it names
+     *
+     * @param {string} specifier - Module path (`crate::store`, `super::util`, `geo_core::shapes`)
+     * @param {string} fromFile - Path of the importing file
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} Module file, or null unless every (lowercase) segment is a module
+     */
+    resolve(specifier, fromFile, fileExists) {
+        // Trailing capitalized segments are items of a module, e.g. an enum
+        // whose variants are imported (`use crate::shapes::Shape::*`)
+        const segments = specifier.split('::');
+        while (segments.length > 1 && /^[A-Z]/.test(segments[segments.length - 1])) {
+            segments.pop();
+        }
+
+        const start = this.getStart(segments, fromFile);
+        if (!start) {
+            return null;
+        }
+
+        let current = start.path;
+        let filePath = this.moduleFiles.get(this.getKey(start.root, current));
+
+        for (let i = 0; filePath && i < start.rest.length; i++) {
+            const next = [...current, start.rest[i]];
+            const nextFile = this.moduleFiles.get(this.getKey(start.root, next));
+
+            if (nextFile) {
+                current = next;
+                filePath = nextFile;
+            } else {
+                // A declared module whose file wasn't scanned
+                return i === start.rest.length - 1
+                    ? this.findUnindexedModule(filePath, current, start.rest[i], fileExists)
+                    : null;
+            }
+        }
+
+        return filePath || null;
+    }
+
+    /**
+     * Finds the file of a submodule that is declared but not in the index
+     *
+     * @param {string} filePath - File of the parent module
+     * @param {Array<string>} parentPath - Module path of the parent (which may be inline in the file)
+     * @param {string} name - Submodule name
+     * @param {Function} fileExists - Predicate deciding whether a candidate file is known
+     * @returns {string|null} Module file, or null
+     */
+    findUnindexedModule(filePath, parentPath, name, fileExists) {
+        const info = this.modules.get(filePath);
+        if (!info) {
+            return null;
+        }
+
+        const parents = parentPath.slice(info.path.length);
+        const decl = (this.declarations.get(filePath) || []).find(d =>
+            d.name === name && !d.inline && d.parents.join('::') === parents.join('::')
+        );
+
+        return decl ? this.findModuleFile(filePath, info.modRoot, decl, fileExists) : null;
+    }
+
+    /**
+     * Finds where a path starts: the crate root, the current module or an
+     * ancestor, a child of the current module, or another crate
+     *
+     * @param {Array<string>} segments - Path segments
+     * @param {string} fromFile - Path of the importing file
+     * @returns {Object|null} { root, path, rest } or null
+     */
+    getStart(segments, fromFile) {
+        const own = this.modules.get(fromFile);
+
+        // `::name` always names a crate
+        if (segments[0] === '') {
+            const root = this.findCrateRoot(segments[1], fromFile);
+            return root ? { root, path: [], rest: segments.slice(2) } : null;
+        }
+
+        if (own && segments[0] === 'crate') {
+            return { root: own.root, path: [], rest: segments.slice(1) };
+        }
+
+        if (own && (segments[0] === 'self' || segments[0] === 'super')) {
+            let modulePath = own.path;
+            let i = segments[0] === 'self' ? 1 : 0;
+
+            for (; segments[i] === 'super'; i++) {
+                if (modulePath.length === 0) {
+                    return null;
+                }
+                modulePath = modulePath.slice(0, -1);
+            }
+
+            return { root: own.root, path: modulePath, rest: segments.slice(i) };
+        }
+
+        // `mod util;` then `use util::clamp`
+        if (own && this.moduleFiles.has(this.getKey(own.root, [...own.path, segments[0]]))) {
+            return { root: own.root, path: own.path, rest: segments };
+        }
+
+        const root = this.findCrateRoot(segments[0], fromFile);
+        return root ? { root, path: [], rest: segments.slice(1) } : null;
+    }
+
+    /**
+     * Finds the root file of a crate named in a path: the package's own
+     * library (used from its binaries) or a path dependency
+     *
+     * @param {string} name - Crate name as written in code (`geo_core`)
+     * @param {string} fromFile - Path of the importing file
+     * @returns {string|null} Root file of the crate, or null
+     */
+    findCrateRoot(name, fromFile) {
+        const pkg = this.findPackage(path.dirname(fromFile));
+        if (!pkg || !name) {
+            return null;
+        }
+
+        if (name === pkg.libName && this.modules.has(pkg.lib)) {
+            return pkg.lib;
+        }
+
+        const dependency = pkg.dependencies.get(name);
+        const dependencyPackage = dependency && dependency.path && this.readPackage(dependency.path);
+
+        return dependencyPackage && this.modules.has(dependencyPackage.lib) ? dependencyPackage.lib : null;
+    }
+
+    /**
+     * Checks whether a path points into the scanned crates, i.e. it should resolve
+     *
+     * @param {string} specifier - Path
+     * @param {string} fromFile - Path of the importing file
+     * @returns {boolean} True for `crate::`/`self::`/`super::` paths and paths into local crates
+     */
+    isLocalImport(specifier, fromFile) {
+        const first = specifier.split('::')[0];
+        return (PATH_ROOTS.includes(first) && this.modules.has(fromFile)) || this.findCrateRoot(first, fromFile) !== null;
+    }
+
+    /**
+     * Finds the external crate a path starts with, when Cargo.toml lists it
+     *
+     * @param {string} specifier - Path (`serde::Deserialize`)
+     * @param {string} fromFile - Path of the importing file
+     * @returns {{name: string, version: string}|null} Crate name as listed and its version requirement
+     */
+    findExternalCrate(specifier, fromFile) {
+        const pkg = this.findPackage(path.dirname(fromFile));
+        const dependency = pkg && pkg.dependencies.get(specifier.replace(/^::/, '').split('::')[0]);
+
+        return dependency && !dependency.path ? { name: dependency.name, version: dependency.version } : null;
+    }
+
+    /**
+     * Checks whether a file is the root of a crate
+     *
+     * @param {string} filePath - File path
+     * @returns {boolean} True for Cargo targets (and lib.rs/main.rs outside a package)
+     */
+    isCrateRoot(filePath) {
+        const pkg = this.findPackage(path.dirname(filePath));
+        if (!pkg) {
+            return ['lib.rs', 'main.rs'].includes(path.basename(filePath));
+        }
+
+        if (filePath === pkg.lib || pkg.bins.includes(filePath)) {
+            return true;
+        }
+
+        const segments = path.relative(pkg.dir, filePath).split(path.sep);
+        const [first, second] = segments;
+
+        return (first === 'src' && second === 'bin' && (segments.length === 3 || (segments.length === 4 && segments[3] === 'main.rs'))) ||
+            ((first === 'examples' || first === 'benches') && (segments.length === 2 || (segments.length === 3 && segments[2] === 'main.rs'))) ||
+            (segments.length === 1 && first === 'build.rs');
+    }
+
+    /**
+     * Places a file no `mod` declaration reached by the file conventions,
+     * relative to the source folder of its package's library
+     *
+     * @param {string} filePath - File path
+     * @returns {Object|null} { root, path } or null outside a source folder
+     */
+    placeByConvention(filePath) {
+        const pkg = this.findPackage(path.dirname(filePath));
+        if (!pkg) {
+            return null;
+        }
+
+        const sourceDir = path.dirname(pkg.lib);
+        const relative = path.relative(sourceDir, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return null;
+        }
+
+        const segments = relative.replace(/\.rs$/, '').split(path.sep);
+        if (segments[0] === 'bin') {
+            return null;
+        }
+        if (segments[segments.length - 1] === 'mod') {
+            segments.pop();
+        }
+
+        const root = [pkg.lib, ...pkg.bins].find(target => this.modules.has(target)) || pkg.lib;
+        return { root, path: segments };
+    }
+
+    /**
+     * Finds the Cargo package containing a directory: the nearest Cargo.toml
+     * with a `[package]` table (virtual workspace manifests are skipped)
+     *
+     * @param {string} dir - Directory
+     * @returns {Object|null} Package, or null outside one
+     */
+    findPackage(dir) {
+        if (this.packageCache.has(dir)) {
+            return this.packageCache.get(dir);
+        }
+
+        let pkg = this.readPackage(dir);
+        if (!pkg && path.dirname(dir) !== dir) {
+            pkg = this.findPackage(path.dirname(dir));
+        }
+
+        this.packageCache.set(dir, pkg);
+        return pkg;
+    }
+
+    /**
+     * Reads the package whose Cargo.toml is in a directory
+     *
+     * @param {string} dir - Package directory
+     * @returns {Object|null} { dir, libName, lib, bins, dependencies } or null
+     */
+    readPackage(dir) {
+        const content = this.readFile(path.join(dir, MANIFEST_NAME));
+        const manifest = content !== null ? this.parseManifest(content) : null;
+
+        if (!manifest || !manifest.package) {
+            return null;
+        }
+
+        const dependencies = new Map();
+        manifest.dependencies.forEach((spec, name) => {
+            // `foo = { workspace = true }` inherits the workspace's entry
+            const workspace = spec.workspace === true ? this.findWorkspace(dir) : null;
+            const inherited = workspace && workspace.dependencies.get(name);
+            const base = inherited ? workspace.dir : dir;
+            const merged = inherited ? { ...inherited, ...spec } : spec;
+
+            dependencies.set(name.replace(/-/g, '_'), {
+                name: name,
+                version: typeof merged.version === 'string' ? merged.version : '',
+                path: typeof merged.path === 'string' ? path.resolve(base, merged.path) : null
+            });
+        });
+
+        const lib = manifest.lib || {};
+        const defaultBin = path.join(dir, 'src', 'main.rs');
+
+        return {
+            dir: dir,
+            libName: (lib.name || manifest.package.name || '').replace(/-/g, '_'),
+            lib: path.resolve(dir, lib.path || path.join('src', 'lib.rs')),
+            bins: [...manifest.bins.filter(bin => bin.path).map(bin => path.resolve(dir, bin.path)), defaultBin],
+            dependencies: dependencies
+        };
+    }
+
+    /**
+     * Finds the workspace enclosing a directory, for inherited dependencies
+     *
+     * @param {string} dir - Directory
+     * @returns {Object|null} { dir, dependencies } or null
+     */
+    findWorkspace(dir) {
+        if (this.workspaceCache.has(dir)) {
+            return this.workspaceCache.get(dir);
+        }
+
+        let workspace = null;
+        const content = this.readFile(path.join(dir, MANIFEST_NAME));
+        const manifest = content !== null ? this.parseManifest(content) : null;
+
+        if (manifest && manifest.workspace) {
+            workspace = { dir, dependencies: manifest.workspaceDependencies };
+        } else if (path.dirname(dir) !== dir) {
+            workspace = this.findWorkspace(path.dirname(dir));
+        }
+
+        this.workspaceCache.set(dir, workspace);
+        return workspace;
+    }
+
+    /**
+     * Reads the parts of a Cargo.toml used here. Handles the TOML Cargo
+     * manifests are written in: tables, arrays of tables, dotted keys,
+     * strings and single-line inline tables.
+     *
+     * @param {string} content - Cargo.toml content
+     * @returns {Object} { package, lib, bins, workspace, dependencies, workspaceDependencies }
+     */
+    parseManifest(content) {
+        const manifest = {
+            package: null,
+            lib: null,
+            bins: [],
+            workspace: false,
+            dependencies: new Map(),
+            workspaceDependencies: new Map()
+        };
+        let table = [];
+        let target = null; // Object the current table's keys are written to
+
+        const getDependency = (dependencies, name) => {
+            if (!dependencies.has(name)) {
+                dependencies.set(name, {});
+            }
+            return dependencies.get(name);
+        };
+
+        content.split('\n').map(line => this.stripComment(line).trim()).forEach(line => {
+            const header = line.match(/^\[\[?\s*(.+?)\s*\]\]?$/);
+
+            if (header) {
+                table = this.splitKey(header[1]);
+                const last = table[table.length - 1];
+                const owner = table[table.length - 2];
+                target = null;
+
+                if (line.startsWith('[[') && table.join('.') === 'bin') {
+                    target = {};
+                    manifest.bins.push(target);
+                } else if (table.join('.') === 'package') {
+                    target = manifest.package = {};
+                } else if (table.join('.') === 'lib') {
+                    target = manifest.lib = {};
+                } else if (table[0] === 'workspace') {
+                    manifest.workspace = true;
+                    // [workspace.dependencies.foo]
+                    if (table.length === 3 && owner === 'dependencies') {
+                        target = getDependency(manifest.workspaceDependencies, last);
+                    }
+                } else if (DEPENDENCY_TABLES.includes(owner)) {
+                    // [dependencies.foo]
+                    target = getDependency(manifest.dependencies, last);
+                }
+                return;
+            }
+
+            const entry = line.match(/^([^=]+?)\s*=\s*(.+)$/);
+            if (!entry) return;
+
+            const key = this.splitKey(entry[1]);
+            const value = this.parseValue(entry[2]);
+            const tableName = table.join('.');
+            const workspaceDependencies = tableName === 'workspace.dependencies';
+
+            if (workspaceDependencies || DEPENDENCY_TABLES.includes(table[table.length - 1])) {
+                // foo = "1", foo = { ... } or foo.workspace = true
+                const dependencies = workspaceDependencies ? manifest.workspaceDependencies : manifest.dependencies;
+                const spec = getDependency(dependencies, key[0]);
+
+                if (key.length > 1) {
+                    spec[key[1]] = value;
+                } else if (typeof value === 'string') {
+                    spec.version = value;
+                } else if (value && typeof value === 'object') {
+                    Object.assign(spec, value);
+                }
+            } else if (target && key.length === 1) {
+                target[key[0]] = value;
+            }
+        });
+
+        return manifest;
+    }
+
+    /**
+     * Parses a TOML value: a string, boolean or single-line inline table
+     *
+     * @param {string} text - Value text
+     * @returns {*} Value (other kinds are returned as written)
+     */
+    parseValue(text) {
+        const value = text.trim();
+
+        if (/^"(?:[^"\\]|\\.)*"$/.test(value) || /^'[^']*'$/.test(value)) {
+            return value.slice(1, -1);
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        if (value.startsWith('{') && value.endsWith('}')) {
+            const table = {};
+            this.splitTopLevel(value.slice(1, -1)).forEach(pair => {
+                const match = pair.match(/^\s*([^=]+?)\s*=\s*(.+)$/);
+                if (match) {
+                    table[this.splitKey(match[1]).join('.')] = this.parseValue(match[2]);
+                }
+            });
+            return table;
+        }
+
+        return value;
+    }
+
+    /**
+     * Splits the content of an inline table at commas outside brackets and strings
+     *
+     * @param {string} text - Inline table content
+     * @returns {Array<string>} Parts
+     */
+    splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (const ch of text) {
+            if (quote) {
+                quote = ch === quote ? null : quote;
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+
+        parts.push(current);
+        return parts.filter(part => part.trim());
+    }
+
+    /**
+     * Splits a dotted TOML key, unquoting its parts (`target.'cfg(unix)'.dependencies`)
+     *
+     * @param {string} key - Key
+     * @returns {Array<string>} Key parts
+     */
+    splitKey(key) {
+        const parts = key.match(/"[^"]*"|'[^']*'|[^.\s]+/g) || [];
+        return parts.map(part => part.replace(/^["'](.*)["']$/, '$1'));
+    }
+
+    /**
+     * Removes a `#` comment from a line, leaving `#` inside strings alone
+     *
+     * @param {string} line - Line
+     * @returns {string} Line without its comment
+     */
+    stripComment(line) {
+        let quote = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                quote = ch === quote ? null : quote;
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '#') {
+                return line.slice(0, i);
+            }
+        }
+
+        return line;
+    }
+
+    /**
+     * Gets the key of a module in the index
+     *
+     * @param {string} root - Root file of the crate
+     * @param {Array<string>} modulePath - Module path within the crate
+     * @returns {string} Module key
+     */
+    getKey(root, modulePath) {
+        return `${root}#${modulePath.join('::')}`;
+    }
+
+    /**
+     * Records the file of a module, unless one is known already
+     *
+     * @param {string} root - Root file of the crate
+     * @param {Array<string>} modulePath - Module path within the crate
+     * @param {string} filePath - File path
+     */
+    addModuleFile(root, modulePath, filePath) {
+        const key = this.getKey(root, modulePath);
+        if (!this.moduleFiles.has(key)) {
+            this.moduleFiles.set(key, filePath);
+        }
+    }
+
+    /**
+     * Reads a file, returning null if it doesn't exist
+     *
+     * @param {string} filePath - File path
+     * @returns {string|null} Content or null
+     */
+    readFile(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Clears cached manifests and the module index (call when Cargo.toml files change)
+     */
+    clearCache() {
+        this.packageCache.clear();
+        this.workspaceCache.clear();
+        this.modules.clear();
+        this.moduleFiles.clear();
+        this.declarations.clear();
+    }
+}
+
+module.exports = RustModuleResolver;
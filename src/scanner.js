@@ -1,138 +1,271 @@
 /**
  * Scanner Module - FINAL VERSION
- * Excludes ALL Python package folders + lib/scripts + detects real project files
+ * Finds the files in scope (see ./fileScope: settings, .gitignore and
+ * .codeconnectignore) and records why each skipped file was left out
+ * Parses built-in languages in worker threads (see ./parserPool), a few files
+ * per worker at a time; registered languages are parsed on this thread
+ * Reuses parse results of unchanged files from the parse cache (see ./parseCache)
+ * Reads files from disk rather than opening them as documents, except files
+ * with unsaved changes in an editor; files over `maxFileSizeKB` are skipped
  */
 const vscode = require("vscode");
 const path = require("path");
-const { minimatch } = require("minimatch");
 const Parser = require("./parser");
+const ParserPool = require("./parserPool");
+const ParseCache = require("./parseCache");
+const FileScope = require("./fileScope");
+
+const LANGUAGES_BY_EXTENSION = {
+  ".js": "javascript", ".jsx": "javascript",
+  ".ts": "typescript", ".tsx": "typescript",
+  ".py": "python",
+  ".go": "go",
+  ".java": "java", ".kt": "kotlin",
+  ".c": "c", ".h": "c",
+  ".cpp": "cpp", ".cc": "cpp", ".cxx": "cpp", ".hpp": "cpp", ".hh": "cpp", ".hxx": "cpp",
+  ".rs": "rust",
+  ".ipynb": "notebook",
+  ".vue": "vue", ".svelte": "svelte", ".astro": "astro"
+};
+
+// Exclusion rule of files over the size limit
+const OVERSIZED_RULE = "maxFileSizeKB";
 
 class Scanner {
-  constructor() {
+  /**
+   * @param {LanguageRegistry} [languages] - Languages registered by other extensions
+   * @param {ParseCache} [cache] - Parse results kept between sessions
+   * @param {FileScope} [scope] - Rules deciding which files are scanned, shared with the watcher
+   */
+  constructor(languages = null, cache = null, scope = null) {
     this.files = new Map();
-    this.parser = new Parser();
+    this.exclusions = new Map(); // File path -> rule that excluded it, from the last scan
+    this.languages = languages;
+    this.cache = cache;
+    this.scope = scope || new FileScope(languages);
+    this.parser = new Parser(languages);
     this.config = this.loadConfiguration();
+    this.pool = new ParserPool(this.config.parserThreads);
   }
 
   loadConfiguration() {
     return {
-      maxFiles: 50000,
-      excludePatterns: [
-        // Core Python package folders (ALSO for py execution)
-        "**/lib/**", "**/site-packages/**", "**/dist-packages/**",
-        "**/__pycache__/**", "**/venv/**", "**/.venv/**", "**/env/**",
-        
-        // JS package folders
-        "**/node_modules/**", "**/bower_components/**",
-        
-        // Build/output folders
-        "**/dist/**", "**/build/**", "**/.git/**", "**/out/**",
-        "**/.next/**", "**/.cache/**", "**/coverage/**",
-        
-        // Common junk
-        "**/.env*", "**/*.log", "**/.idea/**", "**/.vscode/**",
-        "**/__tests__/**", "**/test/**", "**/tests/**",
-        "**/*.test.*", "**/*.spec.*", "**/*.min.*"
-      ],
-      includePatterns: ["**/*.js", "**/*.jsx", "**/*.ts", "**/*.tsx", "**/*.py"]
+      parserThreads: vscode.workspace.getConfiguration("codeConnect").get("parserThreads", 0),
+      filesPerThread: 4 // Files read or queued per worker at a time
     };
   }
 
-  reloadConfiguration() {
+  async reloadConfiguration() {
     this.config = this.loadConfiguration();
+    await this.scope.reload();
+
+    // A changed parserThreads setting takes effect with the next scan
+    if (this.pool && this.pool.size !== ParserPool.getSize(this.config.parserThreads)) {
+      this.pool.dispose();
+      this.pool = new ParserPool(this.config.parserThreads);
+    }
   }
 
-  async scanWorkspace() {
+  /**
+   * @param {vscode.CancellationToken} [token] - Stops the scan; files parsed so far are kept
+   * @param {Function} [onProgress] - Called with (scanned, total) once the files are
+   *   found and after each file
+   * @returns {Promise<Object>} { total, cancelled, oversized } - oversized: files skipped
+   *   for their size
+   */
+  async scanWorkspace(token, onProgress) {
     const workspaceFolders = vscode.workspace.workspaceFolders;
     if (!workspaceFolders) throw new Error("No workspace folder open.");
 
-    console.log("🚀 Smart scan - skipping ALL package folders...");
+    console.log("🚀 Scanning files in scope...");
     this.clear();
-    this.reloadConfiguration();
+    await this.reloadConfiguration();
 
-    // Find source files with PROPER exclusion FIRST
+    // excludePatterns prune the search; the other rules are checked per file
     const sourceFiles = await vscode.workspace.findFiles(
-      "**/*.{js,jsx,ts,tsx,py}",
-      `{${this.config.excludePatterns.join(",")}}`
+      this.scope.getIncludeGlob(),
+      this.scope.getExcludeGlob()
     );
 
-    console.log(`📁 Raw source files found: ${sourceFiles.length}`);
+    console.log(`📁 Source files found: ${sourceFiles.length}`);
 
-    // EXTRA Python package folder filter
+    // Workspace folders nested in other folders return their files twice
+    const seen = new Set();
     const realProjectFiles = sourceFiles.filter(file => {
-      const relPath = vscode.workspace.asRelativePath(file.fsPath, true);
-      
-      // Block Python stdlib/package folders
-      const pythonPackages = [
-        'lib', 'site-packages', 'dist-packages', 'stdlib', 
-        'collections', 'encodings', 'json', 'os', 'sys'
-      ];
-      
-      // Block common package dirs
-      const packageDirs = [
-        'node_modules', 'lib', 'scripts', 'static', 'public',
-        'vendor', 'bower_components', 'dist', 'build'
-      ];
-      
-      const pathSegments = relPath.split('/');
-      
-      // Check if any package folder is in path
-      if (packageDirs.some(dir => pathSegments.includes(dir))) {
-        return false;
-      }
-      
-      // Block test files
-      if (/\b(test|spec|example)\b/i.test(relPath)) return false;
-      
-      return true;
+      if (seen.has(file.fsPath)) return false;
+      seen.add(file.fsPath);
+
+      const reason = this.scope.getExclusionReason(file.fsPath);
+      if (reason) this.exclusions.set(file.fsPath, reason);
+      return !reason;
     });
 
-    console.log(`✅ Real project files: ${realProjectFiles.length}`);
+    const maxFiles = this.scope.config.maxFiles;
+    realProjectFiles.slice(maxFiles).forEach(file => {
+      this.exclusions.set(file.fsPath, `maxFilesToScan (${maxFiles})`);
+    });
+
+    console.log(`✅ Files in scope: ${Math.min(realProjectFiles.length, maxFiles)}, excluded: ${this.exclusions.size}`);
     
-    // Scan only real files
-    for (const file of realProjectFiles.slice(0, this.config.maxFiles)) {
-      try {
-        await this.scanFile(file.fsPath);
-      } catch (err) {
-        console.error(`❌ ${path.basename(file.fsPath)}:`, err.message);
-      }
+    // Scan only real files (unchanged ones come from the cache)
+    const filePaths = realProjectFiles.slice(0, maxFiles).map(file => file.fsPath);
+    if (this.cache) await this.cache.load();
+
+    let scanned = 0;
+    if (onProgress) onProgress(scanned, filePaths.length);
+    await this.scanFiles(filePaths, token, () => {
+      if (onProgress) onProgress(++scanned, filePaths.length);
+    });
+
+    if (token && token.isCancellationRequested) {
+      console.log(`⏹️ Scan cancelled after ${this.files.size} files`);
+      if (this.cache) await this.cache.save();
+      return { total: filePaths.length, cancelled: true, oversized: this.countOversized() };
+    }
+
+    // Files no longer found are dropped from the cache
+    if (this.cache) {
+      this.cache.retain(filePaths);
+      await this.cache.save();
     }
 
     const stats = this.getStats();
     console.log(`✅ SCAN COMPLETE: ${this.files.size} files`);
     console.log(`📊 Python: ${stats.byLanguage.python || 0}`);
+    return { total: filePaths.length, cancelled: false, oversized: this.countOversized() };
   }
 
-  async scanFile(filePath) {
-    const uri = vscode.Uri.file(filePath);
-    const doc = await vscode.workspace.openTextDocument(uri);
-    const content = doc.getText();
-    const language = this.getLanguageFromPath(filePath);
+  /**
+   * Scans files concurrently: each runner reads and parses one file at a time,
+   * so at most `filesPerThread` files per worker are in memory or queued
+   *
+   * @param {Array<string>} filePaths - Absolute paths
+   * @param {vscode.CancellationToken} [token] - Stops handing out files and cancels
+   *   the parses this scan started (parses of changed files carry on)
+   * @param {Function} [onFileScanned] - Called after each file that wasn't cancelled
+   */
+  async scanFiles(filePaths, token, onFileScanned) {
+    const cancellation = token && token.onCancellationRequested(() => this.pool.cancel(token));
+    let next = 0;
 
+    const runner = async () => {
+      while (next < filePaths.length && !(token && token.isCancellationRequested)) {
+        const filePath = filePaths[next++];
+        try {
+          await this.scanFile(filePath, token);
+        } catch (err) {
+          if (err.cancelled) continue;
+          if (err instanceof vscode.FileSystemError && err.code === "FileNotFound") {
+            // Deleted since it was listed, or the change being handled is its deletion
+            this.removeFile(filePath);
+          } else {
+            console.error(`❌ ${path.basename(filePath)}:`, err.message);
+          }
+        }
+        if (onFileScanned) onFileScanned(filePath);
+      }
+    };
+
+    try {
+      const runners = Math.min(filePaths.length, this.pool.size * this.config.filesPerThread);
+      await Promise.all(Array.from({ length: runners }, runner));
+    } finally {
+      if (cancellation) cancellation.dispose();
+    }
+  }
+
+  async scanFile(filePath, token) {
+    const language = this.getLanguageFromPath(filePath);
     if (!language) return;
 
-    const parsed = await this.parser.parse(filePath, content, language);
-    if (!parsed) return;
+    const uri = vscode.Uri.file(filePath);
+    const cacheable = this.cache && Parser.BUILT_IN_LANGUAGES.includes(language);
+
+    // Files with unsaved changes are read from their editor; all others come
+    // from disk, without loading them into the editor's document model
+    const dirtyDoc = vscode.workspace.textDocuments.find(doc => doc.isDirty && doc.uri.fsPath === filePath);
+    let content = dirtyDoc ? dirtyDoc.getText() : null;
+    const stat = dirtyDoc ? null : await vscode.workspace.fs.stat(uri);
+
+    const maxSizeKB = this.scope.config.maxFileSizeKB;
+    const size = stat ? stat.size : Buffer.byteLength(content);
+    if (maxSizeKB > 0 && size > maxSizeKB * 1024) {
+      console.log(`⏭️ ${path.basename(filePath)}: ${Math.ceil(size / 1024)} KB, over maxFileSizeKB`);
+      this.files.delete(filePath);
+      this.exclusions.set(filePath, `${OVERSIZED_RULE} (${maxSizeKB})`);
+      return;
+    }
+    this.exclusions.delete(filePath);
+
+    // An unchanged file on disk is reused without reading it
+    const cached = cacheable && stat && this.cache.lookup(filePath, stat);
+    if (cached) {
+      this.files.set(filePath, cached);
+      return;
+    }
 
+    if (content === null) content = await this.readFile(uri);
+    const hash = cacheable ? ParseCache.hash(content) : null;
+
+    let parsed = cacheable ? this.cache.get(filePath, hash) : null;
+    if (!parsed) {
+      parsed = await this.parseFile(filePath, content, language, token);
+      if (!parsed) return;
+    }
+
+    if (cacheable) this.cache.set(filePath, hash, stat, parsed);
     this.files.set(filePath, parsed);
   }
 
+  removeFile(filePath) {
+    this.files.delete(filePath);
+    this.exclusions.delete(filePath);
+    if (this.cache) this.cache.delete(filePath);
+  }
+
+  /**
+   * Reads a file from disk as UTF-8, without its byte order mark (as an
+   * editor would show it)
+   */
+  async readFile(uri) {
+    const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf8");
+    return content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  }
+
+  countOversized() {
+    return [...this.exclusions.values()].filter(rule => rule.startsWith(OVERSIZED_RULE)).length;
+  }
+
+  /**
+   * Parses a file in a worker, or on this thread for registered languages and
+   * when the worker fails
+   */
+  async parseFile(filePath, content, language, token) {
+    if (!Parser.BUILT_IN_LANGUAGES.includes(language)) {
+      return this.parser.parse(filePath, content, language);
+    }
+
+    try {
+      return await this.pool.parse(filePath, content, language, token);
+    } catch (err) {
+      if (err.cancelled) throw err;
+      console.warn(`⚠️ ${path.basename(filePath)}: parsing in a worker failed (${err.message}), retrying here`);
+      return this.parser.parse(filePath, content, language);
+    }
+  }
+
   getLanguageFromPath(filePath) {
     const ext = path.extname(filePath).toLowerCase();
-    const map = {
-      ".js": "javascript", ".jsx": "javascript",
-      ".ts": "typescript", ".tsx": "typescript",
-      ".py": "python"
-    };
-    return map[ext] || null;
+    return LANGUAGES_BY_EXTENSION[ext] || (this.languages && this.languages.getLanguageForExtension(ext)) || null;
   }
 
   getStats() {
     const stats = {
       totalFiles: this.files.size, totalFunctions: 0,
       totalImports: 0, totalExports: 0,
-      byLanguage: { javascript: 0, typescript: 0, python: 0 }
+      byLanguage: { javascript: 0, typescript: 0, python: 0, go: 0, java: 0, kotlin: 0, c: 0, cpp: 0, rust: 0, vue: 0, svelte: 0, astro: 0 }
     };
+    (this.languages ? this.languages.getLanguageIds() : []).forEach(id => { stats.byLanguage[id] = 0; });
 
     for (const file of this.files.values()) {
       stats.totalFunctions += (file.functions?.length || 0);
@@ -145,9 +278,13 @@ class Scanner {
     return stats;
   }
 
-  clear() { this.files.clear(); }
+  clear() { this.files.clear(); this.exclusions.clear(); }
+  dispose() { this.pool.dispose(); this.files.clear(); }
   getFiles() { return this.files; }
   getFile(path) { return this.files.get(path); }
+  getExclusions() { return this.exclusions; }
 }
 
+Scanner.BUILT_IN_EXTENSIONS = Object.keys(LANGUAGES_BY_EXTENSION);
+
 module.exports = Scanner;
@@ -2,59 +2,38 @@
  * File Watcher Module
  * 
  * Monitors the workspace for file changes:
- * - Watches for file creation, modification, and deletion
- * - Filters based on include/exclude patterns
+ * - Watches for file creation, modification, and deletion in every
+ *   workspace folder, including folders added while it runs
+ * - Filters with the same rules as the scanner (see ./fileScope): settings,
+ *   ignore files and languages registered by other extensions
+ * - Reloads the ignore rules when a .gitignore or .codeconnectignore changes
  * - Triggers callbacks when relevant files change
  * - Debounces rapid changes to avoid excessive updates
  */
 
 const vscode = require('vscode');
-const path = require('path');
-const { minimatch } = require('minimatch');
 
 class FileWatcher {
     /**
      * Creates a new file watcher
      * 
      * @param {Function} onChange - Callback function when files change
+     * @param {FileScope} scope - Rules deciding which files are in scope, shared with the scanner
      */
-    constructor(onChange) {
+    constructor(onChange, scope) {
         this.onChange = onChange;
-        this.watchers = [];
+        this.scope = scope;
+        this.watchers = new Map(); // '<folder URI>|<pattern>' -> file system watcher
+        this.watchedPatterns = new Set();
+        this.languageListener = null;
+        this.folderListener = null;
         this.pendingChanges = new Set();
         this.debounceTimer = null;
         this.debounceDelay = 1000; // 1 second debounce
-        this.config = this.loadConfiguration();
 
         this.initialize();
     }
 
-    /**
-     * Loads configuration from VS Code settings
-     * 
-     * @returns {Object} Configuration object
-     */
-    loadConfiguration() {
-        const config = vscode.workspace.getConfiguration('codeConnect');
-        return {
-            excludePatterns: config.get('excludePatterns', [
-                '**/node_modules/**',
-                '**/dist/**',
-                '**/build/**',
-                '**/.git/**',
-                '**/venv/**',
-                '**/__pycache__/**'
-            ]),
-            includePatterns: config.get('includePatterns', [
-                '**/*.js',
-                '**/*.jsx',
-                '**/*.ts',
-                '**/*.tsx',
-                '**/*.py'
-            ])
-        };
-    }
-
     /**
      * Initializes file watchers for all include patterns
      */
@@ -64,26 +43,65 @@ class FileWatcher {
             return;
         }
 
-        // Create a watcher for each include pattern
-        this.config.includePatterns.forEach(pattern => {
-            this.createWatcher(pattern);
+        // Create a watcher for each include pattern, and one for ignore files
+        this.watchIncludePatterns();
+        this.createWatcher('**/{.gitignore,.codeconnectignore}');
+
+        // Languages registered later are watched from then on
+        if (this.scope.languages) {
+            this.languageListener = this.scope.languages.onDidChange(() => this.watchIncludePatterns());
+        }
+
+        // So are workspace folders added later; removed ones stop being watched
+        this.folderListener = vscode.workspace.onDidChangeWorkspaceFolders(event => {
+            event.removed.forEach(folder => this.disposeFolderWatchers(folder));
+            event.added.forEach(folder => {
+                this.watchedPatterns.forEach(pattern => this.createFolderWatcher(folder, pattern));
+            });
+            this.scope.loadIgnoreFiles();
         });
 
-        console.log(`File watcher initialized with ${this.watchers.length} pattern(s)`);
+        console.log(`File watcher initialized with ${this.watchers.size} watcher(s)`);
     }
 
     /**
-     * Creates a file system watcher for a specific pattern
+     * Creates watchers for the include patterns not watched yet
+     */
+    watchIncludePatterns() {
+        this.scope.getIncludePatterns().forEach(pattern => this.createWatcher(pattern));
+    }
+
+    /**
+     * Creates file system watchers for a specific pattern, one per workspace folder
      * 
      * @param {string} pattern - Glob pattern to watch
      */
     createWatcher(pattern) {
+        if (this.watchedPatterns.has(pattern)) {
+            return;
+        }
+        this.watchedPatterns.add(pattern);
+
+        (vscode.workspace.workspaceFolders || []).forEach(folder => {
+            this.createFolderWatcher(folder, pattern);
+        });
+    }
+
+    /**
+     * Creates a file system watcher for a pattern in one workspace folder
+     * 
+     * @param {vscode.WorkspaceFolder} folder - Workspace folder
+     * @param {string} pattern - Glob pattern, relative to the folder
+     */
+    createFolderWatcher(folder, pattern) {
+        const key = `${folder.uri.toString()}|${pattern}`;
+        if (this.watchers.has(key)) {
+            return;
+        }
+
         try {
             const watcher = vscode.workspace.createFileSystemWatcher(
-                new vscode.RelativePattern(
-                    vscode.workspace.workspaceFolders[0],
-                    pattern
-                )
+                new vscode.RelativePattern(folder, pattern)
             );
 
             // Handle file creation
@@ -101,9 +119,25 @@ class FileWatcher {
                 this.handleFileChange(uri.fsPath, 'deleted');
             });
 
-            this.watchers.push(watcher);
+            this.watchers.set(key, watcher);
         } catch (error) {
-            console.error(`Failed to create watcher for pattern ${pattern}:`, error);
+            console.error(`Failed to create watcher for pattern ${pattern} in ${folder.name}:`, error);
+        }
+    }
+
+    /**
+     * Disposes the watchers of a workspace folder
+     * 
+     * @param {vscode.WorkspaceFolder} folder - Workspace folder removed from the workspace
+     */
+    disposeFolderWatchers(folder) {
+        const prefix = `${folder.uri.toString()}|`;
+
+        for (const [key, watcher] of this.watchers) {
+            if (key.startsWith(prefix)) {
+                watcher.dispose();
+                this.watchers.delete(key);
+            }
         }
     }
 
@@ -115,13 +149,16 @@ class FileWatcher {
      * @param {string} changeType - Type of change ('created', 'modified', 'deleted')
      */
     handleFileChange(filePath, changeType) {
-        // Check if file should be excluded
-        if (this.shouldExclude(filePath)) {
+        // Ignore rules apply from the next scan
+        if (this.scope.isIgnoreFile(filePath)) {
+            console.log(`Ignore file ${changeType}: ${filePath}`);
+            this.scope.loadIgnoreFiles();
             return;
         }
 
-        // Check if file should be included
-        if (!this.shouldInclude(filePath)) {
+        const reason = this.scope.getExclusionReason(filePath);
+        if (reason) {
+            console.log(`Skipping ${changeType} file ${filePath} (${reason})`);
             return;
         }
 
@@ -173,40 +210,6 @@ class FileWatcher {
         }
     }
 
-    /**
-     * Checks if a file should be excluded based on patterns
-     * 
-     * @param {string} filePath - File path to check
-     * @returns {boolean} True if file should be excluded
-     */
-    shouldExclude(filePath) {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        if (!workspaceFolder) return false;
-
-        const relativePath = path.relative(workspaceFolder, filePath);
-
-        return this.config.excludePatterns.some(pattern => {
-            return minimatch(relativePath, pattern, { dot: true });
-        });
-    }
-
-    /**
-     * Checks if a file should be included based on patterns
-     * 
-     * @param {string} filePath - File path to check
-     * @returns {boolean} True if file should be included
-     */
-    shouldInclude(filePath) {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        if (!workspaceFolder) return false;
-
-        const relativePath = path.relative(workspaceFolder, filePath);
-
-        return this.config.includePatterns.some(pattern => {
-            return minimatch(relativePath, pattern, { dot: true });
-        });
-    }
-
     /**
      * Manually triggers a change notification for specific files
      * Useful for forcing updates
@@ -245,10 +248,11 @@ class FileWatcher {
     }
 
     /**
-     * Reloads configuration from settings
+     * Reloads the scope rules and watches new include patterns
      */
-    reloadConfiguration() {
-        this.config = this.loadConfiguration();
+    async reloadConfiguration() {
+        await this.scope.reload();
+        this.watchIncludePatterns();
         console.log('File watcher configuration reloaded');
     }
 
@@ -294,8 +298,18 @@ class FileWatcher {
             }
         });
 
-        this.watchers = [];
+        this.watchers.clear();
+        this.watchedPatterns.clear();
         this.pendingChanges.clear();
+
+        if (this.languageListener) {
+            this.languageListener.dispose();
+            this.languageListener = null;
+        }
+        if (this.folderListener) {
+            this.folderListener.dispose();
+            this.folderListener = null;
+        }
     }
 }
 
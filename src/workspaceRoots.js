@@ -0,0 +1,75 @@
+/**
+ * Workspace Roots Module
+ *
+ * Helpers for multi-root workspaces, where every folder open in the window
+ * is a root of its own:
+ * - Finding the root a file belongs to (the innermost one, for roots nested
+ *   in other roots)
+ * - Paths relative to that root, prefixed with the root's name when several
+ *   roots are open (`backend/src/app.py`), as VS Code shows them
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * Lists the workspace roots
+ *
+ * @returns {Array<Object>} Roots: { name, path, uri }
+ */
+function getWorkspaceRoots() {
+    return (vscode.workspace.workspaceFolders || []).map(folder => ({
+        name: folder.name,
+        path: folder.uri.fsPath,
+        uri: folder.uri
+    }));
+}
+
+/**
+ * Finds the root a file or folder belongs to
+ *
+ * @param {string} filePath - Absolute path
+ * @param {Array<Object>} [roots] - Roots to pick from
+ * @returns {Object|null} Innermost root containing the path, or null
+ */
+function getRootForPath(filePath, roots = getWorkspaceRoots()) {
+    return roots
+        .filter(root => isInside(root.path, filePath))
+        .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * Gets the path of a file relative to its root, with the root's name in
+ * front when several roots are open
+ *
+ * @param {string} filePath - Absolute path
+ * @param {Array<Object>} [roots] - Workspace roots
+ * @returns {string} Relative path ('.' for a root itself), or the path
+ *   unchanged outside every root
+ */
+function getRelativePath(filePath, roots = getWorkspaceRoots()) {
+    const root = getRootForPath(filePath, roots);
+    if (!root) {
+        return filePath;
+    }
+
+    const relativePath = path.relative(root.path, filePath);
+    if (roots.length > 1) {
+        return relativePath ? path.join(root.name, relativePath) : root.name;
+    }
+    return relativePath || '.';
+}
+
+/**
+ * Checks whether a path is a directory or lies below it
+ *
+ * @param {string} dir - Directory
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True when inside (or equal)
+ */
+function isInside(dir, filePath) {
+    const relativePath = path.relative(dir, filePath);
+    return relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
+}
+
+module.exports = { getWorkspaceRoots, getRootForPath, getRelativePath, isInside };
@@ -0,0 +1,67 @@
+const { vscode, calls } = require('./helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DiagnosticsReporter = require('../src/diagnostics');
+
+describe('DiagnosticsReporter', () => {
+    it('reports problems per file with their position and severity', () => {
+        const reporter = new DiagnosticsReporter();
+        reporter.update(new Map([
+            ['/workspace/src/app.js', [
+                { line: 0, column: 0, message: "Cannot resolve import './missing'", severity: 'warning' },
+                { line: 4, column: 10, message: 'Unexpected token', severity: 'error' }
+            ]],
+            ['/workspace/src/ok.js', []]
+        ]));
+
+        const diagnostics = calls.diagnostics.get('/workspace/src/app.js');
+        assert.deepEqual(diagnostics.map(d => [d.range.start.line, d.range.start.character, d.message, d.severity, d.source]), [
+            [0, 0, "Cannot resolve import './missing'", 1, 'Code Connect'],
+            [4, 10, 'Unexpected token', 0, 'Code Connect']
+        ]);
+        assert.equal(calls.diagnostics.has('/workspace/src/ok.js'), false);
+    });
+
+    it('replaces the problems of an earlier update', () => {
+        const reporter = new DiagnosticsReporter();
+        reporter.update(new Map([['/workspace/src/old.js', [{ line: 0, column: 0, message: 'old', severity: 'warning' }]]]));
+        reporter.update(new Map([['/workspace/src/new.js', [{ line: 1, column: 0, message: 'new', severity: 'info' }]]]));
+
+        assert.deepEqual([...calls.diagnostics.keys()], ['/workspace/src/new.js']);
+        assert.equal(calls.diagnostics.get('/workspace/src/new.js')[0].severity, 2);
+    });
+
+    it('prefixes problems of a closed notebook with their cell', () => {
+        const reporter = new DiagnosticsReporter();
+        reporter.update(new Map([['/workspace/analysis.ipynb', [
+            { line: 2, column: 4, message: 'Unexpected token', severity: 'error', cell: 1 }
+        ]]]));
+
+        const [diagnostic] = calls.diagnostics.get('/workspace/analysis.ipynb');
+        assert.equal(diagnostic.message, 'Cell 2, line 3: Unexpected token');
+        assert.deepEqual([diagnostic.range.start.line, diagnostic.range.start.character], [0, 0]);
+    });
+
+    it('reports problems of an open notebook on the cell', () => {
+        const cellUri = vscode.Uri.file('/workspace/analysis.ipynb#cell1');
+        vscode.workspace.notebookDocuments.push({
+            uri: vscode.Uri.file('/workspace/analysis.ipynb'),
+            cellCount: 2,
+            cellAt: index => ({ document: { uri: index === 1 ? cellUri : null } })
+        });
+
+        try {
+            const reporter = new DiagnosticsReporter();
+            reporter.update(new Map([['/workspace/analysis.ipynb', [
+                { line: 2, column: 4, message: 'Unexpected token', severity: 'error', cell: 1 }
+            ]]]));
+
+            const [diagnostic] = calls.diagnostics.get(cellUri.fsPath);
+            assert.equal(diagnostic.message, 'Unexpected token');
+            assert.deepEqual([diagnostic.range.start.line, diagnostic.range.start.character], [2, 4]);
+            assert.equal(calls.diagnostics.has('/workspace/analysis.ipynb'), false);
+        } finally {
+            vscode.workspace.notebookDocuments.length = 0;
+        }
+    });
+});
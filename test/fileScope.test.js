@@ -0,0 +1,106 @@
+const { setSettings, setWorkspaceFolders } = require('./helpers/vscode');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const FileScope = require('../src/fileScope');
+const LanguageRegistry = require('../src/languageRegistry');
+const { createFolder, removeFolders, scanFolders, quietly } = require('./helpers/workspace');
+const { properties } = require('../package.json').contributes.configuration;
+
+describe('FileScope', () => {
+    let root;
+
+    before(() => {
+        root = createFolder({
+            '.gitignore': '# generated\n*.gen.js\nlogs/\n!keep.gen.js\n',
+            'src/.codeconnectignore': 'legacy/\n',
+            'src/app.js': '',
+            'src/app.gen.js': '',
+            'src/keep.gen.js': '',
+            'src/legacy/old.js': '',
+            'logs/trace.js': '',
+            'vendor/lib.js': '',
+            'notes.txt': ''
+        });
+    });
+
+    after(() => {
+        removeFolders(root);
+    });
+
+    const loadScope = async (settings = {}, languages = null) => {
+        setSettings(settings);
+        setWorkspaceFolders([root]);
+        const scope = new FileScope(languages);
+        await quietly(() => scope.reload());
+        return scope;
+    };
+
+    const reasonFor = (scope, relativePath) => scope.getExclusionReason(path.join(root, relativePath));
+
+    it('falls back to the defaults package.json declares for the settings', async () => {
+        const scope = await loadScope();
+
+        assert.deepEqual(scope.config, {
+            maxFiles: properties['codeConnect.maxFilesToScan'].default,
+            maxFileSizeKB: properties['codeConnect.maxFileSizeKB'].default,
+            includePatterns: properties['codeConnect.includePatterns'].default,
+            excludePatterns: properties['codeConnect.excludePatterns'].default
+        });
+    });
+
+    it('names the setting or ignore file rule that excludes a file', async () => {
+        const scope = await loadScope({ 'codeConnect.excludePatterns': ['vendor/**'] });
+
+        assert.equal(reasonFor(scope, 'src/app.js'), null);
+        assert.equal(reasonFor(scope, 'vendor/lib.js'), 'excludePatterns: vendor/**');
+        assert.equal(reasonFor(scope, 'notes.txt'), 'not matched by includePatterns');
+        assert.equal(reasonFor(scope, 'src/app.gen.js'), '.gitignore:2: *.gen.js');
+        assert.equal(reasonFor(scope, 'logs/trace.js'), '.gitignore:3: logs/');
+        assert.equal(reasonFor(scope, 'src/legacy/old.js'), 'src/.codeconnectignore:1: legacy/');
+        assert.equal(scope.getExclusionReason(path.join(path.dirname(root), 'other.js')), 'outside the workspace folders');
+    });
+
+    it('keeps files a negated ignore rule brings back', async () => {
+        const scope = await loadScope();
+
+        assert.equal(reasonFor(scope, 'src/keep.gen.js'), null);
+    });
+
+    it('includes the files of registered languages', async () => {
+        const languages = new LanguageRegistry([], []);
+        quietly(() => languages.register({ id: 'acme', extensions: ['.acme'], parse: () => ({}) }));
+        const scope = await loadScope({ 'codeConnect.includePatterns': ['**/*.js'] }, languages);
+
+        assert.equal(reasonFor(scope, 'src/model.acme'), null);
+        assert.equal(scope.getIncludeGlob(), '{**/*.js,**/*.acme}');
+    });
+});
+
+describe('Scanner exclusions', () => {
+    it('records why each file of the workspace was left out', async () => {
+        const root = createFolder({
+            '.gitignore': 'generated/\n',
+            'src/a.js': 'export const a = 1;\n',
+            'src/b.js': 'export const b = 1;\n',
+            'src/c.js': 'export const c = 1;\n',
+            'generated/schema.js': 'export const s = 1;\n'
+        });
+        const scanner = await scanFolders([root], { maxFilesToScan: 2 });
+
+        try {
+            const exclusions = [...scanner.getExclusions()]
+                .map(([filePath, rule]) => `${path.relative(root, filePath).split(path.sep).join('/')}: ${rule}`)
+                .sort();
+
+            assert.equal(scanner.getFiles().size, 2);
+            assert.deepEqual(exclusions, [
+                'generated/schema.js: .gitignore:1: generated/',
+                'src/c.js: maxFilesToScan (2)'
+            ]);
+        } finally {
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+});
@@ -0,0 +1,59 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('C/C++ graph', () => {
+    const files = {
+        'src/main.c': [
+            '#include <stdio.h>',
+            '#include "shape.h"',
+            '#include "math_util.h"',
+            '#include "missing.h"',
+            '',
+            'int main(void) {',
+            '    printf("%f", area(2.0));',
+            '    return square(3);',
+            '}'
+        ].join('\n'),
+        'src/shape.h': 'double area(double r);\n',
+        'src/shape.c': '#include "shape.h"\n\ndouble area(double r) {\n    return r * r;\n}\n',
+        'include/math_util.h': 'static inline int square(int x) {\n    return x * x;\n}\n'
+    };
+
+    it('resolves includes next to the file and in the configured include directories', async () => {
+        const { graph } = await buildWorkspaceGraph(files, { settings: { includeDirectories: ['include'] } });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), [
+            'src/main.c -> include/math_util.h',
+            'src/main.c -> src/shape.h',
+            'src/shape.c -> src/shape.h'
+        ]);
+        // A call to a prototype reaches the definition in another source file
+        assert.deepEqual(describeEdges(graph, 'calls'), ['main -> area', 'main -> square']);
+    });
+
+    it('resolves includes in the directories of compile_commands.json', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'build/compile_commands.json': [{ file: '../src/main.c', command: 'cc "-I../third_party" -c ../src/main.c' }],
+            'src/main.c': '#include "vendor.h"\n',
+            'third_party/vendor.h': 'int vendor(void);\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['src/main.c -> third_party/vendor.h']);
+    });
+
+    it('shows system headers as external nodes when showExternalPackages is on', async () => {
+        const { graph } = await buildWorkspaceGraph(files, {
+            settings: { includeDirectories: ['include'], showExternalPackages: true }
+        });
+
+        assert.deepEqual(describeEdges(graph, 'depends'), ['src/main.c -> <stdio.h>']);
+    });
+
+    it('reports quoted includes found nowhere, but not system headers', async () => {
+        const result = await buildWorkspaceGraph(files, { settings: { includeDirectories: ['include'] } });
+
+        assert.deepEqual(describeProblems(result), ["src/main.c:4 Cannot resolve import 'missing.h'"]);
+    });
+});
@@ -0,0 +1,38 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges } = require('../helpers/workspace');
+
+describe('Component graph', () => {
+    it('links Vue, Svelte and Astro components to the components their markup renders', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/App.vue': [
+                '<template>',
+                '  <UserCard />',
+                '  <user-list></user-list>',
+                '</template>',
+                '<script setup>',
+                "import UserCard from './components/UserCard.vue';",
+                "import UserList from './components/UserList.vue';",
+                "import { load } from './api';",
+                'function refresh() { load(); }',
+                '</script>'
+            ].join('\n'),
+            'src/components/UserCard.vue': '<template><span /></template>\n',
+            'src/components/UserList.vue': '<template><ul /></template>\n',
+            'src/api.ts': 'export function load() {}\n',
+            'src/Page.svelte': "<script>\n  import Button from './Button.svelte';\n</script>\n\n<Button />\n",
+            'src/Button.svelte': '<button><slot /></button>\n',
+            'src/pages/index.astro': "---\nimport Layout from '../Layout.astro';\n---\n<Layout />\n",
+            'src/Layout.astro': '<html><slot /></html>\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'renders'), [
+            'src/App.vue -> src/components/UserCard.vue',
+            'src/App.vue -> src/components/UserList.vue',
+            'src/Page.svelte -> src/Button.svelte',
+            'src/pages/index.astro -> src/Layout.astro'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['refresh -> load']);
+    });
+});
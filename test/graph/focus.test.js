@@ -0,0 +1,67 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeNode } = require('../helpers/workspace');
+
+describe('Focused graph', () => {
+    const files = {
+        'cli/main.js': "import { run } from '../src/app';\nrun();\n",
+        'src/app.js': [
+            "import { load, save } from '../lib/util';",
+            "import { helper } from './helper';",
+            'export function run() {',
+            '    load();',
+            '    save();',
+            '    helper();',
+            '}'
+        ].join('\n'),
+        'src/helper.js': 'export function helper() {}\n',
+        'lib/util.js': "import { log } from './log';\nexport function load() {\n    log();\n}\nexport function save() {}\n",
+        'lib/log.js': 'export function log() {}\n'
+    };
+
+    // Nodes of the graph, boundary nodes marked with ~
+    const describeNodes = graph => graph.nodes
+        .map(node => `${node.data.boundary ? '~' : ''}${describeNode(node)}`)
+        .sort();
+
+    it('keeps the files of a folder and collapses their neighbours into boundary files', async () => {
+        const { graph } = await buildWorkspaceGraph(files, { focus: { type: 'folder', path: 'src' } });
+
+        assert.deepEqual(describeNodes(graph), ['helper', 'run', 'src', 'src/app.js', 'src/helper.js', '~cli/main.js', '~lib/util.js']);
+        assert.deepEqual(describeEdges(graph, 'imports'), [
+            'cli/main.js -> src/app.js',
+            'src/app.js -> lib/util.js',
+            'src/app.js -> src/helper.js'
+        ]);
+        // Calls into two functions of lib/util.js become one edge to the file
+        assert.deepEqual(describeEdges(graph, 'calls'), ['run -> helper', 'run -> lib/util.js']);
+        assert.equal(graph.scope.label, 'src');
+    });
+
+    it('keeps a file with the files within fileGraphHops of it', async () => {
+        const { graph } = await buildWorkspaceGraph(files, {
+            settings: { fileGraphHops: 1 },
+            focus: { type: 'file', path: 'lib/util.js' }
+        });
+
+        assert.deepEqual(describeNodes(graph).filter(name => name.includes('.js')), [
+            'lib/log.js',
+            'lib/util.js',
+            'src/app.js',
+            '~cli/main.js',
+            '~src/helper.js'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['load -> log', 'run -> load', 'run -> save', 'run -> src/helper.js']);
+        assert.deepEqual([graph.scope.label, graph.scope.hops], ['lib/util.js', 1]);
+    });
+
+    it('leaves no edge pointing outside the graph', async () => {
+        for (const focus of [{ type: 'folder', path: 'lib' }, { type: 'file', path: 'cli/main.js' }]) {
+            const { graph } = await buildWorkspaceGraph(files, { focus });
+            const ids = new Set(graph.nodes.map(node => node.data.id));
+
+            assert.deepEqual(graph.edges.filter(edge => !ids.has(edge.data.source) || !ids.has(edge.data.target)), []);
+        }
+    });
+});
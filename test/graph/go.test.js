@@ -0,0 +1,61 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('Go graph', () => {
+    const files = {
+        'go.mod': 'module example.com/app\n\ngo 1.21\n\nrequire github.com/pkg/errors v0.9.1\n',
+        'cmd/main.go': [
+            'package main',
+            '',
+            'import (',
+            '\t"fmt"',
+            '\t"example.com/app/internal/store"',
+            '\t"example.com/app/internal/missing"',
+            '\t"github.com/pkg/errors"',
+            ')',
+            '',
+            'func main() {',
+            '\ts := store.NewStore()',
+            '\ts.Save("a")',
+            '\tfmt.Println(errors.New("x"))',
+            '}'
+        ].join('\n'),
+        'internal/store/store.go': [
+            'package store',
+            '',
+            'type Store struct{ base }',
+            '',
+            'func NewStore() *Store { return &Store{} }',
+            '',
+            'func (s *Store) Save(id string) {',
+            '\ts.flush()',
+            '\thelper()',
+            '}'
+        ].join('\n'),
+        'internal/store/util.go': 'package store\n\ntype base struct{}\n\nfunc (b base) flush() {}\n\nfunc helper() {}\n'
+    };
+
+    it('resolves module imports to package folders and names across a package', async () => {
+        const { graph } = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['cmd/main.go -> internal/store']);
+        assert.deepEqual(describeEdges(graph, 'calls'), [
+            'Store.Save -> base.flush',
+            'Store.Save -> helper',
+            'main -> NewStore',
+            'main -> Store.Save'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'extends'), ['Store -> base']);
+    });
+
+    it('reports imports of the module that match no package folder', async () => {
+        const result = await buildWorkspaceGraph(files);
+
+        // Standard library and third-party imports are left out
+        assert.deepEqual(describeProblems(result), [
+            "cmd/main.go:6 Cannot resolve import 'example.com/app/internal/missing'"
+        ]);
+    });
+});
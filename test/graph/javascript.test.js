@@ -0,0 +1,213 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems, quietly } = require('../helpers/workspace');
+
+describe('JavaScript graph', () => {
+    it('links require() calls to the files and folder indexes they load', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/index.js': "const util = require('./util');\nconst { read } = require('./store');\n",
+            'src/util.js': 'module.exports = { load() {} };\n',
+            'src/store/index.js': 'exports.read = function read() {};\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), [
+            'src/index.js -> src/store/index.js',
+            'src/index.js -> src/util.js'
+        ]);
+    });
+
+    it('follows named imports through barrel files to the defining files', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/app.ts': "import { load, Store } from './model';\nexport const open = () => import('./lazy');\n",
+            'src/model/index.ts': "export * from './load';\nexport { Store } from './store';\n",
+            'src/model/load.ts': 'export function load() {}\n',
+            'src/model/store.ts': 'export class Store {}\n',
+            'src/lazy.ts': 'export default function lazy() {}\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports', 'kind'), [
+            'src/app.ts -> src/lazy.ts (dynamic)',
+            'src/app.ts -> src/model/index.ts (static)',
+            'src/app.ts -> src/model/load.ts (static)',
+            'src/app.ts -> src/model/store.ts (static)',
+            'src/model/index.ts -> src/model/load.ts (re-export)',
+            'src/model/index.ts -> src/model/store.ts (re-export)'
+        ]);
+    });
+
+    it('links classes to the imported classes and interfaces they extend and implement', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/base.ts': 'export class Base {}\nexport abstract class Saveable {}\n',
+            'src/repo.ts': "import { Base, Saveable } from './base';\nexport class Repo extends Base implements Saveable {}\n"
+        });
+
+        assert.deepEqual(describeEdges(graph, 'extends'), ['Repo -> Base']);
+        assert.deepEqual(describeEdges(graph, 'implements'), ['Repo -> Saveable']);
+        assert.deepEqual(describeEdges(graph, 'contains').filter(edge => edge.startsWith('src/repo.ts')), [
+            'src/repo.ts -> Repo'
+        ]);
+    });
+
+    it('resolves calls through named, aliased, namespace and default imports', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/app.js': [
+                "import { load as fetchAll } from './api';",
+                "import * as util from './util';",
+                "import Store from './store';",
+                'export function run() {',
+                '    fetchAll();',
+                '    util.format();',
+                '    const store = new Store();',
+                '    store.open();',
+                '    save();',
+                '}'
+            ].join('\n'),
+            'src/api.js': 'export function load() {}\nexport function save() {}\n',
+            'src/util.js': 'export function format() {}\n',
+            'src/store.js': [
+                'export default class Store {',
+                '    open() {',
+                '        this.close();',
+                '    }',
+                '    close() {}',
+                '}'
+            ].join('\n')
+        });
+
+        // `save` isn't imported, so it doesn't bind to api.js
+        assert.deepEqual(describeEdges(graph, 'calls'), [
+            'Store.open -> Store.close',
+            'run -> Store.open',
+            'run -> format',
+            'run -> load'
+        ]);
+    });
+
+    it('keeps type-only imports apart as type-depends edges', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/config.ts': 'export interface Config {}\nexport function load() {}\n',
+            'src/app.ts': "import { Config, load } from './config';\nexport const config: Config = load();\n",
+            'src/types.ts': "import type { Config } from './config';\nexport type Options = Partial<Config>;\n"
+        });
+
+        // app.ts reads a value and a type of config.ts, types.ts only a type
+        assert.deepEqual(describeEdges(graph, 'imports'), ['src/app.ts -> src/config.ts']);
+        assert.deepEqual(describeEdges(graph, 'type-depends'), [
+            'src/app.ts -> src/config.ts',
+            'src/types.ts -> src/config.ts'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'contains').filter(edge => edge.startsWith('src/types.ts')), [
+            'src/types.ts -> Options'
+        ]);
+    });
+
+    it('resolves tsconfig path aliases to files', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'tsconfig.json': '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] } } }',
+            'src/app.ts': "import { load } from '@/api/load';\nexport const run = () => load();\n",
+            'src/api/load.ts': 'export function load() {}\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['src/app.ts -> src/api/load.ts']);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['run -> load']);
+    });
+
+    describe('packages', () => {
+        const monorepo = {
+            'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+            'packages/app/package.json': {
+                name: '@our/app',
+                dependencies: { '@our/shared': 'workspace:*', react: '^18.2.0' }
+            },
+            'packages/app/src/index.ts': [
+                "import React from 'react';",
+                "import { format } from '@our/shared';",
+                "import { clamp } from '@our/shared/math';",
+                'export const run = () => format() + clamp();'
+            ].join('\n'),
+            'packages/shared/package.json': {
+                name: '@our/shared',
+                main: 'dist/index.js',
+                exports: { '.': './dist/index.js', './math': { import: './dist/math.js' } }
+            },
+            'packages/shared/src/index.ts': 'export function format() {}\n',
+            'packages/shared/src/math.ts': 'export function clamp() {}\n'
+        };
+
+        it('resolves workspace packages to their sources, through exports and build folders', async () => {
+            const { graph } = await buildWorkspaceGraph(monorepo);
+
+            assert.deepEqual(describeEdges(graph, 'imports'), [
+                'packages/app/src/index.ts -> packages/shared/src/index.ts',
+                'packages/app/src/index.ts -> packages/shared/src/math.ts'
+            ]);
+            assert.deepEqual(describeEdges(graph, 'calls'), ['run -> clamp', 'run -> format']);
+            assert.equal(graph.nodes.filter(node => node.data.type === 'package').length, 0);
+        });
+
+        it('shows packages and the dependencies they declare when showExternalPackages is on', async () => {
+            const { graph } = await buildWorkspaceGraph(monorepo, { settings: { showExternalPackages: true } });
+
+            assert.deepEqual(describeEdges(graph, 'depends'), ['@our/app -> @our/shared', '@our/app -> react']);
+            // External libraries are labelled with the version the package declares
+            assert.ok(describeEdges(graph, 'depends', 'label').includes('@our/app -> react (^18.2.0)'));
+        });
+    });
+
+    it('draws one edge per link, however often it is found and the graph is rebuilt', async () => {
+        const { graph, builder, files } = await buildWorkspaceGraph({
+            'src/app.js': [
+                "import { load } from './util';",
+                "import { save } from './util';",
+                'export function run() {',
+                '    load();',
+                '    load();',
+                '}'
+            ].join('\n'),
+            'src/util.js': 'export function load() {}\nexport function save() {}\n'
+        });
+        const rebuilt = quietly(() => builder.buildGraph(files));
+
+        for (const result of [graph, rebuilt]) {
+            assert.deepEqual(describeEdges(result, 'imports'), ['src/app.js -> src/util.js']);
+            assert.deepEqual(describeEdges(result, 'calls'), ['run -> load']);
+        }
+    });
+
+    it('keeps a dynamic import of a file apart from its static import', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'src/app.js': [
+                "import { load } from './util';",
+                "const lazy = () => import('./util');"
+            ].join('\n'),
+            'src/util.js': 'export function load() {}\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports', 'kind'), [
+            'src/app.js -> src/util.js (dynamic)',
+            'src/app.js -> src/util.js (static)'
+        ]);
+    });
+
+    it('reports unresolved relative imports and parse failures as problems', async () => {
+        const result = await buildWorkspaceGraph({
+            'src/app.js': [
+                "import { a } from './missing';",
+                "import b from './b';",
+                "import React from 'react';",
+                "import data from './data.json';",
+                "import './styles.css';"
+            ].join('\n'),
+            'src/b.js': 'export default 1;\n',
+            'src/broken.js': 'export function ok() {}\nconst x = ;\n'
+        });
+
+        // Packages and assets aren't expected to resolve to scanned files
+        assert.deepEqual(describeProblems(result), [
+            "src/app.js:1 Cannot resolve import './missing'",
+            'src/broken.js:2 Code Connect could not parse this file, so it has no functions or edges: Unexpected token'
+        ]);
+        assert.equal(result.graph.nodes.find(node => node.data.label === 'broken.js').data.parseFailed, true);
+    });
+});
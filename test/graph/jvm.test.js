@@ -0,0 +1,70 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('Java and Kotlin graph', () => {
+    const files = {
+        'src/main/java/com/acme/repo/UserRepository.java': [
+            'package com.acme.repo;',
+            '',
+            'public class UserRepository extends BaseRepository {',
+            '    public void save(String id) {',
+            '    }',
+            '}'
+        ].join('\n'),
+        'src/main/java/com/acme/repo/BaseRepository.java': 'package com.acme.repo;\n\npublic class BaseRepository {}\n',
+        'src/main/java/com/acme/app/App.java': [
+            'package com.acme.app;',
+            '',
+            'import java.util.List;',
+            'import com.acme.repo.UserRepository;',
+            'import com.acme.util.StringsKt;',
+            '',
+            'public class App {',
+            '    private UserRepository repo;',
+            '',
+            '    void run() {',
+            '        repo.save("a");',
+            '    }',
+            '}'
+        ].join('\n'),
+        'src/main/kotlin/com/acme/util/Strings.kt': [
+            'package com.acme.util',
+            '',
+            'import com.acme.repo.*',
+            '',
+            'fun shout(repo: UserRepository) {',
+            '    repo.save("b")',
+            '}'
+        ].join('\n')
+    };
+
+    it('resolves imports by package across Java and Kotlin source roots', async () => {
+        const { graph } = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeEdges(graph, 'imports'), [
+            'src/main/java/com/acme/app/App.java -> src/main/java/com/acme/repo/UserRepository.java',
+            'src/main/kotlin/com/acme/util/Strings.kt -> src/main/java/com/acme/repo'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'extends'), ['UserRepository -> BaseRepository']);
+    });
+
+    it('resolves calls on typed fields and parameters', async () => {
+        const { graph } = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeEdges(graph, 'calls'), [
+            'App.run -> UserRepository.save',
+            'shout -> UserRepository.save'
+        ]);
+    });
+
+    it('reports imports of workspace packages that name no class', async () => {
+        const result = await buildWorkspaceGraph(files);
+
+        // java.util isn't a workspace package, so its import is left out
+        assert.deepEqual(describeProblems(result), [
+            "src/main/java/com/acme/app/App.java:5 Cannot resolve import 'com.acme.util.StringsKt'"
+        ]);
+    });
+});
@@ -0,0 +1,53 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('Multi-root graph', () => {
+    const folders = [
+        {
+            'src/app.js': "import { util } from './util';\nexport function main() {\n    util();\n}\n",
+            'src/util.js': 'export function util() {}\n',
+            'shared/config.py': 'X = 1\n'
+        },
+        {
+            'src/app.js': "import { main } from '../../x';\nexport function other() {}\n",
+            'tools/run.py': 'from shared.config import X\n'
+        }
+    ];
+
+    // Temporary folders get random names; call them first/ and second/
+    const rename = (result, descriptions) => descriptions.map(text => result.roots.reduce(
+        (renamed, root, index) => renamed.split(path.basename(root)).join(['first', 'second'][index]),
+        text
+    )).sort();
+
+    it('keeps files of every folder apart under the folder name', async () => {
+        const result = await buildWorkspaceGraph(folders);
+        const paths = result.graph.nodes
+            .filter(node => node.data.type === 'file')
+            .map(node => node.data.relativePath.split(path.sep).join('/'));
+
+        assert.deepEqual(rename(result, paths), [
+            'first/shared/config.py',
+            'first/src/app.js',
+            'first/src/util.js',
+            'second/src/app.js',
+            'second/tools/run.py'
+        ]);
+    });
+
+    it('resolves imports within a folder and Python packages across folders', async () => {
+        const result = await buildWorkspaceGraph(folders);
+
+        assert.deepEqual(rename(result, describeEdges(result.graph, 'imports')), [
+            'first/src/app.js -> first/src/util.js',
+            'second/tools/run.py -> first/shared/config.py'
+        ]);
+        assert.deepEqual(describeEdges(result.graph, 'calls'), ['main -> util']);
+        assert.deepEqual(rename(result, describeProblems(result)), [
+            "second/src/app.js:1 Cannot resolve import '../../x'"
+        ]);
+    });
+});
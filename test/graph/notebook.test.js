@@ -0,0 +1,40 @@
+require('../helpers/vscode');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges } = require('../helpers/workspace');
+
+describe('Notebook graph', () => {
+    const files = {
+        'analysis.ipynb': {
+            nbformat: 4,
+            metadata: { kernelspec: { language: 'python' } },
+            cells: [
+                { cell_type: 'markdown', source: ['# Title'] },
+                { cell_type: 'code', source: ['from helpers import load\n', 'from .nothere import x\n', 'data = load()\n'] },
+                { cell_type: 'code', source: ['def summarize(d):\n', '    return load(d)\n', '\n', 'summarize(data)'] }
+            ]
+        },
+        'helpers.py': 'def load(d=None):\n    return d\n'
+    };
+
+    it('links cells to the functions they call and the notebook to its imports', async () => {
+        const { graph } = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['analysis.ipynb -> helpers.py']);
+        assert.deepEqual(describeEdges(graph, 'calls'), [
+            'Cell 2 -> load',
+            'Cell 3 -> summarize',
+            'summarize -> load'
+        ]);
+    });
+
+    it('reports problems with the cell they are in', async () => {
+        const { builder, roots } = await buildWorkspaceGraph(files);
+        const problems = builder.getProblems().get(path.join(roots[0], 'analysis.ipynb'));
+
+        assert.deepEqual(problems.map(problem => [problem.cell, problem.line, problem.message]), [
+            [1, 1, "Cannot resolve import 'from .nothere import x'"]
+        ]);
+    });
+});
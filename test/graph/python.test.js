@@ -0,0 +1,58 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('Python graph', () => {
+    it('resolves absolute, relative and submodule imports in a src layout', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'pyproject.toml': "[project]\nname = 'shop'\n",
+            'src/shop/__init__.py': '',
+            'src/shop/cli.py': [
+                'from shop.core import engine',
+                'from .core.models import Order',
+                'from . import utils',
+                'import shop.utils as u',
+                'import requests',
+                '',
+                'def main():',
+                '    engine.start()',
+                '    Order()',
+                '    u.slug()'
+            ].join('\n'),
+            'src/shop/utils.py': 'def slug():\n    pass\n',
+            'src/shop/core/__init__.py': '',
+            'src/shop/core/engine.py': 'def start():\n    pass\n',
+            'src/shop/core/models.py': 'class Order:\n    pass\n',
+            'tools/run.py': 'from shop.cli import main\n\ndef run():\n    main()\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), [
+            'src/shop/cli.py -> src/shop/core/engine.py',
+            'src/shop/cli.py -> src/shop/core/models.py',
+            'src/shop/cli.py -> src/shop/utils.py',
+            'tools/run.py -> src/shop/cli.py'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['main -> slug', 'main -> start', 'run -> main']);
+    });
+
+    it('links classes to base classes imported from other modules', async () => {
+        const { graph } = await buildWorkspaceGraph({
+            'app/__init__.py': '',
+            'app/base.py': 'class Model:\n    pass\n',
+            'app/user.py': 'from app.base import Model\n\nclass User(Model):\n    pass\n'
+        });
+
+        assert.deepEqual(describeEdges(graph, 'extends'), ['User -> Model']);
+    });
+
+    it('reports relative imports that resolve to no module as problems', async () => {
+        const result = await buildWorkspaceGraph({
+            'app/__init__.py': '',
+            'app/main.py': 'from .nothere import x\nfrom .helpers import slug\nimport numpy\n',
+            'app/helpers.py': 'def slug():\n    pass\n'
+        });
+
+        assert.deepEqual(describeProblems(result), ["app/main.py:1 Cannot resolve import 'from .nothere import x'"]);
+    });
+});
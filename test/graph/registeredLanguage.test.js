@@ -0,0 +1,100 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const LanguageRegistry = require('../../src/languageRegistry');
+const Parser = require('../../src/parser');
+const Scanner = require('../../src/scanner');
+const { buildWorkspaceGraph, describeEdges, describeProblems, quietly } = require('../helpers/workspace');
+
+/**
+ * Parses a toy language: `use <file> <name>` imports a name, `fn <name>`
+ * declares a function, `call <name>` calls one and `fail` throws
+ *
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {Object} File data
+ */
+function parseAcme(filePath, content) {
+    const data = { imports: [], functions: [], exports: [], calls: [] };
+
+    content.split('\n').forEach((line, index) => {
+        const [keyword, argument, name] = line.trim().split(/\s+/);
+        if (keyword === 'use') {
+            data.imports.push({ source: argument, imported: name, local: name, line: index });
+        } else if (keyword === 'fn') {
+            data.functions.push({ name: argument, line: index, endLine: index + 1 });
+            data.exports.push({ name: argument, line: index });
+        } else if (keyword === 'call') {
+            data.calls.push({ name: argument, line: index });
+        } else if (keyword === 'fail') {
+            throw new Error('Unexpected fail');
+        }
+    });
+
+    return data;
+}
+
+describe('Registered language graph', () => {
+    const createRegistry = definition => {
+        const registry = new LanguageRegistry(Parser.BUILT_IN_LANGUAGES, Scanner.BUILT_IN_EXTENSIONS);
+        quietly(() => registry.register({ id: 'acme', extensions: ['.acme'], parse: parseAcme, ...definition }));
+        return registry;
+    };
+
+    const files = {
+        'main.acme': 'use ./lib.acme helper\nuse ./gone.acme other\nfn main\n  call helper\n',
+        'lib.acme': 'fn helper\n',
+        'broken.acme': 'fn half\nfail\n'
+    };
+
+    it('scans files of the language and links them by path', async () => {
+        const result = await buildWorkspaceGraph(files, { languages: createRegistry() });
+
+        assert.deepEqual(describeEdges(result.graph, 'imports'), ['main.acme -> lib.acme']);
+        assert.deepEqual(describeEdges(result.graph, 'calls'), ['main -> helper']);
+        assert.equal(result.files.get(path.join(result.roots[0], 'lib.acme')).language, 'acme');
+    });
+
+    it('reports unresolved imports and files the parse function failed on', async () => {
+        const result = await buildWorkspaceGraph(files, { languages: createRegistry() });
+
+        assert.deepEqual(describeProblems(result), [
+            'broken.acme:1 Code Connect could not parse this file, so it has no functions or edges: Unexpected fail',
+            "main.acme:2 Cannot resolve import './gone.acme'"
+        ]);
+    });
+
+    it('resolves imports with the resolveImport of the language', async () => {
+        const languages = createRegistry({
+            resolveImport: (specifier, fromFile, fileExists) => {
+                const candidate = path.join(path.dirname(fromFile), `${specifier}.acme`);
+                return fileExists(candidate) ? candidate : null;
+            }
+        });
+        const { graph } = await buildWorkspaceGraph({
+            'main.acme': 'use lib helper\nfn main\n  call helper\n',
+            'lib.acme': 'fn helper\n'
+        }, { languages });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['main.acme -> lib.acme']);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['main -> helper']);
+    });
+
+    it('leaves out malformed entries the parse function returns', async () => {
+        const languages = createRegistry({
+            parse: (filePath, content) => path.basename(filePath) === 'lib.acme' ? parseAcme(filePath, content) : {
+                ...parseAcme(filePath, content),
+                imports: [{ imported: '*', line: 0 }, { source: './lib.acme', imported: 'helper', local: 'helper' }],
+                calls: [null, { name: 'helper', line: 'two' }]
+            }
+        });
+        const { graph } = await buildWorkspaceGraph({
+            'main.acme': 'fn main\n',
+            'lib.acme': 'fn helper\n'
+        }, { languages });
+
+        assert.deepEqual(describeEdges(graph, 'imports'), ['main.acme -> lib.acme']);
+        assert.deepEqual(describeEdges(graph, 'calls'), ['main -> helper']);
+    });
+});
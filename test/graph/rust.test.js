@@ -0,0 +1,77 @@
+require('../helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWorkspaceGraph, describeEdges, describeProblems } = require('../helpers/workspace');
+
+describe('Rust graph', () => {
+    const files = {
+        'Cargo.toml': '[package]\nname = "app"\nversion = "0.1.0"\n\n[dependencies]\nserde = "1.0"\nutil = { path = "util" }\n',
+        'src/main.rs': [
+            'mod store;',
+            '#[path = "net/client.rs"]',
+            'mod api;',
+            '',
+            'use crate::store::Store;',
+            'use crate::missing::Thing;',
+            'use serde::Serialize;',
+            'use util::shout;',
+            '',
+            'fn main() {',
+            '    let s = Store::new();',
+            '    s.save("a");',
+            '    store::open();',
+            '    shout();',
+            '}'
+        ].join('\n'),
+        'src/store.rs': [
+            'pub struct Store;',
+            '',
+            'impl Store {',
+            '    pub fn new() -> Store {',
+            '        Store',
+            '    }',
+            '',
+            '    pub fn save(&self, key: &str) {',
+            '        self.flush();',
+            '    }',
+            '',
+            '    fn flush(&self) {}',
+            '}',
+            '',
+            'pub fn open() {}'
+        ].join('\n'),
+        'src/net/client.rs': 'pub fn get() {}\n',
+        'util/Cargo.toml': '[package]\nname = "util"\nversion = "0.1.0"\n',
+        'util/src/lib.rs': 'pub fn shout() {}\n'
+    };
+
+    it('resolves mod declarations and use paths into the crate and its path dependencies', async () => {
+        const { graph } = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeEdges(graph, 'imports', 'kind'), [
+            'src/main.rs -> src/net/client.rs (mod)',
+            'src/main.rs -> src/store.rs (mod)',
+            'src/main.rs -> src/store.rs (static)',
+            'src/main.rs -> util/src/lib.rs (static)'
+        ]);
+        assert.deepEqual(describeEdges(graph, 'calls'), [
+            'Store.save -> Store.flush',
+            'main -> Store.new',
+            'main -> Store.save',
+            'main -> open',
+            'main -> shout'
+        ]);
+    });
+
+    it('shows external crates when showExternalPackages is on', async () => {
+        const { graph } = await buildWorkspaceGraph(files, { settings: { showExternalPackages: true } });
+
+        assert.deepEqual(describeEdges(graph, 'depends'), ['src/main.rs -> serde']);
+    });
+
+    it('reports crate paths that reach no module', async () => {
+        const result = await buildWorkspaceGraph(files);
+
+        assert.deepEqual(describeProblems(result), ["src/main.rs:6 Cannot resolve import 'crate::missing::Thing'"]);
+    });
+});
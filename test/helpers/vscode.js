@@ -0,0 +1,306 @@
+/**
+ * Fake VS Code API
+ *
+ * Requiring this module makes `require('vscode')` return the fake, so the
+ * extension's modules load outside the editor. It covers what they use:
+ * - Settings (`codeConnect.*`), set per test with `setSettings`
+ * - Workspace folders and unsaved documents, set with `setWorkspaceFolders`
+ *   and `setTextDocuments`
+ * - `workspace.fs` and `workspace.findFiles`, backed by the real disk
+ * - Events, cancellation tokens, URIs, ranges and diagnostics
+ * - Windows, commands and progress, recorded in `calls` for assertions
+ *
+ * Require it before any module under src/.
+ */
+
+const Module = require('module');
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const state = {
+    settings: {},
+    workspaceFolders: undefined,
+    textDocuments: []
+};
+
+// What the extension asked the editor to do, for assertions
+const calls = {
+    messages: [],
+    diagnostics: new Map()
+};
+
+class Disposable {
+    constructor(callOnDispose) {
+        this.callOnDispose = callOnDispose;
+    }
+
+    dispose() {
+        if (this.callOnDispose) {
+            this.callOnDispose();
+            this.callOnDispose = null;
+        }
+    }
+}
+
+class EventEmitter {
+    constructor() {
+        this.listeners = [];
+        this.event = listener => {
+            this.listeners.push(listener);
+            return new Disposable(() => {
+                this.listeners = this.listeners.filter(other => other !== listener);
+            });
+        };
+    }
+
+    fire(value) {
+        this.listeners.slice().forEach(listener => listener(value));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+class CancellationTokenSource {
+    constructor() {
+        const emitter = new EventEmitter();
+        this.emitter = emitter;
+        this.token = {
+            isCancellationRequested: false,
+            onCancellationRequested: emitter.event
+        };
+    }
+
+    cancel() {
+        if (!this.token.isCancellationRequested) {
+            this.token.isCancellationRequested = true;
+            this.emitter.fire();
+        }
+    }
+
+    dispose() {
+        this.emitter.dispose();
+    }
+}
+
+class Uri {
+    constructor(fsPath) {
+        this.scheme = 'file';
+        this.fsPath = fsPath;
+        this.path = fsPath.split(path.sep).join('/');
+    }
+
+    static file(fsPath) {
+        return new Uri(fsPath);
+    }
+
+    static joinPath(base, ...segments) {
+        return new Uri(path.join(base.fsPath, ...segments));
+    }
+
+    with() {
+        return this;
+    }
+
+    toString() {
+        return `file://${this.path}`;
+    }
+}
+
+class FileSystemError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+
+    static FileNotFound(uri) {
+        return new FileSystemError(`File not found: ${uri && uri.fsPath}`, 'FileNotFound');
+    }
+}
+
+class Position {
+    constructor(line, character) {
+        this.line = line;
+        this.character = character;
+    }
+}
+
+class Range {
+    constructor(start, end, endLine, endCharacter) {
+        // (start, end) positions, or (startLine, startCharacter, endLine, endCharacter)
+        this.start = start instanceof Position ? start : new Position(start, end);
+        this.end = start instanceof Position ? end : new Position(endLine, endCharacter);
+    }
+}
+
+class Diagnostic {
+    constructor(range, message, severity) {
+        this.range = range;
+        this.message = message;
+        this.severity = severity;
+    }
+}
+
+/**
+ * Runs a file system call, turning a missing file into FileNotFound as
+ * VS Code does
+ *
+ * @param {Uri} uri - File
+ * @param {Function} read - Reads it with the fs module
+ * @returns {Promise<*>} What `read` returned
+ */
+async function withFile(uri, read) {
+    try {
+        return read(uri.fsPath);
+    } catch (error) {
+        throw error.code === 'ENOENT' ? FileSystemError.FileNotFound(uri) : error;
+    }
+}
+
+/**
+ * Lists the files below a folder
+ *
+ * @param {string} dir - Absolute path
+ * @returns {Array<string>} Absolute paths, sorted by name in each folder
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+        });
+}
+
+const workspace = {
+    get workspaceFolders() {
+        return state.workspaceFolders;
+    },
+    get textDocuments() {
+        return state.textDocuments;
+    },
+    notebookDocuments: [],
+
+    getConfiguration(section) {
+        return {
+            get: (key, defaultValue) => {
+                const value = state.settings[`${section}.${key}`];
+                return value === undefined ? defaultValue : value;
+            }
+        };
+    },
+
+    async findFiles(include, exclude) {
+        return (state.workspaceFolders || []).flatMap(folder => listFiles(folder.uri.fsPath)
+            .filter(filePath => {
+                const relativePath = path.relative(folder.uri.fsPath, filePath).split(path.sep).join('/');
+                return minimatch(relativePath, include, { dot: true }) &&
+                    !(exclude && minimatch(relativePath, exclude, { dot: true }));
+            })
+            .map(filePath => Uri.file(filePath)));
+    },
+
+    fs: {
+        stat: uri => withFile(uri, filePath => {
+            const stat = fs.statSync(filePath);
+            return { type: 1, ctime: stat.ctimeMs, mtime: stat.mtimeMs, size: stat.size };
+        }),
+        readFile: uri => withFile(uri, filePath => new Uint8Array(fs.readFileSync(filePath))),
+        writeFile: (uri, content) => withFile(uri, filePath => fs.writeFileSync(filePath, content)),
+        createDirectory: uri => withFile(uri, dirPath => { fs.mkdirSync(dirPath, { recursive: true }); })
+    },
+
+    onDidChangeConfiguration: () => new Disposable(),
+    onDidChangeWorkspaceFolders: () => new Disposable(),
+    createFileSystemWatcher: () => ({
+        onDidCreate: () => new Disposable(),
+        onDidChange: () => new Disposable(),
+        onDidDelete: () => new Disposable(),
+        dispose() {}
+    })
+};
+
+const vscode = {
+    workspace,
+    window: {
+        activeTextEditor: undefined,
+        showInformationMessage: async message => { calls.messages.push({ type: 'info', message }); },
+        showWarningMessage: async message => { calls.messages.push({ type: 'warning', message }); },
+        showErrorMessage: async message => { calls.messages.push({ type: 'error', message }); },
+        withProgress: (options, task) => task({ report() {} }, new CancellationTokenSource().token),
+        createOutputChannel: () => ({ appendLine() {}, show() {}, clear() {}, dispose() {} })
+    },
+    languages: {
+        createDiagnosticCollection: () => ({
+            set: (uri, diagnostics) => calls.diagnostics.set(uri.fsPath, diagnostics),
+            delete: uri => calls.diagnostics.delete(uri.fsPath),
+            clear: () => calls.diagnostics.clear(),
+            dispose() {}
+        })
+    },
+    commands: {
+        registerCommand: () => new Disposable()
+    },
+    extensions: {
+        getExtension: () => undefined
+    },
+    Uri,
+    Disposable,
+    EventEmitter,
+    CancellationTokenSource,
+    FileSystemError,
+    Position,
+    Range,
+    Diagnostic,
+    DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+    RelativePattern: class {
+        constructor(base, pattern) {
+            this.base = base;
+            this.pattern = pattern;
+        }
+    },
+    ProgressLocation: { Notification: 15 },
+    ViewColumn: { One: 1, Two: 2 }
+};
+
+const load = Module._load;
+Module._load = function (request, ...rest) {
+    return request === 'vscode' ? vscode : load.call(this, request, ...rest);
+};
+
+/**
+ * Replaces the settings; keys are `section.name` (`codeConnect.maxFileSizeKB`)
+ *
+ * @param {Object} settings - Setting values
+ */
+function setSettings(settings = {}) {
+    state.settings = settings;
+}
+
+/**
+ * Opens workspace folders
+ *
+ * @param {Array<string>} folderPaths - Absolute paths; none closes the workspace
+ */
+function setWorkspaceFolders(folderPaths) {
+    state.workspaceFolders = folderPaths && folderPaths.length > 0
+        ? folderPaths.map((folderPath, index) => ({ name: path.basename(folderPath), index, uri: Uri.file(folderPath) }))
+        : undefined;
+}
+
+/**
+ * Sets the documents open in editors
+ *
+ * @param {Array<Object>} documents - { path, text, isDirty }
+ */
+function setTextDocuments(documents = []) {
+    state.textDocuments = documents.map(document => ({
+        uri: Uri.file(document.path),
+        isDirty: document.isDirty !== false,
+        getText: () => document.text
+    }));
+}
+
+module.exports = { vscode, calls, setSettings, setWorkspaceFolders, setTextDocuments };
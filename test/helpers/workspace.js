@@ -0,0 +1,181 @@
+/**
+ * Workspace Fixtures
+ *
+ * Writes source files into temporary workspace folders, scans them with the
+ * extension's scanner and builds their graph, so tests check what a user
+ * would see. Edges and problems are described with paths relative to the
+ * workspace, which keeps assertions short.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setSettings, setWorkspaceFolders, setTextDocuments } = require('./vscode');
+const Scanner = require('../../src/scanner');
+const GraphBuilder = require('../../src/graph');
+const { getRelativePath } = require('../../src/workspaceRoots');
+
+/**
+ * Writes files into a new temporary folder
+ *
+ * @param {Object} files - Relative path -> content (objects are written as JSON)
+ * @returns {string} Absolute path of the folder
+ */
+function createFolder(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-connect-'));
+    writeFiles(root, files);
+    return root;
+}
+
+/**
+ * Writes files below a folder
+ *
+ * @param {string} root - Absolute path
+ * @param {Object} files - Relative path -> content (objects are written as JSON)
+ */
+function writeFiles(root, files) {
+    Object.entries(files).forEach(([relativePath, content]) => {
+        const filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    });
+}
+
+/**
+ * Deletes temporary folders
+ *
+ * @param {...string} roots - Absolute paths
+ */
+function removeFolders(...roots) {
+    roots.forEach(root => fs.rmSync(root, { recursive: true, force: true }));
+}
+
+/**
+ * Scans workspace folders with the scanner the extension uses
+ *
+ * @param {Array<string>} roots - Absolute paths of the workspace folders
+ * @param {Object} [settings] - `codeConnect.*` settings, without the prefix
+ * @param {Object} [services] - { languages, cache } handed to the scanner
+ * @returns {Promise<Scanner>} The scanner holding the parsed files
+ *   (dispose it to stop its parser workers)
+ */
+async function scanFolders(roots, settings = {}, services = {}) {
+    setSettings(Object.fromEntries(Object.entries({ parserThreads: 1, ...settings })
+        .map(([key, value]) => [`codeConnect.${key}`, value])));
+    setWorkspaceFolders(roots);
+    setTextDocuments([]);
+
+    const scanner = new Scanner(services.languages, services.cache);
+    await quietly(() => scanner.scanWorkspace());
+    return scanner;
+}
+
+/**
+ * Scans a workspace made of the given files and builds its graph
+ *
+ * @param {Object|Array<Object>} files - Files of the workspace folder
+ *   (relative path -> content), or one such object per folder
+ * @param {Object} [options] - { settings, languages (a LanguageRegistry),
+ *   focus: { type, path } with a path relative to the first folder }
+ * @returns {Promise<Object>} { graph, builder, files, roots }
+ */
+async function buildWorkspaceGraph(files, options = {}) {
+    const roots = (Array.isArray(files) ? files : [files]).map(createFolder);
+    const scanner = await scanFolders(roots, options.settings, { languages: options.languages });
+
+    try {
+        const builder = new GraphBuilder(options.languages);
+        const focus = options.focus && { type: options.focus.type, path: path.join(roots[0], options.focus.path) };
+        const graph = quietly(() => builder.buildGraph(scanner.getFiles(), focus));
+        return { graph, builder, files: new Map(scanner.getFiles()), roots };
+    } finally {
+        scanner.dispose();
+        removeFolders(...roots);
+    }
+}
+
+/**
+ * Runs a function without the progress lines the extension logs
+ *
+ * @param {Function} fn - Function to run
+ * @returns {*} What it returned
+ */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => { console.log = log; });
+        }
+        console.log = log;
+        return result;
+    } catch (error) {
+        console.log = log;
+        throw error;
+    }
+}
+
+/**
+ * Describes a node: the relative path of files and folders, `Class.method`
+ * of methods, the label of anything else
+ *
+ * @param {Object} node - Graph node
+ * @returns {string} Description
+ */
+function describeNode(node) {
+    const data = node.data;
+    if (data.type === 'file' || data.type === 'folder') {
+        return (data.relativePath || data.label).split(path.sep).join('/');
+    }
+    if (data.type === 'function' && data.className && !data.label.startsWith(`${data.className}.`)) {
+        return `${data.className}.${data.label}`;
+    }
+    return data.label;
+}
+
+/**
+ * Lists the edges of one type as `source -> target`
+ *
+ * @param {Object} graph - Graph data
+ * @param {string} type - Edge type ('imports', 'calls', ...)
+ * @param {string} [detail] - Edge field to append in parentheses (e.g. 'kind')
+ * @returns {Array<string>} Sorted descriptions
+ */
+function describeEdges(graph, type, detail) {
+    const nodes = new Map(graph.nodes.map(node => [node.data.id, node]));
+    return graph.edges
+        .filter(edge => edge.data.type === type)
+        .map(edge => `${describeNode(nodes.get(edge.data.source))} -> ${describeNode(nodes.get(edge.data.target))}` +
+            (detail ? ` (${edge.data[detail]})` : ''))
+        .sort();
+}
+
+/**
+ * Lists the problems the graph builder found, as `file:line message`
+ *
+ * @param {Object} result - What buildWorkspaceGraph returned
+ * @returns {Array<string>} Sorted descriptions (1-based lines), with paths
+ *   as the graph shows them
+ */
+function describeProblems(result) {
+    const roots = result.roots.map(root => ({ name: path.basename(root), path: root }));
+    const problems = [];
+    result.builder.getProblems().forEach((fileProblems, filePath) => {
+        const relativePath = getRelativePath(filePath, roots).split(path.sep).join('/');
+        fileProblems.forEach(problem => problems.push(`${relativePath}:${problem.line + 1} ${problem.message}`));
+    });
+    return problems.sort();
+}
+
+module.exports = {
+    createFolder,
+    writeFiles,
+    removeFolders,
+    scanFolders,
+    buildWorkspaceGraph,
+    quietly,
+    describeNode,
+    describeEdges,
+    describeProblems
+};
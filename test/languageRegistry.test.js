@@ -0,0 +1,52 @@
+require('./helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LanguageRegistry = require('../src/languageRegistry');
+const { quietly } = require('./helpers/workspace');
+
+const parse = () => ({});
+
+describe('LanguageRegistry', () => {
+    const createRegistry = () => new LanguageRegistry(['javascript', 'python'], ['.js', '.py']);
+
+    it('registers a language under its lowercased extensions until disposed', () => {
+        const registry = createRegistry();
+        let changes = 0;
+        registry.onDidChange(() => changes++);
+
+        const registration = quietly(() => registry.register({ id: 'acme', extensions: ['.ACME', '.acm'], parse }));
+
+        assert.deepEqual(registry.getLanguageIds(), ['acme']);
+        assert.deepEqual(registry.getExtensions(), ['.acme', '.acm']);
+        assert.equal(registry.getLanguageForExtension('.acm'), 'acme');
+        assert.equal(registry.get('acme').resolveImport, null);
+
+        registration.dispose();
+        registration.dispose();
+
+        assert.equal(registry.get('acme'), null);
+        assert.equal(registry.getLanguageForExtension('.acm'), null);
+        assert.equal(changes, 2);
+    });
+
+    it('rejects incomplete definitions', () => {
+        const registry = createRegistry();
+
+        assert.throws(() => registry.register({ extensions: ['.acme'], parse }), /needs an id/);
+        assert.throws(() => registry.register({ id: 'acme', extensions: ['.acme'] }), /needs a parse function/);
+        assert.throws(() => registry.register({ id: 'acme', extensions: [], parse }), /at least one file extension/);
+        assert.throws(() => registry.register({ id: 'acme', extensions: ['acme'], parse }), /invalid file extension 'acme'/);
+        assert.throws(() => registry.register({ id: 'acme', extensions: ['.acme'], parse, resolveImport: 'x' }),
+            /resolveImport of language 'acme' must be a function/);
+    });
+
+    it('rejects languages and extensions that are taken', () => {
+        const registry = createRegistry();
+        quietly(() => registry.register({ id: 'acme', extensions: ['.acme'], parse }));
+
+        assert.throws(() => registry.register({ id: 'python', extensions: ['.snake'], parse }), /'python' is already registered/);
+        assert.throws(() => registry.register({ id: 'acme', extensions: ['.other'], parse }), /'acme' is already registered/);
+        assert.throws(() => registry.register({ id: 'other', extensions: ['.JS'], parse }), /'.JS' already belongs to a built-in language/);
+        assert.throws(() => registry.register({ id: 'other', extensions: ['.acme'], parse }), /'.acme' already belongs to language 'acme'/);
+    });
+});
@@ -0,0 +1,87 @@
+const { vscode } = require('./helpers/vscode');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ParseCache = require('../src/parseCache');
+const { createFolder, removeFolders, scanFolders, quietly } = require('./helpers/workspace');
+
+describe('ParseCache', () => {
+    let storage;
+    const stat = { mtime: 1000, size: 20 };
+
+    before(() => {
+        storage = createFolder({});
+    });
+
+    after(() => {
+        removeFolders(storage);
+    });
+
+    it('finds entries by modification time and size, or by content hash', () => {
+        const cache = new ParseCache(undefined, '1');
+        cache.set('/workspace/app.py', ParseCache.hash('x = 1'), stat, { path: '/workspace/app.py' });
+
+        assert.deepEqual(cache.lookup('/workspace/app.py', stat), { path: '/workspace/app.py' });
+        assert.equal(cache.lookup('/workspace/app.py', { mtime: 2000, size: 20 }), null);
+        assert.deepEqual(cache.get('/workspace/app.py', ParseCache.hash('x = 1')), { path: '/workspace/app.py' });
+        assert.equal(cache.get('/workspace/app.py', ParseCache.hash('x = 2')), null);
+    });
+
+    it('finds entries of unsaved content by hash only', () => {
+        const cache = new ParseCache(undefined, '1');
+        cache.set('/workspace/app.py', ParseCache.hash('x = 1'), null, {});
+
+        assert.equal(cache.lookup('/workspace/app.py', stat), null);
+        assert.deepEqual(cache.get('/workspace/app.py', ParseCache.hash('x = 1')), {});
+    });
+
+    it('keeps its entries in storage between sessions of the same version', async () => {
+        const storageUri = vscode.Uri.file(path.join(storage, 'same-version'));
+        const cache = new ParseCache(storageUri, '1');
+        cache.set('/workspace/app.py', 'hash', stat, { path: '/workspace/app.py' });
+        await cache.dispose();
+
+        const reloaded = new ParseCache(storageUri, '1');
+        await quietly(() => reloaded.load());
+        assert.deepEqual(reloaded.lookup('/workspace/app.py', stat), { path: '/workspace/app.py' });
+
+        const upgraded = new ParseCache(storageUri, '2');
+        await quietly(() => upgraded.load());
+        assert.equal(upgraded.lookup('/workspace/app.py', stat), null);
+    });
+
+    it('evicts the entries of files that are gone', () => {
+        const cache = new ParseCache(undefined, '1');
+        cache.set('/workspace/kept.py', 'a', stat, {});
+        cache.set('/workspace/gone.py', 'b', stat, {});
+        cache.set('/workspace/deleted.py', 'c', stat, {});
+
+        cache.retain(['/workspace/kept.py', '/workspace/gone.py']);
+        cache.delete('/workspace/gone.py');
+
+        assert.deepEqual([...cache.entries.keys()], ['/workspace/kept.py']);
+    });
+
+    it('lets a scan reuse the data of unchanged files without parsing them', async () => {
+        const root = createFolder({ 'app.py': 'def load():\n    pass\n' });
+        const filePath = path.join(root, 'app.py');
+        const cache = new ParseCache(undefined, '1');
+        const statFile = () => ({ mtime: fs.statSync(filePath).mtimeMs, size: fs.statSync(filePath).size });
+        cache.set(filePath, 'hash', statFile(), { path: filePath, language: 'python', cached: true });
+
+        const scanner = await scanFolders([root], {}, { cache });
+        try {
+            assert.equal(scanner.getFiles().get(filePath).cached, true);
+
+            // A changed file is parsed again
+            fs.writeFileSync(filePath, 'def load(path):\n    pass\n');
+            await quietly(() => scanner.scanWorkspace());
+            assert.deepEqual(scanner.getFiles().get(filePath).functions[0].params, ['path']);
+            assert.equal(cache.lookup(filePath, statFile()).functions[0].name, 'load');
+        } finally {
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+});
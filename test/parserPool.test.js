@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const ParserPool = require('../src/parserPool');
+const Parser = require('../src/parser');
+
+const SOURCE = 'import os\n\ndef load(path):\n    return os.path.join(path)\n';
+
+describe('ParserPool', () => {
+    it('parses files in a worker as the parser does in process', async () => {
+        const pool = new ParserPool(1);
+        try {
+            const data = await pool.parse('/workspace/app.py', SOURCE, 'python');
+            const expected = await new Parser().parse('/workspace/app.py', SOURCE, 'python');
+
+            assert.deepEqual(data, expected);
+        } finally {
+            pool.dispose();
+        }
+    });
+
+    it('queues files until a worker is free, starting no more workers than its size', async () => {
+        const pool = new ParserPool(1);
+        try {
+            const paths = ['/workspace/a.py', '/workspace/b.py', '/workspace/c.py'];
+            const parses = paths.map(filePath => pool.parse(filePath, SOURCE, 'python'));
+
+            assert.equal(pool.workers.length, 1);
+            assert.equal(pool.queue.length, 2);
+            assert.deepEqual((await Promise.all(parses)).map(data => data.path), paths);
+        } finally {
+            pool.dispose();
+        }
+    });
+
+    it('cancels the queued and running parses of one group, leaving the others', async () => {
+        const pool = new ParserPool(1);
+        try {
+            const scan = {};
+            const running = pool.parse('/workspace/a.py', SOURCE, 'python', scan);
+            const other = pool.parse('/workspace/b.py', SOURCE, 'python');
+            const queued = pool.parse('/workspace/c.py', SOURCE, 'python', scan);
+
+            pool.cancel(scan);
+
+            await assert.rejects(running, error => error.cancelled === true);
+            await assert.rejects(queued, error => error.cancelled === true);
+            assert.equal((await other).path, '/workspace/b.py');
+        } finally {
+            pool.dispose();
+        }
+    });
+
+    it('rejects parses once disposed', async () => {
+        const pool = new ParserPool(1);
+        const pending = pool.parse('/workspace/a.py', SOURCE, 'python');
+        pool.dispose();
+
+        await assert.rejects(pending, error => error.cancelled === true);
+        await assert.rejects(pool.parse('/workspace/b.py', SOURCE, 'python'), /disposed/);
+        assert.equal(pool.workers.length, 0);
+    });
+
+    it('sizes itself to the machine when no size is given', () => {
+        assert.equal(ParserPool.getSize(3), 3);
+        assert.equal(ParserPool.getSize(0), Math.max(1, Math.min(os.cpus().length - 1, 4)));
+        assert.ok(ParserPool.getSize() >= 1 && ParserPool.getSize() <= 4);
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = (content, language = 'cpp') => new Parser().parse(`/workspace/src/shape.${language}`, content, language);
+
+describe('C/C++ parser', () => {
+    it('records local and system includes', async () => {
+        const file = await parse([
+            '#include "shape.h"',
+            '#include <vector>',
+            '#include "util/math.h"'
+        ].join('\n'));
+
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.system, imp.line]), [
+            ['shape.h', false, 0],
+            ['vector', true, 1],
+            ['util/math.h', false, 2]
+        ]);
+    });
+
+    it('records classes, out-of-class methods, functions and prototypes in namespaces', async () => {
+        const file = await parse([
+            'namespace geo {',
+            '',
+            'class Circle : public Shape, private Named {',
+            'public:',
+            '    double area() const;',
+            '};',
+            '',
+            'double Circle::area() const {',
+            '    return 0;',
+            '}',
+            '',
+            'static int helper(int a, int b) {',
+            '    return a;',
+            '}',
+            '',
+            'int prototype(int x);',
+            '',
+            '}',
+            '',
+            'typedef struct {',
+            '    int x;',
+            '} Point;'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.kind, cls.bases]), [
+            ['Circle', 'class', ['Shape', 'Named']],
+            ['Point', 'struct', []]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.type, func.className, func.params]), [
+            ['area', 'method', 'Circle', []],
+            ['helper', 'function', null, ['a', 'b']]
+        ]);
+        // Static functions stay private to the file
+        assert.deepEqual(file.exports.map(exp => exp.name), ['Circle', 'prototype', 'Point']);
+    });
+
+    it('records calls with their receivers', async () => {
+        const file = await parse([
+            'void Circle::draw(Canvas *ptr) {',
+            '    Circle c;',
+            '    c.area();',
+            '    this->fill();',
+            '    Math::square(pi());',
+            '    ptr->size();',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['area', 'c'],
+            ['fill', 'this'],
+            ['square', 'Math'],
+            ['pi', undefined],
+            ['size', 'ptr']
+        ]);
+    });
+
+    it('records syntax errors it recovers from, reading comments in directives as comments', async () => {
+        const file = await parse([
+            '#define LIMIT 3 /* spans',
+            "   the line, don't */",
+            'int save(int a) {',
+            '    return check(a];',
+            '}',
+            '',
+            'int load() {',
+            '    return 0;',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.message, error.fatal]), [
+            [3, "']' does not match '(' on line 4", false]
+        ]);
+        assert.deepEqual(file.functions.map(func => func.name), ['save', 'load']);
+    });
+
+    it('leaves brackets unchecked in files with conditional compilation', async () => {
+        const file = await parse([
+            '#ifdef WIDE',
+            'int save(long a) {',
+            '#else',
+            'int save(int a) {',
+            '#endif',
+            '    return a;',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors, []);
+    });
+
+    it('measures complexity, size, nesting and parameters of a function', async () => {
+        const file = await parse([
+            'int classify(const int *items, int count) {',
+            '    int total = 0;',
+            '    for (int i = 0; i < count; i++) {',
+            '        switch (items[i]) {',
+            '        case 0:',
+            '            continue;',
+            '        case 1:',
+            '            if (total > 10 || count < 2)',
+            '                goto done;',
+            '            break;',
+            '        default:',
+            '            total += items[i] > 0 ? items[i] : 0;',
+            '        }',
+            '    }',
+            '    while (total > 100) total /= 2;',
+            'done:',
+            '    return total;',
+            '}'
+        ].join('\n'), 'c');
+
+        // Cyclomatic: 1 + for, two cases, if, ||, conditional, while
+        // Cognitive: for 1, switch 2, if 3, || 1, goto 1, conditional 3, while 1
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 8,
+            cognitive: 12,
+            linesOfCode: 18,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+const { extractScripts } = require('../../src/parsers/component');
+
+describe('Component parser', () => {
+    it('parses the script block of a Vue component at its place in the file', async () => {
+        const file = await new Parser().parse('/workspace/src/App.vue', [
+            '<template>',
+            '  <UserCard />',
+            '  <user-list></user-list>',
+            '  <router-view />',
+            '</template>',
+            '',
+            '<script setup lang="ts">',
+            'import UserCard from "./UserCard.vue";',
+            'function refresh(force: boolean) {',
+            '  if (force) { load(); }',
+            '}',
+            '</script>'
+        ].join('\n'), 'vue');
+
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.local, imp.line]), [
+            ['/workspace/src/UserCard.vue', 'UserCard', 7]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.line, func.endLine, func.metrics.cyclomatic]), [
+            ['refresh', 8, 10, 2]
+        ]);
+        assert.deepEqual(file.calls.map(call => [call.name, call.line]), [['load', 9]]);
+        // Kebab-case tags name the same components as PascalCase ones
+        assert.deepEqual(file.components, [
+            { name: 'UserCard', line: 1 },
+            { name: 'UserList', line: 2 },
+            { name: 'RouterView', line: 3 }
+        ]);
+    });
+
+    it('reads Svelte scripts and Astro frontmatter as script blocks', () => {
+        const svelte = extractScripts('<script lang="ts">\n  let n = 0;\n</script>\n<button>{n}</button>\n', 'svelte');
+        const astro = extractScripts("---\nimport Layout from '../Layout.astro';\n---\n<Layout />\n", 'astro');
+
+        assert.deepEqual(svelte.map(block => [block.language, block.line]), [['typescript', 0]]);
+        assert.match(svelte[0].content, /let n = 0;/);
+        assert.deepEqual(astro.map(block => [block.language, block.line]), [['typescript', 1]]);
+        assert.match(astro[0].content, /import Layout/);
+    });
+});
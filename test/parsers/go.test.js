@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = content => new Parser().parse('/workspace/store/store.go', content, 'go');
+
+describe('Go parser', () => {
+    it('records single and grouped imports with aliases, blank and dot imports', async () => {
+        const file = await parse([
+            'package store',
+            '',
+            'import (',
+            '\t"fmt"',
+            '\tdb "example.com/app/internal/db"',
+            '\t_ "embed"',
+            '\t. "strings"',
+            ')',
+            '',
+            'import "os"'
+        ].join('\n'));
+
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.local, imp.line]), [
+            ['fmt', 'fmt', 3],
+            ['example.com/app/internal/db', 'db', 4],
+            ['embed', null, 5],
+            ['strings', null, 6],
+            ['os', 'os', 9]
+        ]);
+    });
+
+    it('records structs, interfaces, methods and capitalized exports', async () => {
+        const file = await parse([
+            'package store',
+            '',
+            'type Store struct {',
+            '\tBase',
+            '\tconn *db.Conn',
+            '}',
+            '',
+            'type Reader interface {',
+            '\tio.Reader',
+            '\tRead(id string) error',
+            '}',
+            '',
+            'func New() *Store { return &Store{} }',
+            '',
+            'func (s *Store) Save(id string, force bool) error { return nil }',
+            '',
+            'func (s Store) flush() {}'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.bases]), [['Store', ['Base']]]);
+        assert.deepEqual(file.types.map(type => [type.name, type.kind, type.extends]), [['Reader', 'interface', ['io.Reader']]]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.type, func.className, func.params]), [
+            ['New', 'function', null, []],
+            ['Save', 'method', 'Store', ['id', 'force']],
+            ['flush', 'method', 'Store', []]
+        ]);
+        assert.deepEqual(file.exports.map(exp => exp.name), ['Store', 'Reader', 'New']);
+    });
+
+    it('records calls, with calls on the receiver recorded on this', async () => {
+        const file = await parse([
+            'package store',
+            '',
+            'func (s *Store) Save(id string) error {',
+            '\ts.flush()',
+            '\tfmt.Println("func fake()")',
+            '\treturn db.Write(id)',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['flush', 'this'],
+            ['Println', 'fmt'],
+            ['Write', 'db']
+        ]);
+    });
+
+    it('records syntax errors it recovers from and keeps reading', async () => {
+        const file = await parse([
+            'package store',
+            '',
+            'func Save(s *Store) {',
+            '    s.write("unterminated)',
+            '}',
+            '',
+            'func Load() {',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.message, error.fatal]), [
+            [3, 'Unterminated string literal', false],
+            [4, "'}' does not match '(' on line 4", false]
+        ]);
+        assert.deepEqual(file.functions.map(func => func.name), ['Save', 'Load']);
+    });
+
+    it('measures complexity, size, nesting and parameters of a function', async () => {
+        const file = await parse([
+            'package calc',
+            '',
+            'func Sum(items []int, limit int) (total int) {',
+            'outer:',
+            '\tfor _, item := range items {',
+            '\t\tswitch {',
+            '\t\tcase item > limit:',
+            '\t\t\tbreak outer',
+            '\t\tcase item < 0 && limit > 0:',
+            '\t\t\tcontinue',
+            '\t\t}',
+            '\t\tadd := func(n int) int {',
+            '\t\t\tif n > 0 {',
+            '\t\t\t\treturn n',
+            '\t\t\t}',
+            '\t\t\treturn 0',
+            '\t\t}',
+            '\t\ttotal += add(item)',
+            '\t}',
+            '\treturn',
+            '}'
+        ].join('\n'));
+
+        // Cyclomatic: 1 + for, two cases, &&, if
+        // Cognitive: for 1, switch 2, labelled break 1, && 1, if in the
+        // function literal 3 (nested in the loop and the literal)
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 6,
+            cognitive: 8,
+            linesOfCode: 19,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
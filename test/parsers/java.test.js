@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = content => new Parser().parse('/workspace/src/com/acme/repo/UserRepository.java', content, 'java');
+
+describe('Java parser', () => {
+    it('records the package and plain, static and wildcard imports', async () => {
+        const file = await parse([
+            'package com.acme.repo;',
+            '',
+            'import java.util.List;',
+            'import static java.util.Collections.sort;',
+            'import com.acme.model.*;'
+        ].join('\n'));
+
+        assert.equal(file.packageName, 'com.acme.repo');
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.imported, imp.local, imp.line]), [
+            ['java.util.List', 'List', 'List', 2],
+            ['java.util.Collections.sort', 'sort', 'sort', 3],
+            ['com.acme.model.*', '*', null, 4]
+        ]);
+    });
+
+    it('records classes, nested classes, constructors and methods', async () => {
+        const file = await parse([
+            'package com.acme.repo;',
+            '',
+            '@Service',
+            'public class UserRepository extends Base<User> implements Repo, Closeable {',
+            '    public UserRepository(Store store) {',
+            '        this.store = store;',
+            '    }',
+            '',
+            '    public List<User> findAll(String filter, int limit) {',
+            '        return null;',
+            '    }',
+            '',
+            '    static class Cache {',
+            '        void clear() {}',
+            '    }',
+            '}',
+            '',
+            'interface Repo {}'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.kind, cls.line, cls.bases, cls.implements]), [
+            ['UserRepository', 'class', 3, ['Base'], ['Repo', 'Closeable']],
+            ['Cache', 'class', 12, [], []],
+            ['Repo', 'interface', 17, [], []]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.className, func.params]), [
+            ['UserRepository', 'UserRepository', ['store']],
+            ['findAll', 'UserRepository', ['filter', 'limit']],
+            ['clear', 'Cache', []]
+        ]);
+        assert.deepEqual(file.exports.map(exp => [exp.name, exp.type]), [
+            ['UserRepository', 'class'],
+            ['Repo', 'interface']
+        ]);
+    });
+
+    it('records calls, reading fields with or without this', async () => {
+        const file = await parse([
+            'class UserRepository {',
+            '    List<User> findAll(String filter, int limit) {',
+            '        String text = "fake(call)";',
+            '        this.store.query(filter);',
+            '        validate(limit);',
+            '        return wrap(text);',
+            '    }',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['query', 'store'],
+            ['validate', undefined],
+            ['wrap', undefined]
+        ]);
+    });
+
+    it('records calls to methods named like Kotlin helpers', async () => {
+        const file = await parse([
+            'class B {',
+            '    public B(Db db) { init(); helper.run(); }',
+            '    void init() { check(); when(); }',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['init', undefined],
+            ['run', 'helper'],
+            ['check', undefined],
+            ['when', undefined]
+        ]);
+    });
+
+    it('records syntax errors it recovers from and keeps reading', async () => {
+        const file = await parse([
+            'class Repo {',
+            '    void save() {',
+            "        char c = 'x;",
+            '    }',
+            '}',
+            '}',
+            'class Other {}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.message, error.fatal]), [
+            [2, 'Unterminated character literal', false],
+            [5, "Unmatched '}'", false]
+        ]);
+        assert.deepEqual(file.classes.map(cls => cls.name), ['Repo', 'Other']);
+    });
+
+    it('measures complexity, size, nesting and parameters of a method', async () => {
+        const file = await parse([
+            'class Calc {',
+            '    int classify(int[] items, int limit) {',
+            '        int count = 0;',
+            '        for (int item : items) {',
+            '            if (item > limit && limit > 0) {',
+            '                count++;',
+            '            } else {',
+            '                count--;',
+            '            }',
+            '        }',
+            '        int kind = switch (count) {',
+            '            case 1 -> {',
+            '                yield 2;',
+            '            }',
+            '            default -> 3;',
+            '        };',
+            '        Runnable r = () -> {',
+            '            if (limit > 0) count = 0;',
+            '        };',
+            '        return count > 0 ? kind : 0;',
+            '    }',
+            '}'
+        ].join('\n'));
+
+        // Cyclomatic: 1 + for, if, &&, case, if in the lambda, conditional
+        // Cognitive: for 1, if 2, && 1, else 1, switch 1, if in the lambda 2,
+        // conditional 1 (the `case 1 -> {` block is not a lambda)
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 7,
+            cognitive: 9,
+            linesOfCode: 20,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
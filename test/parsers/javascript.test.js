@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = (content, fileName = 'index.js') => new Parser().parse(
+    `/workspace/src/${fileName}`, content, fileName.endsWith('.ts') || fileName.endsWith('.tsx') ? 'typescript' : 'javascript'
+);
+
+const describeImports = file => file.imports.map(imp => [imp.source, imp.imported, imp.local, imp.kind]);
+
+describe('JavaScript parser', () => {
+    describe('CommonJS', () => {
+        it('records require() calls as imports, with destructured names', async () => {
+            const file = await parse([
+                "const fs = require('fs');",
+                "const { join, resolve: res } = require('path');",
+                "const util = require('./util');",
+                "require('./side-effect');"
+            ].join('\n'));
+
+            assert.deepEqual(describeImports(file), [
+                ['fs', '*', 'fs', 'static'],
+                ['path', 'join', 'join', 'static'],
+                ['path', 'resolve', 'res', 'static'],
+                ['/workspace/src/util', '*', 'util', 'static'],
+                ['/workspace/src/side-effect', '*', null, 'static']
+            ]);
+        });
+
+        it('ignores calls to a require declared in the file', async () => {
+            const file = await parse([
+                "const path = require('path');",
+                'function load(require) {',
+                "    return require('./plugin');",
+                '}',
+                "define(['dep'], function (require) { require('./local'); });"
+            ].join('\n'));
+
+            assert.deepEqual(describeImports(file), [['path', '*', 'path', 'static']]);
+        });
+
+        it('records module.exports and exports.name as exports', async () => {
+            const file = await parse([
+                'module.exports = { load, save: store };',
+                'module.exports.extra = 1;',
+                'exports.other = function () {};',
+                'function load() {}',
+                'function store() {}'
+            ].join('\n'));
+
+            assert.deepEqual(file.exports.map(exp => [exp.name, exp.type]), [
+                ['load', 'named'],
+                ['save', 'named'],
+                ['extra', 'named'],
+                ['other', 'named']
+            ]);
+        });
+
+        it('treats an assigned class or function as the default export', async () => {
+            const file = await parse('module.exports = class Repo {};');
+
+            assert.deepEqual(file.exports.map(exp => [exp.name, exp.type]), [['default', 'default']]);
+        });
+    });
+
+    describe('dynamic imports and re-exports', () => {
+        it('records import() with a literal path as a dynamic import', async () => {
+            const file = await parse([
+                "const open = () => import('./lazy');",
+                "import(`./locale/${lang}.js`);"
+            ].join('\n'));
+
+            assert.deepEqual(describeImports(file), [['/workspace/src/lazy', '*', null, 'dynamic']]);
+        });
+
+        it('records re-exports as imports and as exports naming their source', async () => {
+            const file = await parse([
+                "export * from './b';",
+                "export { c, d as e } from './c';",
+                "export * as ns from './n';"
+            ].join('\n'), 'index.ts');
+
+            assert.deepEqual(describeImports(file), [
+                ['/workspace/src/b', '*', null, 're-export'],
+                ['/workspace/src/c', 'c', null, 're-export'],
+                ['/workspace/src/c', 'd', null, 're-export'],
+                ['/workspace/src/n', '*', null, 're-export']
+            ]);
+            assert.deepEqual(file.exports.map(exp => [exp.name, exp.imported, exp.source]), [
+                ['*', '*', '/workspace/src/b'],
+                ['c', 'c', '/workspace/src/c'],
+                ['e', 'd', '/workspace/src/c'],
+                ['ns', '*', '/workspace/src/n']
+            ]);
+        });
+    });
+
+    describe('classes', () => {
+        it('records classes with their base class, interfaces and methods', async () => {
+            const file = await parse([
+                'export class Repo extends Base implements Saveable, Closeable {',
+                '    save() {}',
+                '    static create() {}',
+                '}',
+                'const Widget = class extends React.Component {};'
+            ].join('\n'), 'repo.ts');
+
+            assert.deepEqual(file.classes.map(cls => [cls.name, cls.bases, cls.implements, cls.line, cls.endLine]), [
+                ['Repo', ['Base'], ['Saveable', 'Closeable'], 0, 3],
+                ['Widget', ['React.Component'], [], 4, 4]
+            ]);
+            assert.deepEqual(file.functions.map(func => [func.name, func.type, func.className]), [
+                ['save', 'method', 'Repo'],
+                ['create', 'method', 'Repo']
+            ]);
+        });
+    });
+
+    describe('TypeScript types', () => {
+        it('records interfaces, type aliases and enums', async () => {
+            const file = await parse([
+                'export interface Store extends Reader { id: Id }',
+                'export type Key = string | number;',
+                'export enum Mode { A, B }',
+                'interface Local {}'
+            ].join('\n'), 'types.ts');
+
+            assert.deepEqual(file.types.map(type => [type.name, type.kind, type.exported, type.extends]), [
+                ['Store', 'interface', true, ['Reader']],
+                ['Key', 'type', true, []],
+                ['Mode', 'enum', true, []],
+                ['Local', 'interface', false, []]
+            ]);
+        });
+
+        it('marks imports used only as types as type-only', async () => {
+            const file = await parse([
+                "import type { Id } from './ids';",
+                "import { type Row, Table } from './table';",
+                "import { Config } from './config';",
+                'export function open(config: Config): Row { return new Table(); }'
+            ].join('\n'), 'open.ts');
+
+            assert.deepEqual(file.imports.map(imp => [imp.imported, imp.typeOnly]), [
+                ['Id', true],
+                ['Row', true],
+                ['Table', false],
+                ['Config', true]
+            ]);
+        });
+    });
+
+    describe('metrics', () => {
+        it('measures complexity, size, nesting and parameters of a function', async () => {
+            const file = await parse([
+                'function classify(items, limit) {',
+                '    let count = 0;',
+                '    for (const item of items) {',
+                '        if (item.a && item.b || item.c) {',
+                '            count++;',
+                '        } else if (item.d) {',
+                '            count--;',
+                '        } else {',
+                '            // comment line',
+                '',
+                '            count += item.e ? 1 : 2;',
+                '        }',
+                '    }',
+                '    return count > limit;',
+                '}'
+            ].join('\n'));
+
+            // Cyclomatic: 1 + for, if, &&, ||, else if, ?:
+            // Cognitive: for 1, if 2, && and || 2, else if 1, else 1, ?: 3
+            assert.deepEqual(file.functions[0].metrics, {
+                cyclomatic: 7,
+                cognitive: 10,
+                linesOfCode: 13,
+                maxNesting: 2,
+                parameterCount: 2
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = content => new Parser().parse('/workspace/src/com/acme/repo/UserRepository.kt', content, 'kotlin');
+
+describe('Kotlin parser', () => {
+    it('records the package and imports with their aliases', async () => {
+        const file = await parse([
+            'package com.acme.repo',
+            '',
+            'import com.acme.model.User',
+            'import com.acme.model.Admin as A',
+            'import com.acme.util.*'
+        ].join('\n'));
+
+        assert.equal(file.packageName, 'com.acme.repo');
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.imported, imp.local, imp.line]), [
+            ['com.acme.model.User', 'User', 'User', 2],
+            ['com.acme.model.Admin', 'Admin', 'A', 3],
+            ['com.acme.util.*', '*', null, 4]
+        ]);
+    });
+
+    it('records classes, companion members, top-level declarations and their exports', async () => {
+        const file = await parse([
+            'package com.acme.repo',
+            '',
+            'typealias Users = List<User>',
+            '',
+            'data class UserRepository(private val store: Store) : Base(), Repo {',
+            '    fun findAll(filter: String, limit: Int = 10): Users {',
+            '        return wrap(limit)',
+            '    }',
+            '',
+            '    companion object {',
+            '        fun create(): UserRepository = UserRepository(Store())',
+            '    }',
+            '}',
+            '',
+            'private fun hidden() {}',
+            '',
+            'fun String.shout(times: Int) = repeat(times)',
+            '',
+            'val DEFAULT = 3'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.bases, cls.implements]), [
+            ['UserRepository', ['Base'], ['Repo']]
+        ]);
+        assert.deepEqual(file.types.map(type => type.name), ['Users']);
+        assert.deepEqual(file.functions.map(func => [func.name, func.type, func.className, func.params]), [
+            ['findAll', 'method', 'UserRepository', ['filter', 'limit']],
+            ['create', 'method', 'UserRepository', []],
+            ['hidden', 'function', null, []],
+            ['shout', 'function', null, ['times']]
+        ]);
+        assert.deepEqual(file.exports.map(exp => [exp.name, exp.type]), [
+            ['Users', 'type'],
+            ['UserRepository', 'class'],
+            ['shout', 'function'],
+            ['DEFAULT', 'variable']
+        ]);
+    });
+
+    it('records calls, including trailing-lambda calls, and skips builtins', async () => {
+        const file = await parse([
+            'fun render(items: List<Item>) {',
+            '    store.query("fake(call)")',
+            '    items.forEach { draw(it) }',
+            '    println(listOf(1))',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['query', 'store'],
+            ['forEach', 'items'],
+            ['draw', undefined]
+        ]);
+    });
+
+    it('records syntax errors it recovers from', async () => {
+        const file = await parse([
+            'class Repo {',
+            '    fun save() {',
+            '        val text = """never closed',
+            '    }',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.message, error.fatal]), [
+            [2, 'Unterminated string literal', false],
+            [1, "'{' is never closed", false]
+        ]);
+        assert.deepEqual(file.functions.map(func => func.name), ['save']);
+    });
+
+    it('measures complexity, size, nesting and parameters of a function', async () => {
+        const file = await parse([
+            'fun classify(items: List<Int>, limit: Int): Int {',
+            '    var count = 0',
+            '    for (item in items) {',
+            '        when {',
+            '            item > limit -> return count',
+            '            item < 0 && limit > 0 -> count--',
+            '            else -> count++',
+            '        }',
+            '    }',
+            '    val name = items.firstOrNull() ?: 0',
+            '    items.forEach {',
+            '        if (it > 1) count++',
+            '    }',
+            '    return if (count > name) count else name',
+            '}'
+        ].join('\n'));
+
+        // Cyclomatic: 1 + for, two `when` arms, &&, if in the lambda, if
+        // Cognitive: for 1, when 2, && 1, if in the lambda 2, if 1, else 1
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 7,
+            cognitive: 8,
+            linesOfCode: 15,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
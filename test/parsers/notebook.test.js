@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+const { extractCells } = require('../../src/parsers/notebook');
+
+const notebook = cells => JSON.stringify({ nbformat: 4, metadata: { kernelspec: { language: 'python' } }, cells });
+
+describe('Notebook parser', () => {
+    it('keeps Python code cells at their notebook index and blanks out IPython syntax', () => {
+        const cells = extractCells(notebook([
+            { cell_type: 'markdown', source: ['# Title'] },
+            { cell_type: 'code', execution_count: 1, source: ['%matplotlib inline\n', 'files = !ls\n', 'x = 1 != 2\n'] },
+            { cell_type: 'code', source: '%%bash\necho hi\n' },
+            { cell_type: 'code', metadata: { vscode: { languageId: 'sql' } }, source: 'SELECT 1' },
+            { cell_type: 'code', source: '%%time\nrun()' }
+        ]));
+
+        assert.deepEqual(cells, [
+            { index: 1, source: '\n\nx = 1 != 2\n', lineCount: 3, executionCount: 1 },
+            { index: 4, source: '\nrun()', lineCount: 2, executionCount: null }
+        ]);
+    });
+
+    it('skips notebooks of other kernels', () => {
+        const content = JSON.stringify({ metadata: { kernelspec: { language: 'R' } }, cells: [{ cell_type: 'code', source: 'x <- 1' }] });
+
+        assert.deepEqual(extractCells(content), []);
+    });
+
+    it('parses each cell as Python, with lines counted from the start of the cell', async () => {
+        const file = await new Parser().parse('/workspace/analysis.ipynb', notebook([
+            { cell_type: 'markdown', source: ['# Title'] },
+            { cell_type: 'code', execution_count: 1, source: ['%matplotlib inline\n', 'from helpers import load\n', 'data = load()\n'] },
+            { cell_type: 'code', execution_count: 2, source: ['def summarize(d):\n', '    return load(d)\n', '\n', 'summarize(data)'] }
+        ]), 'notebook');
+
+        assert.equal(file.notebook, true);
+        assert.deepEqual(file.cells, [
+            { index: 1, line: 0, endLine: 2, executionCount: 1 },
+            { index: 2, line: 0, endLine: 3, executionCount: 2 }
+        ]);
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.line, imp.cell]), [['helpers', 1, 1]]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.line, func.cell]), [['summarize', 0, 2]]);
+        assert.deepEqual(file.calls.map(call => [call.name, call.line, call.cell, call.scope]), [
+            ['load', 2, 1, null],
+            ['load', 1, 2, 'summarize'],
+            ['summarize', 3, 2, null]
+        ]);
+    });
+
+    it('reports a notebook that is not valid JSON as a parse error', async () => {
+        const file = await new Parser().parse('/workspace/broken.ipynb', '{ "cells": [', 'notebook');
+
+        assert.equal(file.errors.length, 1);
+        assert.equal(file.errors[0].fatal, true);
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = content => new Parser().parse('/workspace/app/repo.py', content, 'python');
+
+describe('Python parser', () => {
+    it('records imports with their aliases and relative levels', async () => {
+        const file = await parse([
+            'import os, sys as system',
+            'from .models import (User,',
+            '    Admin as A)',
+            'from ..core import *'
+        ].join('\n'));
+
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.imported, imp.local, imp.line]), [
+            ['os', '*', 'os', 0],
+            ['sys', '*', 'system', 0],
+            ['.models', 'User', 'User', 1],
+            ['.models', 'Admin', 'A', 1],
+            ['..core', '*', null, 3]
+        ]);
+    });
+
+    it('records classes, methods and nested functions with their scopes', async () => {
+        const file = await parse([
+            '@decorator',
+            'class Repo(Base, metaclass=Meta):',
+            '    def save(self, item, *args, **kw):',
+            '        return item',
+            '',
+            'async def load(path="x(y)"):',
+            '    def inner():',
+            '        pass'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.bases, cls.decorators, cls.line]), [
+            ['Repo', ['Base'], ['decorator'], 1]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.scope, func.type, func.params, func.async]), [
+            ['Repo.save', 'method', ['item', '*args', '**kw'], false],
+            ['load', 'function', ['path'], true],
+            ['load.inner', 'function', [], false]
+        ]);
+        assert.deepEqual(file.exports.map(exp => exp.name), ['Repo', 'load']);
+    });
+
+    it('records calls with their receiver and scope', async () => {
+        const file = await parse([
+            'class Repo:',
+            '    def save(self, item):',
+            '        self.validate(item)',
+            '        return helper(item)',
+            '',
+            'run()'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object, call.scope]), [
+            ['validate', 'self', 'Repo.save'],
+            ['helper', undefined, 'Repo.save'],
+            ['run', undefined, null]
+        ]);
+    });
+
+    it('ignores code in strings and comments', async () => {
+        const file = await parse([
+            'def load():',
+            '    """import fake',
+            '    def ghost(): pass"""',
+            '    # call_in_comment()',
+            '    text = "import other; run()"',
+            '    return text'
+        ].join('\n'));
+
+        assert.deepEqual(file.imports, []);
+        assert.deepEqual(file.functions.map(func => func.name), ['load']);
+        assert.deepEqual(file.calls, []);
+    });
+
+    it('records syntax errors it recovers from and keeps reading', async () => {
+        const file = await parse([
+            'def (x):',
+            '    pass',
+            'class :',
+            '    pass',
+            'def save(item)',
+            '    return item',
+            "name = 'unterminated",
+            'def ok():',
+            '    return [1, 2)'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.column, error.message, error.fatal]), [
+            [6, 7, 'Unterminated string literal', false],
+            [0, 0, "Expected a function name and '(' after 'def'", false],
+            [2, 0, "Expected a class name after 'class'", false],
+            [4, 13, "Expected ':' at the end of the def header", false],
+            [8, 16, "')' does not match '[' on line 9", false]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.line, func.endLine]), [
+            ['save', 4, 5],
+            ['ok', 7, 8]
+        ]);
+    });
+
+    it('measures complexity, size, nesting and parameters of a function', async () => {
+        const file = await parse([
+            'def classify(items, limit):',
+            '    count = 0',
+            '    for item in items:',
+            '        if item.a and item.b or item.c:',
+            '            count += 1',
+            '        elif item.d:',
+            '            count -= 1',
+            '        else:',
+            '            # comment line',
+            '',
+            '            count += 1 if item.e else 2',
+            '    while count > limit:',
+            '        count -= 1',
+            '    return count'
+        ].join('\n'));
+
+        // Cyclomatic: 1 + for, if, and, or, elif, conditional expression, while
+        // Cognitive: for 1, if 2, and/or 2, elif 1, else 1, conditional 3, while 1
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 8,
+            cognitive: 11,
+            linesOfCode: 12,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
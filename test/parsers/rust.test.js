@@ -0,0 +1,146 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('../../src/parser');
+
+const parse = content => new Parser().parse('/workspace/src/lib.rs', content, 'rust');
+
+describe('Rust parser', () => {
+    it('flattens use trees and records modules, re-exports and extern crates', async () => {
+        const file = await parse([
+            'use std::collections::HashMap;',
+            'use crate::store::{Store, open as open_store, model::*};',
+            'pub use self::api::Client;',
+            'extern crate serde as sd;',
+            '',
+            'mod store;',
+            '#[path = "net/api.rs"]',
+            'pub mod api;'
+        ].join('\n'));
+
+        assert.deepEqual(file.imports.map(imp => [imp.source, imp.imported, imp.local, imp.kind, imp.line]), [
+            ['std::collections', 'HashMap', 'HashMap', 'static', 0],
+            ['crate::store', 'Store', 'Store', 'static', 1],
+            ['crate::store', 'open', 'open_store', 'static', 1],
+            ['crate::store::model', '*', null, 'static', 1],
+            ['self::api', 'Client', 'Client', 're-export', 2],
+            ['serde', '*', 'sd', 'static', 3],
+            ['self::store', '*', 'store', 'mod', 5],
+            ['self::api', '*', 'api', 'mod', 7]
+        ]);
+        assert.deepEqual(file.modules.map(mod => [mod.name, mod.inline, mod.path]), [
+            ['store', false, null],
+            ['api', false, 'net/api.rs']
+        ]);
+    });
+
+    it('records structs, traits, impl methods and pub exports, skipping test modules', async () => {
+        const file = await parse([
+            'pub struct Cache {',
+            '    items: HashMap<String, u32>,',
+            '}',
+            '',
+            'pub trait Named: Display {',
+            '    fn name(&self) -> String {',
+            '        String::new()',
+            '    }',
+            '}',
+            '',
+            'impl Named for Cache {}',
+            '',
+            'impl Cache {',
+            '    pub fn get(&self, key: &str, fallback: u32) -> u32 {',
+            '        fallback',
+            '    }',
+            '}',
+            '',
+            'fn helper() {}',
+            '',
+            'type Map = HashMap<String, u32>;',
+            '',
+            '#[cfg(test)]',
+            'mod tests {',
+            '    fn ignored() {}',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.classes.map(cls => [cls.name, cls.kind, cls.implements]), [['Cache', 'struct', ['Named']]]);
+        assert.deepEqual(file.types.map(type => [type.name, type.kind, type.extends]), [
+            ['Named', 'interface', ['Display']],
+            ['Map', 'type', []]
+        ]);
+        assert.deepEqual(file.functions.map(func => [func.name, func.className, func.params]), [
+            ['name', 'Named', []],
+            ['get', 'Cache', ['key', 'fallback']],
+            ['helper', null, []]
+        ]);
+        assert.deepEqual(file.exports.map(exp => exp.name), ['Cache', 'Named']);
+    });
+
+    it('records calls with their receivers, but not macros', async () => {
+        const file = await parse([
+            'fn get(key: &str) {',
+            '    let s = Store::new();',
+            '    s.save(key);',
+            '    self.touch();',
+            '    store::open("x");',
+            '    println!("fake({})", key);',
+            '}'
+        ].join('\n'));
+
+        assert.deepEqual(file.calls.map(call => [call.name, call.object]), [
+            ['new', 'Store'],
+            ['save', 's'],
+            ['touch', 'self'],
+            ['open', 'store']
+        ]);
+    });
+
+    it('records syntax errors it recovers from', async () => {
+        const file = await parse([
+            'fn save() {',
+            '    let s = r#"raw',
+            '}',
+            '',
+            'fn load() {}'
+        ].join('\n'));
+
+        assert.deepEqual(file.errors.map(error => [error.line, error.message, error.fatal]), [
+            [1, 'Unterminated string literal', false],
+            [0, "'{' is never closed", false]
+        ]);
+    });
+
+    it('measures complexity, size, nesting and parameters of a function', async () => {
+        const file = await parse([
+            'fn classify(items: &[i32], limit: i32) -> i32 {',
+            '    let mut total = 0;',
+            "    'outer: for item in items {",
+            '        match item {',
+            '            0 => continue,',
+            "            n if *n > limit => break 'outer,",
+            '            _ => total += item,',
+            '        }',
+            '    }',
+            '    loop {',
+            '        if total < 100 || limit == 0 {',
+            '            break;',
+            '        } else {',
+            '            total /= 2;',
+            '        }',
+            '    }',
+            '    total',
+            '}'
+        ].join('\n'));
+
+        // Cyclomatic: 1 + for, two match arms, the guard's if, if, ||
+        // Cognitive: for 1, match 2, the guard's if 3, labelled break 1,
+        // loop 1, if 2, || 1, else 1
+        assert.deepEqual(file.functions[0].metrics, {
+            cyclomatic: 7,
+            cognitive: 12,
+            linesOfCode: 18,
+            maxNesting: 2,
+            parameterCount: 2
+        });
+    });
+});
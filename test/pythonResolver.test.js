@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFolder, removeFolders } = require('./helpers/workspace');
+const PythonModuleResolver = require('../src/pythonResolver');
+
+describe('PythonModuleResolver', () => {
+    let root;
+    const fileExists = filePath => fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    const resolve = (resolver, specifier, fromFile) => {
+        const resolved = resolver.resolve(specifier, path.join(root, fromFile), fileExists);
+        return resolved && path.relative(root, resolved).split(path.sep).join('/');
+    };
+
+    before(() => {
+        // A project whose `svc` folder is opened on its own
+        root = createFolder({
+            'pyproject.toml': "[project]\nname = 'platform'\n",
+            'svc/pyproject.toml': "[project]\nname = 'svc'\n",
+            'svc/util.py': '',
+            'svc/app/main.py': ''
+        });
+    });
+
+    after(() => removeFolders(root));
+
+    it('finds project roots up to the workspace folder owning the file', () => {
+        const resolver = new PythonModuleResolver();
+        resolver.setWorkspaceRoots([path.join(root, 'svc')]);
+
+        assert.equal(resolve(resolver, 'util', 'svc/app/main.py'), 'svc/util.py');
+        assert.equal(resolve(resolver, 'svc.util', 'svc/app/main.py'), null);
+    });
+
+    it('finds project roots in parent folders once they are open in the workspace', () => {
+        const resolver = new PythonModuleResolver();
+        resolver.setWorkspaceRoots([root]);
+
+        assert.equal(resolve(resolver, 'svc.util', 'svc/app/main.py'), 'svc/util.py');
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createFolder, removeFolders } = require('./helpers/workspace');
+const ModuleResolver = require('../src/resolver');
+const { parseJsonWithComments } = require('../src/resolver');
+
+describe('parseJsonWithComments', () => {
+    it('drops comments and trailing commas', () => {
+        const text = [
+            '{',
+            '    // line comment',
+            '    "paths": { "@/*": ["src/*",], }, /* block, comment */',
+            '    "list": [1, 2,',
+            '    ],',
+            '}'
+        ].join('\n');
+
+        assert.deepEqual(parseJsonWithComments(text), { paths: { '@/*': ['src/*'] }, list: [1, 2] });
+    });
+
+    it('leaves strings alone, including ones that look like comments or trailing commas', () => {
+        const text = '{ "url": "http://x/*y*/", "a": ",}", "b": "[1,]", "c": "say \\"hi\\", }" }';
+
+        assert.deepEqual(parseJsonWithComments(text), { url: 'http://x/*y*/', a: ',}', b: '[1,]', c: 'say "hi", }' });
+    });
+});
+
+describe('ModuleResolver', () => {
+    let root;
+    const resolver = new ModuleResolver();
+    const fileExists = filePath => fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    const resolve = (specifier, fromFile) => {
+        const resolved = resolver.resolve(specifier, path.join(root, fromFile), fileExists);
+        return resolved && path.relative(root, resolved).split(path.sep).join('/');
+    };
+
+    before(() => {
+        root = createFolder({
+            'tsconfig.base.json': '{\n  // shared options\n  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], "@lib": ["lib/main.ts"], }, },\n}\n',
+            'tsconfig.json': '{ "extends": "./tsconfig.base.json" }',
+            'src/app.ts': '',
+            'src/util/index.ts': '',
+            'src/store.ts': '',
+            'lib/main.ts': '',
+            'shared/config.js': '',
+            'web/jsconfig.json': '{ "compilerOptions": { "baseUrl": "src" } }',
+            'web/src/page.js': '',
+            'web/src/widgets/button.jsx': ''
+        });
+    });
+
+    after(() => removeFolders(root));
+
+    it('resolves relative imports with extension and index lookup', () => {
+        assert.equal(resolve('./util', 'src/app.ts'), 'src/util/index.ts');
+        assert.equal(resolve('./store.js', 'src/app.ts'), 'src/store.ts');
+        assert.equal(resolve('./missing', 'src/app.ts'), null);
+    });
+
+    it('resolves paths aliases from an extended tsconfig', () => {
+        assert.equal(resolve('@/store', 'src/app.ts'), 'src/store.ts');
+        assert.equal(resolve('@lib', 'src/app.ts'), 'lib/main.ts');
+    });
+
+    it('resolves non-relative imports against baseUrl', () => {
+        assert.equal(resolve('shared/config', 'src/app.ts'), 'shared/config.js');
+        assert.equal(resolve('widgets/button', 'web/src/page.js'), 'web/src/widgets/button.jsx');
+    });
+
+    it('leaves packages it cannot find unresolved', () => {
+        assert.equal(resolve('react', 'src/app.ts'), null);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Test Runner
+ *
+ * Runs every `*.test.js` file under test/ with Node's built-in test runner.
+ * The tests load the extension's modules against a fake VS Code API (see
+ * ./helpers/vscode), so they need no editor.
+ *
+ * Usage: node ./test/runTest.js [name filter]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Lists the test files below a folder
+ *
+ * @param {string} dir - Absolute path
+ * @returns {Array<string>} Absolute paths, sorted
+ */
+function findTestFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return entry.name === 'helpers' ? [] : findTestFiles(fullPath);
+            }
+            return entry.name.endsWith('.test.js') ? [fullPath] : [];
+        })
+        .sort();
+}
+
+const filter = process.argv[2];
+const files = findTestFiles(__dirname).filter(file => !filter || file.includes(filter));
+
+if (files.length === 0) {
+    console.error(`No test files found${filter ? ` matching "${filter}"` : ''}`);
+    process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', '--test-reporter=spec', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
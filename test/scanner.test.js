@@ -0,0 +1,94 @@
+const { vscode, setTextDocuments } = require('./helpers/vscode');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ParseCache = require('../src/parseCache');
+const { createFolder, removeFolders, scanFolders, quietly } = require('./helpers/workspace');
+
+describe('Scanner', () => {
+    it('stops a cancelled scan, keeping the files parsed so far', async () => {
+        const files = {};
+        for (let i = 0; i < 12; i++) {
+            files[`src/module${i}.py`] = `def run${i}():\n    return ${i}\n`;
+        }
+        const root = createFolder(files);
+        const scanner = await scanFolders([root]);
+
+        try {
+            const source = new vscode.CancellationTokenSource();
+            const result = await quietly(() => scanner.scanWorkspace(source.token, scanned => {
+                if (scanned === 1) {
+                    source.cancel();
+                }
+            }));
+
+            assert.equal(result.cancelled, true);
+            assert.equal(result.total, 12);
+            assert.ok(scanner.getFiles().size >= 1 && scanner.getFiles().size < 12);
+            assert.equal(scanner.pool.queue.length, 0);
+        } finally {
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+
+    it('reads unsaved editor content over the disk and drops byte order marks', async () => {
+        const root = createFolder({
+            'app.py': 'def saved():\n    pass\n',
+            'bom.py': '\ufeffdef marked():\n    pass\n'
+        });
+        const scanner = await scanFolders([root]);
+
+        try {
+            assert.equal(scanner.getFile(path.join(root, 'bom.py')).functions[0].name, 'marked');
+
+            setTextDocuments([{ path: path.join(root, 'app.py'), text: 'def unsaved():\n    pass\n' }]);
+            await quietly(() => scanner.scanWorkspace());
+
+            assert.equal(scanner.getFile(path.join(root, 'app.py')).functions[0].name, 'unsaved');
+        } finally {
+            setTextDocuments([]);
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+
+    it('leaves out files over maxFileSizeKB, naming the setting', async () => {
+        const root = createFolder({
+            'small.py': 'x = 1\n',
+            'large.py': `data = "${'x'.repeat(2048)}"\n`
+        });
+        const scanner = await scanFolders([root], { maxFileSizeKB: 1 });
+
+        try {
+            assert.deepEqual([...scanner.getFiles().keys()], [path.join(root, 'small.py')]);
+            assert.equal(scanner.getExclusions().get(path.join(root, 'large.py')), 'maxFileSizeKB (1)');
+            assert.equal(scanner.countOversized(), 1);
+        } finally {
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+
+    it('forgets a file that is gone by the time it is scanned', async () => {
+        const root = createFolder({ 'app.py': 'x = 1\n' });
+        const filePath = path.join(root, 'app.py');
+        const cache = new ParseCache(undefined, '1');
+        const scanner = await scanFolders([root], {}, { cache });
+
+        try {
+            assert.ok(scanner.getFile(filePath) && cache.entries.has(filePath));
+            scanner.getExclusions().set(filePath, 'maxFileSizeKB (1)');
+            fs.rmSync(filePath);
+            await quietly(() => scanner.scanFiles([filePath]));
+
+            assert.equal(scanner.getFile(filePath), undefined);
+            assert.equal(scanner.getExclusions().has(filePath), false);
+            assert.equal(cache.entries.has(filePath), false);
+        } finally {
+            scanner.dispose();
+            removeFolders(root);
+        }
+    });
+});
@@ -0,0 +1,52 @@
+const { setWorkspaceFolders } = require('./helpers/vscode');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getWorkspaceRoots, getRootForPath, getRelativePath, isInside } = require('../src/workspaceRoots');
+
+const base = path.resolve('/workspace');
+const backend = { name: 'backend', path: path.join(base, 'backend') };
+const frontend = { name: 'frontend', path: path.join(base, 'frontend') };
+const nested = { name: 'api', path: path.join(base, 'backend', 'api') };
+
+describe('workspaceRoots', () => {
+    after(() => {
+        setWorkspaceFolders([]);
+    });
+
+    it('lists the workspace folders as roots', () => {
+        setWorkspaceFolders([backend.path, frontend.path]);
+
+        assert.deepEqual(getWorkspaceRoots().map(root => [root.name, root.path]), [
+            ['backend', backend.path],
+            ['frontend', frontend.path]
+        ]);
+    });
+
+    it('picks the innermost root holding a path', () => {
+        const roots = [backend, frontend, nested];
+
+        assert.equal(getRootForPath(path.join(backend.path, 'app.py'), roots), backend);
+        assert.equal(getRootForPath(path.join(nested.path, 'views.py'), roots), nested);
+        assert.equal(getRootForPath(nested.path, roots), nested);
+        assert.equal(getRootForPath(path.join(base, 'backend-old', 'app.py'), roots), null);
+    });
+
+    it('prefixes relative paths with the root name only when several roots are open', () => {
+        const filePath = path.join(backend.path, 'src', 'app.py');
+
+        assert.equal(getRelativePath(filePath, [backend]), path.join('src', 'app.py'));
+        assert.equal(getRelativePath(backend.path, [backend]), '.');
+        assert.equal(getRelativePath(filePath, [backend, frontend]), path.join('backend', 'src', 'app.py'));
+        assert.equal(getRelativePath(backend.path, [backend, frontend]), 'backend');
+        assert.equal(getRelativePath(path.join(base, 'other.py'), [backend]), path.join(base, 'other.py'));
+    });
+
+    it('tells whether a path lies in a folder', () => {
+        assert.equal(isInside(backend.path, path.join(backend.path, 'src')), true);
+        assert.equal(isInside(backend.path, backend.path), true);
+        assert.equal(isInside(backend.path, path.join(base, 'backend-old')), false);
+        assert.equal(isInside(backend.path, base), false);
+        assert.equal(isInside(backend.path, path.join(backend.path, '..data')), true);
+    });
+});